@@ -18,7 +18,10 @@ import {
   registerDeleteWebhookCommand,
   registerWebhooksCommand,
   registerDbCommand,
-  registerWorkflowRunsCommand
+  registerWorkflowRunsCommand,
+  registerReplayCommand,
+  registerLocalAdminCommand,
+  registerApiAuditCommand
 } from './core/cli/commands/index.js';
 
 // Get directory name in ESM
@@ -50,5 +53,8 @@ registerDeleteWebhookCommand(program, projectRoot);
 registerWebhooksCommand(program, projectRoot);
 registerDbCommand(program, projectRoot);
 registerWorkflowRunsCommand(program, projectRoot);
+registerReplayCommand(program, projectRoot);
+registerLocalAdminCommand(program, projectRoot);
+registerApiAuditCommand(program, projectRoot);
 
 program.parse(process.argv);
\ No newline at end of file
@@ -0,0 +1,272 @@
+import chalk from 'chalk';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { spawn } from 'child_process';
+import { buildClientSchema, getIntrospectionQuery, NoDeprecatedCustomRule, parse, validate } from 'graphql';
+import { getShopConfig } from '../shared/config-helpers.js';
+import { createShopifyClient, DEFAULT_API_VERSION } from '../shared/shopify.js';
+import { getApiVersionSupport } from '../shared/shopify-deprecations.js';
+import { ensureAndResolveJobName, getAvailableJobDirs, loadJobConfig } from './job-discovery.js';
+import { DEFAULT_CASSETTE, loadCassetteInteractions } from './test-cassette.js';
+
+// Introspected Admin API schemas are cached per version, they don't change within a version
+const SCHEMA_CACHE_DIR = '.cache';
+
+const DEFAULT_TEST_TIMEOUT_SECONDS = 120;
+
+// Lines of a failed test's output shown in the report
+const OUTPUT_TAIL_LINES = 10;
+
+/**
+ * Run `test` for a job in its own process, so a job that exits or waits for input doesn't stop the audit
+ */
+function runJobTestProcess(projectRoot, jobPath, args, timeoutSeconds) {
+  return new Promise((resolve) => {
+    const child = spawn(process.execPath, [path.join(projectRoot, 'cli.js'), 'test', jobPath, ...args], {
+      cwd: projectRoot,
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    let output = '';
+    let timedOut = false;
+    child.stdout.on('data', (chunk) => { output += chunk; });
+    child.stderr.on('data', (chunk) => { output += chunk; });
+
+    const timer = setTimeout(() => {
+      timedOut = true;
+      child.kill();
+    }, timeoutSeconds * 1000);
+
+    child.on('error', (error) => {
+      clearTimeout(timer);
+      resolve({ ok: false, output: error.message });
+    });
+    child.on('close', (code) => {
+      clearTimeout(timer);
+      resolve({
+        ok: code === 0 && !timedOut,
+        output: timedOut ? `${output}\nTimed out after ${timeoutSeconds}s` : output
+      });
+    });
+  });
+}
+
+/**
+ * Load the Admin API schema of a version from the cache, or introspect it with the job's shop
+ */
+async function loadSchema(projectRoot, apiVersion, shopConfig, refresh) {
+  const cachePath = path.join(projectRoot, SCHEMA_CACHE_DIR, `shopify-admin-schema-${apiVersion}.json`);
+  if (!refresh && fs.existsSync(cachePath)) {
+    return buildClientSchema(JSON.parse(fs.readFileSync(cachePath, 'utf8')));
+  }
+
+  console.log(chalk.gray(`Fetching the Admin API ${apiVersion} schema from ${shopConfig.shopify_domain}...`));
+  const shopify = createShopifyClient({
+    shop: shopConfig.shopify_domain,
+    accessToken: shopConfig.shopify_token,
+    adminUrl: shopConfig.shopify_admin_url,
+    apiVersion,
+    retries: 0
+  });
+  const introspection = await shopify.graphql(getIntrospectionQuery());
+  const schema = buildClientSchema(introspection);
+
+  fs.mkdirSync(path.dirname(cachePath), { recursive: true });
+  fs.writeFileSync(cachePath, JSON.stringify(introspection));
+  return schema;
+}
+
+/**
+ * Find the deprecated fields, arguments and enum values a query uses
+ */
+function findDeprecatedUsage(schema, query) {
+  try {
+    return validate(schema, parse(query), [NoDeprecatedCustomRule]).map(error => error.message);
+  } catch (error) {
+    return [`Could not check the query: ${error.message}`];
+  }
+}
+
+/**
+ * Keep the first of each operation and message pair
+ */
+function uniqueFindings(findings) {
+  const seen = new Set();
+  return findings.filter(({ operation, message }) => {
+    const key = `${operation}\n${message}`;
+    if (seen.has(key)) {
+      return false;
+    }
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Describe the support window of an API version
+ */
+function formatSupport(support) {
+  switch (support.status) {
+    case 'supported':
+      return chalk.green(`supported until ${support.supportedUntil} (${support.daysLeft} days left)`);
+    case 'ending':
+      return chalk.yellow(`support ends ${support.supportedUntil} (${support.daysLeft} days left)`);
+    case 'unsupported':
+      return chalk.red(`unsupported since ${support.supportedUntil}`);
+    case 'unstable':
+      return chalk.yellow('unstable, may change without notice');
+    default:
+      return chalk.yellow('not a known API version');
+  }
+}
+
+/**
+ * Run a job's test and collect its calls
+ */
+async function testJob(projectRoot, jobPath, options, index) {
+  const timeoutSeconds = options.timeout || DEFAULT_TEST_TIMEOUT_SECONDS;
+
+  if (options.live) {
+    const recordPath = path.join(os.tmpdir(), `shopworker-api-audit-${process.pid}-${index}.json`);
+    const test = await runJobTestProcess(projectRoot, jobPath, ['--record', recordPath], timeoutSeconds);
+    const interactions = fs.existsSync(recordPath) ? loadCassetteInteractions(recordPath) : [];
+    fs.rmSync(recordPath, { force: true });
+    return { ...test, status: 'ran against the store', interactions };
+  }
+
+  const cassettePath = path.join(projectRoot, jobPath, DEFAULT_CASSETTE);
+  if (!fs.existsSync(cassettePath)) {
+    return { ok: null, status: `skipped, no ${DEFAULT_CASSETTE} (record one with test --record, or audit with --live)`, interactions: [] };
+  }
+  const test = await runJobTestProcess(projectRoot, jobPath, ['--replay'], timeoutSeconds);
+  return { ...test, status: `replayed ${DEFAULT_CASSETTE}`, interactions: loadCassetteInteractions(cassettePath) };
+}
+
+/**
+ * Audit one job: its API version, the deprecation notices its calls got, and the deprecated fields its queries use
+ */
+async function auditJob(projectRoot, jobPath, options, schemas, index) {
+  const jobConfig = await loadJobConfig(jobPath);
+  const apiVersion = jobConfig?.apiVersion || DEFAULT_API_VERSION;
+  const test = await testJob(projectRoot, jobPath, options, index);
+
+  const notices = uniqueFindings(test.interactions.flatMap(interaction =>
+    (interaction.deprecations || []).map(notice => ({ operation: interaction.operation, message: notice.message }))));
+
+  let fields = null;
+  let schemaError = null;
+  // File requests of bulk operations in the cassette have no query to check
+  const graphqlCalls = test.interactions.filter(interaction => interaction.query);
+  const queries = [...new Map(graphqlCalls.map(interaction => [interaction.query, interaction])).values()];
+  if (options.schema && queries.length > 0) {
+    // One schema per version for the whole audit, failures included
+    if (!schemas.has(apiVersion)) {
+      schemas.set(apiVersion, (async () => {
+        const shopConfig = getShopConfig(projectRoot, jobConfig?.shop);
+        return loadSchema(projectRoot, apiVersion, shopConfig, options.refreshSchema);
+      })().catch(error => ({ error })));
+    }
+    const schema = await schemas.get(apiVersion);
+    if (schema.error) {
+      schemaError = schema.error.message;
+    } else {
+      fields = uniqueFindings(queries.flatMap(({ operation, query }) =>
+        findDeprecatedUsage(schema, query).map(message => ({ operation, message }))));
+    }
+  }
+
+  return {
+    jobPath,
+    apiVersion,
+    support: getApiVersionSupport(apiVersion),
+    test,
+    calls: test.interactions.length,
+    notices,
+    // Null when the queries weren't checked against the schema
+    fields,
+    schemaError
+  };
+}
+
+/**
+ * Print the audit of a job
+ */
+function printJobAudit(audit) {
+  console.log(chalk.bold(`\n${audit.jobPath}`));
+  console.log(`  API version ${audit.apiVersion}: ${formatSupport(audit.support)}`);
+
+  const { test } = audit;
+  const testMark = test.ok === null ? chalk.gray('-') : test.ok ? chalk.green('✓') : chalk.red('✗');
+  console.log(`  Test: ${testMark} ${test.status}${test.ok === false ? chalk.red(' (failed)') : ''}`);
+  if (test.ok === false) {
+    const tail = test.output.trim().split('\n').slice(-OUTPUT_TAIL_LINES);
+    tail.forEach(line => console.log(chalk.gray(`    ${line}`)));
+  }
+
+  if (audit.fields?.length > 0) {
+    console.log(chalk.yellow('  Deprecated fields:'));
+    audit.fields.forEach(({ operation, message }) => console.log(`    - ${operation}: ${message}`));
+  }
+  if (audit.notices.length > 0) {
+    console.log(chalk.yellow('  Deprecation notices from Shopify:'));
+    audit.notices.forEach(({ operation, message }) => console.log(`    - ${operation}: ${message}`));
+  }
+  if (audit.schemaError) {
+    console.log(chalk.yellow(`  Could not load the API ${audit.apiVersion} schema to check fields: ${audit.schemaError}`));
+  }
+  const calls = `${audit.calls} Shopify call${audit.calls === 1 ? '' : 's'}`;
+  if (audit.calls > 0 && audit.notices.length === 0 && !audit.fields?.length) {
+    console.log(audit.fields
+      ? chalk.green(`  No deprecated usage in ${calls}`)
+      : chalk.green(`  No deprecation notices from Shopify in ${calls}, fields not checked`));
+  }
+}
+
+/**
+ * Audit jobs for deprecated Shopify API usage
+ * Each job's test replays its cassette (or, with live, runs against the store while recording), then the report
+ * lists the job's API version support window, the deprecation notices Shopify sent for its calls, and the
+ * deprecated fields, arguments and enum values its queries use according to the version's schema.
+ * @param {string} projectRoot - The directory where cli.js is located (project root)
+ * @param {Array<string>} jobNames - Jobs to audit, all local jobs (and core jobs with all) if empty
+ * @param {Object} options - CLI options: all, live, schema, refreshSchema, timeout
+ * @returns {Promise<Array<Object>>} The audit of each job
+ */
+export async function runApiAudit(projectRoot, jobNames, options) {
+  const jobPaths = jobNames.length > 0
+    ? await Promise.all(jobNames.map(name => ensureAndResolveJobName(projectRoot, name, null, true)))
+    : getAvailableJobDirs(projectRoot).filter(jobPath => options.all || !jobPath.startsWith('core/jobs/')).sort();
+
+  if (jobPaths.length === 0) {
+    console.log(chalk.yellow('No jobs to audit. Pass job names, or --all to include core jobs.'));
+    return [];
+  }
+
+  console.log(chalk.blue(`Auditing Shopify API usage of ${jobPaths.length} job${jobPaths.length === 1 ? '' : 's'}...`));
+
+  const schemas = new Map();
+  const audits = [];
+  for (const [index, jobPath] of jobPaths.entries()) {
+    const audit = await auditJob(projectRoot, jobPath, options, schemas, index);
+    printJobAudit(audit);
+    audits.push(audit);
+  }
+
+  const deprecated = audits.filter(audit => audit.fields?.length > 0 || audit.notices.length > 0).length;
+  const versions = audits.filter(audit => audit.support.status !== 'supported').length;
+  const failed = audits.filter(audit => audit.test.ok === false).length;
+  const skipped = audits.filter(audit => audit.test.ok === null).length;
+
+  console.log(chalk.bold('\nSummary'));
+  console.log(`  ${deprecated} of ${audits.length} jobs use deprecated API features`);
+  console.log(`  ${versions} on an API version that is unsupported, ending soon or not stable`);
+  if (failed > 0) {
+    console.log(chalk.red(`  ${failed} tests failed, their calls may be incomplete`));
+  }
+  if (skipped > 0) {
+    console.log(chalk.gray(`  ${skipped} skipped without a cassette`));
+  }
+
+  return audits;
+}
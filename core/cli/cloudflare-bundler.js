@@ -1,6 +1,8 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { validateFilter } from '../shared/payload-filter.js';
+import { validateRoutes } from '../shared/routes.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -46,6 +48,57 @@ function findJobs(dir, baseDir) {
   return jobs;
 }
 
+/**
+ * Collects the webhook topic for every trigger, with local triggers overriding core ones
+ * @param {string} projectRoot - The project root directory
+ * @returns {Object} Map of trigger names to webhook topics
+ */
+function findTriggerTopics(projectRoot) {
+  const topics = {};
+
+  for (const triggersDir of [path.join(projectRoot, 'core', 'triggers'), path.join(projectRoot, 'local', 'triggers')]) {
+    if (!fs.existsSync(triggersDir)) {
+      continue;
+    }
+
+    for (const file of fs.readdirSync(triggersDir)) {
+      if (!file.endsWith('.json')) continue;
+
+      try {
+        const triggerConfig = JSON.parse(fs.readFileSync(path.join(triggersDir, file), 'utf8'));
+        if (triggerConfig.webhook?.topic) {
+          topics[path.basename(file, '.json')] = triggerConfig.webhook.topic;
+        }
+      } catch (error) {
+        console.warn(`Skipping invalid trigger file ${file}: ${error.message}`);
+      }
+    }
+  }
+
+  return topics;
+}
+
+/**
+ * Checks the payload filter and routes of a JSON job config, so a broken filter or route fails the build instead
+ * of being ignored or failing requests
+ * @param {string} configPath - Absolute path of the job's config.json
+ * @throws {Error} If the filter or a route is invalid
+ */
+function validateJobConfig(configPath) {
+  const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+
+  try {
+    if (config.filter !== undefined) {
+      validateFilter(config.filter);
+    }
+    if (config.routes !== undefined) {
+      validateRoutes(config.routes);
+    }
+  } catch (error) {
+    throw new Error(`${error.message} in ${path.relative(path.resolve(__dirname, '../..'), configPath)}`);
+  }
+}
+
 /**
  * Generates a job manifest module that statically imports all jobs
  * This allows Cloudflare Workers to bundle all job modules at build time
@@ -110,6 +163,7 @@ export function generateJobManifest() {
         configImportPath = `./core/jobs/${jobPath}/config.js`;
       } else {
         configImportPath = `./core/jobs/${jobPath}/config.json`;
+        validateJobConfig(configJsonPath);
       }
     } else {
       importPath = `./local/jobs/${jobPath}/job.js`;
@@ -120,6 +174,7 @@ export function generateJobManifest() {
         configImportPath = `./local/jobs/${jobPath}/config.js`;
       } else {
         configImportPath = `./local/jobs/${jobPath}/config.json`;
+        validateJobConfig(configJsonPath);
       }
     }
 
@@ -134,6 +189,8 @@ export function generateJobManifest() {
     index++;
   }
   
+  const triggerTopics = findTriggerTopics(projectRoot);
+
   // Generate the job manifest module
   const loaderContent = `/**
  * Auto-generated job manifest for Cloudflare Workers
@@ -153,6 +210,9 @@ ${Array.from(jobNameMap.entries()).map(([name, info]) =>
 ).join(',\n')}
 };
 
+// Trigger name to webhook topic mapping for topic routing
+export const triggerTopics = ${JSON.stringify(triggerTopics, null, 2)};
+
 export function getJobModule(jobPath) {
   const job = jobModules[jobPath];
   if (!job) {
@@ -176,6 +236,10 @@ export function getJobPathFromName(jobName) {
   }
   return jobPath;
 }
+
+export function getTriggerTopic(triggerName) {
+  return triggerTopics[triggerName] || null;
+}
 `;
   
   const outputPath = path.join(projectRoot, 'job-manifest.js');
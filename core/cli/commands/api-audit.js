@@ -0,0 +1,28 @@
+import { runApiAudit } from '../api-audit.js';
+
+export function registerApiAuditCommand(program, projectRoot) {
+  program
+    .command('api-audit [jobNames...]')
+    .description('Run job tests and report deprecated Shopify API usage and API version support windows')
+    .option('-a, --all', 'Audit core jobs as well as local jobs')
+    .option('--live', 'Run tests against the store instead of replaying their cassettes')
+    .option('--no-schema', 'Skip checking queries against the Admin API schema for deprecated fields')
+    .option('--refresh-schema', 'Fetch the Admin API schema again instead of using the cached one')
+    .option('-t, --timeout <seconds>', 'Time limit for each job test (default: 120)', parseInt)
+    .action(async (jobNames, options) => {
+      try {
+        const audits = await runApiAudit(projectRoot, jobNames, options);
+
+        // Fail CI runs when something needs attention
+        const needsAttention = audits.some(audit =>
+          audit.fields?.length > 0 || audit.notices.length > 0 || audit.test.ok === false ||
+          audit.support.status === 'unsupported' || audit.support.status === 'ending');
+        if (needsAttention) {
+          process.exitCode = 1;
+        }
+      } catch (error) {
+        console.error(`Error auditing Shopify API usage: ${error.message}`);
+        process.exit(1);
+      }
+    });
+}
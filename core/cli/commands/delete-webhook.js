@@ -66,7 +66,8 @@ export function registerDeleteWebhookCommand(program, projectRoot) {
         // Create Shopify client directly from .shopworker.json
         const shopify = createShopifyClient({
           shop: shopworkerData.shopify_domain,
-          accessToken: shopworkerData.shopify_token
+          accessToken: shopworkerData.shopify_token,
+          adminUrl: shopworkerData.shopify_admin_url
         });
         
         await deleteWebhook(shopify, fullWebhookId);
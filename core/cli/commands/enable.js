@@ -1,8 +1,21 @@
-import { ensureAndResolveJobName } from '../job-discovery.js';
+import chalk from 'chalk';
+import { ensureAndResolveJobName, loadJobConfig } from '../job-discovery.js';
 import { handleCloudflareDeployment } from '../deployment-manager.js';
-import { getWorkerUrl } from '../../shared/config-helpers.js';
+import { getShopConfig, getWorkerUrl } from '../../shared/config-helpers.js';
 import { enableJobWebhook } from '../webhook-manager.js';
 
+/**
+ * Get the local Admin API URL of the job's shop, whose webhooks don't need a deployed worker
+ */
+async function getLocalAdminUrl(projectRoot, jobName) {
+  try {
+    const jobConfig = await loadJobConfig(jobName);
+    return getShopConfig(projectRoot, jobConfig?.shop).shopify_admin_url || null;
+  } catch (error) {
+    return null;
+  }
+}
+
 export function registerEnableCommand(program, projectRoot) {
   program
     .command('enable [jobNameArg]')
@@ -11,18 +24,23 @@ export function registerEnableCommand(program, projectRoot) {
     .option('-w, --worker <workerUrl>', 'Cloudflare worker URL (overrides .shopworker.json)')
     .option('-f, --force', 'Force deployment even if no changes detected')
     .action(async (jobNameArg, options) => {
-      const deploymentSuccessful = await handleCloudflareDeployment(projectRoot, options.force);
-      if (!deploymentSuccessful) {
-        console.error("Halting 'enable' command due to deployment issues.");
-        return;
-      }
-
       const jobName = await ensureAndResolveJobName(projectRoot, jobNameArg, options.dir, false);
       if (!jobName) return;
 
+      const localAdminUrl = await getLocalAdminUrl(projectRoot, jobName);
+      if (localAdminUrl) {
+        console.log(chalk.yellow(`The job's shop uses the local Admin API at ${localAdminUrl}, skipping deployment.`));
+      } else {
+        const deploymentSuccessful = await handleCloudflareDeployment(projectRoot, options.force);
+        if (!deploymentSuccessful) {
+          console.error("Halting 'enable' command due to deployment issues.");
+          return;
+        }
+      }
+
       const workerUrl = getWorkerUrl(options, projectRoot);
       if (!workerUrl) return;
 
       await enableJobWebhook(projectRoot, jobName, workerUrl);
     });
-}
\ No newline at end of file
+}
@@ -12,4 +12,7 @@ export { registerRemoteTestCommand } from './remote-test.js';
 export { registerDeleteWebhookCommand } from './delete-webhook.js';
 export { registerWebhooksCommand } from './webhooks.js';
 export { registerDbCommand } from './db.js';
-export { registerWorkflowRunsCommand } from './workflow-runs.js';
\ No newline at end of file
+export { registerWorkflowRunsCommand } from './workflow-runs.js';
+export { registerReplayCommand } from './replay.js';
+export { registerLocalAdminCommand } from './local-admin.js';
+export { registerApiAuditCommand } from './api-audit.js';
\ No newline at end of file
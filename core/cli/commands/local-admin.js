@@ -0,0 +1,26 @@
+import chalk from 'chalk';
+import path from 'path';
+import { DEFAULT_LOCAL_ADMIN_PORT, startLocalAdmin } from '../local-admin.js';
+
+export function registerLocalAdminCommand(program, projectRoot) {
+  program
+    .command('local-admin')
+    .description('Run an in-memory Shopify Admin API with seeded data, for developing jobs without a real store')
+    .option('-p, --port <port>', 'Port to listen on', String(DEFAULT_LOCAL_ADMIN_PORT))
+    .option('--seed <file>', 'JSON file with collections (products, variants, customers, orders, metafields, ...) replacing the seeded ones')
+    .action(async (options) => {
+      try {
+        const { url } = await startLocalAdmin({
+          port: Number(options.port),
+          seedFile: options.seed ? path.resolve(process.env.INIT_CWD || process.cwd(), options.seed) : undefined
+        });
+
+        console.log(chalk.green(`Local Shopify Admin API running at ${url}`));
+        console.log(`Point a shop at it with ${chalk.cyan(`"shopify_admin_url": "${url}"`)} in .shopworker.json`);
+        console.log(`Inspect the store at ${url}/_state. Changes are kept in memory until you stop the server with Ctrl+C.\n`);
+      } catch (error) {
+        console.error(chalk.red(`Could not start the local Admin API: ${error.message}`));
+        process.exit(1);
+      }
+    });
+}
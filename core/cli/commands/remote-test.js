@@ -15,6 +15,13 @@ export function registerRemoteTestCommand(program, projectRoot) {
     .option('-j, --shop <shopDomain>', 'Override the shop domain in the job config')
     .option('-l, --limit <number>', 'Override the limit for the number of records to fetch (default: 1)', parseInt)
     .option('-b, --batch-size <number>', 'Override the batch size for the number of records to fetch (default: 50)', parseInt)
+    .option('--webhook-id <webhookId>', 'Delivery ID to send (reuse one to check duplicate handling)')
+    .option('--customer-id <customerId>', 'Logged in customer ID to sign into app proxy webrequests')
+    .option('--token <token>', 'Bearer token to send to bearer or jwt authenticated webrequest jobs')
+    .option('--jwt-claims <json>', 'Claims for the generated test JWT (JSON object)')
+    .option('--unauthenticated', 'Send webrequests without credentials to check they are rejected')
+    .option('--path <path>', 'Request path for webrequest jobs with routes (e.g. /quiz/123?lang=en)')
+    .option('--method <method>', 'HTTP method for webrequest jobs (defaults to the route method or POST)')
     .action(async (jobNameArg, options) => {
       try {
         const jobName = await ensureAndResolveJobName(projectRoot, jobNameArg, options.dir, true);
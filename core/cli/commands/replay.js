@@ -0,0 +1,52 @@
+import { listFailedRuns, replayFailedRun, replayFailedRunLocally } from '../replay.js';
+import { handleCloudflareDeployment } from '../deployment-manager.js';
+import { isDeploymentNeeded } from '../deployment-hash.js';
+import { getWorkerUrl } from '../../shared/config-helpers.js';
+
+export function registerReplayCommand(program, projectRoot) {
+  program
+    .command('replay [deadLetterId]')
+    .description('List failed job runs, or replay one on the worker or locally')
+    .option('-w, --worker <workerUrl>', 'Cloudflare worker URL (overrides .shopworker.json)')
+    .option('-s, --shop <shopDomain>', 'Shop name or domain whose failed runs to use (defaults to the first shop)')
+    .option('--job <jobName>', 'Only list failed runs of this job')
+    .option('-l, --limit <number>', 'Number of failed runs to list (default: 50)', parseInt)
+    .option('--local', 'Run the failed run locally with its payload instead of on the worker')
+    .action(async (deadLetterId, options) => {
+      try {
+        const workerUrl = getWorkerUrl(options, projectRoot);
+        if (!workerUrl) return;
+        options.worker = workerUrl;
+
+        if (!deadLetterId) {
+          await listFailedRuns(projectRoot, options);
+          return;
+        }
+
+        if (options.local) {
+          await replayFailedRunLocally(projectRoot, deadLetterId, options);
+          return;
+        }
+
+        // Replays run the deployed code, so deploy the fix first
+        const { getStateData } = await import('../state-manager.js');
+        const stateData = getStateData(projectRoot);
+        const { needed } = await isDeploymentNeeded(projectRoot, stateData.lastDeploymentHash);
+
+        if (needed) {
+          console.log('\nDetected changes since last deployment. Deploying to Cloudflare...');
+          const deploymentSuccessful = await handleCloudflareDeployment(projectRoot);
+          if (!deploymentSuccessful) {
+            console.error("Deployment failed. Aborting replay.");
+            return;
+          }
+          console.log('');
+        }
+
+        await replayFailedRun(projectRoot, deadLetterId, options);
+      } catch (error) {
+        console.error(`Error replaying failed runs: ${error.message}`);
+        process.exit(1);
+      }
+    });
+}
@@ -9,6 +9,8 @@ export function registerRuntestCommand(program, projectRoot) {
     .option('-q, --query <queryString>', 'Query string to filter results (e.g. "status:any")')
     .option('-j, --shop <shopDomain>', 'Override the shop domain in the job config')
     .option('-l, --limit <number>', 'Override the limit for the number of records to fetch (default: 1)', parseInt)
+    .option('--record [cassette]', 'Record Shopify GraphQL calls to a cassette in the job directory (default: cassette.json)')
+    .option('--replay [cassette]', 'Answer Shopify GraphQL calls from a recorded cassette, failing on calls it does not have')
     .option('--dry-run [boolean]', 'Override the dry run setting in the job config (true/false)', (value) => {
       if (value === 'false') return false;
       if (value === 'true') return true;
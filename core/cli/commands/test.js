@@ -10,6 +10,17 @@ export function registerTestCommand(program, projectRoot) {
     .option('-s, --shop <shopDomain>', 'Override the shop domain in the job config')
     .option('-l, --limit <number>', 'Override the limit for the number of records to fetch (default: 1)', parseInt)
     .option('-p, --params <params>', 'Override or add payload parameters (JSON or key=value pairs)')
+    .option('--webhook-id <webhookId>', 'Simulate a webhook delivery ID (repeat deliveries are skipped like in the worker)')
+    .option('--ignore-filter', 'Run the job even if the payload does not match its filter')
+    .option('--customer-id <customerId>', 'Simulate a logged in customer for app proxy webrequest jobs')
+    .option('--token <token>', 'Bearer token to send to bearer or jwt authenticated webrequest jobs')
+    .option('--jwt-claims <json>', 'Claims for the generated test JWT (JSON object)')
+    .option('--unauthenticated', 'Send webrequests without credentials to check they are rejected')
+    .option('--path <path>', 'Request path for webrequest jobs with routes (e.g. /quiz/123?lang=en)')
+    .option('--method <method>', 'HTTP method for webrequest jobs (defaults to the route method or POST)')
+    .option('-o, --output <file>', 'Save the webrequest response body to a file (e.g. a CSV or PDF download)')
+    .option('--record [cassette]', 'Record Shopify GraphQL calls and bulk operation files to a cassette in the job directory (default: cassette.json)')
+    .option('--replay [cassette]', 'Answer Shopify calls from a recorded cassette, failing on calls it does not have')
     .option('--dry-run [boolean]', 'Override the dry run setting in the job config (true/false)', (value) => {
       if (value === 'false') return false;
       if (value === 'true') return true;
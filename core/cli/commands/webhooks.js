@@ -1,6 +1,6 @@
 import chalk from 'chalk';
 import { getShopDomain } from '../../shared/config-helpers.js';
-import { createShopifyClient } from '../../shared/shopify.js';
+import { createShopifyClient, DEFAULT_API_VERSION } from '../../shared/shopify.js';
 
 const GET_WEBHOOKS_QUERY = `
   query {
@@ -60,7 +60,8 @@ export function registerWebhooksCommand(program, projectRoot) {
         const shopifyConfig = {
           shop: shopDomain,
           accessToken: shopworkerData.shopify_token,
-          apiVersion: process.env.SHOPIFY_API_VERSION || '2025-04'
+          adminUrl: shopworkerData.shopify_admin_url,
+          apiVersion: process.env.SHOPIFY_API_VERSION || DEFAULT_API_VERSION
         };
 
         const shopify = createShopifyClient(shopifyConfig);
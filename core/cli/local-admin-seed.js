@@ -0,0 +1,290 @@
+/**
+ * Seed data for the local Admin API stand-in (see local-admin.js)
+ * A small store with a location, products with variants and inventory, customers, orders and metafields.
+ * IDs are full gids; variants, metafields and inventory levels point at their owner by gid.
+ */
+
+/**
+ * Create a fresh copy of the seed data
+ * @returns {Object} The store records by collection
+ */
+export function createSeedData() {
+  return {
+    shop: {
+      name: 'Local Dev Store',
+      myshopifyDomain: 'local-dev-store.myshopify.com',
+      email: 'owner@local-dev-store.test',
+      currencyCode: 'USD',
+      ianaTimezone: 'America/New_York'
+    },
+
+    locations: [
+      {
+        id: 'gid://shopify/Location/1001',
+        name: 'Main Warehouse',
+        isActive: true,
+        address: {
+          address1: '100 Warehouse Way',
+          address2: null,
+          city: 'Brooklyn',
+          province: 'New York',
+          provinceCode: 'NY',
+          country: 'United States',
+          countryCode: 'US',
+          zip: '11201',
+          phone: null
+        }
+      }
+    ],
+
+    products: [
+      {
+        id: 'gid://shopify/Product/2001',
+        title: 'Classic Cotton Tee',
+        handle: 'classic-cotton-tee',
+        descriptionHtml: '<p>A soft everyday tee.</p>',
+        status: 'ACTIVE',
+        productType: 'Apparel',
+        vendor: 'Shopworker',
+        tags: ['cotton', 'summer'],
+        createdAt: '2025-01-10T15:00:00Z',
+        updatedAt: '2025-03-02T09:30:00Z',
+        images: [
+          { id: 'gid://shopify/ProductImage/2101', url: 'https://cdn.shopify.test/classic-cotton-tee.jpg', altText: 'Classic Cotton Tee' }
+        ]
+      },
+      {
+        id: 'gid://shopify/Product/2002',
+        title: 'Canvas Tote Bag',
+        handle: 'canvas-tote-bag',
+        descriptionHtml: '<p>Carries everything.</p>',
+        status: 'ACTIVE',
+        productType: 'Accessories',
+        vendor: 'Shopworker',
+        tags: ['canvas'],
+        createdAt: '2025-02-14T12:00:00Z',
+        updatedAt: '2025-02-20T18:45:00Z',
+        images: []
+      },
+      {
+        id: 'gid://shopify/Product/2003',
+        title: 'Ceramic Mug',
+        handle: 'ceramic-mug',
+        descriptionHtml: '<p>Holds 350ml of coffee.</p>',
+        status: 'DRAFT',
+        productType: 'Home',
+        vendor: 'Shopworker',
+        tags: [],
+        createdAt: '2025-03-05T08:15:00Z',
+        updatedAt: '2025-03-05T08:15:00Z',
+        images: []
+      }
+    ],
+
+    variants: [
+      {
+        id: 'gid://shopify/ProductVariant/3001',
+        productId: 'gid://shopify/Product/2001',
+        inventoryItemId: 'gid://shopify/InventoryItem/4001',
+        title: 'Small',
+        sku: 'TEE-S',
+        price: '25.00',
+        compareAtPrice: null,
+        barcode: '0000000030010',
+        unitCost: '8.00',
+        selectedOptions: [{ name: 'Size', value: 'Small' }],
+        createdAt: '2025-01-10T15:00:00Z',
+        updatedAt: '2025-03-02T09:30:00Z'
+      },
+      {
+        id: 'gid://shopify/ProductVariant/3002',
+        productId: 'gid://shopify/Product/2001',
+        inventoryItemId: 'gid://shopify/InventoryItem/4002',
+        title: 'Large',
+        sku: 'TEE-L',
+        price: '25.00',
+        compareAtPrice: '30.00',
+        barcode: '0000000030027',
+        unitCost: '8.50',
+        selectedOptions: [{ name: 'Size', value: 'Large' }],
+        createdAt: '2025-01-10T15:00:00Z',
+        updatedAt: '2025-03-02T09:30:00Z'
+      },
+      {
+        id: 'gid://shopify/ProductVariant/3003',
+        productId: 'gid://shopify/Product/2002',
+        inventoryItemId: 'gid://shopify/InventoryItem/4003',
+        title: 'Default Title',
+        sku: 'TOTE-1',
+        price: '18.00',
+        compareAtPrice: null,
+        barcode: null,
+        unitCost: '5.00',
+        selectedOptions: [{ name: 'Title', value: 'Default Title' }],
+        createdAt: '2025-02-14T12:00:00Z',
+        updatedAt: '2025-02-20T18:45:00Z'
+      },
+      {
+        id: 'gid://shopify/ProductVariant/3004',
+        productId: 'gid://shopify/Product/2003',
+        inventoryItemId: 'gid://shopify/InventoryItem/4004',
+        title: 'Default Title',
+        sku: 'MUG-1',
+        price: '12.00',
+        compareAtPrice: null,
+        barcode: null,
+        unitCost: '3.00',
+        selectedOptions: [{ name: 'Title', value: 'Default Title' }],
+        createdAt: '2025-03-05T08:15:00Z',
+        updatedAt: '2025-03-05T08:15:00Z'
+      }
+    ],
+
+    inventoryLevels: [
+      { id: 'gid://shopify/InventoryLevel/5001', inventoryItemId: 'gid://shopify/InventoryItem/4001', locationId: 'gid://shopify/Location/1001', available: 12, incoming: 0, committed: 1, damaged: 0, reserved: 0, safetyStock: 0, updatedAt: '2025-03-02T09:30:00Z' },
+      { id: 'gid://shopify/InventoryLevel/5002', inventoryItemId: 'gid://shopify/InventoryItem/4002', locationId: 'gid://shopify/Location/1001', available: 4, incoming: 10, committed: 0, damaged: 0, reserved: 0, safetyStock: 0, updatedAt: '2025-03-02T09:30:00Z' },
+      { id: 'gid://shopify/InventoryLevel/5003', inventoryItemId: 'gid://shopify/InventoryItem/4003', locationId: 'gid://shopify/Location/1001', available: 30, incoming: 0, committed: 2, damaged: 1, reserved: 0, safetyStock: 0, updatedAt: '2025-02-20T18:45:00Z' },
+      { id: 'gid://shopify/InventoryLevel/5004', inventoryItemId: 'gid://shopify/InventoryItem/4004', locationId: 'gid://shopify/Location/1001', available: 0, incoming: 24, committed: 0, damaged: 0, reserved: 0, safetyStock: 0, updatedAt: '2025-03-05T08:15:00Z' }
+    ],
+
+    customers: [
+      {
+        id: 'gid://shopify/Customer/6001',
+        firstName: 'Ada',
+        lastName: 'Lovelace',
+        email: 'ada@example.com',
+        phone: '+15555550101',
+        tags: ['vip'],
+        note: null,
+        createdAt: '2024-11-01T10:00:00Z',
+        updatedAt: '2025-03-01T10:00:00Z',
+        defaultAddress: {
+          id: 'gid://shopify/MailingAddress/6101',
+          firstName: 'Ada',
+          lastName: 'Lovelace',
+          company: null,
+          address1: '12 Analytical Row',
+          address2: null,
+          city: 'London',
+          province: null,
+          provinceCode: null,
+          country: 'United Kingdom',
+          countryCode: 'GB',
+          zip: 'N1 7AA',
+          phone: '+15555550101'
+        }
+      },
+      {
+        id: 'gid://shopify/Customer/6002',
+        firstName: 'Grace',
+        lastName: 'Hopper',
+        email: 'grace@example.com',
+        phone: null,
+        tags: [],
+        note: 'Prefers email contact',
+        createdAt: '2025-01-20T14:30:00Z',
+        updatedAt: '2025-02-25T16:00:00Z',
+        defaultAddress: {
+          id: 'gid://shopify/MailingAddress/6102',
+          firstName: 'Grace',
+          lastName: 'Hopper',
+          company: 'Navy Yard',
+          address1: '1 Compiler Street',
+          address2: 'Suite 2',
+          city: 'Arlington',
+          province: 'Virginia',
+          provinceCode: 'VA',
+          country: 'United States',
+          countryCode: 'US',
+          zip: '22201',
+          phone: null
+        }
+      }
+    ],
+
+    orders: [
+      {
+        id: 'gid://shopify/Order/7001',
+        name: '#1001',
+        customerId: 'gid://shopify/Customer/6001',
+        email: 'ada@example.com',
+        phone: '+15555550101',
+        note: null,
+        tags: [],
+        currencyCode: 'USD',
+        displayFinancialStatus: 'PAID',
+        displayFulfillmentStatus: 'UNFULFILLED',
+        paymentGatewayNames: ['bogus'],
+        totalDiscounts: '0.00',
+        totalTax: '6.80',
+        createdAt: '2025-03-01T11:00:00Z',
+        updatedAt: '2025-03-01T11:05:00Z',
+        shippingAddress: {
+          firstName: 'Ada',
+          lastName: 'Lovelace',
+          company: null,
+          address1: '12 Analytical Row',
+          address2: null,
+          city: 'London',
+          province: null,
+          provinceCode: null,
+          country: 'United Kingdom',
+          countryCode: 'GB',
+          zip: 'N1 7AA',
+          phone: '+15555550101'
+        },
+        lineItems: [
+          { id: 'gid://shopify/LineItem/8001', variantId: 'gid://shopify/ProductVariant/3001', title: 'Classic Cotton Tee', variantTitle: 'Small', sku: 'TEE-S', quantity: 2, price: '25.00' },
+          { id: 'gid://shopify/LineItem/8002', variantId: 'gid://shopify/ProductVariant/3003', title: 'Canvas Tote Bag', variantTitle: null, sku: 'TOTE-1', quantity: 1, price: '18.00' }
+        ],
+        fulfillments: []
+      },
+      {
+        id: 'gid://shopify/Order/7002',
+        name: '#1002',
+        customerId: 'gid://shopify/Customer/6002',
+        email: 'grace@example.com',
+        phone: null,
+        note: 'Gift wrap please',
+        tags: ['gift'],
+        currencyCode: 'USD',
+        displayFinancialStatus: 'PAID',
+        displayFulfillmentStatus: 'FULFILLED',
+        paymentGatewayNames: ['bogus'],
+        totalDiscounts: '2.40',
+        totalTax: '1.92',
+        createdAt: '2025-03-04T17:20:00Z',
+        updatedAt: '2025-03-06T09:00:00Z',
+        shippingAddress: {
+          firstName: 'Grace',
+          lastName: 'Hopper',
+          company: 'Navy Yard',
+          address1: '1 Compiler Street',
+          address2: 'Suite 2',
+          city: 'Arlington',
+          province: 'Virginia',
+          provinceCode: 'VA',
+          country: 'United States',
+          countryCode: 'US',
+          zip: '22201',
+          phone: null
+        },
+        lineItems: [
+          { id: 'gid://shopify/LineItem/8003', variantId: 'gid://shopify/ProductVariant/3004', title: 'Ceramic Mug', variantTitle: null, sku: 'MUG-1', quantity: 2, price: '12.00' }
+        ],
+        fulfillments: [
+          { id: 'gid://shopify/Fulfillment/9001', status: 'SUCCESS', createdAt: '2025-03-06T09:00:00Z', trackingInfo: [{ company: 'UPS', number: '1Z999AA10123456784', url: 'https://www.ups.com/track?tracknum=1Z999AA10123456784' }] }
+        ]
+      }
+    ],
+
+    metafields: [
+      { id: 'gid://shopify/Metafield/10001', ownerId: 'gid://shopify/Product/2001', namespace: 'custom', key: 'material', type: 'single_line_text_field', value: '100% cotton', createdAt: '2025-01-10T15:00:00Z', updatedAt: '2025-01-10T15:00:00Z' },
+      { id: 'gid://shopify/Metafield/10002', ownerId: 'gid://shopify/Product/2001', namespace: 'custom', key: 'care_instructions', type: 'multi_line_text_field', value: 'Machine wash cold\nTumble dry low', createdAt: '2025-01-10T15:00:00Z', updatedAt: '2025-01-10T15:00:00Z' },
+      { id: 'gid://shopify/Metafield/10003', ownerId: 'gid://shopify/Order/7001', namespace: 'custom', key: 'gift_message', type: 'single_line_text_field', value: 'Happy birthday!', createdAt: '2025-03-01T11:00:00Z', updatedAt: '2025-03-01T11:00:00Z' },
+      { id: 'gid://shopify/Metafield/10004', ownerId: 'gid://shopify/Customer/6001', namespace: 'loyalty', key: 'points', type: 'number_integer', value: '1200', createdAt: '2024-11-01T10:00:00Z', updatedAt: '2025-03-01T10:00:00Z' }
+    ],
+
+    webhookSubscriptions: []
+  };
+}
@@ -0,0 +1,1270 @@
+/**
+ * Local Shopify Admin API stand-in for offline job development
+ * An in-memory store, seeded with products, variants, customers, orders and metafields (see local-admin-seed.js),
+ * that answers the Admin GraphQL queries and mutations in core/graphql. Start it with `shopworker local-admin`
+ * and point a shop at it with `shopify_admin_url` in .shopworker.json:
+ *
+ *   { "name": "dev", "shopify_domain": "dev.myshopify.com", "shopify_token": "local", "shopify_admin_url": "http://localhost:4100" }
+ *
+ * Fields and operations that aren't implemented here are answered with a GraphQL error, so a job never quietly
+ * depends on data the stand-in doesn't have. Changes are kept in memory until the server stops.
+ */
+import chalk from 'chalk';
+import fs from 'fs';
+import http from 'http';
+import { GraphQLError, Kind, parse, valueFromASTUntyped } from 'graphql';
+import { createSeedData } from './local-admin-seed.js';
+
+export const DEFAULT_LOCAL_ADMIN_PORT = 4100;
+
+// Shopify's GraphQL endpoint for any API version, and a route to inspect the store
+const GRAPHQL_ROUTE_PATTERN = /^\/admin\/api\/[^/]+\/graphql\.json$/;
+const STATE_ROUTE = '/_state';
+
+// Interfaces an inline fragment or fragment spread can target on any object
+const INTERFACES = new Set(['Node', 'HasMetafields', 'LegacyInteroperability', 'CommentEventSubject', 'HasEvents']);
+
+// Metafield types whose jsonValue is parsed from the value
+const JSON_METAFIELD_TYPES = new Set(['json', 'boolean', 'number_integer', 'number_decimal', 'rating', 'money', 'dimension', 'volume', 'weight']);
+
+// Inventory quantity names for InventoryLevel.quantities
+const QUANTITY_NAMES = {
+  available: level => level.available,
+  incoming: level => level.incoming,
+  committed: level => level.committed,
+  damaged: level => level.damaged,
+  reserved: level => level.reserved,
+  safety_stock: level => level.safetyStock,
+  on_hand: level => getOnHand(level)
+};
+
+// Search query fields per collection, e.g. `tag:vip` or `sku:TEE-S`, bare terms match any of them
+const SEARCH_FIELDS = {
+  products: {
+    id: (state, product) => getLegacyId(product.id),
+    title: (state, product) => product.title,
+    handle: (state, product) => product.handle,
+    product_type: (state, product) => product.productType,
+    vendor: (state, product) => product.vendor,
+    status: (state, product) => product.status,
+    tag: (state, product) => product.tags,
+    sku: (state, product) => getProductVariants(state, product.id).map(variant => variant.sku),
+    created_at: (state, product) => product.createdAt,
+    updated_at: (state, product) => product.updatedAt
+  },
+  variants: {
+    id: (state, variant) => getLegacyId(variant.id),
+    title: (state, variant) => variant.title,
+    sku: (state, variant) => variant.sku,
+    barcode: (state, variant) => variant.barcode,
+    product_id: (state, variant) => getLegacyId(variant.productId),
+    created_at: (state, variant) => variant.createdAt,
+    updated_at: (state, variant) => variant.updatedAt
+  },
+  customers: {
+    id: (state, customer) => getLegacyId(customer.id),
+    first_name: (state, customer) => customer.firstName,
+    last_name: (state, customer) => customer.lastName,
+    email: (state, customer) => customer.email,
+    phone: (state, customer) => customer.phone,
+    tag: (state, customer) => customer.tags,
+    created_at: (state, customer) => customer.createdAt,
+    updated_at: (state, customer) => customer.updatedAt
+  },
+  orders: {
+    id: (state, order) => getLegacyId(order.id),
+    name: (state, order) => [order.name, order.name.replace(/^#/, '')],
+    email: (state, order) => order.email,
+    tag: (state, order) => order.tags,
+    sku: (state, order) => order.lineItems.map(item => item.sku),
+    customer_id: (state, order) => order.customerId && getLegacyId(order.customerId),
+    financial_status: (state, order) => order.displayFinancialStatus,
+    fulfillment_status: (state, order) => order.displayFulfillmentStatus,
+    created_at: (state, order) => order.createdAt,
+    updated_at: (state, order) => order.updatedAt
+  }
+};
+
+// Sort keys of the connections, records are sorted by ID by default
+const SORT_KEYS = {
+  ID: record => Number(getLegacyId(record.id)),
+  CREATED_AT: record => record.createdAt,
+  UPDATED_AT: record => record.updatedAt,
+  PROCESSED_AT: record => record.createdAt,
+  TITLE: record => record.title,
+  NAME: record => record.name,
+  ORDER_NUMBER: record => Number(record.name?.replace(/^#/, '')),
+  RELEVANCE: record => Number(getLegacyId(record.id))
+};
+
+// Resources that can be tagged with tagsAdd and tagsRemove
+const TAGGABLE_COLLECTIONS = {
+  Product: 'products',
+  Order: 'orders',
+  Customer: 'customers'
+};
+
+// ===================================================================
+// Store helpers
+// ===================================================================
+
+function getLegacyId(gid) {
+  return String(gid).split('/').pop();
+}
+
+function getGidType(gid) {
+  return typeof gid === 'string' && gid.startsWith('gid://') ? gid.split('/')[3] : null;
+}
+
+function createId(state, type) {
+  return `gid://shopify/${type}/${state.nextId++}`;
+}
+
+function now() {
+  return new Date().toISOString();
+}
+
+function touch(record) {
+  record.updatedAt = now();
+}
+
+function findRecord(records, id) {
+  return records.find(record => record.id === id) || null;
+}
+
+function getProductVariants(state, productId) {
+  return state.variants.filter(variant => variant.productId === productId);
+}
+
+function getInventoryLevels(state, inventoryItemId) {
+  return state.inventoryLevels.filter(level => level.inventoryItemId === inventoryItemId);
+}
+
+function getOnHand(level) {
+  return level.available + level.committed + level.reserved + level.damaged + level.safetyStock;
+}
+
+function getInventoryQuantity(state, variant) {
+  return getInventoryLevels(state, variant.inventoryItemId).reduce((sum, level) => sum + level.available, 0);
+}
+
+function formatAmount(value) {
+  return Number(value || 0).toFixed(2);
+}
+
+function money(amount, currencyCode) {
+  return { amount: formatAmount(amount), currencyCode };
+}
+
+function moneyBag(amount, currencyCode) {
+  return { shopMoney: money(amount, currencyCode), presentmentMoney: money(amount, currencyCode) };
+}
+
+/**
+ * Normalize tags given as a list or a comma separated string
+ */
+function normalizeTags(tags) {
+  return [].concat(tags || [])
+    .flatMap(tag => String(tag).split(','))
+    .map(tag => tag.trim())
+    .filter(Boolean);
+}
+
+function createHandle(state, title) {
+  const base = title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'product';
+  let handle = base;
+  for (let suffix = 1; state.products.some(product => product.handle === handle); suffix++) {
+    handle = `${base}-${suffix}`;
+  }
+  return handle;
+}
+
+function userError(field, message) {
+  return { field: [].concat(field), message };
+}
+
+// ===================================================================
+// Search and connections
+// ===================================================================
+
+/**
+ * Split a search query into terms like { field: 'tag', value: 'vip', operator: ':' }, ignoring AND
+ */
+function parseSearchQuery(query) {
+  const tokens = String(query || '').match(/-?[\w.]+:(?:"[^"]*"|\S+)|"[^"]*"|\S+/g) || [];
+  return tokens.filter(token => token !== 'AND').map(token => {
+    const negated = token.startsWith('-') && token.length > 1;
+    const body = negated ? token.slice(1) : token;
+    const match = /^([\w.]+):(>=|<=|>|<)?(.*)$/.exec(body);
+    const unquote = value => value.replace(/^"(.*)"$/, '$1');
+    return match
+      ? { negated, field: match[1], operator: match[2] || ':', value: unquote(match[3]) }
+      : { negated, field: null, operator: ':', value: unquote(body) };
+  });
+}
+
+/**
+ * Check a record value against a search term, case-insensitively with a trailing * as a prefix wildcard
+ */
+function matchesValue(value, term) {
+  if (value == null) {
+    return false;
+  }
+  const actual = String(value).toLowerCase();
+  const expected = term.value.toLowerCase();
+  switch (term.operator) {
+    case '>': return actual > expected;
+    case '>=': return actual >= expected;
+    case '<': return actual < expected;
+    case '<=': return actual <= expected;
+    default:
+      return expected.endsWith('*') ? actual.startsWith(expected.slice(0, -1)) : actual === expected;
+  }
+}
+
+/**
+ * Check a record against a search query, bare terms match part of any searchable field
+ */
+function matchesSearch(state, collection, record, terms) {
+  const fields = SEARCH_FIELDS[collection] || {};
+  return terms.every(term => {
+    let matched;
+    if (!term.field) {
+      const needle = term.value.toLowerCase();
+      matched = Object.values(fields).some(getValue =>
+        [].concat(getValue(state, record)).some(value => value != null && String(value).toLowerCase().includes(needle)));
+    } else if (fields[term.field]) {
+      matched = [].concat(fields[term.field](state, record)).some(value => matchesValue(value, term));
+    } else {
+      // Shopify ignores filters it doesn't know, so do the same
+      matched = true;
+    }
+    return term.negated ? !matched : matched;
+  });
+}
+
+/**
+ * Get the records of a collection filtered by the query argument and in the order of sortKey and reverse
+ */
+function listRecords(state, collection, args = {}) {
+  const terms = parseSearchQuery(args.query);
+  const getSortValue = SORT_KEYS[args.sortKey] || SORT_KEYS.ID;
+  const records = state[collection]
+    .filter(record => matchesSearch(state, collection, record, terms))
+    .sort((a, b) => {
+      const valueA = getSortValue(a);
+      const valueB = getSortValue(b);
+      return valueA < valueB ? -1 : valueA > valueB ? 1 : 0;
+    });
+  return args.reverse ? records.reverse() : records;
+}
+
+function toCursor(record) {
+  return Buffer.from(record.id).toString('base64');
+}
+
+function findCursor(records, cursor) {
+  const index = records.findIndex(record => toCursor(record) === cursor);
+  if (index === -1) {
+    throw new GraphQLError(`Invalid cursor for current pagination sort: ${cursor}`);
+  }
+  return index;
+}
+
+/**
+ * Create a connection with edges, nodes and pageInfo for a page of records
+ * @param {Array<Object>} records - All records of the connection, already filtered and sorted
+ * @param {Object} args - The connection arguments: first, last, after and before
+ * @param {Function} toNode - Creates the node of a record
+ * @returns {Object} The connection
+ */
+function createConnection(records, args, toNode) {
+  let start = args.after ? findCursor(records, args.after) + 1 : 0;
+  let end = args.before ? findCursor(records, args.before) : records.length;
+  if (args.first != null) {
+    end = Math.min(end, start + args.first);
+  }
+  if (args.last != null) {
+    start = Math.max(start, end - args.last);
+  }
+
+  const edges = records.slice(start, end).map(record => ({ cursor: toCursor(record), node: toNode(record) }));
+  return {
+    edges,
+    nodes: edges.map(edge => edge.node),
+    pageInfo: {
+      hasNextPage: end < records.length,
+      hasPreviousPage: start > 0,
+      startCursor: edges[0]?.cursor ?? null,
+      endCursor: edges.at(-1)?.cursor ?? null
+    }
+  };
+}
+
+// ===================================================================
+// Views: the GraphQL objects for the records, with functions for fields that take arguments
+// ===================================================================
+
+function findMetafield(state, ownerId, namespace, key) {
+  return state.metafields.find(metafield => metafield.ownerId === ownerId && metafield.namespace === namespace && metafield.key === key) || null;
+}
+
+/**
+ * The metafields and metafield fields of a resource that has metafields
+ */
+function metafieldFields(state, ownerId) {
+  return {
+    metafields: (args) => {
+      const metafields = state.metafields.filter(metafield =>
+        metafield.ownerId === ownerId &&
+        (!args.namespace || metafield.namespace === args.namespace) &&
+        (!args.keys || args.keys.includes(`${metafield.namespace}.${metafield.key}`)));
+      return createConnection(metafields, args, metafield => metafieldView(state, metafield));
+    },
+    metafield: ({ namespace, key }) => {
+      // The key can include the namespace, e.g. "custom.material"
+      const [resolvedNamespace, resolvedKey] = namespace ? [namespace, key] : [key.slice(0, key.lastIndexOf('.')), key.slice(key.lastIndexOf('.') + 1)];
+      const metafield = findMetafield(state, ownerId, resolvedNamespace, resolvedKey);
+      return metafield ? metafieldView(state, metafield) : null;
+    }
+  };
+}
+
+function metafieldView(state, metafield) {
+  let jsonValue = metafield.value;
+  if (JSON_METAFIELD_TYPES.has(metafield.type) || metafield.type?.startsWith('list.')) {
+    try {
+      jsonValue = JSON.parse(metafield.value);
+    } catch (error) {
+      // Keep the raw value, like Shopify does for values that predate their type
+    }
+  }
+
+  return {
+    __typename: 'Metafield',
+    id: metafield.id,
+    legacyResourceId: getLegacyId(metafield.id),
+    namespace: metafield.namespace,
+    key: metafield.key,
+    type: metafield.type,
+    value: metafield.value,
+    jsonValue,
+    ownerType: getGidType(metafield.ownerId).toUpperCase(),
+    owner: () => nodeView(state, metafield.ownerId),
+    createdAt: metafield.createdAt,
+    updatedAt: metafield.updatedAt
+  };
+}
+
+function shopView(state) {
+  return {
+    __typename: 'Shop',
+    id: 'gid://shopify/Shop/1',
+    ...state.shop,
+    url: `https://${state.shop.myshopifyDomain}`
+  };
+}
+
+function productView(state, product) {
+  const variants = getProductVariants(state, product.id);
+  const images = product.images.map(image => ({ __typename: 'Image', ...image }));
+
+  return {
+    __typename: 'Product',
+    id: product.id,
+    legacyResourceId: getLegacyId(product.id),
+    title: product.title,
+    handle: product.handle,
+    descriptionHtml: product.descriptionHtml,
+    description: product.descriptionHtml.replace(/<[^>]*>/g, ''),
+    status: product.status,
+    productType: product.productType,
+    vendor: product.vendor,
+    tags: product.tags,
+    createdAt: product.createdAt,
+    updatedAt: product.updatedAt,
+    totalInventory: variants.reduce((sum, variant) => sum + getInventoryQuantity(state, variant), 0),
+    featuredImage: images[0] || null,
+    images: args => createConnection(images, args, image => image),
+    variants: args => createConnection(variants, args, variant => variantView(state, variant)),
+    ...metafieldFields(state, product.id)
+  };
+}
+
+function variantView(state, variant) {
+  const product = findRecord(state.products, variant.productId);
+
+  return {
+    __typename: 'ProductVariant',
+    id: variant.id,
+    legacyResourceId: getLegacyId(variant.id),
+    title: variant.title,
+    displayName: `${product.title} - ${variant.title}`,
+    sku: variant.sku,
+    price: variant.price,
+    compareAtPrice: variant.compareAtPrice,
+    barcode: variant.barcode,
+    selectedOptions: variant.selectedOptions,
+    inventoryQuantity: getInventoryQuantity(state, variant),
+    createdAt: variant.createdAt,
+    updatedAt: variant.updatedAt,
+    product: () => productView(state, product),
+    inventoryItem: () => inventoryItemView(state, variant),
+    ...metafieldFields(state, variant.id)
+  };
+}
+
+function inventoryItemView(state, variant) {
+  return {
+    __typename: 'InventoryItem',
+    id: variant.inventoryItemId,
+    legacyResourceId: getLegacyId(variant.inventoryItemId),
+    sku: variant.sku,
+    tracked: true,
+    unitCost: variant.unitCost == null ? null : money(variant.unitCost, state.shop.currencyCode),
+    variant: () => variantView(state, variant),
+    inventoryLevels: args => createConnection(getInventoryLevels(state, variant.inventoryItemId), args, level => inventoryLevelView(state, level))
+  };
+}
+
+function inventoryLevelView(state, level) {
+  return {
+    __typename: 'InventoryLevel',
+    id: level.id,
+    available: level.available,
+    incoming: level.incoming,
+    committed: level.committed,
+    damaged: level.damaged,
+    reserved: level.reserved,
+    safetyStock: level.safetyStock,
+    onHand: getOnHand(level),
+    updatedAt: level.updatedAt,
+    quantities: ({ names = [] }) => names.map(name => ({ name, quantity: QUANTITY_NAMES[name]?.(level) ?? 0 })),
+    item: () => inventoryItemView(state, state.variants.find(variant => variant.inventoryItemId === level.inventoryItemId)),
+    location: () => locationView(state, findRecord(state.locations, level.locationId))
+  };
+}
+
+function locationView(state, location) {
+  return {
+    __typename: 'Location',
+    id: location.id,
+    legacyResourceId: getLegacyId(location.id),
+    name: location.name,
+    isActive: location.isActive,
+    address: location.address,
+    inventoryLevels: args => createConnection(state.inventoryLevels.filter(level => level.locationId === location.id), args, level => inventoryLevelView(state, level))
+  };
+}
+
+function customerView(state, customer) {
+  const orders = state.orders.filter(order => order.customerId === customer.id);
+
+  return {
+    __typename: 'Customer',
+    id: customer.id,
+    legacyResourceId: getLegacyId(customer.id),
+    firstName: customer.firstName,
+    lastName: customer.lastName,
+    displayName: [customer.firstName, customer.lastName].filter(Boolean).join(' ') || customer.email || customer.phone,
+    email: customer.email,
+    phone: customer.phone,
+    note: customer.note,
+    tags: customer.tags,
+    createdAt: customer.createdAt,
+    updatedAt: customer.updatedAt,
+    defaultAddress: customer.defaultAddress,
+    addresses: customer.defaultAddress ? [customer.defaultAddress] : [],
+    numberOfOrders: String(orders.length),
+    orders: args => createConnection(orders, args, order => orderView(state, order)),
+    ...metafieldFields(state, customer.id)
+  };
+}
+
+function lineItemView(state, order, item) {
+  const variant = item.variantId ? findRecord(state.variants, item.variantId) : null;
+
+  return {
+    __typename: 'LineItem',
+    id: item.id,
+    title: item.title,
+    name: item.variantTitle ? `${item.title} - ${item.variantTitle}` : item.title,
+    variantTitle: item.variantTitle,
+    sku: item.sku,
+    quantity: item.quantity,
+    currentQuantity: item.quantity,
+    originalUnitPriceSet: moneyBag(item.price, order.currencyCode),
+    originalTotalSet: moneyBag(item.price * item.quantity, order.currencyCode),
+    variant: () => variant && variantView(state, variant),
+    product: () => variant && productView(state, findRecord(state.products, variant.productId))
+  };
+}
+
+function orderView(state, order) {
+  const subtotal = order.lineItems.reduce((sum, item) => sum + item.price * item.quantity, 0);
+  const total = subtotal - Number(order.totalDiscounts) + Number(order.totalTax);
+  const customer = order.customerId ? findRecord(state.customers, order.customerId) : null;
+
+  return {
+    __typename: 'Order',
+    id: order.id,
+    legacyResourceId: getLegacyId(order.id),
+    name: order.name,
+    email: order.email,
+    phone: order.phone,
+    note: order.note,
+    tags: order.tags,
+    customAttributes: order.customAttributes || [],
+    createdAt: order.createdAt,
+    updatedAt: order.updatedAt,
+    processedAt: order.createdAt,
+    cancelledAt: order.cancelledAt ?? null,
+    currencyCode: order.currencyCode,
+    displayFinancialStatus: order.displayFinancialStatus,
+    displayFulfillmentStatus: order.displayFulfillmentStatus,
+    paymentGatewayNames: order.paymentGatewayNames,
+    subtotalPrice: formatAmount(subtotal),
+    totalPrice: formatAmount(total),
+    totalTax: formatAmount(order.totalTax),
+    totalDiscounts: formatAmount(order.totalDiscounts),
+    subtotalPriceSet: moneyBag(subtotal, order.currencyCode),
+    totalPriceSet: moneyBag(total, order.currencyCode),
+    currentTotalPriceSet: moneyBag(total, order.currencyCode),
+    totalTaxSet: moneyBag(order.totalTax, order.currencyCode),
+    totalDiscountsSet: moneyBag(order.totalDiscounts, order.currencyCode),
+    shippingAddress: order.shippingAddress,
+    billingAddress: order.billingAddress ?? null,
+    customer: () => customer && customerView(state, customer),
+    lineItems: args => createConnection(order.lineItems, args, item => lineItemView(state, order, item)),
+    fulfillments: ({ first }) => order.fulfillments.slice(0, first ?? undefined).map(fulfillment => ({ __typename: 'Fulfillment', ...fulfillment })),
+    ...metafieldFields(state, order.id)
+  };
+}
+
+function webhookView(state, webhook) {
+  return {
+    __typename: 'WebhookSubscription',
+    id: webhook.id,
+    legacyResourceId: getLegacyId(webhook.id),
+    topic: webhook.topic,
+    format: webhook.format,
+    includeFields: webhook.includeFields,
+    metafieldNamespaces: webhook.metafieldNamespaces,
+    filter: webhook.filter,
+    callbackUrl: webhook.callbackUrl,
+    endpoint: { __typename: 'WebhookHttpEndpoint', callbackUrl: webhook.callbackUrl },
+    createdAt: webhook.createdAt,
+    updatedAt: webhook.updatedAt
+  };
+}
+
+// The collection and view of each gid type
+const NODE_TYPES = {
+  Product: ['products', productView],
+  ProductVariant: ['variants', variantView],
+  Customer: ['customers', customerView],
+  Order: ['orders', orderView],
+  Location: ['locations', locationView],
+  InventoryLevel: ['inventoryLevels', inventoryLevelView],
+  Metafield: ['metafields', metafieldView],
+  WebhookSubscription: ['webhookSubscriptions', webhookView]
+};
+
+/**
+ * Get the view of any record by its gid, or null if there is none
+ */
+function nodeView(state, id) {
+  const type = getGidType(id);
+  if (!type) {
+    throw new GraphQLError(`Invalid global id '${id}'`);
+  }
+  if (type === 'InventoryItem') {
+    const variant = state.variants.find(record => record.inventoryItemId === id);
+    return variant ? inventoryItemView(state, variant) : null;
+  }
+  if (!NODE_TYPES[type]) {
+    return null;
+  }
+
+  const [collection, view] = NODE_TYPES[type];
+  const record = findRecord(state[collection], id);
+  return record ? view(state, record) : null;
+}
+
+/**
+ * Get the view of a record of one type, for fields like product(id:)
+ */
+function typedNodeView(state, type, id) {
+  return getGidType(id) === type || !getGidType(id) ? nodeView(state, id) : null;
+}
+
+// ===================================================================
+// Mutations
+// ===================================================================
+
+/**
+ * Set metafields, all or none: every input is validated before any is written
+ * @param {Object} state - The store
+ * @param {Array<Object>} inputs - Metafield inputs with ownerId, namespace, key, value and type, or the id of a metafield
+ * @returns {Object} The { metafields, userErrors } that were set
+ */
+function setMetafields(state, inputs = []) {
+  const userErrors = [];
+  const changes = inputs.map((input, index) => {
+    const field = name => ['metafields', String(index), name];
+    const existing = input.id
+      ? findRecord(state.metafields, input.id)
+      : findMetafield(state, input.ownerId, input.namespace ?? '$app', input.key);
+
+    if (input.id && !existing) {
+      userErrors.push(userError(field('id'), 'Metafield does not exist'));
+    } else if (!input.id && !nodeView(state, input.ownerId)) {
+      userErrors.push(userError(field('ownerId'), 'Owner does not exist'));
+    } else if (!input.id && !input.key) {
+      userErrors.push(userError(field('key'), "Key can't be blank"));
+    }
+    if (typeof input.value !== 'string') {
+      userErrors.push(userError(field('value'), 'Value must be a string'));
+    }
+    if (!existing && !input.type) {
+      userErrors.push(userError(field('type'), "Type can't be blank"));
+    }
+    return { input, existing };
+  });
+
+  if (userErrors.length > 0) {
+    return { metafields: [], userErrors };
+  }
+
+  const metafields = changes.map(({ input, existing }) => {
+    if (existing) {
+      existing.value = input.value;
+      existing.type = input.type || existing.type;
+      touch(existing);
+      return existing;
+    }
+
+    const metafield = {
+      id: createId(state, 'Metafield'),
+      ownerId: input.ownerId,
+      namespace: input.namespace ?? '$app',
+      key: input.key,
+      type: input.type,
+      value: input.value,
+      createdAt: now(),
+      updatedAt: now()
+    };
+    state.metafields.push(metafield);
+    return metafield;
+  });
+
+  return { metafields: metafields.map(metafield => metafieldView(state, metafield)), userErrors };
+}
+
+/**
+ * Copy the fields an input sets onto a record
+ */
+function assignFields(record, input, fields) {
+  for (const field of fields) {
+    if (input[field] !== undefined) {
+      record[field] = input[field];
+    }
+  }
+  if (input.tags !== undefined) {
+    record.tags = normalizeTags(input.tags);
+  }
+}
+
+/**
+ * Update a product, order or customer from an input with its id, fields and metafields
+ */
+function updateRecord(state, collection, input, fields, notFoundMessage) {
+  const record = findRecord(state[collection], input?.id);
+  if (!record) {
+    return { record: null, userErrors: [userError('id', notFoundMessage)] };
+  }
+
+  const { userErrors } = setMetafields(state, (input.metafields || []).map(metafield => ({ ownerId: record.id, ...metafield })));
+  if (userErrors.length > 0) {
+    return { record: null, userErrors };
+  }
+
+  assignFields(record, input, fields);
+  touch(record);
+  return { record, userErrors: [] };
+}
+
+/**
+ * Create a variant with an inventory item stocked at the first location
+ */
+function createVariant(state, productId, input = {}) {
+  const variant = {
+    id: createId(state, 'ProductVariant'),
+    productId,
+    inventoryItemId: createId(state, 'InventoryItem'),
+    title: input.title || 'Default Title',
+    sku: input.sku ?? input.inventoryItem?.sku ?? null,
+    price: formatAmount(input.price),
+    compareAtPrice: input.compareAtPrice ?? null,
+    barcode: input.barcode ?? null,
+    unitCost: input.inventoryItem?.cost ?? null,
+    selectedOptions: [{ name: 'Title', value: input.title || 'Default Title' }],
+    createdAt: now(),
+    updatedAt: now()
+  };
+  state.variants.push(variant);
+
+  if (state.locations[0]) {
+    state.inventoryLevels.push({
+      id: createId(state, 'InventoryLevel'),
+      inventoryItemId: variant.inventoryItemId,
+      locationId: state.locations[0].id,
+      available: 0,
+      incoming: 0,
+      committed: 0,
+      damaged: 0,
+      reserved: 0,
+      safetyStock: 0,
+      updatedAt: now()
+    });
+  }
+  return variant;
+}
+
+function createMutationRoot(state) {
+  const changeTags = (id, tags, change) => {
+    const collection = TAGGABLE_COLLECTIONS[getGidType(id)];
+    const record = collection ? findRecord(state[collection], id) : null;
+    if (!record) {
+      return { node: null, userErrors: [userError('id', `Resource with id ${id} does not exist or can't be tagged`)] };
+    }
+    record.tags = change(record.tags, normalizeTags(tags));
+    touch(record);
+    return { node: nodeView(state, id), userErrors: [] };
+  };
+
+  return {
+    __typename: 'Mutation',
+
+    tagsAdd: ({ id, tags }) => changeTags(id, tags, (current, added) => [...new Set([...current, ...added])]),
+
+    tagsRemove: ({ id, tags }) => changeTags(id, tags, (current, removed) => current.filter(tag => !removed.includes(tag))),
+
+    metafieldsSet: ({ metafields }) => setMetafields(state, metafields),
+
+    metafieldsDelete: ({ metafields }) => ({
+      deletedMetafields: metafields.map(({ ownerId, namespace, key }) => {
+        const metafield = findMetafield(state, ownerId, namespace, key);
+        if (!metafield) {
+          return null;
+        }
+        state.metafields.splice(state.metafields.indexOf(metafield), 1);
+        return { ownerId, namespace, key };
+      }),
+      userErrors: []
+    }),
+
+    productCreate: ({ product: productInput, input }) => {
+      const fields = productInput || input || {};
+      if (!fields.title) {
+        return { product: null, userErrors: [userError('title', "Title can't be blank")] };
+      }
+
+      const product = {
+        id: createId(state, 'Product'),
+        title: fields.title,
+        handle: fields.handle || createHandle(state, fields.title),
+        descriptionHtml: fields.descriptionHtml ?? '',
+        status: fields.status || 'ACTIVE',
+        productType: fields.productType ?? '',
+        vendor: fields.vendor ?? state.shop.name,
+        tags: normalizeTags(fields.tags),
+        createdAt: now(),
+        updatedAt: now(),
+        images: []
+      };
+      state.products.push(product);
+      // Products always have at least one variant, like in Shopify
+      createVariant(state, product.id);
+
+      const { userErrors } = setMetafields(state, (fields.metafields || []).map(metafield => ({ ownerId: product.id, ...metafield })));
+      return { product: productView(state, product), userErrors };
+    },
+
+    productUpdate: ({ product: productInput, input }) => {
+      const { record, userErrors } = updateRecord(state, 'products', productInput || input,
+        ['title', 'handle', 'descriptionHtml', 'status', 'productType', 'vendor'], 'Product does not exist');
+      return { product: record && productView(state, record), userErrors };
+    },
+
+    productDelete: ({ input }) => {
+      const product = findRecord(state.products, input?.id);
+      if (!product) {
+        return { deletedProductId: null, userErrors: [userError('id', 'Product does not exist')] };
+      }
+
+      const inventoryItemIds = getProductVariants(state, product.id).map(variant => variant.inventoryItemId);
+      const variantIds = getProductVariants(state, product.id).map(variant => variant.id);
+      state.products = state.products.filter(record => record !== product);
+      state.variants = state.variants.filter(variant => variant.productId !== product.id);
+      state.inventoryLevels = state.inventoryLevels.filter(level => !inventoryItemIds.includes(level.inventoryItemId));
+      state.metafields = state.metafields.filter(metafield => metafield.ownerId !== product.id && !variantIds.includes(metafield.ownerId));
+      return { deletedProductId: product.id, userErrors: [] };
+    },
+
+    productVariantsBulkUpdate: ({ productId, variants }) => {
+      const product = findRecord(state.products, productId);
+      if (!product) {
+        return { product: null, productVariants: null, userErrors: [userError('productId', 'Product does not exist')] };
+      }
+
+      const records = variants.map(input => state.variants.find(variant => variant.id === input.id && variant.productId === productId));
+      const missing = records.findIndex(record => !record);
+      if (missing !== -1) {
+        return { product: null, productVariants: null, userErrors: [userError(['variants', String(missing), 'id'], 'Product variant does not exist')] };
+      }
+
+      const { userErrors } = setMetafields(state, variants.flatMap(input => (input.metafields || []).map(metafield => ({ ownerId: input.id, ...metafield }))));
+      if (userErrors.length > 0) {
+        return { product: null, productVariants: null, userErrors };
+      }
+
+      variants.forEach((input, index) => {
+        const variant = records[index];
+        assignFields(variant, input, ['price', 'compareAtPrice', 'barcode']);
+        if (input.price !== undefined) {
+          variant.price = formatAmount(input.price);
+        }
+        if (input.inventoryItem?.sku !== undefined) {
+          variant.sku = input.inventoryItem.sku;
+        }
+        touch(variant);
+      });
+      touch(product);
+      return { product: productView(state, product), productVariants: records.map(variant => variantView(state, variant)), userErrors: [] };
+    },
+
+    customerCreate: ({ input }) => {
+      if (!input.email && !input.phone && !input.firstName && !input.lastName) {
+        return { customer: null, userErrors: [userError('email', 'Customer must have a name, phone number or email address')] };
+      }
+      if (input.email && state.customers.some(customer => customer.email === input.email)) {
+        return { customer: null, userErrors: [userError('email', 'Email has already been taken')] };
+      }
+
+      const customer = {
+        id: createId(state, 'Customer'),
+        firstName: null,
+        lastName: null,
+        email: null,
+        phone: null,
+        note: null,
+        tags: [],
+        createdAt: now(),
+        updatedAt: now(),
+        defaultAddress: null
+      };
+      const { userErrors } = setMetafields(state, (input.metafields || []).map(metafield => ({ ownerId: customer.id, ...metafield })));
+      if (userErrors.length > 0) {
+        return { customer: null, userErrors };
+      }
+      assignFields(customer, input, ['firstName', 'lastName', 'email', 'phone', 'note']);
+      state.customers.push(customer);
+      return { customer: customerView(state, customer), userErrors: [] };
+    },
+
+    customerUpdate: ({ input }) => {
+      const { record, userErrors } = updateRecord(state, 'customers', input,
+        ['firstName', 'lastName', 'email', 'phone', 'note'], 'Customer does not exist');
+      return { customer: record && customerView(state, record), userErrors };
+    },
+
+    orderCreate: ({ order: input = {} }) => {
+      const customerId = input.customerId || input.customer?.toAssociate?.id || null;
+      const customer = customerId ? findRecord(state.customers, customerId) : null;
+      if (customerId && !customer) {
+        return { order: null, userErrors: [userError(['order', 'customerId'], 'Customer does not exist')] };
+      }
+      if (!input.lineItems?.length) {
+        return { order: null, userErrors: [userError(['order', 'lineItems'], 'Order must have at least one line item')] };
+      }
+
+      const lineItems = [];
+      for (const [index, item] of input.lineItems.entries()) {
+        const variant = item.variantId ? findRecord(state.variants, item.variantId) : null;
+        if (item.variantId && !variant) {
+          return { order: null, userErrors: [userError(['order', 'lineItems', String(index), 'variantId'], 'Product variant does not exist')] };
+        }
+        const product = variant && findRecord(state.products, variant.productId);
+        lineItems.push({
+          id: createId(state, 'LineItem'),
+          variantId: variant?.id ?? null,
+          title: item.title || product?.title || 'Custom item',
+          variantTitle: variant && variant.title !== 'Default Title' ? variant.title : null,
+          sku: item.sku ?? variant?.sku ?? null,
+          quantity: item.quantity ?? 1,
+          price: formatAmount(item.priceSet?.shopMoney?.amount ?? variant?.price)
+        });
+      }
+
+      const orderNumber = Math.max(1000, ...state.orders.map(order => Number(order.name.replace(/^#/, '')) || 0)) + 1;
+      const order = {
+        id: createId(state, 'Order'),
+        name: `#${orderNumber}`,
+        customerId: customer?.id ?? null,
+        email: input.email ?? customer?.email ?? null,
+        phone: input.phone ?? customer?.phone ?? null,
+        note: input.note ?? null,
+        tags: normalizeTags(input.tags),
+        customAttributes: input.customAttributes || [],
+        currencyCode: input.currency || state.shop.currencyCode,
+        displayFinancialStatus: input.financialStatus || 'PENDING',
+        displayFulfillmentStatus: 'UNFULFILLED',
+        paymentGatewayNames: [],
+        totalDiscounts: '0.00',
+        totalTax: '0.00',
+        createdAt: now(),
+        updatedAt: now(),
+        shippingAddress: input.shippingAddress ?? null,
+        billingAddress: input.billingAddress ?? null,
+        lineItems,
+        fulfillments: []
+      };
+      state.orders.push(order);
+
+      const { userErrors } = setMetafields(state, (input.metafields || []).map(metafield => ({ ownerId: order.id, ...metafield })));
+      return { order: orderView(state, order), userErrors };
+    },
+
+    orderUpdate: ({ input }) => {
+      const { record, userErrors } = updateRecord(state, 'orders', input,
+        ['email', 'phone', 'note', 'shippingAddress', 'customAttributes'], 'Order does not exist');
+      return { order: record && orderView(state, record), userErrors };
+    },
+
+    orderInvoiceSend: ({ id, email }) => {
+      const order = findRecord(state.orders, id);
+      if (!order) {
+        return { order: null, userErrors: [userError('id', 'Order does not exist')] };
+      }
+      const recipient = email?.to || order.email;
+      if (!recipient) {
+        return { order: null, userErrors: [userError('email', 'Order has no email address to send the invoice to')] };
+      }
+      console.log(chalk.gray(`  Invoice for ${order.name} would be sent to ${recipient}`));
+      return { order: orderView(state, order), userErrors: [] };
+    },
+
+    webhookSubscriptionCreate: ({ topic, webhookSubscription = {} }) => {
+      if (!/^[A-Z_]+$/.test(topic || '')) {
+        throw new GraphQLError(`Variable $topic of type WebhookSubscriptionTopic! was provided invalid value: ${topic}`);
+      }
+      if (!URL.canParse(webhookSubscription.callbackUrl || '')) {
+        return { webhookSubscription: null, userErrors: [userError(['webhookSubscription', 'callbackUrl'], 'Address is invalid')] };
+      }
+      if (state.webhookSubscriptions.some(webhook => webhook.topic === topic && webhook.callbackUrl === webhookSubscription.callbackUrl)) {
+        return { webhookSubscription: null, userErrors: [userError(['webhookSubscription', 'callbackUrl'], 'Address for this topic has already been taken')] };
+      }
+
+      const webhook = {
+        id: createId(state, 'WebhookSubscription'),
+        topic,
+        callbackUrl: webhookSubscription.callbackUrl,
+        format: webhookSubscription.format || 'JSON',
+        includeFields: webhookSubscription.includeFields || [],
+        metafieldNamespaces: webhookSubscription.metafieldNamespaces || [],
+        filter: webhookSubscription.filter ?? null,
+        createdAt: now(),
+        updatedAt: now()
+      };
+      state.webhookSubscriptions.push(webhook);
+      return { webhookSubscription: webhookView(state, webhook), userErrors: [] };
+    },
+
+    webhookSubscriptionUpdate: ({ id, webhookSubscription = {} }) => {
+      const webhook = findRecord(state.webhookSubscriptions, id);
+      if (!webhook) {
+        return { webhookSubscription: null, userErrors: [userError('id', 'Webhook subscription does not exist')] };
+      }
+      if (webhookSubscription.callbackUrl !== undefined && !URL.canParse(webhookSubscription.callbackUrl)) {
+        return { webhookSubscription: null, userErrors: [userError(['webhookSubscription', 'callbackUrl'], 'Address is invalid')] };
+      }
+
+      assignFields(webhook, webhookSubscription, ['callbackUrl', 'format', 'includeFields', 'metafieldNamespaces', 'filter']);
+      touch(webhook);
+      return { webhookSubscription: webhookView(state, webhook), userErrors: [] };
+    },
+
+    webhookSubscriptionDelete: ({ id }) => {
+      const webhook = findRecord(state.webhookSubscriptions, id);
+      if (!webhook) {
+        return { deletedWebhookSubscriptionId: null, userErrors: [userError('id', 'Webhook subscription does not exist')] };
+      }
+      state.webhookSubscriptions = state.webhookSubscriptions.filter(record => record !== webhook);
+      return { deletedWebhookSubscriptionId: id, userErrors: [] };
+    }
+  };
+}
+
+function createQueryRoot(state) {
+  const list = (collection, view) => args => createConnection(listRecords(state, collection, args), args, record => view(state, record));
+
+  return {
+    __typename: 'QueryRoot',
+    shop: () => shopView(state),
+    node: ({ id }) => nodeView(state, id),
+    nodes: ({ ids }) => ids.map(id => nodeView(state, id)),
+    product: ({ id }) => typedNodeView(state, 'Product', id),
+    products: list('products', productView),
+    productVariant: ({ id }) => typedNodeView(state, 'ProductVariant', id),
+    productVariants: list('variants', variantView),
+    customer: ({ id }) => typedNodeView(state, 'Customer', id),
+    customers: list('customers', customerView),
+    order: ({ id }) => typedNodeView(state, 'Order', id),
+    orders: list('orders', orderView),
+    location: ({ id }) => typedNodeView(state, 'Location', id),
+    locations: list('locations', locationView),
+    inventoryItem: ({ id }) => typedNodeView(state, 'InventoryItem', id),
+    inventoryLevel: ({ id }) => typedNodeView(state, 'InventoryLevel', id),
+    inventoryLevels: list('inventoryLevels', inventoryLevelView),
+    webhookSubscription: ({ id }) => typedNodeView(state, 'WebhookSubscription', id),
+    webhookSubscriptions: (args) => {
+      const webhooks = listRecords(state, 'webhookSubscriptions', args).filter(webhook =>
+        (!args.topics || args.topics.includes(webhook.topic)) &&
+        (!args.callbackUrl || webhook.callbackUrl === args.callbackUrl));
+      return createConnection(webhooks, args, webhook => webhookView(state, webhook));
+    },
+    // No bulk operations run here
+    currentBulkOperation: () => null
+  };
+}
+
+// ===================================================================
+// Execution
+// ===================================================================
+
+function getArguments(field, variables) {
+  return Object.fromEntries((field.arguments || []).map(argument => [argument.name.value, valueFromASTUntyped(argument.value, variables)]));
+}
+
+/**
+ * Check the @include and @skip directives of a selection
+ */
+function shouldInclude(selection, variables) {
+  return (selection.directives || []).every(directive => {
+    const name = directive.name.value;
+    if (name !== 'include' && name !== 'skip') {
+      return true;
+    }
+    const { if: condition } = getArguments(directive, variables);
+    return name === 'include' ? condition : !condition;
+  });
+}
+
+function matchesType(object, typeCondition) {
+  return !typeCondition || typeCondition.name.value === object.__typename || INTERFACES.has(typeCondition.name.value);
+}
+
+/**
+ * Flatten the fields of a selection set, following the fragments that apply to the object
+ */
+function collectFields(object, selectionSet, context, fields = []) {
+  for (const selection of selectionSet.selections) {
+    if (!shouldInclude(selection, context.variables)) {
+      continue;
+    }
+    if (selection.kind === Kind.FIELD) {
+      fields.push(selection);
+    } else if (selection.kind === Kind.INLINE_FRAGMENT) {
+      if (matchesType(object, selection.typeCondition)) {
+        collectFields(object, selection.selectionSet, context, fields);
+      }
+    } else if (selection.kind === Kind.FRAGMENT_SPREAD) {
+      const fragment = context.fragments[selection.name.value];
+      if (!fragment) {
+        throw new GraphQLError(`Fragment ${selection.name.value} was used, but not defined`, { nodes: selection });
+      }
+      if (matchesType(object, fragment.typeCondition)) {
+        collectFields(object, fragment.selectionSet, context, fields);
+      }
+    }
+  }
+  return fields;
+}
+
+function completeValue(value, field, context) {
+  if (value == null || !field.selectionSet) {
+    return value ?? null;
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => completeValue(item, field, context));
+  }
+  return resolveSelections(value, field.selectionSet, context);
+}
+
+function resolveSelections(object, selectionSet, context) {
+  const result = {};
+  for (const field of collectFields(object, selectionSet, context)) {
+    const name = field.name.value;
+    const key = field.alias?.value || name;
+    if (name === '__typename') {
+      result[key] = object.__typename ?? null;
+      continue;
+    }
+    if (!(name in object)) {
+      throw new GraphQLError(`Field '${name}' doesn't exist on type '${object.__typename || 'Object'}' in the local Admin API`, { nodes: field });
+    }
+
+    const value = typeof object[name] === 'function' ? object[name](getArguments(field, context.variables)) : object[name];
+    result[key] = completeValue(value, field, context);
+  }
+  return result;
+}
+
+/**
+ * Apply the defaults of an operation's variables and check the required ones are set
+ */
+function getVariableValues(operation, variables) {
+  const values = { ...variables };
+  for (const definition of operation.variableDefinitions || []) {
+    const name = definition.variable.name.value;
+    if (values[name] === undefined && definition.defaultValue) {
+      values[name] = valueFromASTUntyped(definition.defaultValue);
+    }
+    if (values[name] == null && definition.type.kind === Kind.NON_NULL_TYPE) {
+      throw new GraphQLError(`Variable $${name} of type ${definition.type.type.name?.value || 'list'}! was provided invalid value`, { nodes: definition });
+    }
+  }
+  return values;
+}
+
+function executeOperation(roots, query, variables, operationName) {
+  try {
+    const document = parse(query || '');
+    const operations = document.definitions.filter(definition => definition.kind === Kind.OPERATION_DEFINITION);
+    const operation = operationName
+      ? operations.find(candidate => candidate.name?.value === operationName)
+      : operations.length === 1 ? operations[0] : null;
+    if (!operation) {
+      throw new GraphQLError(operationName
+        ? `No operation named "${operationName}"`
+        : 'An operation name is required when sending a document with several operations');
+    }
+    if (!roots[operation.operation]) {
+      throw new GraphQLError(`${operation.operation} operations aren't supported by the local Admin API`, { nodes: operation });
+    }
+
+    const context = {
+      fragments: Object.fromEntries(document.definitions
+        .filter(definition => definition.kind === Kind.FRAGMENT_DEFINITION)
+        .map(fragment => [fragment.name.value, fragment])),
+      variables: getVariableValues(operation, variables)
+    };
+    return { data: resolveSelections(roots[operation.operation], operation.selectionSet, context) };
+  } catch (error) {
+    if (error instanceof GraphQLError) {
+      return { errors: [error.toJSON()] };
+    }
+    throw error;
+  }
+}
+
+/**
+ * Create an in-memory Admin API
+ * @param {Object} [options] - Options
+ * @param {Object} [options.seed] - Collections replacing the seeded ones, e.g. { products: [...], variants: [...] }
+ * @returns {Object} The API, with its state and execute(query, variables, operationName) returning { data, errors }
+ */
+export function createLocalAdmin({ seed } = {}) {
+  const state = { ...createSeedData(), ...seed, nextId: 100000 };
+  const roots = { query: createQueryRoot(state), mutation: createMutationRoot(state) };
+
+  return {
+    state,
+    execute: (query, variables = {}, operationName) => executeOperation(roots, query, variables, operationName)
+  };
+}
+
+// ===================================================================
+// HTTP server
+// ===================================================================
+
+function getOperationName(query) {
+  const match = /\b(?:query|mutation)\s+(\w+)/.exec(query || '');
+  return match ? match[1] : 'anonymous operation';
+}
+
+function sendJson(response, status, body) {
+  response.writeHead(status, { 'Content-Type': 'application/json' });
+  response.end(JSON.stringify(body));
+}
+
+async function readBody(request) {
+  const chunks = [];
+  for await (const chunk of request) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+async function handleRequest(localAdmin, request, response) {
+  const { pathname } = new URL(request.url, 'http://localhost');
+
+  if (request.method === 'GET' && pathname === STATE_ROUTE) {
+    sendJson(response, 200, localAdmin.state);
+    return;
+  }
+  if (!GRAPHQL_ROUTE_PATTERN.test(pathname)) {
+    sendJson(response, 404, { errors: [{ message: `Not found: ${pathname}, the local Admin API serves /admin/api/<version>/graphql.json` }] });
+    return;
+  }
+  if (request.method !== 'POST') {
+    sendJson(response, 405, { errors: [{ message: 'Method not allowed' }] });
+    return;
+  }
+
+  let body;
+  try {
+    body = JSON.parse(await readBody(request));
+  } catch (error) {
+    sendJson(response, 400, { errors: [{ message: 'Request body must be JSON with a query' }] });
+    return;
+  }
+
+  const result = localAdmin.execute(body.query, body.variables || {}, body.operationName);
+  const operation = body.operationName || getOperationName(body.query);
+  if (result.errors) {
+    console.log(chalk.red(`${operation}: ${result.errors.map(error => error.message).join(', ')}`));
+  } else {
+    console.log(`${chalk.green('✓')} ${operation}`);
+  }
+  sendJson(response, 200, result);
+}
+
+/**
+ * Start the local Admin API on a port
+ * @param {Object} [options] - Options
+ * @param {number} [options.port=4100] - The port, 0 for any free port
+ * @param {string} [options.host='127.0.0.1'] - The interface to listen on
+ * @param {string} [options.seedFile] - A JSON file with collections replacing the seeded ones
+ * @returns {Promise<Object>} The { server, localAdmin, url } once it is listening
+ */
+export function startLocalAdmin({ port = DEFAULT_LOCAL_ADMIN_PORT, host = '127.0.0.1', seedFile } = {}) {
+  const seed = seedFile ? JSON.parse(fs.readFileSync(seedFile, 'utf8')) : undefined;
+  const localAdmin = createLocalAdmin({ seed });
+
+  const server = http.createServer((request, response) => {
+    handleRequest(localAdmin, request, response).catch(error => {
+      console.error(chalk.red(`Local Admin API error: ${error.stack || error.message}`));
+      sendJson(response, 500, { errors: [{ message: error.message }] });
+    });
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      const url = `http://${host === '127.0.0.1' ? 'localhost' : host}:${server.address().port}`;
+      resolve({ server, localAdmin, url });
+    });
+  });
+}
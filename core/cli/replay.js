@@ -0,0 +1,131 @@
+import chalk from 'chalk';
+import { getShopConfig } from '../shared/config-helpers.js';
+import { ensureAndResolveJobName } from './job-discovery.js';
+import { runJobTest } from './test-runner.js';
+
+const DEAD_LETTER_ROUTE = '/_dead-letters';
+
+/**
+ * Call the worker's dead-letter endpoints for a shop
+ * @param {string} workerUrl - The worker URL
+ * @param {Object} shopConfig - The shop configuration with its shopworker webhook secret
+ * @param {string} path - The path below /_dead-letters, e.g. "/<id>/replay"
+ * @param {Object} [options] - Request options
+ * @param {string} [options.method] - The HTTP method
+ * @param {Object} [options.query] - Query parameters
+ * @returns {Promise<Object>} The response JSON
+ */
+async function requestDeadLetters(workerUrl, shopConfig, path, { method = 'GET', query = {} } = {}) {
+  if (!shopConfig.shopworker_webhook_secret) {
+    throw new Error('Shopworker webhook secret not found in shop config. Make sure shopworker_webhook_secret is defined in .shopworker.json.');
+  }
+
+  const url = new URL(`${DEAD_LETTER_ROUTE}${path}`, workerUrl);
+  for (const [name, value] of Object.entries(query)) {
+    if (value !== undefined && value !== null) {
+      url.searchParams.set(name, value);
+    }
+  }
+
+  // Import fetch for Node.js environment
+  const fetch = (await import('node-fetch')).default;
+  const response = await fetch(url.href, {
+    method,
+    headers: {
+      'X-Shopworker-Shop': shopConfig.shopify_domain,
+      'X-Shopworker-Webhook-Secret': shopConfig.shopworker_webhook_secret
+    }
+  });
+
+  const responseText = await response.text();
+  let data;
+  try {
+    data = JSON.parse(responseText);
+  } catch {
+    throw new Error(`Unexpected response from the worker (${response.status}): ${responseText.substring(0, 200)}`);
+  }
+
+  if (!response.ok) {
+    throw new Error(data.error || `Worker responded with status ${response.status}`);
+  }
+  return data;
+}
+
+/**
+ * Load a dead letter with its payload from the worker
+ * @param {string} workerUrl - The worker URL
+ * @param {Object} shopConfig - The shop configuration
+ * @param {string} id - The dead-letter ID
+ * @returns {Promise<Object>} The dead letter
+ */
+async function fetchDeadLetter(workerUrl, shopConfig, id) {
+  const { deadLetter } = await requestDeadLetters(workerUrl, shopConfig, `/${encodeURIComponent(id)}`);
+  return deadLetter;
+}
+
+/**
+ * List the failed job runs of a shop
+ * @param {string} cliDirname - The directory where cli.js is located (project root)
+ * @param {Object} options - Command options including worker, shop, job and limit
+ */
+export async function listFailedRuns(cliDirname, options) {
+  const shopConfig = getShopConfig(cliDirname, options.shop);
+  const { deadLetters } = await requestDeadLetters(options.worker, shopConfig, '', {
+    query: { job: options.job?.replace(/^(local|core)\/jobs\//, ''), limit: options.limit }
+  });
+
+  console.log(chalk.blue(`Failed job runs for ${shopConfig.shopify_domain}\n`));
+  if (deadLetters.length === 0) {
+    console.log('No failed job runs found.');
+    return;
+  }
+
+  for (const deadLetter of deadLetters) {
+    const replayed = deadLetter.replayCount > 0
+      ? chalk.green(` replayed ${deadLetter.replayCount}x, last as ${deadLetter.replayWorkflowId}`)
+      : '';
+    console.log(`${chalk.bold(deadLetter.id)}${replayed}`);
+    console.log(`  Job:    ${deadLetter.jobPath}${deadLetter.topic ? chalk.gray(` (${deadLetter.topic})`) : ''}`);
+    console.log(`  Failed: ${new Date(deadLetter.failedAt).toLocaleString()}`);
+    console.log(`  Error:  ${chalk.red(deadLetter.error)}`);
+    if (deadLetter.replayOf) {
+      console.log(chalk.gray(`  Replay of ${deadLetter.replayOf}`));
+    }
+  }
+
+  console.log(`\n💡 Use "replay <id>" to re-run a failure on the worker, or add --local to run it here`);
+}
+
+/**
+ * Re-dispatch a failed job run to the worker
+ * @param {string} cliDirname - The directory where cli.js is located (project root)
+ * @param {string} id - The dead-letter ID
+ * @param {Object} options - Command options including worker and shop
+ */
+export async function replayFailedRun(cliDirname, id, options) {
+  const shopConfig = getShopConfig(cliDirname, options.shop);
+  const { workflowId } = await requestDeadLetters(options.worker, shopConfig, `/${encodeURIComponent(id)}/replay`, { method: 'POST' });
+  console.log(chalk.green(`Replaying ${id} as workflow ${workflowId}`));
+}
+
+/**
+ * Run a failed job run locally with the payload it failed with
+ * @param {string} cliDirname - The directory where cli.js is located (project root)
+ * @param {string} id - The dead-letter ID
+ * @param {Object} options - Command options including worker and shop
+ */
+export async function replayFailedRunLocally(cliDirname, id, options) {
+  const shopConfig = getShopConfig(cliDirname, options.shop);
+  const deadLetter = await fetchDeadLetter(options.worker, shopConfig, id);
+
+  console.log(chalk.blue(`Replaying ${id} of ${deadLetter.jobPath} locally`));
+  console.log(chalk.gray(`Failed at ${new Date(deadLetter.failedAt).toLocaleString()} with: ${deadLetter.error}`));
+
+  const jobPath = await ensureAndResolveJobName(cliDirname, deadLetter.jobPath, null, true);
+  await runJobTest(cliDirname, jobPath, {
+    shop: deadLetter.shopDomain,
+    payload: deadLetter.payload,
+    // The payload already passed the filter when the worker ran it
+    ignoreFilter: true
+  });
+}
@@ -0,0 +1,113 @@
+import chalk from 'chalk';
+import { SignJWT } from 'jose/jwt/sign';
+import {
+  APP_PROXY_AUTH,
+  BEARER_AUTH,
+  HMAC_AUTH,
+  JWT_AUTH,
+  getAuthHeader,
+  getAuthSecret,
+  signAppProxyParams,
+  signHmacBody
+} from '../shared/webrequest-auth.js';
+
+/**
+ * Adds the query parameters and signature Shopify sends with App Proxy requests
+ * @param {string} webhookAddress - The webrequest URL
+ * @param {Object} shopConfig - The shop configuration containing the API secret
+ * @param {string} shopDomain - The shop domain
+ * @param {string} [customerId] - Logged in customer ID, omitted for guests
+ * @returns {Promise<string>} The signed URL
+ */
+export async function signAppProxyUrl(webhookAddress, shopConfig, shopDomain, customerId = null) {
+  if (!shopConfig.shopify_api_secret_key) {
+    throw new Error(`Shopify API secret not found in shop config. Make sure shopify_api_secret_key is defined in .shopworker.json.`);
+  }
+
+  const url = new URL(webhookAddress);
+  url.searchParams.set('shop', shopDomain);
+  url.searchParams.set('logged_in_customer_id', customerId || '');
+  url.searchParams.set('timestamp', String(Math.floor(Date.now() / 1000)));
+  url.searchParams.set('signature', await signAppProxyParams(url.searchParams, shopConfig.shopify_api_secret_key));
+
+  console.log(chalk.gray(`Signed as app proxy request${customerId ? ` from customer ${customerId}` : ' from a guest'}`));
+  return url.toString();
+}
+
+/**
+ * Parse the --jwt-claims option
+ * @param {string} [claimsOption] - JSON object of claims
+ * @returns {Object} The parsed claims
+ */
+function parseJwtClaims(claimsOption) {
+  if (!claimsOption) {
+    return {};
+  }
+
+  try {
+    return JSON.parse(claimsOption);
+  } catch (error) {
+    throw new Error(`Invalid --jwt-claims JSON: ${error.message}`);
+  }
+}
+
+/**
+ * Sign a short-lived JWT that satisfies the job's jwt auth config
+ * Required claims from the config are included unless overridden with --jwt-claims
+ */
+async function signTestJwt(auth, secrets, claimsOption) {
+  if (auth.jwksUrl) {
+    throw new Error('Cannot sign a test token for a job verified against a JWKS URL. Pass one with --token.');
+  }
+
+  const claims = { ...(auth.claims || {}), ...parseJwtClaims(claimsOption) };
+  const jwt = new SignJWT(claims)
+    .setProtectedHeader({ alg: auth.algorithms?.[0] || 'HS256' })
+    .setIssuedAt()
+    .setExpirationTime('5m');
+
+  if (auth.issuer) jwt.setIssuer(Array.isArray(auth.issuer) ? auth.issuer[0] : auth.issuer);
+  if (auth.audience) jwt.setAudience(auth.audience);
+
+  return jwt.sign(new TextEncoder().encode(getAuthSecret(auth, secrets)));
+}
+
+/**
+ * Build the credentials a real caller would send to an authenticated webrequest job
+ * @param {Object} params - Credential parameters
+ * @param {string} params.url - The webrequest URL
+ * @param {string|Buffer} params.rawBody - The request body that will be sent
+ * @param {Object} params.jobConfig - The job configuration
+ * @param {Object} params.shopConfig - The shop configuration
+ * @param {string} params.shopDomain - The shop domain
+ * @param {Object} params.secrets - Local secrets from .secrets
+ * @param {Object} params.options - CLI options (unauthenticated, token, jwtClaims, customerId)
+ * @returns {Promise<{url: string, headers: Object}>} The URL and headers to send
+ */
+export async function createTestCredentials({ url, rawBody, jobConfig, shopConfig, shopDomain, secrets, options }) {
+  const auth = jobConfig.auth;
+  if (!auth) {
+    return { url, headers: {} };
+  }
+
+  if (options.unauthenticated) {
+    console.log(chalk.yellow(`Sending request without ${auth.type} credentials`));
+    return { url, headers: {} };
+  }
+
+  const header = getAuthHeader(auth);
+  const asHeaderValue = token => header.toLowerCase() === 'authorization' ? `Bearer ${token}` : token;
+
+  switch (auth.type) {
+    case APP_PROXY_AUTH:
+      return { url: await signAppProxyUrl(url, shopConfig, shopDomain, options.customerId), headers: {} };
+    case BEARER_AUTH:
+      return { url, headers: { [header]: asHeaderValue(options.token || getAuthSecret(auth, secrets)) } };
+    case HMAC_AUTH:
+      return { url, headers: { [header]: await signHmacBody(auth, getAuthSecret(auth, secrets), rawBody) } };
+    case JWT_AUTH:
+      return { url, headers: { [header]: asHeaderValue(options.token || await signTestJwt(auth, secrets, options.jwtClaims)) } };
+    default:
+      throw new Error(`Unsupported auth type in job config: ${auth.type}`);
+  }
+}
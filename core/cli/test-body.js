@@ -0,0 +1,118 @@
+import chalk from 'chalk';
+import fs from 'fs';
+import path from 'path';
+
+// Fixture extensions and the Content-Type they are sent with
+const FIXTURE_CONTENT_TYPES = {
+  '.json': 'application/json',
+  '.xml': 'application/xml',
+  '.txt': 'text/plain',
+  '.form': 'application/x-www-form-urlencoded'
+};
+const MULTIPART_CONTENT_TYPE = 'multipart/form-data';
+
+// Content types for common upload fixtures, anything else is sent as application/octet-stream
+const UPLOAD_CONTENT_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.pdf': 'application/pdf',
+  '.csv': 'text/csv',
+  '.txt': 'text/plain',
+  '.json': 'application/json'
+};
+
+/**
+ * Load a webrequest test fixture in any supported body format
+ * The format follows `test.contentType` in the job config, or the fixture's extension (.json, .xml, .txt, .form).
+ * Multipart fixtures are JSON files describing the form: { "fields": { "name": "Ada" }, "files": { "photo": "photo.png" } },
+ * with file paths relative to the fixture.
+ * @param {string} payloadPath - Absolute path of the fixture
+ * @param {Object} jobConfig - The job configuration
+ * @returns {{record: Object, testBody: Object|null}} JSON fixtures as a record, other formats as a test body to send
+ */
+export function loadWebrequestFixture(payloadPath, jobConfig) {
+  const contentType = jobConfig.test?.contentType
+    || FIXTURE_CONTENT_TYPES[path.extname(payloadPath).toLowerCase()]
+    || 'application/json';
+  const content = fs.readFileSync(payloadPath, 'utf8');
+
+  if (contentType === 'application/json') {
+    return { record: JSON.parse(content), testBody: null };
+  }
+
+  if (contentType === MULTIPART_CONTENT_TYPE) {
+    const { fields = {}, files = {} } = JSON.parse(content);
+    const fixtureDir = path.dirname(payloadPath);
+    return {
+      record: {},
+      testBody: {
+        contentType,
+        fields,
+        files: Object.fromEntries(Object.entries(files).map(([name, file]) => [name, path.resolve(fixtureDir, file)]))
+      }
+    };
+  }
+
+  return { record: {}, testBody: { contentType, content } };
+}
+
+/**
+ * Apply --params overrides to a non-JSON test body
+ * Form and multipart fields are overridden, text and XML bodies are sent as they are
+ * @param {Object} testBody - The test body from loadWebrequestFixture
+ * @param {Object} overrides - The parsed --params
+ * @returns {Object} The updated test body
+ */
+export function applyTestBodyOverrides(testBody, overrides) {
+  if (testBody.contentType === MULTIPART_CONTENT_TYPE) {
+    console.log(chalk.yellow('Applied parameter overrides to form fields:'), overrides);
+    return { ...testBody, fields: { ...testBody.fields, ...overrides } };
+  }
+
+  if (testBody.contentType === FIXTURE_CONTENT_TYPES['.form']) {
+    const params = new URLSearchParams(testBody.content);
+    for (const [key, value] of Object.entries(overrides)) {
+      params.set(key, String(value));
+    }
+    console.log(chalk.yellow('Applied parameter overrides to form fields:'), overrides);
+    return { ...testBody, content: params.toString() };
+  }
+
+  console.log(chalk.yellow(`--params is ignored for ${testBody.contentType} fixtures`));
+  return testBody;
+}
+
+/**
+ * Encode the body of a test webrequest
+ * @param {Object} record - The JSON payload, used when there is no test body
+ * @param {Object|null} testBody - A non-JSON test body from loadWebrequestFixture
+ * @returns {Promise<{contentType: string, body: string|Buffer, rawBody: string|Buffer}>} The Content-Type and body
+ * to send, plus the raw body for request signing
+ */
+export async function encodeTestBody(record, testBody) {
+  if (!testBody) {
+    const body = JSON.stringify(record);
+    return { contentType: 'application/json', body, rawBody: body };
+  }
+
+  if (testBody.contentType === MULTIPART_CONTENT_TYPE) {
+    const formData = new FormData();
+    for (const [name, value] of Object.entries(testBody.fields)) {
+      formData.append(name, typeof value === 'string' ? value : JSON.stringify(value));
+    }
+    for (const [name, filePath] of Object.entries(testBody.files)) {
+      const type = UPLOAD_CONTENT_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+      formData.append(name, new Blob([fs.readFileSync(filePath)], { type }), path.basename(filePath));
+    }
+
+    // Let the platform pick the boundary, then send the encoded bytes
+    const encoded = new Response(formData);
+    const body = Buffer.from(await encoded.arrayBuffer());
+    // Multipart bodies are signed byte for byte, they don't survive being decoded as text
+    return { contentType: encoded.headers.get('Content-Type'), body, rawBody: body };
+  }
+
+  return { contentType: testBody.contentType, body: testBody.content, rawBody: testBody.content };
+}
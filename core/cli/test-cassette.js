@@ -0,0 +1,240 @@
+import chalk from 'chalk';
+import fs from 'fs';
+import path from 'path';
+import { reportDeprecation } from '../shared/shopify-deprecations.js';
+
+const CASSETTE_VERSION = 1;
+export const DEFAULT_CASSETTE = 'cassette.json';
+
+// The cassette of the running test, applied to every Shopify client the test creates (including child jobs)
+let activeCassette = null;
+
+/**
+ * Get the operation name of a GraphQL query for messages, e.g. "GetRecentOrders"
+ */
+function getOperationName(query) {
+  const match = /\b(?:query|mutation)\s+(\w+)/.exec(query || '');
+  return match ? match[1] : 'anonymous operation';
+}
+
+/**
+ * Serialize a value with sorted object keys, so variables match regardless of key order
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * Get the key requests are matched by: the query without formatting and the variables
+ */
+function getRequestKey(query, variables) {
+  return `${(query || '').replace(/\s+/g, ' ').trim()}\n${stableStringify(variables)}`;
+}
+
+/**
+ * Get the key file requests are matched by: the method and URL
+ */
+function getFetchKey(method, url) {
+  return `${method.toUpperCase()} ${url}`;
+}
+
+/**
+ * Get the key of a recorded interaction, a GraphQL call or a file request
+ */
+function getInteractionKey(interaction) {
+  return interaction.url ? getFetchKey(interaction.method, interaction.url) : getRequestKey(interaction.query, interaction.variables);
+}
+
+/**
+ * Load a cassette's interactions
+ * @param {string} cassettePath - The cassette file
+ * @returns {Array<Object>} The recorded { operation, query, variables, response or error, deprecations }, and file
+ * requests as { operation: 'fetch', method, url, status, statusText, body or error }
+ */
+export function loadCassetteInteractions(cassettePath) {
+  if (!fs.existsSync(cassettePath)) {
+    throw new Error(`Cassette not found: ${cassettePath}. Record one with --record first.`);
+  }
+  const cassette = JSON.parse(fs.readFileSync(cassettePath, 'utf8'));
+  if (cassette.version !== CASSETTE_VERSION) {
+    throw new Error(`Unsupported cassette version ${cassette.version} in ${cassettePath}. Record it again with --record.`);
+  }
+  return cassette.interactions;
+}
+
+/**
+ * Start recording or replaying the Shopify calls of a test run
+ * `--record [file]` saves every shopify.graphql request and its response (or error) in a cassette next to the job,
+ * along with the files shopify.fetch uploads and downloads for bulk operations. `--replay [file]` answers the calls
+ * from the cassette in order and fails on requests it doesn't have.
+ * @param {string} cliDirname - The directory where cli.js is located (project root)
+ * @param {string} jobPath - The job path, e.g. "local/jobs/order/fetch"
+ * @param {Object} options - CLI options with record or replay, true or a cassette path relative to the job directory
+ * @returns {Object|null} The cassette, finish() it when the test is done, or null without --record or --replay
+ */
+export function startTestCassette(cliDirname, jobPath, options) {
+  if (options.record && options.replay) {
+    throw new Error('Use either --record or --replay, not both');
+  }
+  const mode = options.record ? 'record' : options.replay ? 'replay' : null;
+  if (!mode) {
+    return null;
+  }
+
+  const file = typeof options[mode] === 'string' ? options[mode] : DEFAULT_CASSETTE;
+  const cassettePath = path.resolve(cliDirname, jobPath, file);
+  const interactions = mode === 'replay' ? loadCassetteInteractions(cassettePath) : [];
+  const used = new Set();
+
+  console.log(chalk.blue(mode === 'record'
+    ? `Recording Shopify calls to ${path.relative(cliDirname, cassettePath)}`
+    : `Replaying Shopify calls from ${path.relative(cliDirname, cassettePath)} (${interactions.length} recorded)`));
+
+  /**
+   * Answer a request from the first recorded interaction for it that hasn't been used yet
+   */
+  function takeInteraction(key, description) {
+    const index = interactions.findIndex((interaction, i) => !used.has(i) && getInteractionKey(interaction) === key);
+    if (index === -1) {
+      throw new Error(`No recorded response for ${description} in the cassette. Record it again with --record.`);
+    }
+    used.add(index);
+    return interactions[index];
+  }
+
+  /**
+   * Answer a GraphQL request from the cassette
+   */
+  async function replay(query, variables) {
+    const interaction = takeInteraction(getRequestKey(query, variables),
+      `${getOperationName(query)} with variables ${JSON.stringify(variables)}`);
+    for (const notice of interaction.deprecations || []) {
+      await reportDeprecation(notice);
+    }
+    if (interaction.error) {
+      throw new Error(interaction.error);
+    }
+    return interaction.response;
+  }
+
+  /**
+   * Call Shopify and keep the request with its response or error, and the deprecation notices it got
+   */
+  async function record(graphql, query, variables, requestOptions = {}) {
+    const interaction = { operation: getOperationName(query), query, variables };
+    interactions.push(interaction);
+
+    const deprecations = [];
+    const onDeprecation = async (notice) => {
+      deprecations.push(notice);
+      await requestOptions.onDeprecation?.(notice);
+    };
+    try {
+      interaction.response = await graphql(query, variables, { ...requestOptions, onDeprecation });
+      return interaction.response;
+    } catch (error) {
+      interaction.error = error.message;
+      throw error;
+    } finally {
+      if (deprecations.length > 0) {
+        interaction.deprecations = deprecations;
+      }
+    }
+  }
+
+  /**
+   * Answer a file request from the cassette, replays never reach the network
+   */
+  function replayFetch(url, init = {}) {
+    const method = init.method || 'GET';
+    const interaction = takeInteraction(getFetchKey(method, url), `${method} ${url}`);
+    if (interaction.error) {
+      throw new Error(interaction.error);
+    }
+    return new Response(interaction.body, { status: interaction.status, statusText: interaction.statusText });
+  }
+
+  /**
+   * Request a file and keep the request with its response, the body is read so it can be saved
+   */
+  async function recordFetch(fetchFile, url, init = {}) {
+    const interaction = { operation: 'fetch', method: (init.method || 'GET').toUpperCase(), url: String(url) };
+    interactions.push(interaction);
+    try {
+      const response = await fetchFile(url, init);
+      Object.assign(interaction, { status: response.status, statusText: response.statusText, body: await response.text() });
+      return new Response(interaction.body, { status: interaction.status, statusText: interaction.statusText });
+    } catch (error) {
+      interaction.error = error.message;
+      throw error;
+    }
+  }
+
+  activeCassette = {
+    replaying: mode === 'replay',
+
+
+    /**
+     * Route a Shopify client's GraphQL calls and file requests through the cassette
+     * @param {Object} shopify - The Shopify client
+     * @returns {Object} The same client
+     */
+    wrap(shopify) {
+      const graphql = shopify.graphql;
+      const fetchFile = shopify.fetch;
+      shopify.graphql = async (query, variables = {}, requestOptions) => mode === 'record'
+        ? record(graphql, query, variables, requestOptions)
+        : replay(query, variables);
+      shopify.fetch = async (url, init) => mode === 'record'
+        ? recordFetch(fetchFile, url, init)
+        : replayFetch(String(url), init);
+      return shopify;
+    },
+
+    /**
+     * Save a recording, or warn about recorded calls a replay didn't make
+     */
+    finish() {
+      activeCassette = null;
+      if (mode === 'record') {
+        fs.mkdirSync(path.dirname(cassettePath), { recursive: true });
+        fs.writeFileSync(cassettePath, JSON.stringify({
+          version: CASSETTE_VERSION,
+          recordedAt: new Date().toISOString(),
+          interactions
+        }, null, 2) + '\n');
+        console.log(chalk.blue(`Recorded ${interactions.length} Shopify calls to ${path.relative(cliDirname, cassettePath)}`));
+        return;
+      }
+
+      const unused = interactions.length - used.size;
+      if (unused > 0) {
+        console.log(chalk.yellow(`${unused} recorded Shopify calls were not made, the job may have changed since the cassette was recorded`));
+      }
+    }
+  };
+  return activeCassette;
+}
+
+/**
+ * Route a Shopify client through the running test's cassette, if there is one
+ * @param {Object} shopify - The Shopify client
+ * @returns {Object} The client
+ */
+export function applyTestCassette(shopify) {
+  return activeCassette ? activeCassette.wrap(shopify) : shopify;
+}
+
+/**
+ * Check whether the running test replays a cassette, so it doesn't need a Shopify access token
+ * @returns {boolean} Whether a cassette is being replayed
+ */
+export function isReplayingTestCassette() {
+  return Boolean(activeCassette?.replaying);
+}
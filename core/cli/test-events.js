@@ -0,0 +1,66 @@
+import chalk from 'chalk';
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import { DEFAULT_EVENT_TIMEOUT, getEventType } from '../shared/workflow-events.js';
+
+// Answer to the event prompt that fails the wait like an expired timeout
+const TIMEOUT_ANSWER = 'timeout';
+
+/**
+ * Ask for an event payload on the terminal
+ */
+function promptForEvent(question) {
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout
+  });
+
+  return new Promise((resolve) => {
+    rl.question(question, (answer) => {
+      rl.close();
+      resolve(answer.trim());
+    });
+  });
+}
+
+/**
+ * Create the CLI version of step.waitForEvent
+ * Events come from the fixtures in `test.events` of the job config, keyed by event type with paths relative to
+ * the job directory, e.g. { "events": { "approval": "fixtures/approval.json" } }. Without a fixture the CLI asks
+ * for the payload as JSON when it runs in a terminal.
+ * @param {string} cliDirname - The directory where cli.js is located (project root)
+ * @param {string} jobPath - The job path, e.g. "local/jobs/order/approve"
+ * @param {Object} jobConfig - The job configuration
+ * @returns {Function} waitForEvent(name, options) resolving to { payload, timestamp, type }
+ */
+export function createTestEventWaiter(cliDirname, jobPath, jobConfig) {
+  return async (name, options = {}) => {
+    const type = getEventType(name, options);
+    console.log(chalk.blue(`→ Wait for event: ${name} (${type}, timeout ${options.timeout || DEFAULT_EVENT_TIMEOUT})`));
+
+    const fixture = jobConfig.test?.events?.[type];
+    if (fixture) {
+      const fixturePath = path.resolve(cliDirname, jobPath, fixture);
+      if (!fs.existsSync(fixturePath)) {
+        throw new Error(`Event fixture not found: ${fixturePath}. Please ensure the file exists at the path in test.events.${type}.`);
+      }
+      console.log(`Using ${type} event from: ${fixture}`);
+      return { payload: JSON.parse(fs.readFileSync(fixturePath, 'utf8')), timestamp: new Date(), type };
+    }
+
+    if (!process.stdin.isTTY) {
+      throw new Error(`No fixture for the ${type} event. Add "test": { "events": { "${type}": "<file>.json" } } to the job config.`);
+    }
+
+    const answer = await promptForEvent(`  ${type} event payload as JSON (empty for {}, "${TIMEOUT_ANSWER}" to time out): `);
+    if (answer === TIMEOUT_ANSWER) {
+      throw new Error(`Timed out waiting for ${type} event`);
+    }
+    try {
+      return { payload: answer ? JSON.parse(answer) : {}, timestamp: new Date(), type };
+    } catch (error) {
+      throw new Error(`Invalid ${type} event payload: ${error.message}`);
+    }
+  };
+}
@@ -3,9 +3,17 @@ import fs from 'fs';
 import path from 'path';
 import { loadJobConfig, loadTriggerConfig } from './job-discovery.js';
 import { hmacSha256 } from '../shared/crypto.js';
-import { getShopConfigWithSecret } from '../shared/config-helpers.js';
+import { SHOPIFY_WEBHOOK_ID_HEADER, SHOPWORKER_WEBHOOK_ID_HEADER } from '../shared/idempotency.js';
+import { getShopConfigWithSecret, loadSecrets } from '../shared/config-helpers.js';
+import { createTestCredentials } from './test-auth.js';
+import { addPayloadToQuery, isBodylessMethod, resolveTestRoute } from './test-routes.js';
+import { encodeTestBody, loadWebrequestFixture } from './test-body.js';
+import { isTextContentType } from '../shared/webrequest-response.js';
+import { FLOW_ACTION_TRIGGER } from '../shared/flow-action.js';
 import { findSampleRecordForJob } from './test-runner.js';
 
+const COMPLIANCE_ROUTE = '/_compliance';
+
 /**
  * Validates and retrieves the worker URL for remote testing
  * @param {string} workerUrlOption - The worker URL option from command line
@@ -81,7 +89,7 @@ function applyJobConfigOverrides(jobConfig, options) {
  */
 export async function loadShopworkerWebhookFixture(cliDirname, jobPath, jobConfig) {
   if (!jobConfig.test || !jobConfig.test.webhookPayload) {
-    throw new Error(`Job ${jobPath} has trigger 'webhook' but is missing 'test.webhookPayload' file path in config.json`);
+    throw new Error(`Job ${jobPath} has trigger '${jobConfig.trigger}' but is missing 'test.webhookPayload' file path in config.json`);
   }
 
   // Resolve the payload path relative to the job directory
@@ -163,11 +171,15 @@ export function prepareShopifyWebhookRequest(workerUrl, jobPath, payload, shopDo
  * @param {string} shopDomain - The shop domain
  * @param {boolean} isShopworkerWebhook - Whether this is a Shopworker webhook trigger
  * @param {string} triggerType - The trigger type (e.g., 'webrequest', 'webhook', etc.)
+ * @param {string} [webhookId] - Delivery ID to send (a new one is generated if omitted)
+ * @param {Object} [requestHeaders] - Extra headers for webrequest jobs, like credentials or the fixture's Content-Type
+ * @param {string} [method] - HTTP method, bodyless methods send the payload in the URL instead
  * @returns {Promise<void>}
  */
-export async function sendTestShopifyWebhook(shopifyWebhookAddress, shopifyWebhookPayload, shopConfig, shopifyWebhookTopic, shopDomain, isShopworkerWebhook = false, triggerType = null) {
-  // Convert payload to string
-  const payloadString = JSON.stringify(shopifyWebhookPayload);
+export async function sendTestShopifyWebhook(shopifyWebhookAddress, shopifyWebhookPayload, shopConfig, shopifyWebhookTopic, shopDomain, isShopworkerWebhook = false, triggerType = null, webhookId = null, requestHeaders = {}, method = 'POST') {
+  // Convert payload to string, webrequest fixtures in other formats arrive already encoded
+  const isEncoded = typeof shopifyWebhookPayload === 'string' || Buffer.isBuffer(shopifyWebhookPayload);
+  const payloadString = isEncoded ? shopifyWebhookPayload : JSON.stringify(shopifyWebhookPayload);
 
   let topic = shopifyWebhookTopic;
   let webhookType = "Shopify webhook";
@@ -179,9 +191,9 @@ export async function sendTestShopifyWebhook(shopifyWebhookAddress, shopifyWebho
     topic = 'shopworker/webhook';
     webhookType = "Shopworker webhook";
   }
-  console.log(chalk.blue(`Sending test ${webhookType} to: ${shopifyWebhookAddress}`));
+  console.log(chalk.blue(`Sending test ${webhookType} to: ${method} ${shopifyWebhookAddress}`));
   console.log(chalk.blue(`Topic: ${topic}`));
-  console.log(chalk.dim(`Payload: ${payloadString.substring(0, 100)}${payloadString.length > 100 ? '...' : ''}`));
+  console.log(chalk.dim(`Payload: ${String(payloadString).substring(0, 100)}${payloadString.length > 100 ? '...' : ''}`));
 
   // Import fetch for Node.js environment
   const fetch = (await import('node-fetch')).default;
@@ -196,13 +208,17 @@ export async function sendTestShopifyWebhook(shopifyWebhookAddress, shopifyWebho
 
     if (triggerType === 'webrequest') {
       // For webrequest triggers, no authentication required
-      console.log(chalk.gray("No authentication required for webrequest triggers"));
+      console.log(chalk.gray("Webrequest triggers are not signed as Shopify webhooks"));
+      // Webrequests don't use the shop domain header, so select the shop explicitly
+      headers['X-Shopworker-Shop'] = shopDomain;
+      Object.assign(headers, requestHeaders);
     } else if (isShopworkerWebhook) {
       // For Shopworker webhooks, use the shopworker webhook secret as a header
       if (!shopConfig.shopworker_webhook_secret) {
         throw new Error(`Shopworker webhook secret not found in shop config. Make sure shopworker_webhook_secret is defined in .shopworker.json.`);
       }
       headers['X-Shopworker-Webhook-Secret'] = shopConfig.shopworker_webhook_secret;
+      headers[SHOPWORKER_WEBHOOK_ID_HEADER] = webhookId || crypto.randomUUID();
     } else {
       // For Shopify webhooks, generate HMAC signature using API secret
       if (!shopConfig.shopify_api_secret_key) {
@@ -210,20 +226,32 @@ export async function sendTestShopifyWebhook(shopifyWebhookAddress, shopifyWebho
       }
       const hmacSignature = await hmacSha256(shopConfig.shopify_api_secret_key, payloadString);
       headers['X-Shopify-Hmac-Sha256'] = hmacSignature;
+      headers[SHOPIFY_WEBHOOK_ID_HEADER] = webhookId || crypto.randomUUID();
     }
 
     console.log(chalk.gray(`Headers: ${JSON.stringify(headers)}`));
     const response = await fetch(shopifyWebhookAddress, {
-      method: 'POST',
+      method,
       headers,
-      body: payloadString
+      body: isBodylessMethod(method) ? undefined : payloadString,
+      // Show webrequest redirects instead of following them
+      redirect: 'manual'
     });
 
-    if (response.ok) {
+    const location = response.headers.get('Location');
+    if (location && response.status >= 300 && response.status < 400) {
+      console.log(chalk.green(`Successfully sent test ${webhookType} and received redirect ${response.status} to ${location}`));
+    } else if (response.ok) {
       console.log(chalk.green(`Successfully sent test ${webhookType} and received response ${response.status}`));
-      const responseText = await response.text();
-      if (responseText) {
-        console.log(chalk.dim(`Response: ${responseText}`));
+      const contentType = response.headers.get('Content-Type');
+      if (isTextContentType(contentType)) {
+        const responseText = await response.text();
+        if (responseText) {
+          console.log(chalk.dim(`Response: ${responseText}`));
+        }
+      } else {
+        const body = await response.arrayBuffer();
+        console.log(chalk.dim(`Response: <${body.byteLength} bytes of ${contentType || 'binary data'}>`));
       }
     } else {
       console.error(chalk.red(`Failed to send test ${webhookType}. Status: ${response.status}`));
@@ -250,7 +278,7 @@ export async function runJobRemoteTest(cliDirname, jobPath, options) {
   const workerUrl = validateWorkerUrl(options.worker);
 
     // Load job and trigger configs
-  const { jobConfig, shopifyWebhookTopic } = await loadJobConfigsForRemoteTest(jobPath);
+  const { jobConfig, triggerConfig, shopifyWebhookTopic } = await loadJobConfigsForRemoteTest(jobPath);
 
   // Apply any job config overrides
   const configToUse = applyJobConfigOverrides(jobConfig, options);
@@ -259,6 +287,7 @@ export async function runJobRemoteTest(cliDirname, jobPath, options) {
   const { shopConfig, shopDomain } = getShopConfigWithSecret(cliDirname, configToUse.shop, options.shop);
 
   let payload;
+  let testBody = null;
   let isShopworkerWebhook = false;
 
   // Check trigger type and prepare appropriate payload
@@ -278,6 +307,18 @@ export async function runJobRemoteTest(cliDirname, jobPath, options) {
     payload = await loadShopworkerWebhookFixture(cliDirname, jobPath, configToUse);
     isShopworkerWebhook = true;
     console.log(chalk.yellow("Using Shopworker webhook fixture data for remote test"));
+  } else if (triggerConfig?.compliance) {
+    // Compliance webhooks are sent signed like Shopify would, with the fixture as payload
+    payload = await loadShopworkerWebhookFixture(cliDirname, jobPath, configToUse);
+    console.log(chalk.yellow("Using compliance webhook fixture data for remote test"));
+  } else if (configToUse.trigger === FLOW_ACTION_TRIGGER) {
+    // Flow names the shop in the request body, so the fixture is sent for the shop being tested
+    payload = { ...(await loadShopworkerWebhookFixture(cliDirname, jobPath, configToUse)), shopify_domain: shopDomain };
+    console.log(chalk.yellow("Using Flow action request fixture for remote test"));
+  } else if (triggerConfig?.fixturePayload) {
+    // Webhooks without records to query, like bulk_operations/finish, are sent with the fixture as payload
+    payload = await loadShopworkerWebhookFixture(cliDirname, jobPath, configToUse);
+    console.log(chalk.yellow("Using webhook fixture data for remote test"));
   } else if (configToUse.trigger === 'webrequest') {
     // For webrequest triggers, load the test payload directly
     if (!configToUse.test || !configToUse.test.webhookPayload) {
@@ -291,8 +332,7 @@ export async function runJobRemoteTest(cliDirname, jobPath, options) {
     
     console.log(`Loading webrequest payload from: ${configToUse.test.webhookPayload}`);
     try {
-      const payloadContent = fs.readFileSync(payloadPath, 'utf8');
-      payload = JSON.parse(payloadContent);
+      ({ record: payload, testBody } = loadWebrequestFixture(payloadPath, configToUse));
     } catch (error) {
       throw new Error(`Failed to load webrequest payload from ${payloadPath}: ${error.message}`);
     }
@@ -317,8 +357,46 @@ export async function runJobRemoteTest(cliDirname, jobPath, options) {
     configOverrides.batchSize = options.batchSize;
   }
   const finalConfigOverrides = Object.keys(configOverrides).length > 0 ? configOverrides : null;
-  const { shopifyWebhookAddress, shopifyWebhookPayload } = prepareShopifyWebhookRequest(workerUrl, jobPath, payload, shopDomain, finalConfigOverrides);
+  let { shopifyWebhookAddress, shopifyWebhookPayload } = prepareShopifyWebhookRequest(workerUrl, jobPath, payload, shopDomain, finalConfigOverrides);
+
+  // Shopify sends every compliance topic to the compliance URL, which runs all jobs for the topic
+  if (triggerConfig?.compliance) {
+    shopifyWebhookAddress = new URL(COMPLIANCE_ROUTE, workerUrl).toString();
+  }
+
+  // Webrequest jobs are sent to their route, with the same credentials a real caller would send
+  const requestHeaders = {};
+  let method = 'POST';
+  if (configToUse.trigger === 'webrequest') {
+    const route = resolveTestRoute(jobPath, configToUse, options);
+    method = route.method;
+
+    const routeUrl = new URL(route.path, workerUrl);
+    let rawBody = '';
+    if (isBodylessMethod(method)) {
+      addPayloadToQuery(routeUrl, shopifyWebhookPayload);
+    } else if (testBody) {
+      // Fixtures in other formats are sent encoded, with their own Content-Type
+      let contentType;
+      ({ contentType, body: shopifyWebhookPayload, rawBody } = await encodeTestBody(payload, testBody));
+      requestHeaders['Content-Type'] = contentType;
+    } else {
+      rawBody = JSON.stringify(shopifyWebhookPayload);
+    }
+
+    const credentials = await createTestCredentials({
+      url: routeUrl.toString(),
+      rawBody,
+      jobConfig: configToUse,
+      shopConfig,
+      shopDomain,
+      secrets: loadSecrets(cliDirname),
+      options
+    });
+    shopifyWebhookAddress = credentials.url;
+    Object.assign(requestHeaders, credentials.headers);
+  }
 
   // Send test webhook
-  await sendTestShopifyWebhook(shopifyWebhookAddress, shopifyWebhookPayload, shopConfig, shopifyWebhookTopic, shopDomain, isShopworkerWebhook, configToUse.trigger);
+  await sendTestShopifyWebhook(shopifyWebhookAddress, shopifyWebhookPayload, shopConfig, shopifyWebhookTopic, shopDomain, isShopworkerWebhook, configToUse.trigger, options.webhookId, requestHeaders, method);
 }
@@ -0,0 +1,91 @@
+import { ANY_METHOD, findRoute, parseRoute } from '../shared/routes.js';
+
+// Methods that send the payload as query parameters instead of a body
+const BODYLESS_METHODS = ['GET', 'HEAD'];
+
+// Methods the worker accepts for webrequest jobs addressed by name
+const NAMED_JOB_METHODS = ['GET', 'POST'];
+
+/**
+ * Create an error describing how the worker would answer an unmatched request
+ */
+function createRouteError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Pick the path and method a test webrequest is sent with
+ * Jobs without routes are reached by name, routed jobs use --path and --method or their first route
+ * @param {string} jobPath - The job path
+ * @param {Object} jobConfig - The job configuration
+ * @param {Object} options - CLI options (path, method)
+ * @returns {{method: string, path: string, params: Object}} The request path (with any query string),
+ * method and the params the worker would capture
+ */
+export function resolveTestRoute(jobPath, jobConfig, options = {}) {
+  const requestedMethod = options.method?.toUpperCase();
+
+  if (!jobConfig.routes?.length) {
+    const method = requestedMethod || 'POST';
+    if (!NAMED_JOB_METHODS.includes(method)) {
+      throw createRouteError(`Method ${method} is not allowed for jobs without routes (allowed: ${NAMED_JOB_METHODS.join(', ')})`, 405);
+    }
+
+    // Jobs without routes are only reachable by name, so only the query string of --path applies
+    const jobName = jobPath.replace(/^(local|core)\/jobs\//, '');
+    const { search } = new URL(options.path || '/', 'https://shopworker.test');
+    return { method, path: `/${jobName}${search}`, params: {} };
+  }
+
+  let path = options.path;
+  let method = requestedMethod;
+  if (!path) {
+    const route = parseRoute(jobConfig.routes[0]);
+    if (route.segments.some(segment => segment.startsWith(':'))) {
+      throw new Error(`Job ${jobPath} routes have path parameters, pass a path with --path (e.g. ${route.path})`);
+    }
+    path = route.path;
+    method ||= route.method;
+  }
+
+  const { pathname } = new URL(path, 'https://shopworker.test');
+  if (!method) {
+    // Use the method of the first route on the path
+    const onPath = findRoute(jobConfig.routes, ANY_METHOD, pathname);
+    method = onPath.methods[0];
+  }
+  if (!method || method === ANY_METHOD) {
+    method = 'POST';
+  }
+
+  const { route, params, methods } = findRoute(jobConfig.routes, method, pathname);
+  if (!route) {
+    throw methods.length
+      ? createRouteError(`Method ${method} is not allowed for ${pathname} (allowed: ${methods.join(', ')})`, 405)
+      : createRouteError(`No route of ${jobPath} matches ${pathname}`, 404);
+  }
+
+  return { method, path, params };
+}
+
+/**
+ * Check whether a method sends its payload as query parameters
+ * @param {string} method - The request method
+ * @returns {boolean} Whether the request has no body
+ */
+export function isBodylessMethod(method) {
+  return BODYLESS_METHODS.includes(method);
+}
+
+/**
+ * Add a payload to a URL as query parameters, the way the worker reads bodyless requests
+ * @param {URL} url - The request URL, modified in place
+ * @param {Object} payload - The payload
+ */
+export function addPayloadToQuery(url, payload) {
+  for (const [key, value] of Object.entries(payload || {})) {
+    url.searchParams.set(key, typeof value === 'string' ? value : JSON.stringify(value));
+  }
+}
@@ -3,6 +3,27 @@ import path from 'path';
 import { pathToFileURL } from 'url';
 import { sendEmail, validateCredentials } from '../connectors/resend.js';
 import { isWorkerEnvironment } from '../shared/env.js';
+import { createIdempotencyStore, getDeliveryKey } from '../shared/idempotency.js';
+import { evaluateFilter } from '../shared/payload-filter.js';
+import { withConcurrencyLock } from '../shared/concurrency.js';
+import { createChildJobApi } from '../shared/child-jobs.js';
+import { parseWorkflowDuration } from '../shared/workflow-events.js';
+import { verifyWebrequestAuth } from '../shared/webrequest-auth.js';
+import { getRequestContext } from '../shared/routes.js';
+import { createTestCredentials } from './test-auth.js';
+import { addPayloadToQuery, isBodylessMethod, resolveTestRoute } from './test-routes.js';
+import { applyTestBodyOverrides, encodeTestBody, loadWebrequestFixture } from './test-body.js';
+import { createTestEventWaiter } from './test-events.js';
+import { startTestCassette } from './test-cassette.js';
+import { MULTIPART_BODY, parseWebrequestBody, saveUploadedFiles } from '../shared/request-body.js';
+import { createWebrequestResponse, isTextContentType } from '../shared/webrequest-response.js';
+import {
+  FLOW_ACTION_TRIGGER,
+  createFlowActionResponseBody,
+  getFlowActionPayload,
+  isSynchronousFlowAction,
+  parseFlowActionRequest
+} from '../shared/flow-action.js';
 
 /**
  * Parse command-line parameters from various formats
@@ -68,47 +89,196 @@ import { loadJobConfig, loadTriggerConfig } from './job-discovery.js';
 import { initShopify } from '../shared/shopify.js';
 import { getShopConfig, loadSecrets } from '../shared/config-helpers.js';
 
+// Tests have no durable sleep to emulate, so longer sleeps are cut short. Lock retries and bulk polling still work.
+const MAX_TEST_SLEEP_MS = 5000;
+
 /**
- * Display a webrequest response in appropriate format
- * @param {Object} result - The job result to display
+ * Display the HTTP response the worker would send for a webrequest job result
+ * @param {Object|Response} result - The job result to display
+ * @param {Object} options - CLI options (output)
  */
-function displayWebrequestResponse(result) {
+async function displayWebrequestResponse(result, options = {}) {
   console.log(chalk.green('\n📤 Webrequest Response:'));
-  
-  const isTextResponse = result.headers?.['Content-Type'] === 'text/plain';
-  
-  if (isTextResponse) {
-    displayTextResponse(result);
+
+  const response = createWebrequestResponse(result);
+  console.log(chalk.gray('Status:'), response.status);
+  for (const [name, value] of response.headers) {
+    console.log(chalk.gray(`${name}:`), value);
+  }
+
+  const location = response.headers.get('Location');
+  if (location) {
+    console.log(chalk.cyan(`↪ Redirects to ${location}`));
+  }
+
+  const body = Buffer.from(await response.arrayBuffer());
+  if (options.output) {
+    fs.writeFileSync(options.output, body);
+    console.log(chalk.green(`✓ Saved response body (${body.length} bytes) to ${options.output}`));
+    return;
+  }
+
+  if (body.length === 0) {
+    return;
+  }
+
+  const contentType = response.headers.get('Content-Type');
+  if (isTextContentType(contentType)) {
+    displayTextResponse(body.toString('utf8'), contentType);
   } else {
-    displayJsonResponse(result);
+    displayBinaryResponse(body, response.headers);
   }
 }
 
+/**
+ * Display the response the worker would send Flow for a synchronous action
+ * @param {*} result - The job result
+ */
+function displayFlowActionResponse(result) {
+  console.log(chalk.green('\n📤 Flow Action Response:'));
+  displayJsonResponse(createFlowActionResponseBody(result));
+}
+
 /**
  * Display a text response with formatting
- * @param {Object} result - The job result with text body
+ * @param {string} text - The response body
+ * @param {string} contentType - The response Content-Type
  */
-function displayTextResponse(result) {
-  console.log(chalk.gray('Status:'), result.statusCode);
-  console.log(chalk.gray('Content-Type:'), 'text/plain');
+function displayTextResponse(text, contentType) {
+  if (contentType.includes('json')) {
+    try {
+      displayJsonResponse(JSON.parse(text));
+      return;
+    } catch (error) {
+      // Not valid JSON, show it as text
+    }
+  }
+
   console.log(chalk.gray('\n--- Response Body ---\n'));
-  console.log(result.body);
+  console.log(text);
   console.log(chalk.gray('\n--- End Response ---'));
 }
 
 /**
  * Display a JSON response with formatting
- * @param {Object} result - The job result to display as JSON
+ * @param {Object} body - The parsed response body
+ */
+function displayJsonResponse(body) {
+  console.log(JSON.stringify(body, null, 2));
+}
+
+/**
+ * Summarize a binary response, which isn't printed to the terminal
+ * @param {Buffer} body - The response body
+ * @param {Headers} headers - The response headers
  */
-function displayJsonResponse(result) {
-  console.log(JSON.stringify(result, null, 2));
+function displayBinaryResponse(body, headers) {
+  console.log(chalk.gray(`\n<${body.length} bytes of binary data>`));
+  const disposition = headers.get('Content-Disposition');
+  const filename = disposition?.match(/filename="([^"]+)"/)?.[1];
+  console.log(chalk.yellow(`Use --output ${filename || '<file>'} to save it`));
+}
+
+/**
+ * Print why the worker would reject a test webrequest
+ */
+function displayRejection(error) {
+  console.log(chalk.red(`\n✗ The worker would reject this request with ${error.statusCode}: ${error.message}`));
+  if (error.headers) {
+    console.log(chalk.gray(`Headers: ${JSON.stringify(error.headers)}`));
+  }
+}
+
+/**
+ * Build the request the worker would receive for a webrequest, then run its route matching and auth verification
+ * @param {string} jobPath - The job path
+ * @param {Object} jobConfig - The job configuration
+ * @param {Object} shopConfig - The shop configuration
+ * @param {Object} secrets - Local secrets from .secrets
+ * @param {Object} record - The JSON payload
+ * @param {Object|null} testBody - A fixture in another body format
+ * @param {Object} options - CLI options
+ * @returns {Promise<{auth: Object|null, payload: any, requestContext: Object|null, rejected: boolean}>} The auth context,
+ * parsed payload and request details passed to the job, or whether the worker would reject the request
+ */
+async function prepareTestWebrequest(jobPath, jobConfig, shopConfig, secrets, record, testBody, options) {
+  let route;
+  try {
+    route = resolveTestRoute(jobPath, jobConfig, options);
+  } catch (error) {
+    if (error.statusCode) {
+      displayRejection(error);
+    } else {
+      console.log(chalk.red(`\n✗ ${error.message}`));
+    }
+    return { auth: null, payload: null, requestContext: null, rejected: true };
+  }
+
+  // Bodyless requests carry the payload in the query string, like the worker expects
+  const testUrl = new URL(route.path, 'https://shopworker.test');
+  const hasBody = !isBodylessMethod(route.method);
+  if (!hasBody) {
+    addPayloadToQuery(testUrl, record);
+  }
+  const { contentType, body, rawBody } = hasBody ? await encodeTestBody(record, testBody) : { rawBody: '' };
+  console.log(chalk.gray(`${route.method} ${testUrl.pathname}${Object.keys(route.params).length ? ` ${JSON.stringify(route.params)}` : ''}`));
+
+  const { url, headers } = await createTestCredentials({
+    url: testUrl.toString(),
+    rawBody,
+    jobConfig,
+    shopConfig,
+    shopDomain: shopConfig.shopify_domain,
+    secrets,
+    options
+  });
+
+  const request = new Request(url, {
+    method: route.method,
+    headers: { ...(contentType && { 'Content-Type': contentType }), ...headers },
+    body: hasBody ? body : undefined
+  });
+
+  // Authenticate the body's bytes, then parse it, exactly like the worker does
+  const bodyBytes = await request.clone().arrayBuffer();
+  let auth = null;
+  if (jobConfig.auth) {
+    try {
+      auth = await verifyWebrequestAuth({ request, rawBody: bodyBytes, jobConfig, shopConfig, secrets });
+      console.log(chalk.green(`✓ Request authenticated with ${jobConfig.auth.type} auth`));
+    } catch (error) {
+      if (!error.statusCode) {
+        throw error;
+      }
+      displayRejection(error);
+      return { auth: null, payload: null, requestContext: null, rejected: true };
+    }
+  }
+
+  let parsedBody;
+  try {
+    parsedBody = await parseWebrequestBody(request, bodyBytes);
+  } catch (error) {
+    if (!error.statusCode) {
+      throw error;
+    }
+    displayRejection(error);
+    return { auth: null, payload: null, requestContext: null, rejected: true };
+  }
+  const requestContext = { ...getRequestContext(request, route.params), rawBody: parsedBody.rawBody };
+
+  const payload = jobConfig.uploads && parsedBody.bodyType === MULTIPART_BODY
+    ? await saveUploadedFiles(parsedBody.body, jobConfig.uploads, process.env)
+    : parsedBody.body;
+
+  return { auth, payload, requestContext, rejected: false };
 }
 
 /**
  * Find a sample record for testing a job
  * @param {string} cliDirname - The directory where cli.js is located (project root)
  * @param {string} jobPath - The job path relative to jobs/
- * @param {Object} options - Options object containing query, shop, params, etc.
+ * @param {Object} options - Options object containing query, shop, params, payload (to replay a failed run), etc.
  * @returns {Promise<{record: Object, recordName: string, shopify: Object, triggerConfig: Object, jobConfig: Object}>}
  * The sample record and related configuration
  */
@@ -133,10 +303,24 @@ export async function findSampleRecordForJob(cliDirname, jobPath, options = {})
     // Create a copy of jobConfig with overridden shop
     configToUse = { ...jobConfig, shop: shopConfig.name };
     console.log(chalk.yellow(`Overriding shop with: ${shopConfig.name} (${shopConfig.shopify_domain})`));
+  } else if (!jobConfig.shop && Array.isArray(jobConfig.shops)) {
+    // Jobs that run for a list of shops are tested against the first one
+    configToUse = { ...jobConfig, shop: jobConfig.shops[0] };
   }
 
   const shopify = await initShopify(cliDirname, jobPath, shopParam);
 
+  // Replayed runs use the payload they failed with
+  if (options.payload) {
+    return {
+      record: options.payload,
+      recordName: 'replayed-payload',
+      shopify,
+      triggerConfig,
+      jobConfig: configToUse
+    };
+  }
+
   if (jobConfig.trigger === 'manual') {
     return {
       record: {},
@@ -150,6 +334,7 @@ export async function findSampleRecordForJob(cliDirname, jobPath, options = {})
   // Handle webrequest triggers with test payloads
   if (jobConfig.trigger === 'webrequest') {
     let record = {};
+    let testBody = null;
     
     // Check if test configuration exists and file is present
     if (jobConfig.test && jobConfig.test.webhookPayload) {
@@ -159,8 +344,7 @@ export async function findSampleRecordForJob(cliDirname, jobPath, options = {})
         console.log("Loading webrequest payload from fixtures...");
         console.log(`Using webrequest payload from: ${jobConfig.test.webhookPayload}`);
         try {
-          const payloadContent = fs.readFileSync(payloadPath, 'utf8');
-          record = JSON.parse(payloadContent);
+          ({ record, testBody } = loadWebrequestFixture(payloadPath, jobConfig));
         } catch (error) {
           throw new Error(`Failed to load webrequest payload from ${payloadPath}: ${error.message}`);
         }
@@ -177,13 +361,18 @@ export async function findSampleRecordForJob(cliDirname, jobPath, options = {})
     // Apply command-line parameter overrides if provided
     if (options.params) {
       const paramOverrides = parseParams(options.params);
-      record = { ...record, ...paramOverrides };
-      console.log(chalk.yellow('Applied parameter overrides:'), paramOverrides);
+      if (!testBody) {
+        record = { ...record, ...paramOverrides };
+        console.log(chalk.yellow('Applied parameter overrides:'), paramOverrides);
+      } else {
+        testBody = applyTestBodyOverrides(testBody, paramOverrides);
+      }
     }
     
     const recordName = `webrequest-payload`;
     return {
       record,
+      testBody,
       recordName,
       shopify,
       triggerConfig,
@@ -191,18 +380,55 @@ export async function findSampleRecordForJob(cliDirname, jobPath, options = {})
     };
   }
 
-  // Check if this is a webhook job and validate required test configuration
-  if (jobConfig.trigger === 'webhook') {
+  // Flow action fixtures are request bodies as Flow sends them, mapped to the payload the worker passes the job
+  if (jobConfig.trigger === FLOW_ACTION_TRIGGER) {
+    if (!jobConfig.test?.webhookPayload) {
+      throw new Error(`Job ${jobPath} has trigger '${FLOW_ACTION_TRIGGER}' but is missing 'test.webhookPayload' file path in config.json`);
+    }
+    const payloadPath = path.resolve(cliDirname, jobPath, jobConfig.test.webhookPayload);
+    if (!fs.existsSync(payloadPath)) {
+      throw new Error(`Flow action request file not found: ${payloadPath}. Please ensure the file exists at the path specified in config.json.`);
+    }
+    console.log(`Using Flow action request from: ${jobConfig.test.webhookPayload}`);
+
+    let actionRun;
+    try {
+      actionRun = parseFlowActionRequest(fs.readFileSync(payloadPath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Failed to load Flow action request from ${payloadPath}: ${error.message}`);
+    }
+
+    // Parameter overrides set action properties, like the fields a merchant fills in
+    if (options.params) {
+      const paramOverrides = parseParams(options.params);
+      actionRun = { ...actionRun, properties: { ...actionRun.properties, ...paramOverrides } };
+      console.log(chalk.yellow('Applied parameter overrides to the action properties:'), paramOverrides);
+    }
+
+    return {
+      record: getFlowActionPayload(actionRun, configToUse),
+      recordName: `flow-action-${actionRun.handle || path.basename(payloadPath)}`,
+      shopify,
+      triggerConfig,
+      jobConfig: configToUse
+    };
+  }
+
+  // Shopworker webhooks, compliance webhooks and triggers marked fixturePayload have no records to query, so they are tested with a fixture
+  const usesPayloadFixture = jobConfig.trigger === 'webhook' || triggerConfig.compliance || triggerConfig.fixturePayload;
+
+  // Check if this is a fixture job and validate required test configuration
+  if (usesPayloadFixture) {
     if (!jobConfig.test) {
-      throw new Error(`Job ${jobPath} has trigger 'webhook' but is missing 'test' configuration in config.json`);
+      throw new Error(`Job ${jobPath} has trigger '${jobConfig.trigger}' but is missing 'test' configuration in config.json`);
     }
     if (!jobConfig.test.webhookPayload || typeof jobConfig.test.webhookPayload !== 'string') {
-      throw new Error(`Job ${jobPath} has trigger 'webhook' but is missing 'test.webhookPayload' file path in config.json`);
+      throw new Error(`Job ${jobPath} has trigger '${jobConfig.trigger}' but is missing 'test.webhookPayload' file path in config.json`);
     }
   }
 
   // Check if this is a webhook payload test
-  if (jobConfig.trigger === 'webhook' && jobConfig.test && jobConfig.test.webhookPayload) {
+  if (usesPayloadFixture && jobConfig.test && jobConfig.test.webhookPayload) {
     console.log("Loading webhook payload from fixtures...");
     // Use the path specified in jobConfig.test.webhookPayload, relative to the job directory
     const payloadPath = path.resolve(cliDirname, jobPath, jobConfig.test.webhookPayload);
@@ -302,10 +528,29 @@ export async function findSampleRecordForJob(cliDirname, jobPath, options = {})
  * Run a test for a specific job
  * @param {string} cliDirname - The directory where cli.js is located (project root)
  * @param {string} jobPath - The job path relative to jobs/
- * @param {Object} options - CLI options object containing query, shop, limit, dryRun, etc.
+ * @param {Object} options - CLI options object containing query, shop, limit, dryRun, record, replay, etc.
  */
 export async function runJobTest(cliDirname, jobPath, options) {
-  const { record, recordName, shopify, topLevelKey, jobConfig } = await findSampleRecordForJob(cliDirname, jobPath, options);
+  let cassette;
+  try {
+    cassette = startTestCassette(cliDirname, jobPath, options);
+  } catch (error) {
+    console.error(chalk.red(`✗ ${error.message}`));
+    throw error;
+  }
+
+  try {
+    await executeJobTest(cliDirname, jobPath, options);
+  } finally {
+    cassette?.finish();
+  }
+}
+
+/**
+ * Load the sample record and run the job with it
+ */
+async function executeJobTest(cliDirname, jobPath, options) {
+  const { record, testBody, recordName, shopify, topLevelKey, jobConfig } = await findSampleRecordForJob(cliDirname, jobPath, options);
 
   // Start with the base job config
   let configToUse = jobConfig;
@@ -343,6 +588,39 @@ export async function runJobTest(cliDirname, jobPath, options) {
   // Log shop domain in purple using chalk
   console.log(chalk.magenta(`Processing for shop: ${shopConfig.shopify_domain}`));
 
+  // Simulate the worker's duplicate delivery handling against the local store
+  const idempotencyStore = createIdempotencyStore(process.env);
+  const deliveryKey = options.webhookId ? getDeliveryKey(shopConfig.shopify_domain, options.webhookId) : null;
+  if (deliveryKey && await idempotencyStore.has(deliveryKey)) {
+    console.log(chalk.yellow(`Duplicate delivery ${options.webhookId}: the worker would acknowledge it without running the job.`));
+    return;
+  }
+
+  // Webrequests and synchronous Flow actions run during the request, without a workflow
+  const runsDuringRequest = jobConfig.trigger === 'webrequest' || isSynchronousFlowAction(jobConfig);
+
+  // Report whether the worker would run the job for this payload, webrequests don't have filters
+  if (configToUse.filter !== undefined && jobConfig.trigger !== 'webrequest') {
+    let filterResult;
+    try {
+      filterResult = evaluateFilter(configToUse.filter, record);
+    } catch (error) {
+      console.error(chalk.red(`✗ ${error.message}`));
+      throw error;
+    }
+
+    if (filterResult.matches) {
+      console.log(chalk.green('✓ Payload matches the job filter'));
+    } else {
+      console.log(chalk.yellow(`✗ Payload does not match the job filter: ${filterResult.failed}`));
+      if (!options.ignoreFilter) {
+        console.log(chalk.yellow('The worker would skip this job without running it. Use --ignore-filter to run it anyway.'));
+        return;
+      }
+      console.log(chalk.yellow('Running the job anyway (--ignore-filter)'));
+    }
+  }
+
   // Use path.resolve with pathToFileURL to ensure proper module resolution
   // Clean the job path (remove local/jobs or core/jobs prefix if present)
   const cleanJobPath = jobPath.replace(/^(local|core)\/jobs\//, '');
@@ -412,7 +690,18 @@ export async function runJobTest(cliDirname, jobPath, options) {
         console.log(chalk.red(`✗ Step failed: ${name}`));
         throw error;
       }
-    }
+    },
+
+    sleep: async (name, duration) => {
+      const durationMs = parseWorkflowDuration(duration);
+      const sleepMs = Math.min(durationMs, MAX_TEST_SLEEP_MS);
+      console.log(chalk.blue(durationMs > sleepMs
+        ? `→ Sleep: ${name} (${durationMs / 1000}s, cut short to ${sleepMs / 1000}s in tests)`
+        : `→ Sleep: ${name} (${durationMs / 1000}s)`));
+      await new Promise(resolve => setTimeout(resolve, sleepMs));
+    },
+
+    waitForEvent: createTestEventWaiter(cliDirname, jobPath, jobConfig)
   };
 
   // Pass process.env as env, shopConfig as shopConfig, and secrets for consistency with worker environment
@@ -423,19 +712,51 @@ export async function runJobTest(cliDirname, jobPath, options) {
     shopConfig: shopConfig,  // Pass shopConfig separately
     jobConfig: configToUse,  // Pass the job config (with potential overrides) to the process function
     secrets: secrets,    // Pass secrets to the process function
+    instanceId: `cli-${crypto.randomUUID()}`,
   };
 
-  // Only add step parameter for non-webrequest jobs
-  if (jobConfig.trigger !== 'webrequest') {
+  // Child jobs run inline, inside the parent's steps
+  Object.assign(jobParams, createChildJobApi({
+    env: process.env,
+    shopConfig,
+    shopify,
+    secrets,
+    step: runsDuringRequest ? undefined : step
+  }));
+
+  // Only jobs running in a workflow get the step parameter
+  if (!runsDuringRequest) {
     jobParams.step = step;
+  } else if (jobConfig.trigger === 'webrequest') {
+    const { auth, payload, requestContext, rejected } = await prepareTestWebrequest(jobPath, configToUse, shopConfig, secrets, record, testBody, options);
+    if (rejected) {
+      return;
+    }
+    Object.assign(jobParams, { payload, auth, ...requestContext });
   }
 
   try {
-    const result = await jobModule.process(jobParams);
-
-    // For webrequest jobs, show the response that would be returned
+    // Hold the job's concurrency lock like the workflow does, jobs answering a request run without one
+    const result = runsDuringRequest
+      ? await jobModule.process(jobParams)
+      : await withConcurrencyLock({
+        jobConfig: configToUse,
+        payload: record,
+        shopDomain: shopConfig.shopify_domain,
+        holderId: `cli-${crypto.randomUUID()}`,
+        env: process.env,
+        step
+      }, (lockedStep) => jobModule.process({ ...jobParams, step: lockedStep }));
+
+    // Show the response the caller would get
     if (jobConfig.trigger === 'webrequest') {
-      displayWebrequestResponse(result);
+      await displayWebrequestResponse(result, options);
+    } else if (isSynchronousFlowAction(jobConfig)) {
+      displayFlowActionResponse(result);
+    }
+
+    if (deliveryKey) {
+      await idempotencyStore.record(deliveryKey, { jobPath, topic: jobConfig.webhookTopic || jobConfig.trigger });
     }
 
     console.log('Processing complete!');
@@ -450,7 +771,8 @@ export async function runJobTest(cliDirname, jobPath, options) {
     // Send error notification email if configured
     const shouldSendErrorEmail = configToUse.send_email !== false;
 
-    if (shouldSendErrorEmail && shopConfig.resend_api_key) {
+    // Replayed tests stay offline
+    if (shouldSendErrorEmail && shopConfig.resend_api_key && !options.replay) {
       try {
         validateCredentials({ resend_api_key: shopConfig.resend_api_key });
 
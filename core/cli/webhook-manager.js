@@ -9,7 +9,9 @@ import {
 } from './display-formatter.js';
 import WEBHOOK_CREATE_MUTATION from '../graphql/webhookSubscriptionCreate.js';
 import WEBHOOK_DELETE_MUTATION from '../graphql/webhookSubscriptionDelete.js';
+import WEBHOOK_UPDATE_MUTATION from '../graphql/webhookSubscriptionUpdate.js';
 import GET_WEBHOOKS_QUERY from '../graphql/webhooksGet.js';
+import { FLOW_ACTION_TRIGGER, isSynchronousFlowAction } from '../shared/flow-action.js';
 import chalk from 'chalk';
 import fs from 'fs';
 import path from 'path';
@@ -50,19 +52,74 @@ function getActiveCronExpressions(cliDirname) {
 // Webhook Utility Functions
 // ===================================================================
 
+const TOPIC_ROUTE_PREFIX = '/_topic/';
+const COMPLIANCE_ROUTE = '/_compliance';
+
 function convertToGraphqlTopic(topic) {
   return topic.toUpperCase().replace('/', '_');
 }
 
-function createWebhookUrl(baseUrl, jobPath) {
-  // Use only the job name, not the full path
-  const jobName = cleanJobPath(jobPath);
-  // Create URL with job name in the path, not as a query parameter
+/**
+ * Create the topic router URL that delivers a topic to each member job
+ */
+function createTopicRouterUrl(baseUrl, topic, jobNames) {
   const webhookUrl = new URL(baseUrl);
-  webhookUrl.pathname = `/${jobName}`;
+  webhookUrl.pathname = `${TOPIC_ROUTE_PREFIX}${topic}`;
+  // Set the query directly so job paths stay readable in the Shopify admin
+  webhookUrl.search = `?jobs=${jobNames.join(',')}`;
   return webhookUrl.toString();
 }
 
+/**
+ * Check if a webhook URL points to a topic router
+ */
+function isTopicRouterUrl(webhookUrl) {
+  try {
+    return new URL(webhookUrl).pathname.startsWith(TOPIC_ROUTE_PREFIX);
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Explain how to subscribe to a compliance topic, which Shopify only accepts in the app config
+ */
+function displayComplianceInstructions(topic, workerUrl) {
+  const complianceUrl = workerUrl ? new URL(COMPLIANCE_ROUTE, workerUrl).toString() : `<worker-url>${COMPLIANCE_ROUTE}`;
+
+  console.log(chalk.yellow(`\n${topic} is a GDPR compliance topic, which can't be subscribed to through the Admin API.`));
+  console.log('Add the compliance URL to your app configuration (shopify.app.toml) and deploy it with the Shopify CLI:');
+  console.log(chalk.cyan(`
+[[webhooks.subscriptions]]
+compliance_topics = ["customers/data_request", "customers/redact", "shop/redact"]
+uri = "${complianceUrl}"`));
+  console.log('\nThe worker runs every job triggered by the delivered topic.');
+}
+
+/**
+ * Show the Flow action extension that sends action runs to a job
+ * Flow calls the runtime URL of the extension, which is deployed with the Shopify CLI instead of the Admin API
+ */
+function displayFlowActionInstructions(jobPath, jobConfig, workerUrl) {
+  const jobName = cleanJobPath(jobPath);
+  const runtimeUrl = workerUrl ? new URL(`/${jobName}`, workerUrl).toString() : `<worker-url>/${jobName}`;
+
+  console.log(chalk.yellow('\nFlow actions are app extensions, which can\'t be created through the Admin API.'));
+  console.log('Generate a Flow action extension with `shopify app generate extension`, point its shopify.extension.toml');
+  console.log('at the job and deploy it with the Shopify CLI:');
+  console.log(chalk.cyan(`
+[[extensions]]
+name = ${JSON.stringify(jobConfig.title || jobConfig.name || jobName)}
+type = "flow_action"
+handle = ${JSON.stringify(jobName.split('/').pop())}
+description = ${JSON.stringify(jobConfig.description || '')}
+runtime_url = "${runtimeUrl}"`));
+  console.log('\nAdd a [[settings.fields]] entry for each property the job reads from its payload.');
+  if (isSynchronousFlowAction(jobConfig)) {
+    console.log('The job runs synchronously, set return_type_ref to the type of its result so Flow can use it in later steps.');
+  }
+}
+
 function getFullWebhookId(webhookId) {
   return webhookId.startsWith('gid://') ? webhookId : `gid://shopify/WebhookSubscription/${webhookId}`;
 }
@@ -102,6 +159,19 @@ function parseJobFromWebhookUrl(webhookUrl) {
   }
 }
 
+/**
+ * Get the jobs a webhook delivers to, from either a topic router or a per-job URL
+ */
+function getWebhookJobNames(webhookUrl) {
+  if (isTopicRouterUrl(webhookUrl)) {
+    const jobs = new URL(webhookUrl).searchParams.get('jobs') || '';
+    return jobs.split(',').map(name => name.trim()).filter(Boolean);
+  }
+
+  const jobPath = parseJobFromWebhookUrl(webhookUrl);
+  return jobPath ? [jobPath] : [];
+}
+
 /**
  * Compare job paths with flexible matching (handles both full and clean paths)
  */
@@ -118,39 +188,21 @@ function isWebhookForJob(webhook, graphqlTopic, jobPath) {
   if (webhook.topic !== graphqlTopic) return false;
   if (!webhook.endpoint || webhook.endpoint.__typename !== 'WebhookHttpEndpoint') return false;
 
-  const webhookJobPath = parseJobFromWebhookUrl(webhook.endpoint.callbackUrl);
-  return webhookJobPath && jobPathsMatch(webhookJobPath, jobPath);
+  return getWebhookJobNames(webhook.endpoint.callbackUrl).some(name => jobPathsMatch(name, jobPath));
 }
 
 function isWebhookForTopicButNotJob(webhook, graphqlTopic, jobPath) {
   if (webhook.topic !== graphqlTopic) return false;
-  if (!webhook.endpoint || webhook.endpoint.__typename === 'WebhookHttpEndpoint') {
-    const webhookJobPath = parseJobFromWebhookUrl(webhook.endpoint.callbackUrl);
-    return !jobPathsMatch(webhookJobPath, jobPath);
-  }
-  return true;
+  if (webhook.endpoint?.__typename !== 'WebhookHttpEndpoint') return true;
+  return !getWebhookJobNames(webhook.endpoint.callbackUrl).some(name => jobPathsMatch(name, jobPath));
 }
 
-function findMatchingWebhooks(webhooks, graphqlTopic, webhookAddress) {
-  return webhooks.filter(webhook => {
-    if (webhook.topic !== graphqlTopic) return false;
-    if (!webhook.endpoint || webhook.endpoint.__typename !== 'WebhookHttpEndpoint') return false;
-
-    try {
-      const storedUrl = new URL(webhook.endpoint.callbackUrl);
-      const newUrl = new URL(webhookAddress);
-
-      // Compare base URLs and job parameters
-      return storedUrl.origin === newUrl.origin && 
-             storedUrl.pathname === newUrl.pathname &&
-             jobPathsMatch(
-               parseJobFromWebhookUrl(webhook.endpoint.callbackUrl),
-               parseJobFromWebhookUrl(webhookAddress)
-             );
-    } catch (e) {
-      return false;
-    }
-  });
+function isSameOrigin(webhookUrl, workerUrl) {
+  try {
+    return new URL(webhookUrl).origin === new URL(workerUrl).origin;
+  } catch (e) {
+    return false;
+  }
 }
 
 function doFieldConfigsDiffer(configFields, activeFields) {
@@ -289,6 +341,26 @@ export async function getJobDisplayInfo(cliDirname, jobPath) {
     };
   }
 
+  // Flow calls the runtime URL of the action extension, there is no subscription to check
+  if (jobConfig.trigger === FLOW_ACTION_TRIGGER) {
+    return {
+      ...baseInfo,
+      displayTopic,
+      statusMsg: 'Flow extension',
+      webhookIdSuffix: '-'
+    };
+  }
+
+  // Compliance subscriptions live in the app config, which the Admin API can't read
+  if (triggerConfig.compliance) {
+    return {
+      ...baseInfo,
+      displayTopic,
+      statusMsg: 'App config',
+      webhookIdSuffix: '-'
+    };
+  }
+
   // For scheduled triggers, check if enabled in wrangler.toml
   if (jobConfig.trigger === 'schedule') {
     const cronExpression = jobConfig.schedule || 'Not configured';
@@ -333,10 +405,9 @@ export async function getJobDisplayInfo(cliDirname, jobPath) {
  * Check if a webhook URL contains a job parameter but points to a non-existent job
  */
 function isOrphanedWebhook(webhookUrl, validJobPaths) {
-  const jobPath = parseJobFromWebhookUrl(webhookUrl);
-  if (!jobPath) return false;
-
-  return !validJobPaths.some(validPath => jobPathsMatch(jobPath, validPath));
+  return getWebhookJobNames(webhookUrl).some(jobPath =>
+    !validJobPaths.some(validPath => jobPathsMatch(jobPath, validPath))
+  );
 }
 
 /**
@@ -523,6 +594,11 @@ export async function handleSingleJobStatus(cliDirname, jobPath) {
       return;
     }
 
+    if (triggerConfig.compliance) {
+      displayComplianceInstructions(triggerConfig.webhook.topic, null);
+      return;
+    }
+
     displayIncludeFieldsInfo(jobConfig, triggerConfig);
     await displayDetailedWebhookStatus(cliDirname, jobPath, jobConfig, triggerConfig);
   } catch (error) {
@@ -554,8 +630,19 @@ async function displayDetailedWebhookStatus(cliDirname, jobPath, jobConfig, trig
       console.log(chalk.green('✓ Webhook is active'));
       displayWebhookDetails(jobWebhook, jobConfig);
 
-      // Check if include fields match config
-      if (jobConfig.webhook?.includeFields && jobWebhook.includeFields) {
+      if (isTopicRouterUrl(jobWebhook.endpoint.callbackUrl)) {
+        console.log(chalk.bold('\nTopic router jobs:'));
+        getWebhookJobNames(jobWebhook.endpoint.callbackUrl).forEach(name => console.log(`- ${name}`));
+
+        // The shared subscription only needs to cover this job's fields
+        const activeFields = jobWebhook.includeFields || [];
+        const missingFields = (jobConfig.webhook?.includeFields || []).filter(field => !activeFields.includes(field));
+        if (activeFields.length > 0 && missingFields.length > 0) {
+          console.log(chalk.yellow(`\nWarning: The active webhook is missing fields from your configuration: ${missingFields.join(', ')}`));
+          console.log(chalk.yellow('You may want to disable and re-enable this job.'));
+        }
+      } else if (jobConfig.webhook?.includeFields && jobWebhook.includeFields) {
+        // Check if include fields match config
         if (doFieldConfigsDiffer(jobConfig.webhook.includeFields, jobWebhook.includeFields)) {
           console.log(chalk.yellow('\nWarning: The active webhook fields do not match your configuration.'));
           console.log(chalk.yellow('You may want to disable and re-enable this webhook.'));
@@ -580,6 +667,7 @@ async function displayDetailedWebhookStatus(cliDirname, jobPath, jobConfig, trig
             : '(not an HTTP endpoint)';
           console.log(`- ID: ${getWebhookIdSuffix(webhook.id)}, URL: ${url}`);
         });
+        console.log(chalk.yellow('Enabling this job will add it to the topic router for this topic.'));
       }
     }
   } catch (error) {
@@ -614,11 +702,20 @@ export async function enableJobWebhook(cliDirname, jobPath, workerUrl) {
       return;
     }
 
-    const webhookAddress = createWebhookUrl(workerUrl, jobPath);
+    const topic = triggerConfig.webhook.topic;
     console.log(`Shop: ${chalk.magenta(jobConfig.shop)}`);
     console.log(`Enabling webhook for job: ${chalk.blue(jobConfig.name || jobPath)}`);
-    console.log(`Topic: ${triggerConfig.webhook.topic}`);
-    console.log(`Endpoint: ${webhookAddress}`);
+    console.log(`Topic: ${topic}`);
+
+    if (triggerConfig.compliance) {
+      displayComplianceInstructions(topic, workerUrl);
+      return;
+    }
+
+    if (jobConfig.trigger === FLOW_ACTION_TRIGGER) {
+      displayFlowActionInstructions(jobPath, jobConfig, workerUrl);
+      return;
+    }
 
     // Check if subscription already exists
     const shopify = await initShopify(cliDirname, jobPath);
@@ -629,52 +726,54 @@ export async function enableJobWebhook(cliDirname, jobPath, workerUrl) {
     }
 
     const webhooks = response.webhookSubscriptions.nodes;
-    const graphqlTopic = convertToGraphqlTopic(triggerConfig.webhook.topic);
-
-    // First, check for exact match (same topic, same endpoint)
-    const exactMatchWebhooks = findMatchingWebhooks(webhooks, graphqlTopic, webhookAddress);
-    if (exactMatchWebhooks.length > 0) {
-      console.log(chalk.green('\n✓ Webhook is already enabled for this job with the same endpoint'));
-      exactMatchWebhooks.forEach(webhook => {
-        console.log(`- ID: ${getWebhookIdSuffix(webhook.id)}`);
-        console.log(`  Created: ${new Date(webhook.createdAt).toLocaleString()}`);
-      });
-
-      // Check if include fields match configuration
-      if (jobConfig.webhook?.includeFields &&
-          exactMatchWebhooks.some(webhook => doFieldConfigsDiffer(jobConfig.webhook.includeFields, webhook.includeFields))) {
-        console.log(chalk.yellow('\nNote: The existing webhook has different include fields than your configuration.'));
-        console.log(chalk.yellow('You may want to disable and re-enable this webhook to update the fields.'));
-      }
-
+    const graphqlTopic = convertToGraphqlTopic(topic);
+
+    // The job may already receive the topic through the router or a per-job subscription
+    const existingWebhook = webhooks.find(webhook => isWebhookForJob(webhook, graphqlTopic, jobPath));
+    if (existingWebhook) {
+      console.log(chalk.green('\n✓ Webhook is already enabled for this job'));
+      console.log(`- ID: ${getWebhookIdSuffix(existingWebhook.id)}`);
+      console.log(`  Endpoint: ${existingWebhook.endpoint.callbackUrl}`);
+      console.log(`  Created: ${new Date(existingWebhook.createdAt).toLocaleString()}`);
       return;
     }
 
-    // Next, check for webhooks with same topic but different endpoint
     const sameTopicWebhooks = webhooks.filter(webhook =>
       webhook.topic === graphqlTopic &&
-      webhook.endpoint?.__typename === 'WebhookHttpEndpoint' &&
-      webhook.endpoint.callbackUrl !== webhookAddress
+      webhook.endpoint?.__typename === 'WebhookHttpEndpoint'
     );
 
-    if (sameTopicWebhooks.length > 0) {
+    // Subscriptions to other endpoints aren't ours to take over
+    const foreignWebhooks = sameTopicWebhooks.filter(webhook => !isSameOrigin(webhook.endpoint.callbackUrl, workerUrl));
+    if (foreignWebhooks.length > 0) {
       console.log(chalk.yellow('\nWebhook for this topic already exists with a different endpoint:'));
-      sameTopicWebhooks.forEach(webhook => {
+      foreignWebhooks.forEach(webhook => {
         console.log(`- ID: ${getWebhookIdSuffix(webhook.id)}`);
         console.log(`  Endpoint: ${webhook.endpoint.callbackUrl}`);
       });
-      console.log(chalk.yellow('\nShopify only allows one webhook per topic per shop.'));
-      console.log(chalk.yellow('Please disable the existing webhook first using:'));
-      console.log(chalk.cyan(`shopworker delete-webhook ${getWebhookIdSuffix(sameTopicWebhooks[0].id)} --job ${jobPath}`));
+      console.log(chalk.yellow('\nPlease disable the existing webhook first using:'));
+      console.log(chalk.cyan(`shopworker delete-webhook ${getWebhookIdSuffix(foreignWebhooks[0].id)} --job ${jobPath}`));
 
       return;
     }
 
-    // Create the subscription
+    // All jobs on a topic share one router subscription, which also absorbs older per-job subscriptions
+    const [routerWebhook, ...extraWebhooks] = sameTopicWebhooks;
+    const existingJobNames = sameTopicWebhooks.flatMap(webhook => getWebhookJobNames(webhook.endpoint.callbackUrl));
+    const jobNames = [...new Set([...existingJobNames, cleanJobPath(jobPath)])];
+
     try {
-      const webhookSubscription = prepareWebhookSubscription(webhookAddress, jobConfig);
-      await createWebhook(shopify, triggerConfig.webhook.topic, webhookSubscription);
-      console.log(chalk.green('\n✓ Webhook created successfully'));
+      const webhookSubscription = await prepareTopicRouterSubscription(cliDirname, workerUrl, topic, jobNames);
+      console.log(`Endpoint: ${webhookSubscription.callbackUrl}`);
+
+      if (routerWebhook) {
+        await updateWebhook(shopify, routerWebhook.id, webhookSubscription);
+        await deleteMatchingWebhooks(shopify, extraWebhooks);
+        console.log(chalk.green('\n✓ Job added to topic router'));
+      } else {
+        await createWebhook(shopify, topic, webhookSubscription);
+        console.log(chalk.green('\n✓ Webhook created successfully'));
+      }
     } catch (error) {
       // Check if this is a URL not allowed error
       if (error.message.includes('Address is not allowed')) {
@@ -692,22 +791,38 @@ export async function enableJobWebhook(cliDirname, jobPath, workerUrl) {
 }
 
 /**
- * Prepare webhook subscription data
+ * Prepare the topic router subscription, merging the webhook settings of its jobs
+ * @returns {Promise<Object|null>} The subscription, or null if none of the jobs exist anymore
  */
-function prepareWebhookSubscription(webhookAddress, jobConfig) {
-  const subscription = {
-    callbackUrl: webhookAddress,
-    format: 'JSON'
-  };
+async function prepareTopicRouterSubscription(cliDirname, workerUrl, topic, jobNames) {
+  // Drop jobs that were deleted since they joined the router
+  const availableJobs = getAvailableJobDirs(cliDirname);
+  const existingJobNames = jobNames.filter(jobName => {
+    const exists = availableJobs.some(availableJob => jobPathsMatch(availableJob, jobName));
+    if (!exists) {
+      console.log(chalk.yellow(`Removing missing job ${jobName} from the topic router`));
+    }
+    return exists;
+  });
 
-  // Add includeFields if specified
-  if (jobConfig.webhook?.includeFields && Array.isArray(jobConfig.webhook.includeFields)) {
-    subscription.includeFields = jobConfig.webhook.includeFields;
+  if (existingJobNames.length === 0) {
+    return null;
   }
 
-  // Add metafield namespaces if specified
-  if (jobConfig.webhook?.metafieldNamespaces && Array.isArray(jobConfig.webhook.metafieldNamespaces)) {
-    subscription.metafieldNamespaces = jobConfig.webhook.metafieldNamespaces;
+  const jobConfigs = await Promise.all(existingJobNames.map(jobName => loadJobConfig(jobName)));
+
+  const subscription = {
+    callbackUrl: createTopicRouterUrl(workerUrl, topic, existingJobNames),
+    format: 'JSON',
+    // An empty list delivers the full payload, which any job without includeFields needs
+    includeFields: jobConfigs.every(config => Array.isArray(config?.webhook?.includeFields))
+      ? [...new Set(jobConfigs.flatMap(config => config.webhook.includeFields))]
+      : []
+  };
+
+  const metafieldNamespaces = [...new Set(jobConfigs.flatMap(config => config?.webhook?.metafieldNamespaces || []))];
+  if (metafieldNamespaces.length > 0) {
+    subscription.metafieldNamespaces = metafieldNamespaces;
   }
 
   return subscription;
@@ -733,6 +848,20 @@ async function createWebhook(shopify, topic, webhookSubscription) {
   }
 }
 
+/**
+ * Update a webhook with Shopify API
+ */
+async function updateWebhook(shopify, webhookId, webhookSubscription) {
+  const response = await shopify.graphql(WEBHOOK_UPDATE_MUTATION, { id: webhookId, webhookSubscription });
+
+  if (response.webhookSubscriptionUpdate?.userErrors?.length > 0) {
+    const errors = response.webhookSubscriptionUpdate.userErrors
+      .map(err => `${err.field.join('.')}: ${err.message}`)
+      .join(', ');
+    throw new Error(`Failed to update webhook: ${errors}`);
+  }
+}
+
 /**
  * Disable a webhook for a job
  * @param {string} cliDirname - The directory where cli.js is located
@@ -760,11 +889,21 @@ export async function disableJobWebhook(cliDirname, jobPath, workerUrl) {
       return;
     }
 
-    const webhookAddress = createWebhookUrl(workerUrl, jobPath);
     console.log(`Shop: ${chalk.magenta(jobConfig.shop)}`);
     console.log(`Disabling webhook for job: ${chalk.blue(jobConfig.name || jobPath)}`);
     console.log(`Topic: ${triggerConfig.webhook.topic}`);
-    console.log(`Endpoint: ${webhookAddress}`);
+
+    if (triggerConfig.compliance) {
+      console.log(chalk.yellow('\nCompliance webhooks are configured in the app config (shopify.app.toml), not through the Admin API.'));
+      console.log('Remove the compliance_topics subscription there, or delete this job to stop handling the topic.');
+      return;
+    }
+
+    if (jobConfig.trigger === FLOW_ACTION_TRIGGER) {
+      console.log(chalk.yellow('\nFlow actions are app extensions, configured in their shopify.extension.toml and not through the Admin API.'));
+      console.log('Remove the extension and deploy the app with the Shopify CLI, or delete this job to stop handling its action runs.');
+      return;
+    }
 
     // Find the subscription
     const shopify = await initShopify(cliDirname, jobPath);
@@ -796,15 +935,9 @@ export async function disableJobWebhook(cliDirname, jobPath, workerUrl) {
           console.log(`- ID: ${getWebhookIdSuffix(webhook.id)}`);
           console.log(`  URL: ${webhook.endpoint.callbackUrl}`);
 
-          // Try to extract the job from the URL
-          try {
-            const url = new URL(webhook.endpoint.callbackUrl);
-            const urlJob = url.searchParams.get('job');
-            if (urlJob) {
-              console.log(`  Job in URL: ${urlJob}`);
-            }
-          } catch (e) {
-            // Ignore URL parsing errors
+          const urlJobs = getWebhookJobNames(webhook.endpoint.callbackUrl);
+          if (urlJobs.length > 0) {
+            console.log(`  Jobs in URL: ${urlJobs.join(', ')}`);
           }
         });
 
@@ -817,10 +950,23 @@ export async function disableJobWebhook(cliDirname, jobPath, workerUrl) {
 
     console.log(`\nFound ${matchingWebhooks.length} webhook(s) to disable.`);
 
-    // Delete all matching webhooks
-    await deleteMatchingWebhooks(shopify, matchingWebhooks);
+    for (const webhook of matchingWebhooks) {
+      // Keep the subscription for any other jobs still on the topic router
+      const remainingJobNames = getWebhookJobNames(webhook.endpoint.callbackUrl)
+        .filter(name => !jobPathsMatch(name, jobPath));
+      const webhookSubscription = isTopicRouterUrl(webhook.endpoint.callbackUrl)
+        ? await prepareTopicRouterSubscription(cliDirname, workerUrl, triggerConfig.webhook.topic, remainingJobNames)
+        : null;
+
+      if (webhookSubscription) {
+        await updateWebhook(shopify, webhook.id, webhookSubscription);
+        console.log(`Removed job from topic router ID: ${getWebhookIdSuffix(webhook.id)}`);
+      } else {
+        await deleteMatchingWebhooks(shopify, [webhook]);
+      }
+    }
 
-    console.log(chalk.green('✓ Webhook(s) deleted successfully'));
+    console.log(chalk.green('✓ Webhook disabled successfully'));
   } catch (error) {
     console.error(`Error disabling webhook: ${error.message}`);
   }
@@ -0,0 +1,10 @@
+export default `#graphql
+query GetOrderNote($id: ID!) {
+  order(id: $id) {
+    id
+    name
+    email
+    note
+  }
+}
+`;
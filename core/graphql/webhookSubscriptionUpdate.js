@@ -0,0 +1,24 @@
+/**
+ * GraphQL mutation to update a webhook subscription
+ */
+export default `
+  mutation webhookSubscriptionUpdate($id: ID!, $webhookSubscription: WebhookSubscriptionInput!) {
+    webhookSubscriptionUpdate(id: $id, webhookSubscription: $webhookSubscription) {
+      userErrors {
+        field
+        message
+      }
+      webhookSubscription {
+        id
+        topic
+        includeFields
+        endpoint {
+          __typename
+          ... on WebhookHttpEndpoint {
+            callbackUrl
+          }
+        }
+      }
+    }
+  }
+`;
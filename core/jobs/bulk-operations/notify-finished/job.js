@@ -0,0 +1,25 @@
+import { notifyBulkOperationFinished } from "../../../shared/shopify-bulk.js";
+import { isCliEnvironment } from "../../../shared/env.js";
+
+/**
+ * Send a bulk_operations/finish webhook to the workflow waiting for the operation
+ * @param {Object} params - Parameters for the job
+ * @param {Object} params.payload - The bulk_operations/finish webhook payload
+ * @param {Object} params.shopConfig - The shop configuration
+ * @param {Object} params.env - Environment variables
+ */
+export async function process({ payload, shopConfig, env }) {
+  // Local runs poll their bulk operations, nothing waits for the webhook
+  if (isCliEnvironment(env)) {
+    console.log(`Bulk operation ${payload.admin_graphql_api_id} ${payload.status}, nothing waits for it locally`);
+    return { instanceId: null };
+  }
+
+  const instanceId = await notifyBulkOperationFinished(env, shopConfig.shopify_domain, payload);
+  if (instanceId) {
+    console.log(`Bulk operation ${payload.admin_graphql_api_id} ${payload.status}, woke workflow ${instanceId}`);
+  } else {
+    console.log(`Bulk operation ${payload.admin_graphql_api_id} ${payload.status}, no workflow is waiting for it`);
+  }
+  return { instanceId };
+}
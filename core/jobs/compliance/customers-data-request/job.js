@@ -0,0 +1,12 @@
+import { CUSTOMERS_DATA_REQUEST_TOPIC, handleComplianceRequest } from "../../../shared/compliance.js";
+
+/**
+ * Answer a customer's data request with the data each job's redactor finds
+ * The compliance record holds the data for the merchant to send to the customer
+ * @param {Object} params - Parameters for the job
+ * @param {Object} params.payload - The customers/data_request webhook payload
+ * @param {Object} [params.step] - Workflow step, each redactor runs as its own step
+ */
+export async function process(params) {
+  return handleComplianceRequest(CUSTOMERS_DATA_REQUEST_TOPIC, params);
+}
@@ -0,0 +1,11 @@
+import { CUSTOMERS_REDACT_TOPIC, handleComplianceRequest } from "../../../shared/compliance.js";
+
+/**
+ * Erase a customer's data through each job's redactor
+ * @param {Object} params - Parameters for the job
+ * @param {Object} params.payload - The customers/redact webhook payload
+ * @param {Object} [params.step] - Workflow step, each redactor runs as its own step
+ */
+export async function process(params) {
+  return handleComplianceRequest(CUSTOMERS_REDACT_TOPIC, params);
+}
@@ -0,0 +1,11 @@
+import { SHOP_REDACT_TOPIC, handleComplianceRequest } from "../../../shared/compliance.js";
+
+/**
+ * Erase a shop's data through each job's redactor after it uninstalls the app
+ * @param {Object} params - Parameters for the job
+ * @param {Object} params.payload - The shop/redact webhook payload
+ * @param {Object} [params.step] - Workflow step, each redactor runs as its own step
+ */
+export async function process(params) {
+  return handleComplianceRequest(SHOP_REDACT_TOPIC, params);
+}
@@ -1,6 +1,5 @@
-import GetOrderWithMetafields from "../../../graphql/orderGetWithMetafields.js";
+import GetOrderNote from "../../../graphql/orderGetNote.js";
 import OrderInvoiceSend from "../../../graphql/orderInvoiceSend.js";
-import OrderMetafieldUpdate from "../../../graphql/orderMetafieldUpdate.js";
 
 /**
  * Process an order update to check if the note has changed and trigger email confirmation
@@ -11,8 +10,8 @@ import OrderMetafieldUpdate from "../../../graphql/orderMetafieldUpdate.js";
 export async function process({ payload: order, shopify }) {
   console.log(`Processing order note change check for order ${order.name || order.id}`);
 
-  // Get the current order with full details including metafields
-  const { order: fullOrder } = await shopify.graphql(GetOrderWithMetafields, {
+  // Get the current order, the webhook payload may be older than the latest note
+  const { order: fullOrder } = await shopify.graphql(GetOrderNote, {
     id: shopify.toGid(order.id, "Order")
   });
 
@@ -22,21 +21,7 @@ export async function process({ payload: order, shopify }) {
   }
 
   const currentNote = fullOrder.note || "";
-
-  // Find the previous_note metafield
-  let previousNote = "";
-  let previousNoteMetafieldId = null;
-
-  if (fullOrder.metafields && fullOrder.metafields.edges) {
-    const metafield = fullOrder.metafields.edges.find(edge =>
-      edge.node.key === "previous_note" && edge.node.namespace === "custom"
-    );
-
-    if (metafield) {
-      previousNote = metafield.node.value || "";
-      previousNoteMetafieldId = metafield.node.id;
-    }
-  }
+  const previousNote = await shopify.metafields.get(fullOrder.id, "custom", "previous_note") || "";
 
   console.log(`Current note: "${currentNote}"`);
   console.log(`Previous note: "${previousNote}"`);
@@ -59,7 +44,8 @@ export async function process({ payload: order, shopify }) {
   }
 
   // Update the previous_note metafield with the current note
-  await updatePreviousNoteMetafield(shopify, fullOrder, currentNote, previousNoteMetafieldId);
+  await shopify.metafields.set(fullOrder.id, "custom", "previous_note", currentNote, "single_line_text_field");
+  console.log(`Successfully updated previous_note metafield for ${fullOrder.name || fullOrder.id}`);
 
   console.log(`Successfully processed order note change for ${fullOrder.name || fullOrder.id}`);
 }
@@ -95,39 +81,3 @@ async function sendOrderConfirmationEmail(shopify, order) {
     throw new Error("Failed to get order confirmation from email send response");
   }
 }
-
-/**
- * Update the previous_note metafield with the current note value
- */
-async function updatePreviousNoteMetafield(shopify, order, currentNote, existingMetafieldId) {
-  const metafieldInput = {
-    namespace: "custom",
-    key: "previous_note",
-    value: currentNote,
-    type: "single_line_text_field"
-  };
-
-  // If metafield exists, include its ID for update
-  if (existingMetafieldId) {
-    metafieldInput.id = existingMetafieldId;
-  }
-
-  const input = {
-    id: order.id,
-    metafields: [metafieldInput]
-  };
-
-  const response = await shopify.graphql(OrderMetafieldUpdate, { input });
-  const result = response.orderUpdate;
-
-  if (result?.userErrors?.length > 0) {
-    const errors = result.userErrors.map(err => `${err.field}: ${err.message}`).join(", ");
-    throw new Error(`Failed to update previous_note metafield: ${errors}`);
-  }
-
-  if (!result?.order) {
-    throw new Error("Failed to get order confirmation from metafield update response");
-  }
-
-  console.log(`Successfully updated previous_note metafield for ${result.order.name || result.order.id}`);
-}
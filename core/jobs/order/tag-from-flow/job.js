@@ -0,0 +1,26 @@
+import OrderTagsAdd from "../../../graphql/orderTagsAdd.js";
+
+/**
+ * Add tags to an order from a Shopify Flow action
+ * The action's order field arrives as a gid in payload.order_id and its tags field as a comma separated string.
+ * The job is synchronous (flow.synchronous in config.json), so the tags it returns are the action's return value.
+ * @param {Object} params - Parameters for the job
+ * @param {Object} params.payload - The action properties, with the run details under flowAction
+ * @param {Object} params.shopify - Shopify API client
+ * @returns {Promise<Object>} The order's tags, for the next steps of the Flow workflow
+ */
+export async function process({ payload, shopify }) {
+  const tags = String(payload.tags || "").split(",").map(tag => tag.trim()).filter(Boolean);
+
+  if (!payload.order_id || tags.length === 0) {
+    // Flow retries failed runs unless the response is a 4xx
+    const error = new Error("The action needs an order and at least one tag");
+    error.statusCode = 400;
+    throw error;
+  }
+
+  console.log(`Flow run ${payload.flowAction.runId}: adding ${tags.join(", ")} to ${payload.order_id}`);
+  const { tagsAdd } = await shopify.graphql(OrderTagsAdd, { id: payload.order_id, tags });
+
+  return { tags: tagsAdd.node.tags };
+}
@@ -1,6 +1,6 @@
 /**
  * Paginate Products Job
- * 
+ *
  * This job paginates through all products in the store, fetching them in pages of 5,
  * and counts the total number of products by type.
  */
@@ -16,82 +16,28 @@ import paginateQuery from '../../../graphql/productsGetPaginated.js';
 export async function process({ shopify, step }) {
   console.log("====== Starting product pagination job ======");
 
-  // Step 1: Initialize pagination state
-  const initialState = await step.do("initialize-pagination", async () => {
-    const pageSize = 5;
-    console.log(`Starting pagination with page size: ${pageSize}`);
-    
-    return {
-      pageSize,
-      hasNextPage: true,
-      cursor: null,
-      pageNumber: 0,
-      productCounts: [],
-      productTypeCount: {}
-    };
-  });
+  const pageSize = 5;
+  const productCounts = [];
+  const productTypeCount = {};
 
-  // Process pages iteratively, passing state through each step
-  let currentState = initialState;
-  let stepIndex = 0;
+  // Each page is fetched in its own step, so a failed run resumes from the last page it fetched
+  const pages = shopify.paginate(paginateQuery, {}, { pageSize, pages: true, step, name: "fetch-products" });
+  for await (const { nodes: products, pageNumber } of pages) {
+    console.log(`Page ${pageNumber}: Found ${products.length} products`);
 
-  while (currentState.hasNextPage) {
-    const stepName = `fetch-page-${stepIndex}`;
-    
-    currentState = await step.do(stepName, async () => {
-      const { pageSize, cursor, pageNumber, productCounts, productTypeCount } = currentState;
-      
-      console.log(`Fetching page ${pageNumber + 1}...`);
-      
-      const response = await shopify.graphql(paginateQuery, {
-        first: pageSize,
-        after: cursor
-      });
+    // Log product details for this page and count by type
+    products.forEach((product, index) => {
+      console.log(`  ${index + 1}. ${product.title} (${product.handle}) - Type: ${product.productType || 'None'}`);
 
-      const products = response.products.edges;
-      const pageInfo = response.products.pageInfo;
-      
-      console.log(`Page ${pageNumber + 1}: Found ${products.length} products`);
-      
-      // Create a copy of the accumulated type counts
-      const updatedTypeCount = { ...productTypeCount };
-      
-      // Log product details for this page and count by type
-      products.forEach((edge, index) => {
-        const product = edge.node;
-        console.log(`  ${index + 1}. ${product.title} (${product.handle}) - Type: ${product.productType || 'None'}`);
-        
-        // Count products by type
-        const type = product.productType || 'None';
-        updatedTypeCount[type] = (updatedTypeCount[type] || 0) + 1;
-      });
-
-      // Create updated product counts array
-      const updatedProductCounts = [
-        ...productCounts,
-        {
-          page: pageNumber + 1,
-          count: products.length
-        }
-      ];
-
-      // Return the complete state for the next iteration
-      return {
-        pageSize,
-        hasNextPage: pageInfo.hasNextPage,
-        cursor: pageInfo.endCursor,
-        pageNumber: pageNumber + 1,
-        productCounts: updatedProductCounts,
-        productTypeCount: updatedTypeCount
-      };
+      const type = product.productType || 'None';
+      productTypeCount[type] = (productTypeCount[type] || 0) + 1;
     });
 
-    stepIndex++;
+    productCounts.push({ page: pageNumber, count: products.length });
   }
 
-  // Step 3: Summarize the results using the final state
+  // Summarize the results
   const summary = await step.do("summarize-results", async () => {
-    const { productCounts, productTypeCount, pageSize } = currentState;
     const totalProducts = productCounts.reduce((sum, page) => sum + page.count, 0);
     const totalPages = productCounts.length;
 
@@ -99,7 +45,7 @@ export async function process({ shopify, step }) {
     console.log(`Total pages fetched: ${totalPages}`);
     console.log(`Page size: ${pageSize}`);
     console.log(`Total products counted: ${totalProducts}`);
-    
+
     console.log("\nBreakdown by page:");
     productCounts.forEach(({ page, count }) => {
       console.log(`  Page ${page}: ${count} products`);
@@ -121,4 +67,4 @@ export async function process({ shopify, step }) {
   });
 
   return summary;
-}
\ No newline at end of file
+}
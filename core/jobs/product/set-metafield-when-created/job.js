@@ -1,4 +1,3 @@
-import ProductMetafieldUpdate from "../../../graphql/productMetafieldUpdate.js";
 /**
  * Updates a product metafield with the last modified date
  * @param {Object} params - Parameters for the job
@@ -9,48 +8,18 @@ import ProductMetafieldUpdate from "../../../graphql/productMetafieldUpdate.js";
 export async function process({ payload: product, shopify, step }) {
   // Format the current date in ISO format
   const currentDate = new Date().toISOString();
-
-  // Define metafield input
-  const metafields = [
-    {
-      namespace: "custom",
-      key: "created_at",
-      value: currentDate,
-      type: "date_time",
-    },
-  ];
-
-  // Prepare the input for the mutation
-  const input = {
-    id: shopify.toGid(product.id, 'Product'),
-    metafields: metafields,
-  };
+  const productId = shopify.toGid(product.id, 'Product');
 
   // Execute the mutation within a workflow step
   const result = await step.do("update-product-metafield", async () => {
-    console.log(`Updating metafield with value: ${currentDate} for product ID: ${input.id}`);
-    
-    const response = await shopify.graphql(ProductMetafieldUpdate, {
-      input: input,
-    });
-
-    // Check for errors
-    if (response.productUpdate?.userErrors?.length > 0) {
-      const errors = response.productUpdate.userErrors.map(err => `${err.field}: ${err.message}`).join(", ");
-      console.error(`Failed to update metafield for product ${input.id}: ${errors}`);
-      throw new Error(`Failed to update metafield: ${errors}`);
-    }
+    console.log(`Updating metafield with value: ${currentDate} for product ID: ${productId}`);
 
-    const updateResult = response.productUpdate;
+    const metafield = await shopify.metafields.set(productId, "custom", "created_at", currentDate, "date_time");
 
-    if (!updateResult || !updateResult.product) {
-      console.error("Unexpected response structure from productUpdate mutation:", response);
-      throw new Error("Failed to get product details from update response.");
-    }
+    console.log(`Successfully updated metafield ${metafield.namespace}.${metafield.key} for product: ${productId}`);
 
-    console.log(`Successfully updated metafield for product: ${updateResult.product.title}`);
-    
-    return updateResult;
+    // Step results are stored as JSON, so keep the date as the string it was set from
+    return { ...metafield, value: currentDate };
   });
 
   return result;
@@ -2,6 +2,8 @@ import { createZendeskTicket } from '../../../connectors/zendesk.js';
 
 /**
  * Create a Zendesk ticket when a low-rated review is received
+ * The filter in config.json skips other reviews before a workflow starts, the guard below covers runs that
+ * don't check it, like replays and enqueued jobs
  * @param {Object} options - Job options
  * @param {Object} options.payload - Review data
  * @param {Object} options.env - Environment variables
@@ -18,11 +18,16 @@
  * 
  * @param {Object} context - Job execution context
  * @param {Object} context.shopify - Shopify GraphQL client
- * @param {Object} context.payload - The webhook payload
+ * @param {Object} context.payload - The request body, parsed according to its Content-Type
+ * @param {string|ArrayBuffer} context.rawBody - The unparsed request body, an ArrayBuffer for multipart bodies
  * @param {Object} context.shopConfig - Shop-specific configuration
  * @param {Object} context.jobConfig - Job configuration
  * @param {Object} context.env - Environment variables
  * @param {Object} context.secrets - Secret values
+ * @param {Object} context.params - Path parameters captured by the job's routes
+ * @param {Object} context.query - Query string parameters
+ * @param {Object} context.headers - Request headers, with lower-case names
+ * @param {string} context.method - The HTTP method
  * @returns {Object} Response object that will be sent as HTTP response
  */
 export async function process({ shopify, payload, shopConfig, jobConfig, env, secrets }) {
@@ -0,0 +1,246 @@
+/**
+ * Child jobs
+ * Jobs start other jobs with the enqueueJob parameter and can wait for their results:
+ *
+ *   const child = await enqueueJob('order/tag-skus-when-created', { id: order.id });
+ *   const result = await waitForJob(child);
+ *
+ * In the worker each child runs in its own JobDispatcher workflow with the parent's shop config, or the
+ * shop named by the `shop` option. Enqueueing and polling happen in workflow steps, so a retried parent
+ * doesn't start its children twice. The CLI runs children inline as soon as they are enqueued.
+ */
+
+import { isCliEnvironment } from './env.js';
+import { createJobWorkflow, generateWorkflowId, getPayloadParams, handleLargePayload, isWorkflowExistsError } from './job-workflows.js';
+
+const CHILD_JOB_TOPIC = 'shopworker/job';
+
+// waitForJob gives up after an hour unless told otherwise
+const DEFAULT_WAIT_TIMEOUT_SECONDS = 60 * 60;
+
+// Polling backs off from 2 seconds to a minute
+const INITIAL_POLL_MS = 2000;
+const MAX_POLL_MS = 60 * 1000;
+
+// Results of children run by the CLI, keyed by handle ID
+const cliJobResults = new Map();
+
+/**
+ * Get the job path without its local/jobs or core/jobs prefix
+ */
+function cleanJobPath(jobPath) {
+  return jobPath.replace(/^(local|core)\/jobs\//, '');
+}
+
+/**
+ * Run a step durably when a workflow step is available
+ */
+async function runStep(step, name, callback) {
+  return step ? step.do(name, callback) : callback();
+}
+
+/**
+ * Wait between polls, without using CPU time when a workflow step is available
+ */
+async function pause(step, name, ms) {
+  if (step) {
+    return step.sleep(name, ms);
+  }
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Find a shop configuration by name or domain in the worker's SHOPWORKER_CONFIG
+ */
+function findWorkerShopConfig(env, shop) {
+  const shopworkerConfig = JSON.parse(env.SHOPWORKER_CONFIG || '{}');
+  const shopConfigs = shopworkerConfig.shopify_domain ? [shopworkerConfig] : shopworkerConfig.shops || [];
+  const shopConfig = shopConfigs.find(config => config.name === shop || config.shopify_domain === shop);
+  if (!shopConfig) {
+    throw new Error(`Invalid shop for child job: ${shop} is not configured`);
+  }
+  return shopConfig;
+}
+
+/**
+ * Start a child job's workflow in the worker
+ */
+async function enqueueWorkerJob(context, childId, jobPath, payload, options) {
+  const { loadJobConfig, resolveJobPath } = await import('../worker/job-loader.js');
+  const resolvedPath = resolveJobPath(cleanJobPath(jobPath));
+  const jobConfig = await loadJobConfig(resolvedPath);
+  const shopConfig = options.shop ? findWorkerShopConfig(context.env, options.shop) : context.shopConfig;
+  if (!shopConfig?.shopify_domain) {
+    throw new Error(`Shop configuration is required to enqueue ${jobPath}`);
+  }
+
+  const shopDomain = shopConfig.shopify_domain;
+  const payloadInfo = await handleLargePayload(payload, shopDomain, context.env);
+  try {
+    await createJobWorkflow(context.env, {
+      shopDomain,
+      jobPath: resolvedPath,
+      ...getPayloadParams(payloadInfo),
+      shopConfig,
+      jobConfig,
+      topic: CHILD_JOB_TOPIC,
+      parentId: context.parentId || null,
+      parentJobPath: context.parentJobPath || null,
+      timestamp: new Date().toISOString(),
+    }, childId);
+  } catch (error) {
+    // A retried enqueue step may already have created the instance
+    if (!isWorkflowExistsError(error)) {
+      throw error;
+    }
+  }
+
+  return { id: childId, jobPath: resolvedPath, shopDomain };
+}
+
+/**
+ * Run a child job inline in the CLI, keeping its result for waitForJob
+ */
+async function runCliJob(context, childId, jobPath, payload, options) {
+  const { default: path } = await import('path');
+  const { fileURLToPath, pathToFileURL } = await import('url');
+  const { loadJobConfig } = await import('../cli/job-discovery.js');
+  const { getShopConfig, loadSecrets } = await import('./config-helpers.js');
+  const { initShopify } = await import('./shopify.js');
+
+  const rootDir = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', '..');
+  const jobConfig = await loadJobConfig(cleanJobPath(jobPath));
+  const shopConfig = options.shop || !context.shopConfig
+    ? getShopConfig(rootDir, options.shop || jobConfig.shop)
+    : context.shopConfig;
+  const shopDomain = shopConfig.shopify_domain;
+  const handle = { id: childId, jobPath: jobConfig.jobPath, shopDomain };
+
+  console.log(`Running child job ${jobConfig.jobPath} for ${shopDomain}`);
+  try {
+    const jobModule = await import(pathToFileURL(path.join(rootDir, jobConfig.fullPath, 'job.js')).href);
+    const shopify = await initShopify(rootDir, jobConfig.fullPath, shopDomain);
+    const secrets = context.secrets || loadSecrets(rootDir);
+    const childContext = { env: context.env, shopConfig, shopify, secrets, step: context.step, parentId: childId, parentJobPath: jobConfig.jobPath };
+
+    const output = await jobModule.process({
+      payload,
+      shopify,
+      env: context.env,
+      shopConfig,
+      jobConfig,
+      secrets,
+      step: context.step,
+      ...createChildJobApi(childContext),
+    });
+    cliJobResults.set(childId, { status: 'complete', output: output ?? null, error: null });
+  } catch (error) {
+    // Like a failed workflow, the error surfaces when the parent waits for the child
+    console.error(`Child job ${jobConfig.jobPath} failed: ${error.message}`);
+    cliJobResults.set(childId, { status: 'errored', output: null, error: error.message });
+  }
+
+  return handle;
+}
+
+/**
+ * Create the child job functions passed to a job
+ * @param {Object} context - The parent job's context
+ * @param {Object} context.env - Environment variables (worker env or process.env)
+ * @param {Object} context.shopConfig - The parent's shop configuration, used by children unless they name a shop
+ * @param {Object} [context.shopify] - The parent's Shopify client
+ * @param {Object} [context.secrets] - The parent's secrets, children in the worker load their own
+ * @param {Object} [context.step] - Workflow step, so enqueues and polls aren't repeated on retries
+ * @param {string} [context.parentId] - The parent's workflow instance ID, used to derive stable child IDs
+ * @param {string} [context.parentJobPath] - The parent's job path
+ * @returns {{enqueueJob: Function, getJobStatus: Function, waitForJob: Function}} The child job functions
+ */
+export function createChildJobApi(context) {
+  const { env, step } = context;
+  const isCli = isCliEnvironment(env);
+  let childCount = 0;
+
+  /**
+   * Start a child job
+   * @param {string} jobPath - The child's job path, e.g. "order/fetch" or "local/jobs/order/fetch"
+   * @param {Object} [payload] - The child's payload
+   * @param {Object} [options] - Enqueue options
+   * @param {string} [options.shop] - Shop name or domain to run the child for, defaults to the parent's shop
+   * @returns {Promise<{id: string, jobPath: string, shopDomain: string}>} A handle for getJobStatus and waitForJob
+   */
+  async function enqueueJob(jobPath, payload = {}, options = {}) {
+    const index = childCount++;
+
+    // Children of a workflow get IDs derived from it, so a retried step finds the child it created
+    const childId = isCli
+      ? `cli-${crypto.randomUUID()}`
+      : context.parentId ? `${context.parentId}-child-${index}` : generateWorkflowId();
+
+    return runStep(step, `enqueue-job-${index}: ${cleanJobPath(jobPath)}`, () => isCli
+      ? runCliJob(context, childId, jobPath, payload, options)
+      : enqueueWorkerJob(context, childId, jobPath, payload, options));
+  }
+
+  /**
+   * Get the status of a child job
+   * @param {Object} handle - The handle returned by enqueueJob
+   * @returns {Promise<{id: string, jobPath: string, status: string, output: any, error: string|null}>} The
+   * workflow status (queued, running, waiting, complete, errored, terminated, ...) with the job's result or error
+   */
+  async function getJobStatus(handle) {
+    if (isCli) {
+      const result = cliJobResults.get(handle.id);
+      if (!result) {
+        throw new Error(`Unknown child job: ${handle.id}`);
+      }
+      return { id: handle.id, jobPath: handle.jobPath, ...result };
+    }
+
+    const instance = await env.WORKFLOW.get(handle.id);
+    const { status, output, error } = await instance.status();
+    return {
+      id: handle.id,
+      jobPath: handle.jobPath,
+      status,
+      output: output ?? null,
+      error: error ? error.message || String(error) : null
+    };
+  }
+
+  /**
+   * Wait for a child job to finish
+   * Don't wait for a child that shares the parent's concurrency key, it can't start until the parent is done.
+   * Waiting needs a workflow step: jobs that answer a request return the handle and check it with getJobStatus.
+   * @param {Object} handle - The handle returned by enqueueJob
+   * @param {Object} [options] - Wait options
+   * @param {number} [options.timeoutSeconds=3600] - How long to wait before failing
+   * @returns {Promise<any>} The child's result
+   * @throws {Error} If the child fails or doesn't finish in time
+   */
+  async function waitForJob(handle, { timeoutSeconds = DEFAULT_WAIT_TIMEOUT_SECONDS } = {}) {
+    // The worker would hold the request open far longer than it may run, the CLI's children are already done
+    if (!step && !isCli) {
+      throw new Error(`waitForJob needs a workflow step, return the handle of ${handle.jobPath} (${handle.id}) and check it with getJobStatus instead`);
+    }
+
+    let waitedMs = 0;
+    for (let attempt = 0; ; attempt++) {
+      const { status, output, error } = await runStep(step, `check-job-${handle.id}-${attempt}`, () => getJobStatus(handle));
+      if (status === 'complete') {
+        return output;
+      }
+      if (status === 'errored' || status === 'terminated') {
+        throw new Error(`Child job ${handle.jobPath} (${handle.id}) ${status}: ${error || 'no error message'}`);
+      }
+      if (waitedMs >= timeoutSeconds * 1000) {
+        throw new Error(`Timed out after ${timeoutSeconds}s waiting for child job ${handle.jobPath} (${handle.id}), last status: ${status}`);
+      }
+
+      const waitMs = Math.min(INITIAL_POLL_MS * 2 ** attempt, MAX_POLL_MS);
+      await pause(step, `wait-for-job-${handle.id}-${attempt}`, waitMs);
+      waitedMs += waitMs;
+    }
+  }
+
+  return { enqueueJob, getJobStatus, waitForJob };
+}
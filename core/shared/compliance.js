@@ -0,0 +1,317 @@
+/**
+ * GDPR compliance webhooks
+ * Shopify sends customers/data_request, customers/redact and shop/redact to every app. The default compliance
+ * jobs hand each request to the redactor hooks that jobs register by exporting a `redactor` object:
+ *
+ *   export const redactor = {
+ *     async customerDataRequest({ shopDomain, customer, orderIds, env }) { ... return the stored data },
+ *     async redactCustomer({ shopDomain, customer, orderIds, env }) { ... delete rows, return a summary },
+ *     async redactShop({ shopDomain, env }) { ... delete rows, return a summary }
+ *   };
+ *
+ * Every request ends with a compliance record of what each hook returned, which is saved to R2. Only the topic,
+ * shop, IDs and result counts are logged, since data-request results hold the customer's data.
+ *
+ * Shopworker only deletes what it stores itself: shop/redact deletes the shop's large webhook payloads, dead
+ * letters and earlier compliance records, customers/redact the ones that belong to the customer, including the
+ * records of their data requests. Rows that jobs save in D1 or elsewhere are only deleted by their redactCustomer
+ * and redactShop hooks.
+ */
+
+import { saveJSON } from '../connectors/r2.js';
+import { isCliEnvironment } from './env.js';
+import { deleteCustomerDeadLetters, deleteShopDeadLetters } from './dead-letters.js';
+import { deleteCustomerObjects, getCustomerMetadata } from './customer-data.js';
+
+export const CUSTOMERS_DATA_REQUEST_TOPIC = 'customers/data_request';
+export const CUSTOMERS_REDACT_TOPIC = 'customers/redact';
+export const SHOP_REDACT_TOPIC = 'shop/redact';
+
+// The redactor hook that handles each compliance topic
+const REDACTOR_HOOKS = {
+  [CUSTOMERS_DATA_REQUEST_TOPIC]: 'customerDataRequest',
+  [CUSTOMERS_REDACT_TOPIC]: 'redactCustomer',
+  [SHOP_REDACT_TOPIC]: 'redactShop'
+};
+
+export const COMPLIANCE_TOPICS = Object.keys(REDACTOR_HOOKS);
+
+const PAYLOAD_PREFIX = 'payloads';
+const COMPLIANCE_RECORD_PREFIX = 'compliance';
+
+/**
+ * Check whether a webhook topic is a GDPR compliance topic
+ * @param {string} topic - The webhook topic
+ * @returns {boolean} Whether the topic is a compliance topic
+ */
+export function isComplianceTopic(topic) {
+  return COMPLIANCE_TOPICS.includes(topic);
+}
+
+/**
+ * Get the R2 prefix that large webhook payloads of a shop are stored under
+ * Keeping payloads per shop lets shop/redact purge them
+ * @param {string} shopDomain - The shop domain
+ * @returns {string} The key prefix, ending in a slash
+ */
+export function getPayloadPrefix(shopDomain) {
+  return `${PAYLOAD_PREFIX}/${shopDomain}/`;
+}
+
+/**
+ * Import every job module in the CLI, where there is no job manifest
+ */
+async function loadCliJobModules() {
+  const { default: fs } = await import('fs');
+  const { default: path } = await import('path');
+  const { fileURLToPath, pathToFileURL } = await import('url');
+
+  const rootDir = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', '..');
+  const modules = {};
+
+  const scan = async (dir, prefix) => {
+    if (!fs.existsSync(dir)) return;
+
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      if (!entry.isDirectory()) continue;
+
+      const jobDir = path.join(dir, entry.name);
+      const jobPath = `${prefix}/${entry.name}`;
+      const jobFile = path.join(jobDir, 'job.js');
+      if (!fs.existsSync(jobFile)) {
+        await scan(jobDir, jobPath);
+        continue;
+      }
+
+      try {
+        modules[jobPath] = await import(pathToFileURL(jobFile).href);
+      } catch (error) {
+        console.warn(`Could not load ${jobPath} to check for a redactor: ${error.message}`);
+      }
+    }
+  };
+
+  await scan(path.join(rootDir, 'local', 'jobs'), 'local/jobs');
+  await scan(path.join(rootDir, 'core', 'jobs'), 'core/jobs');
+  return modules;
+}
+
+/**
+ * Find the jobs that register a redactor hook for a compliance topic
+ * @param {string} topic - The compliance topic
+ * @param {Object} env - Environment object
+ * @returns {Promise<Array<{jobPath: string, hook: Function}>>} The hooks to run
+ */
+export async function findRedactors(topic, env) {
+  const hookName = REDACTOR_HOOKS[topic];
+  if (!hookName) {
+    throw new Error(`Invalid compliance topic: ${topic}`);
+  }
+
+  let modules;
+  if (isCliEnvironment(env)) {
+    modules = await loadCliJobModules();
+  } else {
+    const { jobModules } = await import('../../job-manifest.js');
+    modules = Object.fromEntries(Object.entries(jobModules).map(([jobPath, { module }]) => [jobPath, module]));
+  }
+
+  return Object.entries(modules)
+    .filter(([, module]) => typeof module.redactor?.[hookName] === 'function')
+    .map(([jobPath, module]) => ({ jobPath, hook: module.redactor[hookName].bind(module.redactor) }));
+}
+
+/**
+ * Get the R2 prefix that the compliance records of a shop are saved under
+ */
+function getComplianceRecordPrefix(shopDomain) {
+  return `${COMPLIANCE_RECORD_PREFIX}/${shopDomain}/`;
+}
+
+/**
+ * Delete every object under a prefix
+ * @returns {Promise<number>} The number of objects deleted
+ */
+async function deleteObjects(bucket, prefix) {
+  let deleted = 0;
+  let cursor;
+  do {
+    const listing = await bucket.list({ prefix, cursor });
+    const keys = listing.objects.map(object => object.key);
+    if (keys.length > 0) {
+      await bucket.delete(keys);
+      deleted += keys.length;
+    }
+    cursor = listing.truncated ? listing.cursor : undefined;
+  } while (cursor);
+
+  return deleted;
+}
+
+/**
+ * Delete the large payloads stored for a shop
+ * @returns {Promise<number>} The number of payloads deleted
+ */
+async function purgeShopPayloads(shopDomain, env) {
+  // Payloads only live in R2 when running in the worker
+  if (isCliEnvironment(env) || !env.R2_BUCKET) {
+    return 0;
+  }
+  return deleteObjects(env.R2_BUCKET, getPayloadPrefix(shopDomain));
+}
+
+/**
+ * Delete the compliance records saved for a shop, data request records hold its customers' data
+ * @returns {Promise<number>} The number of records deleted
+ */
+async function purgeShopComplianceRecords(shopDomain, env) {
+  if (isCliEnvironment(env) || !env.R2_BUCKET) {
+    return 0;
+  }
+  return deleteObjects(env.R2_BUCKET, getComplianceRecordPrefix(shopDomain));
+}
+
+/**
+ * Delete the compliance records saved for a customer of a shop, like the records of their data requests
+ * @returns {Promise<number>} The number of records deleted
+ */
+async function purgeCustomerComplianceRecords(shopDomain, customer, env) {
+  if (isCliEnvironment(env) || !env.R2_BUCKET || !customer) {
+    return 0;
+  }
+  const deleted = await deleteCustomerObjects(env.R2_BUCKET, getComplianceRecordPrefix(shopDomain), customer);
+  return deleted.length;
+}
+
+/**
+ * Delete the large payloads stored for a customer of a shop
+ * @returns {Promise<number>} The number of payloads deleted
+ */
+async function purgeCustomerPayloads(shopDomain, customer, env) {
+  if (isCliEnvironment(env) || !env.R2_BUCKET || !customer) {
+    return 0;
+  }
+  const deleted = await deleteCustomerObjects(env.R2_BUCKET, getPayloadPrefix(shopDomain), customer);
+  return deleted.length;
+}
+
+/**
+ * Delete the failed runs saved for a customer of a shop
+ * @returns {Promise<number>} The number of dead letters deleted
+ */
+async function purgeCustomerDeadLetters(shopDomain, customer, env) {
+  if (isCliEnvironment(env) || !env.R2_BUCKET || !customer) {
+    return 0;
+  }
+  return deleteCustomerDeadLetters(env, shopDomain, customer);
+}
+
+/**
+ * Delete the failed runs saved for a shop, which hold copies of its payloads
+ * @returns {Promise<number>} The number of dead letters deleted
+ */
+async function purgeShopDeadLetters(shopDomain, env) {
+  if (isCliEnvironment(env) || !env.R2_BUCKET) {
+    return 0;
+  }
+  return deleteShopDeadLetters(env, shopDomain);
+}
+
+/**
+ * Run a step durably when a workflow step is available
+ */
+async function runStep(step, name, callback) {
+  return step ? step.do(name, callback) : callback();
+}
+
+/**
+ * Handle a GDPR compliance webhook with the registered redactor hooks
+ * Hooks that fail don't stop the others, but fail the request once the compliance record is written
+ * @param {string} topic - The compliance topic
+ * @param {Object} params - The job parameters
+ * @param {Object} params.payload - The compliance webhook payload
+ * @param {Object} params.shopify - Shopify API client
+ * @param {Object} params.env - Environment object
+ * @param {Object} params.shopConfig - Shop configuration
+ * @param {Object} params.secrets - Secrets
+ * @param {Object} [params.step] - Workflow step, so completed hooks aren't repeated on retries
+ * @returns {Promise<Object>} The compliance record
+ */
+export async function handleComplianceRequest(topic, { payload, shopify, env, shopConfig, secrets, step }) {
+  const shopDomain = shopConfig?.shopify_domain || payload.shop_domain;
+  const context = {
+    topic,
+    shopDomain,
+    customer: payload.customer || null,
+    orderIds: payload.orders_requested || payload.orders_to_redact || [],
+    payload,
+    shopify,
+    env,
+    shopConfig,
+    secrets
+  };
+
+  const results = [];
+  for (const { jobPath, hook } of await findRedactors(topic, env)) {
+    try {
+      // Step results must be serializable, so hooks without a return value record null
+      const result = await runStep(step, `${REDACTOR_HOOKS[topic]}: ${jobPath}`, async () => (await hook(context)) ?? null);
+      results.push({ jobPath, status: 'completed', result });
+    } catch (error) {
+      console.error(`Redactor ${jobPath} failed for ${topic}: ${error.message}`);
+      results.push({ jobPath, status: 'failed', error: error.message });
+    }
+  }
+
+  if (topic === CUSTOMERS_REDACT_TOPIC) {
+    const payloadsDeleted = await runStep(step, 'purge-customer-payloads', () => purgeCustomerPayloads(shopDomain, context.customer, env));
+    const deadLettersDeleted = await runStep(step, 'purge-customer-dead-letters', () => purgeCustomerDeadLetters(shopDomain, context.customer, env));
+    const recordsDeleted = await runStep(step, 'purge-customer-compliance-records', () => purgeCustomerComplianceRecords(shopDomain, context.customer, env));
+    results.push({ jobPath: null, status: 'completed', result: { payloadsDeleted, deadLettersDeleted, recordsDeleted } });
+  }
+
+  if (topic === SHOP_REDACT_TOPIC) {
+    const payloadsDeleted = await runStep(step, 'purge-shop-payloads', () => purgeShopPayloads(shopDomain, env));
+    const deadLettersDeleted = await runStep(step, 'purge-shop-dead-letters', () => purgeShopDeadLetters(shopDomain, env));
+    const recordsDeleted = await runStep(step, 'purge-shop-compliance-records', () => purgeShopComplianceRecords(shopDomain, env));
+    results.push({ jobPath: null, status: 'completed', result: { payloadsDeleted, deadLettersDeleted, recordsDeleted } });
+  }
+
+  const record = {
+    topic,
+    shopDomain,
+    shopId: payload.shop_id ?? null,
+    customerId: payload.customer?.id ?? null,
+    orderIds: context.orderIds,
+    dataRequestId: payload.data_request?.id ?? null,
+    processedAt: new Date().toISOString(),
+    results
+  };
+
+  await runStep(step, 'save-compliance-record', async () => {
+    const failedCount = results.filter(result => result.status === 'failed').length;
+    console.log(
+      `Compliance ${topic} for ${shopDomain}: customer ${record.customerId ?? 'none'}, ` +
+      `${record.orderIds.length} orders, data request ${record.dataRequestId ?? 'none'}, ` +
+      `${results.length - failedCount} steps completed, ${failedCount} failed`
+    );
+
+    // The CLI has no compliance storage
+    if (isCliEnvironment(env)) {
+      return;
+    }
+    // Records carry their customer, so customers/redact can delete the records of their data requests
+    const timestamp = record.processedAt.replace(/[:.]/g, '-');
+    return saveJSON(record, {
+      path: `${getComplianceRecordPrefix(shopDomain)}${topic.replace('/', '-')}/${timestamp}.json`,
+      metadata: getCustomerMetadata(payload)
+    }, env);
+  });
+
+  const failed = results.filter(result => result.status === 'failed');
+  if (failed.length > 0) {
+    throw new Error(`Compliance ${topic} failed for ${failed.map(result => result.jobPath).join(', ')}`);
+  }
+
+  return record;
+}
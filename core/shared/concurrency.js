@@ -0,0 +1,293 @@
+/**
+ * Per-resource concurrency locks
+ * Jobs with a `concurrencyKey` in their config (a path into the payload like "payload.id") hold a lock on
+ * that key while they run, so two webhooks for the same order are processed one after the other even when
+ * they come from different jobs. Locks are leased, so a workflow that dies can't hold a key forever. The job's
+ * steps renew the lease, and sleeps and event waits extend it to cover the wait, so a run that is still working
+ * keeps its key. Uses the ConcurrencyLock Durable Object in the worker and an in-process lock in the CLI.
+ */
+
+import { isCliEnvironment } from './env.js';
+import { DEFAULT_EVENT_TIMEOUT, parseWorkflowDuration } from './workflow-events.js';
+
+const LOCK_BINDING = 'CONCURRENCY_LOCK';
+
+// A holder that crashed releases its key after the lease
+const DEFAULT_LEASE_SECONDS = 15 * 60;
+
+// Waiters that stop polling lose their place in the queue
+const WAITER_TIMEOUT_MS = 5 * 60 * 1000;
+
+// Polling backs off from 1 second to 30 seconds
+const INITIAL_RETRY_MS = 1000;
+const MAX_RETRY_MS = 30 * 1000;
+
+// Fallback locks for environments without the Durable Object binding
+const memoryLocks = new Map();
+
+// Track if we've already warned about the memory fallback
+let memoryFallbackWarned = false;
+
+/**
+ * Create an empty lock state
+ * @returns {Object} The lock state
+ */
+export function createLockState() {
+  return { holder: null, expiresAt: 0, waiters: [] };
+}
+
+/**
+ * Try to take a lock, queueing the holder when the lock is taken
+ * Waiters get the lock in the order they first asked for it
+ * @param {Object} state - The lock state, updated in place
+ * @param {string} holderId - Who is asking, e.g. the workflow instance ID
+ * @param {number} leaseMs - How long the lock is held without being released
+ * @param {number} [now] - The current time
+ * @returns {{acquired: boolean, position: number}} Whether the lock was taken, and the place in the queue if not
+ */
+export function acquireLock(state, holderId, leaseMs, now = Date.now()) {
+  if (state.holder && state.expiresAt <= now) {
+    console.warn(`Concurrency lease of ${state.holder} expired`);
+    state.holder = null;
+  }
+  state.waiters = state.waiters.filter(waiter => waiter.id === holderId || now - waiter.seenAt < WAITER_TIMEOUT_MS);
+
+  const isNext = state.waiters.length === 0 || state.waiters[0].id === holderId;
+  if (state.holder === holderId || (!state.holder && isNext)) {
+    state.holder = holderId;
+    state.expiresAt = now + leaseMs;
+    state.waiters = state.waiters.filter(waiter => waiter.id !== holderId);
+    return { acquired: true, position: 0 };
+  }
+
+  const waiter = state.waiters.find(waiter => waiter.id === holderId);
+  if (waiter) {
+    waiter.seenAt = now;
+  } else {
+    state.waiters.push({ id: holderId, seenAt: now });
+  }
+  return { acquired: false, position: state.waiters.findIndex(waiter => waiter.id === holderId) + 1 };
+}
+
+/**
+ * Extend the lease of a lock if it is still held by the holder
+ * @param {Object} state - The lock state, updated in place
+ * @param {string} holderId - Who is renewing
+ * @param {number} leaseMs - How long from now the lock is held without being released
+ * @param {number} [now] - The current time
+ * @returns {boolean} Whether the holder still had the lock
+ */
+export function renewLock(state, holderId, leaseMs, now = Date.now()) {
+  if (state.holder !== holderId) {
+    return false;
+  }
+  state.expiresAt = Math.max(state.expiresAt, now + leaseMs);
+  return true;
+}
+
+/**
+ * Release a lock if it is held by the holder
+ * @param {Object} state - The lock state, updated in place
+ * @param {string} holderId - Who is releasing
+ * @returns {boolean} Whether the holder had the lock
+ */
+export function releaseLock(state, holderId) {
+  if (state.holder !== holderId) {
+    return false;
+  }
+  state.holder = null;
+  state.expiresAt = 0;
+  return true;
+}
+
+/**
+ * Create a lock client backed by the ConcurrencyLock Durable Object, one object per key
+ */
+function createDurableObjectLock(namespace) {
+  const getStub = (key) => namespace.get(namespace.idFromName(key));
+  return {
+    acquire: (key, holderId, leaseMs) => getStub(key).acquire(holderId, leaseMs),
+    renew: (key, holderId, leaseMs) => getStub(key).renew(holderId, leaseMs),
+    release: (key, holderId) => getStub(key).release(holderId)
+  };
+}
+
+/**
+ * Create a lock client that only serializes work within this process
+ */
+function createMemoryLock() {
+  const getState = (key) => {
+    if (!memoryLocks.has(key)) {
+      memoryLocks.set(key, createLockState());
+    }
+    return memoryLocks.get(key);
+  };
+
+  return {
+    async acquire(key, holderId, leaseMs) {
+      return acquireLock(getState(key), holderId, leaseMs);
+    },
+
+    async renew(key, holderId, leaseMs) {
+      return memoryLocks.has(key) && renewLock(memoryLocks.get(key), holderId, leaseMs);
+    },
+
+    async release(key, holderId) {
+      const state = getState(key);
+      const released = releaseLock(state, holderId);
+      if (!state.holder && state.waiters.length === 0) {
+        memoryLocks.delete(key);
+      }
+      return released;
+    }
+  };
+}
+
+/**
+ * Create a concurrency lock client for the current environment
+ * @param {Object} env - Environment variables (worker env or process.env)
+ * @returns {{acquire: Function, renew: Function, release: Function}} The lock client
+ */
+export function createConcurrencyLock(env) {
+  if (env && env[LOCK_BINDING]) {
+    return createDurableObjectLock(env[LOCK_BINDING]);
+  }
+
+  if (!isCliEnvironment(env) && !memoryFallbackWarned) {
+    console.warn(`${LOCK_BINDING} binding not found, falling back to in-memory concurrency locks`);
+    memoryFallbackWarned = true;
+  }
+  return createMemoryLock();
+}
+
+/**
+ * Resolve a job's concurrency key for a payload
+ * @param {Object} jobConfig - The job configuration
+ * @param {Object} context - Values the key expression can use
+ * @param {Object} context.payload - The job payload
+ * @param {string} context.shopDomain - The shop domain, every key is scoped to the shop
+ * @returns {string|null} The lock key, or null if the job has no concurrency key
+ */
+export function getConcurrencyKey(jobConfig, { payload, shopDomain }) {
+  const expression = jobConfig?.concurrencyKey;
+  if (!expression) {
+    return null;
+  }
+
+  // "payload.line_items[0].id" walks payload -> line_items -> 0 -> id
+  const segments = expression.replace(/\[(\d+)\]/g, '.$1').split('.');
+  let value = { payload, shopDomain };
+  for (const segment of segments) {
+    value = value == null ? undefined : value[segment];
+  }
+
+  if (value === undefined || value === null || value === '') {
+    console.warn(`Concurrency key ${expression} is missing from the payload, running without a lock`);
+    return null;
+  }
+  return `${shopDomain}:${typeof value === 'object' ? JSON.stringify(value) : value}`;
+}
+
+/**
+ * Create the error for a run that lost its lock, workflows must not retry the step into working without it
+ */
+async function createLockLostError(message, env) {
+  if (isCliEnvironment(env)) {
+    return new Error(message);
+  }
+  const { NonRetryableError } = await import('cloudflare:workflows');
+  return new NonRetryableError(message);
+}
+
+/**
+ * Wrap a step so the job's steps and waits renew its lease
+ * Each step renews the lease inside the step, so replayed steps don't renew it again. A run that has lost its
+ * lock to another run fails without retries rather than working on the resource at the same time.
+ */
+function createLockedStep(step, { lock, key, holderId, leaseMs, env }) {
+  let lost = false;
+
+  const renew = async (waitMs = 0) => {
+    if (lost || !(await lock.renew(key, holderId, leaseMs + waitMs))) {
+      lost = true;
+      throw await createLockLostError(`Concurrency lock ${key} is no longer held by ${holderId}, another run may be using it`, env);
+    }
+    return null;
+  };
+
+  // Waits renew the lease in a step of their own, long enough to cover the wait
+  const renewForWait = (name, waitMs) => step.do(`renew-concurrency-lock: ${name}`, () => renew(Math.max(waitMs, 0)));
+
+  const lockedStep = {
+    do: (name, ...args) => {
+      const callback = args.pop();
+      return step.do(name, ...args, async () => {
+        await renew();
+        return callback();
+      });
+    },
+
+    sleep: async (name, duration) => {
+      await renewForWait(name, parseWorkflowDuration(duration));
+      return step.sleep(name, duration);
+    },
+
+    waitForEvent: async (name, options = {}) => {
+      await renewForWait(name, parseWorkflowDuration(options.timeout || DEFAULT_EVENT_TIMEOUT));
+      return step.waitForEvent(name, options);
+    }
+  };
+
+  if (step.sleepUntil) {
+    lockedStep.sleepUntil = async (name, timestamp) => {
+      await renewForWait(name, new Date(timestamp).getTime() - Date.now());
+      return step.sleepUntil(name, timestamp);
+    };
+  }
+  return lockedStep;
+}
+
+/**
+ * Run a job while holding its concurrency lock
+ * Waiting happens in workflow sleeps, so a queued job doesn't use any CPU time
+ * @param {Object} options - Lock options
+ * @param {Object} options.jobConfig - The job configuration
+ * @param {Object} options.payload - The job payload
+ * @param {string} options.shopDomain - The shop domain
+ * @param {string} options.holderId - A unique ID for this run, e.g. the workflow instance ID
+ * @param {Object} options.env - Environment variables
+ * @param {Object} options.step - Workflow step, or the CLI's equivalent
+ * @param {Function} callback - The work to do while holding the lock, called with the step the job should use
+ * @returns {Promise<any>} The callback's result
+ */
+export async function withConcurrencyLock({ jobConfig, payload, shopDomain, holderId, env, step }, callback) {
+  const key = getConcurrencyKey(jobConfig, { payload, shopDomain });
+  if (!key) {
+    return callback(step);
+  }
+
+  const lock = createConcurrencyLock(env);
+  const leaseMs = (jobConfig.concurrencyLeaseSeconds || DEFAULT_LEASE_SECONDS) * 1000;
+
+  for (let attempt = 0; ; attempt++) {
+    const { acquired, position } = await step.do(`acquire-concurrency-lock-${attempt}`, () => lock.acquire(key, holderId, leaseMs));
+    if (acquired) {
+      console.log(`Acquired concurrency lock ${key}`);
+      break;
+    }
+
+    const waitMs = Math.min(INITIAL_RETRY_MS * 2 ** attempt, MAX_RETRY_MS);
+    console.log(`Waiting for concurrency lock ${key} (position ${position} in queue)`);
+    await step.sleep(`wait-for-concurrency-lock-${attempt}`, waitMs);
+  }
+
+  try {
+    return await callback(createLockedStep(step, { lock, key, holderId, leaseMs, env }));
+  } finally {
+    // A lease that ran out may belong to another run by now, which keeps it
+    const released = await step.do('release-concurrency-lock', () => lock.release(key, holderId));
+    if (!released) {
+      console.warn(`Concurrency lock ${key} was no longer held by ${holderId} when it finished, another run may have overlapped`);
+    }
+  }
+}
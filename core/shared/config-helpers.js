@@ -45,8 +45,9 @@ export function getShopConfig(cliDirname, shopName) {
   const shopworkerFileContent = fs.readFileSync(shopworkerFilePath, 'utf8');
   const shopworkerData = JSON.parse(shopworkerFileContent);
 
-  // Check if using new format (direct shop config)
-  if (shopworkerData.shopify_domain && shopworkerData.shopify_token) {
+  // Check if using new format (direct shop config), the token is checked where a Shopify client is created since
+  // tests replaying a cassette run without one
+  if (shopworkerData.shopify_domain && !shopworkerData.shops) {
     return shopworkerData;
   }
 
@@ -55,7 +56,10 @@ export function getShopConfig(cliDirname, shopName) {
     throw new Error('Invalid .shopworker.json format: Missing shop configuration.');
   }
 
-  const shopConfig = shopworkerData.shops.find(s => s.name === shopName);
+  // Jobs without a shop (e.g. scheduled jobs with "shops": "all") use the first shop
+  const shopConfig = shopName
+    ? shopworkerData.shops.find(s => s.name === shopName || s.shopify_domain === shopName)
+    : shopworkerData.shops[0];
   if (!shopConfig) {
     throw new Error(`Shop configuration for '${shopName}' not found in .shopworker.json.`);
   }
@@ -105,27 +109,30 @@ export function getShopConfigWithSecret(cliDirname, shopName, optionalShopDomain
   const shopworkerContent = fs.readFileSync(shopworkerFilePath, 'utf8');
   const shopworkerData = JSON.parse(shopworkerContent);
   
-  let shopConfig, apiSecret;
+  let shopConfig, apiSecret, shopDomain;
   
   // Check if using new format
   if (shopworkerData.shopify_domain && shopworkerData.shopify_token) {
     shopConfig = shopworkerData;
     apiSecret = shopworkerData.shopify_api_secret_key;
+    shopDomain = optionalShopDomain || getShopDomain(cliDirname, shopName);
   } else {
-    // Legacy format support
-    shopConfig = shopworkerData.shops.find(s => s.name === shopName);
+    // Legacy format support, the override can be a shop name or domain
+    const shopIdentifier = optionalShopDomain || shopName;
+    shopConfig = shopIdentifier
+      ? shopworkerData.shops.find(s => s.name === shopIdentifier || s.shopify_domain === shopIdentifier)
+      : shopworkerData.shops[0];
     if (!shopConfig) {
-      throw new Error(`Shop configuration for '${shopName}' not found in .shopworker.json.`);
+      throw new Error(`Shop configuration for '${shopIdentifier}' not found in .shopworker.json.`);
     }
     apiSecret = shopConfig.shopify_api_secret_key;
+    shopDomain = shopConfig.shopify_domain;
   }
 
   if (!apiSecret) {
     throw new Error(`API secret not found. Make sure shopify_api_secret_key is defined in .shopworker.json.`);
   }
 
-  const shopDomain = optionalShopDomain || getShopDomain(cliDirname, shopName);
-
   return { shopConfig, apiSecret, shopDomain };
 }
 
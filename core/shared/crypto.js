@@ -1,15 +1,16 @@
 /**
- * Cross-runtime SHA-256 HMAC implementation
+ * Cross-runtime SHA-256 HMAC and hash implementation
  * Works in both Node.js and Cloudflare Workers environments
  */
 
 /**
  * Generate an HMAC-SHA256 signature
  * @param {string} secret - The secret key
- * @param {string|ArrayBuffer} payload - The payload to sign
- * @returns {Promise<string>} The base64-encoded signature
+ * @param {string|ArrayBuffer|Uint8Array} payload - The payload to sign
+ * @param {string} [encoding='base64'] - Output encoding, 'base64' or 'hex'
+ * @returns {Promise<string>} The encoded signature
  */
-export async function hmacSha256(secret, payload) {
+export async function hmacSha256(secret, payload, encoding = 'base64') {
   // Detect environment
   if (typeof crypto !== 'undefined' && crypto.subtle) {
     // Web Crypto API (Cloudflare Workers)
@@ -31,18 +32,60 @@ export async function hmacSha256(secret, payload) {
     // Sign the data
     const signature = await crypto.subtle.sign('HMAC', key, data);
 
-    // Convert to base64
-    return bufferToBase64(signature);
+    return encoding === 'hex' ? bufferToHex(signature) : bufferToBase64(signature);
   } else {
     // Node.js environment
     const crypto = await import('crypto');
+    const data = typeof payload === 'string' ? payload : new Uint8Array(payload);
     return crypto.default
       .createHmac('sha256', secret)
-      .update(payload, typeof payload === 'string' ? 'utf8' : undefined)
-      .digest('base64');
+      .update(data, typeof payload === 'string' ? 'utf8' : undefined)
+      .digest(encoding);
   }
 }
 
+/**
+ * Hash a string with SHA-256
+ * @param {string} payload - The string to hash
+ * @returns {Promise<string>} The hex-encoded hash
+ */
+export async function sha256Hex(payload) {
+  if (typeof crypto !== 'undefined' && crypto.subtle) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(payload));
+    return bufferToHex(digest);
+  } else {
+    const crypto = await import('crypto');
+    return crypto.default.createHash('sha256').update(payload, 'utf8').digest('hex');
+  }
+}
+
+/**
+ * Compare two strings in constant time to avoid leaking signature prefixes
+ * @param {string} a - The first string
+ * @param {string} b - The second string
+ * @returns {boolean} Whether the strings are equal
+ */
+export function timingSafeEqual(a, b) {
+  if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) {
+    return false;
+  }
+
+  let mismatch = 0;
+  for (let i = 0; i < a.length; i++) {
+    mismatch |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return mismatch === 0;
+}
+
+/**
+ * Convert an ArrayBuffer to a hex string
+ * @param {ArrayBuffer} buffer - The buffer to convert
+ * @returns {string} The hex-encoded string
+ */
+function bufferToHex(buffer) {
+  return Array.from(new Uint8Array(buffer), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
 /**
  * Convert an ArrayBuffer to a base64 string
  * @param {ArrayBuffer} buffer - The buffer to convert
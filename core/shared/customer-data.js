@@ -0,0 +1,78 @@
+/**
+ * Customer references on stored payloads
+ * Payloads and dead letters saved to R2 carry the customer they belong to in their custom metadata, so
+ * customers/redact can find and delete them without reading every object.
+ */
+
+const CUSTOMER_GID_PREFIX = 'gid://shopify/Customer/';
+
+/**
+ * Get the numeric ID of a customer from a REST ID or a gid
+ */
+function toCustomerId(id) {
+  if (id === null || id === undefined || id === '') {
+    return null;
+  }
+  return String(id).split('/').pop();
+}
+
+/**
+ * Get the customer a payload belongs to, as R2 custom metadata
+ * Orders and other resources name their customer, customer webhooks are the customer themselves.
+ * @param {Object} payload - The job payload
+ * @returns {Object} { customerId, customerEmail } with the fields that were found
+ */
+export function getCustomerMetadata(payload) {
+  const isCustomer = String(payload?.admin_graphql_api_id || '').startsWith(CUSTOMER_GID_PREFIX);
+  const customerId = toCustomerId(payload?.customer?.id ?? payload?.customer_id ?? (isCustomer ? payload.id : null));
+  const email = payload?.customer?.email ?? payload?.email ?? payload?.contact_email;
+
+  const metadata = {};
+  if (customerId) {
+    metadata.customerId = customerId;
+  }
+  if (typeof email === 'string' && email) {
+    metadata.customerEmail = email.toLowerCase();
+  }
+  return metadata;
+}
+
+/**
+ * Check whether an object's custom metadata belongs to a customer
+ * @param {Object} [metadata] - The custom metadata of the object
+ * @param {Object} customer - The customer of a compliance webhook, with id and email
+ * @returns {boolean} Whether the object belongs to the customer
+ */
+export function matchesCustomer(metadata, customer) {
+  if (!metadata || !customer) {
+    return false;
+  }
+  const customerId = toCustomerId(customer.id);
+  if (customerId && metadata.customerId === customerId) {
+    return true;
+  }
+  return Boolean(customer.email) && metadata.customerEmail === customer.email.toLowerCase();
+}
+
+/**
+ * Delete the objects under a prefix that belong to a customer
+ * @param {Object} bucket - The R2 bucket
+ * @param {string} prefix - The key prefix
+ * @param {Object} customer - The customer of a compliance webhook, with id and email
+ * @returns {Promise<Array<string>>} The deleted keys
+ */
+export async function deleteCustomerObjects(bucket, prefix, customer) {
+  const deleted = [];
+  let cursor;
+  do {
+    const listing = await bucket.list({ prefix, cursor, include: ['customMetadata'] });
+    const keys = listing.objects.filter(object => matchesCustomer(object.customMetadata, customer)).map(object => object.key);
+    if (keys.length > 0) {
+      await bucket.delete(keys);
+      deleted.push(...keys);
+    }
+    cursor = listing.truncated ? listing.cursor : undefined;
+  } while (cursor);
+
+  return deleted;
+}
@@ -0,0 +1,225 @@
+/**
+ * Dead-letter store for failed job runs
+ * When a workflow fails, its payload, job, shop, topic and error are saved to R2 under
+ * dead-letters/<shop>/<id>.json and indexed in the dead_letters D1 table, so the run can be
+ * replayed once the bug is fixed (see `node cli.js replay`). The R2 copy is tagged with the payload's customer,
+ * so customers/redact deletes the customer's dead letters and shop/redact all of the shop's.
+ */
+
+import { createDatabase } from '../connectors/database.js';
+import { deleteCustomerObjects, getCustomerMetadata } from './customer-data.js';
+
+const DEAD_LETTER_PREFIX = 'dead-letters';
+const DEFAULT_LIST_LIMIT = 50;
+
+// The index is created on first use, since core can't add migrations to local/
+const CREATE_TABLE_STATEMENTS = [
+  `CREATE TABLE IF NOT EXISTS dead_letters (
+    id TEXT PRIMARY KEY,
+    shop_domain TEXT NOT NULL,
+    job_path TEXT NOT NULL,
+    topic TEXT,
+    error TEXT,
+    r2_key TEXT NOT NULL,
+    replay_of TEXT,
+    failed_at TEXT NOT NULL,
+    replayed_at TEXT,
+    replay_count INTEGER NOT NULL DEFAULT 0,
+    replay_workflow_id TEXT
+  )`,
+  'CREATE INDEX IF NOT EXISTS dead_letters_shop_failed_at ON dead_letters (shop_domain, failed_at)'
+];
+
+// Track if the table has been created in this isolate
+let tableReady = false;
+
+/**
+ * Open the D1 database, creating the dead_letters table if needed
+ */
+async function openIndex(env) {
+  const db = createDatabase();
+  await db.init(env);
+
+  if (!tableReady) {
+    for (const statement of CREATE_TABLE_STATEMENTS) {
+      await db.execute(statement);
+    }
+    tableReady = true;
+  }
+  return db;
+}
+
+/**
+ * Convert an index row to a dead-letter summary
+ */
+function toSummary(row) {
+  return {
+    id: row.id,
+    shopDomain: row.shop_domain,
+    jobPath: row.job_path,
+    topic: row.topic,
+    error: row.error,
+    replayOf: row.replay_of,
+    failedAt: row.failed_at,
+    replayedAt: row.replayed_at,
+    replayCount: row.replay_count,
+    replayWorkflowId: row.replay_workflow_id
+  };
+}
+
+/**
+ * Get the R2 prefix that the dead letters of a shop are stored under
+ * @param {string} shopDomain - The shop domain
+ * @returns {string} The key prefix, ending in a slash
+ */
+export function getDeadLetterPrefix(shopDomain) {
+  return `${DEAD_LETTER_PREFIX}/${shopDomain}/`;
+}
+
+/**
+ * Save a failed run to the dead-letter store
+ * The R2 copy is saved first, so a run is never lost because the index is unavailable
+ * @param {Object} env - Worker environment
+ * @param {Object} deadLetter - The failed run
+ * @param {string} deadLetter.id - A unique ID for the run, e.g. the workflow instance ID
+ * @param {string} deadLetter.shopDomain - The shop domain
+ * @param {string} deadLetter.jobPath - The job path
+ * @param {string} [deadLetter.topic] - The webhook topic
+ * @param {Object} deadLetter.payload - The job payload
+ * @param {string} deadLetter.error - The error message
+ * @param {string} [deadLetter.stack] - The error stack
+ * @param {string} [deadLetter.replayOf] - The dead letter this run replayed
+ * @returns {Promise<{id: string, r2Key: string, indexed: boolean}>} Where the dead letter was saved
+ */
+export async function recordDeadLetter(env, { id, shopDomain, jobPath, topic = null, payload, error, stack = null, replayOf = null }) {
+  const r2Key = `${getDeadLetterPrefix(shopDomain)}${id}.json`;
+  const failedAt = new Date().toISOString();
+
+  await env.R2_BUCKET.put(r2Key, JSON.stringify({ id, shopDomain, jobPath, topic, payload, error, stack, replayOf, failedAt }), {
+    httpMetadata: { contentType: 'application/json' },
+    customMetadata: { jobPath, ...getCustomerMetadata(payload) }
+  });
+
+  try {
+    const db = await openIndex(env);
+    await db.execute(
+      `INSERT OR REPLACE INTO dead_letters (id, shop_domain, job_path, topic, error, r2_key, replay_of, failed_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [id, shopDomain, jobPath, topic, error, r2Key, replayOf, failedAt]
+    );
+    return { id, r2Key, indexed: true };
+  } catch (indexError) {
+    console.error(`Failed to index dead letter ${id}, it is only in R2 at ${r2Key}: ${indexError.message}`);
+    return { id, r2Key, indexed: false };
+  }
+}
+
+/**
+ * List the dead letters of a shop, newest first
+ * @param {Object} env - Worker environment
+ * @param {Object} options - List options
+ * @param {string} options.shopDomain - The shop domain
+ * @param {string} [options.jobPath] - Only list failures of this job
+ * @param {number} [options.limit] - The maximum number of dead letters
+ * @returns {Promise<Array<Object>>} The dead-letter summaries
+ */
+export async function listDeadLetters(env, { shopDomain, jobPath = null, limit = DEFAULT_LIST_LIMIT }) {
+  const db = await openIndex(env);
+  const conditions = ['shop_domain = ?'];
+  const params = [shopDomain];
+  if (jobPath) {
+    conditions.push('job_path = ?');
+    params.push(jobPath);
+  }
+
+  const { results } = await db.all(
+    `SELECT * FROM dead_letters WHERE ${conditions.join(' AND ')} ORDER BY failed_at DESC LIMIT ?`,
+    [...params, limit]
+  );
+  return results.map(toSummary);
+}
+
+/**
+ * Load a dead letter with its payload
+ * @param {Object} env - Worker environment
+ * @param {string} shopDomain - The shop domain
+ * @param {string} id - The dead-letter ID
+ * @returns {Promise<Object|null>} The dead letter, or null if it doesn't exist
+ */
+export async function getDeadLetter(env, shopDomain, id) {
+  const object = await env.R2_BUCKET.get(`${getDeadLetterPrefix(shopDomain)}${id}.json`);
+  if (!object) {
+    return null;
+  }
+  return object.json();
+}
+
+/**
+ * Record that a dead letter was replayed
+ * @param {Object} env - Worker environment
+ * @param {string} id - The dead-letter ID
+ * @param {string} workflowId - The workflow started by the replay
+ */
+export async function markDeadLetterReplayed(env, id, workflowId) {
+  const db = await openIndex(env);
+  await db.execute(
+    `UPDATE dead_letters
+     SET replayed_at = ?, replay_count = replay_count + 1, replay_workflow_id = ?
+     WHERE id = ?`,
+    [new Date().toISOString(), workflowId, id]
+  );
+}
+
+/**
+ * Delete every dead letter of a shop
+ * @param {Object} env - Worker environment
+ * @param {string} shopDomain - The shop domain
+ * @returns {Promise<number>} The number of dead letters deleted from R2
+ */
+export async function deleteShopDeadLetters(env, shopDomain) {
+  let deleted = 0;
+  let cursor;
+  do {
+    const listing = await env.R2_BUCKET.list({ prefix: getDeadLetterPrefix(shopDomain), cursor });
+    const keys = listing.objects.map(object => object.key);
+    if (keys.length > 0) {
+      await env.R2_BUCKET.delete(keys);
+      deleted += keys.length;
+    }
+    cursor = listing.truncated ? listing.cursor : undefined;
+  } while (cursor);
+
+  // Dead letters are still saved to R2 when there is no index to delete from
+  try {
+    const db = await openIndex(env);
+    await db.execute('DELETE FROM dead_letters WHERE shop_domain = ?', [shopDomain]);
+  } catch (indexError) {
+    console.warn(`Failed to delete the dead-letter index of ${shopDomain}: ${indexError.message}`);
+  }
+  return deleted;
+}
+
+/**
+ * Delete the dead letters of a shop that belong to a customer
+ * @param {Object} env - Worker environment
+ * @param {string} shopDomain - The shop domain
+ * @param {Object} customer - The customer of a customers/redact webhook, with id and email
+ * @returns {Promise<number>} The number of dead letters deleted from R2
+ */
+export async function deleteCustomerDeadLetters(env, shopDomain, customer) {
+  const prefix = getDeadLetterPrefix(shopDomain);
+  const keys = await deleteCustomerObjects(env.R2_BUCKET, prefix, customer);
+  if (keys.length === 0) {
+    return 0;
+  }
+
+  try {
+    const db = await openIndex(env);
+    for (const key of keys) {
+      await db.execute('DELETE FROM dead_letters WHERE id = ?', [key.slice(prefix.length, -'.json'.length)]);
+    }
+  } catch (indexError) {
+    console.warn(`Failed to delete ${keys.length} customer dead letters from the index of ${shopDomain}: ${indexError.message}`);
+  }
+  return keys.length;
+}
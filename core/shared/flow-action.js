@@ -0,0 +1,100 @@
+/**
+ * Shopify Flow actions
+ * A job with the flow-action trigger is the runtime URL of a Flow action extension. Flow POSTs each action run as
+ *
+ *   { shop_id, shopify_domain, action_run_id, action_definition_id, handle, properties }
+ *
+ * signed like a webhook with the app's API secret. The job's payload is the action's properties, with the commerce
+ * object fields (order_id, customer_id, product_id) as gids and keys renamed by `flow.properties` in the job config,
+ * plus the run's details under `flowAction`.
+ *
+ * Actions run in a workflow and Flow gets an acknowledgement, unless the job config sets `flow.synchronous`: the job
+ * then runs during the request and its result is sent back as the action's return value, `{ "return_value": ... }`.
+ * Both kinds skip payloads that don't match the job's filter, and run each action_run_id once.
+ */
+
+export const FLOW_ACTION_TRIGGER = 'flow-action';
+export const FLOW_ACTION_TOPIC = 'shopworker/flow-action';
+
+// Properties Flow sends for the commerce object fields of an action, with the type of their gid
+const COMMERCE_OBJECT_PROPERTIES = {
+  order_id: 'Order',
+  customer_id: 'Customer',
+  product_id: 'Product'
+};
+
+/**
+ * Convert a commerce object ID to a gid, Flow may send the numeric ID
+ */
+function toGid(id, type) {
+  if (id === null || id === undefined || String(id).startsWith('gid://')) {
+    return id;
+  }
+  return `gid://shopify/${type}/${id}`;
+}
+
+/**
+ * Parse the body of a Flow action request
+ * @param {string} bodyText - The raw request body
+ * @returns {Object} The action run: { shop_id, shopify_domain, action_run_id, action_definition_id, handle, properties }
+ */
+export function parseFlowActionRequest(bodyText) {
+  let actionRun;
+  try {
+    actionRun = JSON.parse(bodyText);
+  } catch (error) {
+    throw new Error('Invalid JSON body');
+  }
+
+  if (!actionRun?.shopify_domain) {
+    throw new Error('Missing shopify_domain in Flow action request');
+  }
+  if (!actionRun.properties || typeof actionRun.properties !== 'object') {
+    throw new Error('Missing properties in Flow action request');
+  }
+  return actionRun;
+}
+
+/**
+ * Check whether a Flow action job answers with its result instead of running in a workflow
+ * @param {Object} jobConfig - The job configuration
+ * @returns {boolean} Whether the job runs during the request
+ */
+export function isSynchronousFlowAction(jobConfig) {
+  return jobConfig?.trigger === FLOW_ACTION_TRIGGER && Boolean(jobConfig.flow?.synchronous);
+}
+
+/**
+ * Build a job payload from a Flow action run
+ * @param {Object} actionRun - The parsed Flow action request
+ * @param {Object} jobConfig - The job configuration, whose `flow.properties` maps Flow property keys to payload keys
+ * @returns {Object} The properties, plus flowAction with { runId, handle, definitionId, shopId, shopDomain }
+ */
+export function getFlowActionPayload(actionRun, jobConfig) {
+  const renames = jobConfig?.flow?.properties || {};
+  const payload = {};
+
+  for (const [key, value] of Object.entries(actionRun.properties)) {
+    const gidType = COMMERCE_OBJECT_PROPERTIES[key];
+    payload[renames[key] || key] = gidType ? toGid(value, gidType) : value;
+  }
+
+  payload.flowAction = {
+    runId: actionRun.action_run_id ?? null,
+    handle: actionRun.handle ?? null,
+    definitionId: actionRun.action_definition_id ?? null,
+    shopId: actionRun.shop_id ?? null,
+    shopDomain: actionRun.shopify_domain
+  };
+  return payload;
+}
+
+/**
+ * Build the response body Flow expects from a synchronous action
+ * Actions with a return type read the job's result from return_value, other actions only need a 200 response.
+ * @param {*} result - The job result
+ * @returns {Object} The response body
+ */
+export function createFlowActionResponseBody(result) {
+  return result === undefined ? {} : { return_value: result };
+}
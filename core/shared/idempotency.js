@@ -0,0 +1,176 @@
+/**
+ * Webhook delivery idempotency store
+ * Records delivery IDs so repeat deliveries can be acknowledged without starting new work.
+ * Uses Workers KV in the worker, a JSON file in the CLI, and an in-memory map as a fallback
+ */
+
+import { isCliEnvironment } from './env.js';
+
+// Shopify retries failed deliveries for up to 48 hours
+const DEFAULT_TTL_SECONDS = 60 * 60 * 48;
+const KV_BINDING = 'IDEMPOTENCY_KV';
+const LOCAL_STORE_FILENAME = '.shopworker-deliveries.json';
+
+export const SHOPIFY_WEBHOOK_ID_HEADER = 'X-Shopify-Webhook-Id';
+export const SHOPWORKER_WEBHOOK_ID_HEADER = 'X-Shopworker-Webhook-Id';
+
+// Fallback store for environments without a KV binding (e.g. wrangler dev)
+const memoryEntries = new Map();
+
+// Track if we've already warned about the memory fallback
+let memoryFallbackWarned = false;
+
+/**
+ * Get the delivery ID header for a webhook request
+ * @param {Request} request - The incoming request
+ * @param {string} topic - The webhook topic
+ * @returns {string|null} The delivery ID or null if the sender didn't provide one
+ */
+export function getDeliveryId(request, topic) {
+  const header = topic === 'shopworker/webhook' ? SHOPWORKER_WEBHOOK_ID_HEADER : SHOPIFY_WEBHOOK_ID_HEADER;
+  return request.headers.get(header);
+}
+
+/**
+ * Build the store key for a delivery
+ * @param {string} shopDomain - The shop the delivery belongs to
+ * @param {string} deliveryId - The delivery ID from the webhook headers
+ * @returns {string} The store key
+ */
+export function getDeliveryKey(shopDomain, deliveryId) {
+  return `delivery:${shopDomain}:${deliveryId}`;
+}
+
+/**
+ * Create an idempotency store for the current environment
+ * @param {Object} env - Environment variables (worker env or process.env)
+ * @param {Object} [options] - Store options
+ * @param {number} [options.ttlSeconds] - How long a delivery ID is remembered
+ * @returns {{has: Function, get: Function, record: Function}} The idempotency store
+ */
+export function createIdempotencyStore(env, { ttlSeconds = DEFAULT_TTL_SECONDS } = {}) {
+  if (env && env[KV_BINDING]) {
+    return createKvStore(env[KV_BINDING], ttlSeconds);
+  }
+
+  if (isCliEnvironment(env)) {
+    return createFileStore(ttlSeconds);
+  }
+
+  if (!memoryFallbackWarned) {
+    console.warn(`${KV_BINDING} binding not found, falling back to in-memory delivery tracking`);
+    memoryFallbackWarned = true;
+  }
+  return createMemoryStore(ttlSeconds);
+}
+
+/**
+ * KV-backed store, relies on KV expiration for cleanup
+ */
+function createKvStore(kv, ttlSeconds) {
+  return {
+    async has(key) {
+      return (await kv.get(key)) !== null;
+    },
+
+    async get(key) {
+      const value = await kv.get(key);
+      return value === null ? null : JSON.parse(value);
+    },
+
+    async record(key, metadata = {}) {
+      await kv.put(key, JSON.stringify({ recordedAt: new Date().toISOString(), ...metadata }), {
+        expirationTtl: ttlSeconds
+      });
+    }
+  };
+}
+
+/**
+ * In-memory store, only deduplicates within a single isolate
+ */
+function createMemoryStore(ttlSeconds) {
+  return {
+    async has(key) {
+      const entry = memoryEntries.get(key);
+      if (!entry) return false;
+      if (entry.expiresAt <= Date.now()) {
+        memoryEntries.delete(key);
+        return false;
+      }
+      return true;
+    },
+
+    async get(key) {
+      if (!(await this.has(key))) {
+        return null;
+      }
+      const { expiresAt, ...metadata } = memoryEntries.get(key);
+      return metadata;
+    },
+
+    async record(key, metadata = {}) {
+      memoryEntries.set(key, { recordedAt: new Date().toISOString(), ...metadata, expiresAt: Date.now() + ttlSeconds * 1000 });
+    }
+  };
+}
+
+/**
+ * File-backed store for the CLI, kept in the project root
+ */
+function createFileStore(ttlSeconds) {
+  const loadEntries = async () => {
+    const { default: fs } = await import('fs');
+    const storePath = await getLocalStorePath();
+    if (!fs.existsSync(storePath)) {
+      return {};
+    }
+
+    try {
+      const entries = JSON.parse(fs.readFileSync(storePath, 'utf8'));
+      // Drop expired entries while we're here
+      const now = Date.now();
+      return Object.fromEntries(Object.entries(entries).filter(([, entry]) => entry.expiresAt > now));
+    } catch (error) {
+      console.warn(`Warning: Could not parse ${LOCAL_STORE_FILENAME}: ${error.message}`);
+      return {};
+    }
+  };
+
+  return {
+    async has(key) {
+      const entries = await loadEntries();
+      return Boolean(entries[key]);
+    },
+
+    async get(key) {
+      const entries = await loadEntries();
+      if (!entries[key]) {
+        return null;
+      }
+      const { expiresAt, ...metadata } = entries[key];
+      return metadata;
+    },
+
+    async record(key, metadata = {}) {
+      const { default: fs } = await import('fs');
+      const entries = await loadEntries();
+      entries[key] = {
+        recordedAt: new Date().toISOString(),
+        ...metadata,
+        expiresAt: Date.now() + ttlSeconds * 1000
+      };
+      fs.writeFileSync(await getLocalStorePath(), JSON.stringify(entries, null, 2), 'utf8');
+    }
+  };
+}
+
+/**
+ * Resolve the local store path relative to the project root
+ */
+async function getLocalStorePath() {
+  const { fileURLToPath } = await import('url');
+  const { default: pathModule } = await import('path');
+  const projectRoot = pathModule.join(pathModule.dirname(fileURLToPath(import.meta.url)), '..', '..');
+  return pathModule.join(projectRoot, LOCAL_STORE_FILENAME);
+}
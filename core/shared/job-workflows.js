@@ -0,0 +1,114 @@
+/**
+ * Starting JobDispatcher workflows
+ * Shared by the worker's webhook, schedule and replay handlers and by child jobs
+ */
+
+import { getPayloadPrefix } from './compliance.js';
+import { getCustomerMetadata } from './customer-data.js';
+import { sha256Hex } from './crypto.js';
+
+const PAYLOAD_SIZE_THRESHOLD = 1024 * 1024; // 1MB
+const WORKFLOW_ID_PREFIX = "job";
+const DELIVERY_WORKFLOW_ID_PREFIX = "delivery";
+const PAYLOAD_ID_PREFIX = "payload";
+
+/**
+ * Get the size of a payload in bytes
+ */
+function getPayloadSize(data) {
+  return new TextEncoder().encode(JSON.stringify(data)).length;
+}
+
+/**
+ * Store large payload in R2 and return a reference
+ * @param {Object} payload - The job payload
+ * @param {string} shopDomain - The shop domain
+ * @param {Object} env - Worker environment
+ * @returns {Promise<Object>} The payload info, with an r2Key for payloads stored in R2
+ */
+export async function handleLargePayload(payload, shopDomain, env) {
+  const payloadSize = getPayloadSize(payload);
+
+  if (payloadSize > PAYLOAD_SIZE_THRESHOLD) {
+    const payloadId = `${PAYLOAD_ID_PREFIX}-${Date.now()}-${Math.random().toString(36).substring(2, 11)}`;
+    const r2Key = `${getPayloadPrefix(shopDomain)}${payloadId}`;
+
+    // Tag the payload with its customer so customers/redact can delete it
+    await env.R2_BUCKET.put(r2Key, JSON.stringify(payload), {
+      customMetadata: getCustomerMetadata(payload)
+    });
+
+    return {
+      r2Key,
+      isLargePayload: true,
+      originalSize: payloadSize,
+    };
+  }
+
+  return {
+    payload,
+    isLargePayload: false,
+    originalSize: payloadSize,
+  };
+}
+
+/**
+ * Get the workflow parameters that carry a payload
+ * @param {Object} payloadInfo - The result of handleLargePayload
+ * @returns {Object} Either the payload or its R2 key
+ */
+export function getPayloadParams(payloadInfo) {
+  return payloadInfo.isLargePayload
+    ? { r2Key: payloadInfo.r2Key, isLargePayload: true }
+    : { payload: payloadInfo.payload, isLargePayload: false };
+}
+
+/**
+ * Generate a unique workflow instance ID
+ * @returns {string} The workflow ID
+ */
+export function generateWorkflowId() {
+  return `${WORKFLOW_ID_PREFIX}-${Date.now()}-${Math.random().toString(36).substring(2, 11)}`;
+}
+
+/**
+ * Get the workflow instance ID of a job started by a webhook delivery
+ * Every delivery of a webhook gets the same ID, so the workflow binding rejects a redelivery even when it arrives
+ * while the first one is still being handled
+ * @param {string} deliveryKey - The delivery's idempotency key
+ * @param {string} jobPath - The job path
+ * @returns {Promise<string>} The workflow ID
+ */
+export async function getDeliveryWorkflowId(deliveryKey, jobPath) {
+  const hash = await sha256Hex(`${deliveryKey}\n${jobPath}`);
+  return `${DELIVERY_WORKFLOW_ID_PREFIX}-${hash.slice(0, 48)}`;
+}
+
+/**
+ * Check whether creating a workflow failed because an instance with its ID already exists
+ * @param {Error} error - The error thrown by the workflow binding
+ * @returns {boolean} Whether the instance already exists
+ */
+export function isWorkflowExistsError(error) {
+  return /already.exists/i.test(error?.message || "");
+}
+
+/**
+ * Create and start workflow for job processing
+ * @param {Object} env - Worker environment
+ * @param {Object} params - The workflow parameters
+ * @param {string} [workflowId] - The instance ID, generated if not given
+ * @returns {Promise<string>} The workflow ID
+ */
+export async function createJobWorkflow(env, params, workflowId = generateWorkflowId()) {
+  console.log(`Creating workflow with ID: ${workflowId}`);
+
+  await env.WORKFLOW.create({
+    id: workflowId,
+    params,
+  });
+
+  console.log(`Workflow ${workflowId} created successfully`);
+
+  return workflowId;
+}
@@ -0,0 +1,367 @@
+/**
+ * Payload filters for job configs
+ * A job's `filter` is an expression, or a list of expressions that must all match, evaluated against the
+ * webhook payload before a workflow is started:
+ *
+ *   "filter": "$.rating <= 2"
+ *   "filter": ["$.financial_status == 'paid'", "$.line_items[*].sku contains 'GIFT'"]
+ *
+ * Expressions compare JSONPath-style paths ($.a.b, $.items[0], $.items[*].sku, $['odd key']) with numbers,
+ * 'strings', true, false, null and [lists] using ==, !=, <, <=, >, >=, contains and in, combined with
+ * &&, || (or `and`, `or`), ! (or `not`) and parentheses. A path on its own checks that the value is present
+ * and truthy. Paths with [*] match when any of their values does.
+ */
+
+const OPERATORS = ['==', '!=', '<=', '>=', '<', '>', 'contains', 'in'];
+const KEYWORDS = { true: true, false: false, null: null };
+const WORD_TOKENS = { and: '&&', or: '||', not: '!' };
+
+// Compiled filters, keyed by expression, so each is parsed once per isolate
+const compiledFilters = new Map();
+
+/**
+ * Create an error for a filter that can't be parsed
+ */
+function createFilterError(message, expression, position) {
+  return new Error(`Invalid filter "${expression}": ${message} at position ${position}`);
+}
+
+/**
+ * Remove the backslash escapes from a quoted string
+ */
+function unescapeString(value) {
+  return value.replace(/\\(.)/g, '$1');
+}
+
+/**
+ * Split an expression into tokens
+ */
+function tokenize(expression) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < expression.length) {
+    const char = expression[i];
+
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    if (char === '$') {
+      const start = i;
+      const segments = [];
+      i++;
+      while (i < expression.length) {
+        if (expression[i] === '.') {
+          const match = /^\.(\*|[A-Za-z_][\w-]*)/.exec(expression.slice(i));
+          if (!match) throw createFilterError('expected a property name', expression, i);
+          segments.push(match[1]);
+          i += match[0].length;
+        } else if (expression[i] === '[') {
+          const match = /^\[\s*(\*|-?\d+|'(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*")\s*\]/.exec(expression.slice(i));
+          if (!match) throw createFilterError('expected an index, * or a quoted property name', expression, i);
+          const key = match[1];
+          if (/^['"]/.test(key)) {
+            segments.push(unescapeString(key.slice(1, -1)));
+          } else {
+            segments.push(key === '*' ? key : Number(key));
+          }
+          i += match[0].length;
+        } else {
+          break;
+        }
+      }
+      tokens.push({ type: 'path', segments, position: start });
+      continue;
+    }
+
+    if (char === "'" || char === '"') {
+      const match = new RegExp(`^${char}((?:[^${char}\\\\]|\\\\.)*)${char}`).exec(expression.slice(i));
+      if (!match) throw createFilterError('unterminated string', expression, i);
+      tokens.push({ type: 'literal', value: unescapeString(match[1]), position: i });
+      i += match[0].length;
+      continue;
+    }
+
+    const number = /^-?\d+(\.\d+)?/.exec(expression.slice(i));
+    if (number) {
+      tokens.push({ type: 'literal', value: Number(number[0]), position: i });
+      i += number[0].length;
+      continue;
+    }
+
+    const word = /^[A-Za-z_]\w*/.exec(expression.slice(i));
+    if (word) {
+      const name = word[0];
+      if (name in KEYWORDS) {
+        tokens.push({ type: 'literal', value: KEYWORDS[name], position: i });
+      } else if (name in WORD_TOKENS) {
+        tokens.push({ type: WORD_TOKENS[name], position: i });
+      } else if (OPERATORS.includes(name)) {
+        tokens.push({ type: 'operator', value: name, position: i });
+      } else {
+        throw createFilterError(`unknown word "${name}"`, expression, i);
+      }
+      i += name.length;
+      continue;
+    }
+
+    const symbol = ['&&', '||', '==', '!=', '<=', '>='].find(candidate => expression.startsWith(candidate, i))
+      || ('<>!()[],'.includes(char) ? char : null);
+    if (!symbol) {
+      throw createFilterError(`unexpected "${char}"`, expression, i);
+    }
+    tokens.push(OPERATORS.includes(symbol) ? { type: 'operator', value: symbol, position: i } : { type: symbol, position: i });
+    i += symbol.length;
+  }
+
+  return tokens;
+}
+
+/**
+ * Parse tokens into an expression tree
+ */
+function parse(expression) {
+  const tokens = tokenize(expression);
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const position = () => tokens[index]?.position ?? expression.length;
+  const expect = (type) => {
+    if (peek()?.type !== type) throw createFilterError(`expected "${type}"`, expression, position());
+    return tokens[index++];
+  };
+
+  const parseOperand = () => {
+    const token = peek();
+    if (token?.type === 'path' || token?.type === 'literal') {
+      index++;
+      return token;
+    }
+    if (token?.type === '[') {
+      index++;
+      const items = [];
+      while (peek()?.type !== ']') {
+        if (peek()?.type !== 'literal') throw createFilterError('expected a value in the list', expression, position());
+        items.push(tokens[index++].value);
+        if (peek()?.type !== ']') expect(',');
+      }
+      index++;
+      return { type: 'literal', value: items };
+    }
+    throw createFilterError('expected a path or a value', expression, position());
+  };
+
+  const parsePrimary = () => {
+    if (peek()?.type === '(') {
+      index++;
+      const node = parseOr();
+      expect(')');
+      return node;
+    }
+
+    const left = parseOperand();
+    if (peek()?.type !== 'operator') {
+      return { type: 'truthy', operand: left };
+    }
+    const operator = tokens[index++].value;
+    return { type: 'compare', operator, left, right: parseOperand() };
+  };
+
+  const parseUnary = () => {
+    if (peek()?.type === '!') {
+      index++;
+      return { type: 'not', operand: parseUnary() };
+    }
+    return parsePrimary();
+  };
+
+  const parseAnd = () => {
+    let node = parseUnary();
+    while (peek()?.type === '&&') {
+      index++;
+      node = { type: 'and', left: node, right: parseUnary() };
+    }
+    return node;
+  };
+
+  const parseOr = () => {
+    let node = parseAnd();
+    while (peek()?.type === '||') {
+      index++;
+      node = { type: 'or', left: node, right: parseAnd() };
+    }
+    return node;
+  };
+
+  const tree = parseOr();
+  if (index < tokens.length) {
+    throw createFilterError('unexpected input', expression, position());
+  }
+  return tree;
+}
+
+/**
+ * Resolve a path against the payload
+ * @returns {Array} The values the path points to, more than one for paths with [*]
+ */
+function resolvePath(segments, payload) {
+  let values = [payload];
+  for (const segment of segments) {
+    const next = [];
+    for (const value of values) {
+      if (value == null || typeof value !== 'object') continue;
+
+      if (segment === '*') {
+        next.push(...Object.values(value));
+      } else if (typeof segment === 'number' && Array.isArray(value)) {
+        next.push(value.at(segment));
+      } else {
+        next.push(value[segment]);
+      }
+    }
+    values = next;
+  }
+  return values.filter(value => value !== undefined);
+}
+
+/**
+ * Get the values of an operand
+ */
+function getValues(operand, payload) {
+  return operand.type === 'path' ? resolvePath(operand.segments, payload) : [operand.value];
+}
+
+/**
+ * Get the values of a compared operand, where a missing value compares as null
+ */
+function getComparedValues(operand, payload) {
+  const values = getValues(operand, payload);
+  return values.length > 0 ? values : [null];
+}
+
+/**
+ * Check two values for equality, comparing numbers with numeric strings like Shopify's prices
+ */
+function isEqual(left, right) {
+  if (typeof left === 'number' && typeof right === 'string') return right.trim() !== '' && Number(right) === left;
+  if (typeof left === 'string' && typeof right === 'number') return isEqual(right, left);
+  return left === right;
+}
+
+/**
+ * Compare two values with an operator
+ */
+function compareValues(operator, left, right) {
+  switch (operator) {
+    case '==':
+      return isEqual(left, right);
+    case '!=':
+      return !isEqual(left, right);
+    case 'contains':
+      if (typeof left === 'string') return typeof right === 'string' && left.includes(right);
+      return Array.isArray(left) && left.some(item => isEqual(item, right));
+    case 'in':
+      return Array.isArray(right) ? right.some(item => isEqual(left, item)) : typeof right === 'string' && right.includes(left);
+    default: {
+      // Ordering compares numbers when either side is one, otherwise strings
+      const numeric = typeof left === 'number' || typeof right === 'number';
+      const a = numeric ? Number(left) : left;
+      const b = numeric ? Number(right) : right;
+      if (left == null || right == null || (numeric && (Number.isNaN(a) || Number.isNaN(b)))) return false;
+      if (operator === '<') return a < b;
+      if (operator === '<=') return a <= b;
+      if (operator === '>') return a > b;
+      return a >= b;
+    }
+  }
+}
+
+/**
+ * Check whether a value counts as present
+ */
+function isTruthy(value) {
+  return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+/**
+ * Evaluate an expression tree against the payload
+ */
+function evaluate(node, payload) {
+  switch (node.type) {
+    case 'and':
+      return evaluate(node.left, payload) && evaluate(node.right, payload);
+    case 'or':
+      return evaluate(node.left, payload) || evaluate(node.right, payload);
+    case 'not':
+      return !evaluate(node.operand, payload);
+    case 'truthy':
+      return getValues(node.operand, payload).some(isTruthy);
+    case 'compare': {
+      const leftValues = getComparedValues(node.left, payload);
+      const rightValues = getComparedValues(node.right, payload);
+      // != means no value matches, so "$.tags[*] != 'x'" excludes payloads with any 'x' tag
+      if (node.operator === '!=') {
+        return !leftValues.some(left => rightValues.some(right => compareValues('==', left, right)));
+      }
+      return leftValues.some(left => rightValues.some(right => compareValues(node.operator, left, right)));
+    }
+    default:
+      throw new Error(`Unknown filter node: ${node.type}`);
+  }
+}
+
+/**
+ * Compile a filter expression, reusing earlier compilations
+ * @param {string} expression - The filter expression
+ * @returns {Object} The expression tree
+ * @throws {Error} If the expression is invalid
+ */
+function compileFilter(expression) {
+  if (typeof expression !== 'string') {
+    throw new Error(`Invalid filter: expected an expression string, got ${JSON.stringify(expression)}`);
+  }
+  if (!compiledFilters.has(expression)) {
+    compiledFilters.set(expression, parse(expression));
+  }
+  return compiledFilters.get(expression);
+}
+
+/**
+ * Get the expressions of a job's filter
+ * @param {string|Array<string>} filter - The job's filter config
+ * @returns {Array<string>} The expressions, which must all match
+ */
+export function getFilterExpressions(filter) {
+  return Array.isArray(filter) ? filter : [filter];
+}
+
+/**
+ * Check a filter for syntax errors without evaluating it
+ * @param {string|Array<string>} filter - The job's filter config
+ * @throws {Error} If an expression is invalid
+ */
+export function validateFilter(filter) {
+  getFilterExpressions(filter).forEach(compileFilter);
+}
+
+/**
+ * Evaluate a job's filter against a payload
+ * @param {string|Array<string>|undefined} filter - The job's filter config
+ * @param {Object} payload - The webhook payload
+ * @returns {{matches: boolean, failed: string|null}} Whether the payload matches, and the first expression it failed
+ * @throws {Error} If an expression is invalid
+ */
+export function evaluateFilter(filter, payload) {
+  if (filter === undefined || filter === null) {
+    return { matches: true, failed: null };
+  }
+
+  for (const expression of getFilterExpressions(filter)) {
+    if (!evaluate(compileFilter(expression), payload)) {
+      return { matches: false, failed: expression };
+    }
+  }
+  return { matches: true, failed: null };
+}
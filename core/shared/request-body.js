@@ -0,0 +1,201 @@
+/**
+ * Request body parsing for webrequest jobs
+ * Bodies are parsed according to their Content-Type:
+ * - application/json (or no Content-Type): the parsed JSON
+ * - application/x-www-form-urlencoded: an object of fields, repeated fields become arrays
+ * - multipart/form-data: an object of fields, with uploaded files as { filename, contentType, size, data }
+ * - application/xml, text/xml: the parsed document, with attributes prefixed by "@_"
+ * - other text/* types: the body text
+ * Requests without a body use their query parameters instead.
+ */
+
+import { XMLParser, XMLValidator } from 'fast-xml-parser';
+import { saveContent } from '../connectors/r2.js';
+
+export const JSON_BODY = 'json';
+export const FORM_BODY = 'form';
+export const MULTIPART_BODY = 'multipart';
+export const XML_BODY = 'xml';
+export const TEXT_BODY = 'text';
+
+const XML_ATTRIBUTE_PREFIX = '@_';
+
+/**
+ * Create an error that the worker turns into a client error response
+ */
+function createBodyError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Get the kind of body a Content-Type header describes
+ * @param {string|null} contentType - The Content-Type header
+ * @returns {string|null} One of the *_BODY types, or null if the type isn't supported
+ */
+export function getBodyType(contentType) {
+  const mediaType = (contentType || '').split(';')[0].trim().toLowerCase();
+
+  if (!mediaType || mediaType === 'application/json' || mediaType.endsWith('+json')) {
+    return JSON_BODY;
+  }
+  if (mediaType === 'application/x-www-form-urlencoded') {
+    return FORM_BODY;
+  }
+  if (mediaType === 'multipart/form-data') {
+    return MULTIPART_BODY;
+  }
+  if (mediaType === 'application/xml' || mediaType === 'text/xml' || mediaType.endsWith('+xml')) {
+    return XML_BODY;
+  }
+  if (mediaType.startsWith('text/')) {
+    return TEXT_BODY;
+  }
+  return null;
+}
+
+/**
+ * Add a field value, turning repeated fields into arrays
+ */
+function addField(fields, key, value) {
+  if (!(key in fields)) {
+    fields[key] = value;
+  } else if (Array.isArray(fields[key])) {
+    fields[key].push(value);
+  } else {
+    fields[key] = [fields[key], value];
+  }
+}
+
+/**
+ * Parse a multipart body, reading uploaded files into memory
+ */
+async function parseMultipartBody(bodyBytes, contentType) {
+  let formData;
+  try {
+    formData = await new Response(bodyBytes, { headers: { 'Content-Type': contentType } }).formData();
+  } catch (error) {
+    throw createBodyError(`Invalid multipart body: ${error.message}`);
+  }
+
+  const fields = {};
+  for (const [key, value] of formData) {
+    if (typeof value === 'string') {
+      addField(fields, key, value);
+      continue;
+    }
+
+    addField(fields, key, {
+      filename: value.name,
+      contentType: value.type || 'application/octet-stream',
+      size: value.size,
+      data: new Uint8Array(await value.arrayBuffer())
+    });
+  }
+  return fields;
+}
+
+/**
+ * Parse an XML body into an object
+ */
+function parseXmlBody(rawBody) {
+  const validation = XMLValidator.validate(rawBody);
+  if (validation !== true) {
+    throw createBodyError(`Invalid XML body: ${validation.err.msg} (line ${validation.err.line})`);
+  }
+
+  // Values stay strings, like the other body types
+  const parser = new XMLParser({
+    ignoreAttributes: false,
+    attributeNamePrefix: XML_ATTRIBUTE_PREFIX,
+    parseTagValue: false,
+    parseAttributeValue: false
+  });
+  return parser.parse(rawBody);
+}
+
+/**
+ * Read and parse the body of a webrequest
+ * Authenticate the request first, multipart bodies read every uploaded file into memory. Signatures should be
+ * checked against the bytes, multipart bodies don't survive being decoded as text.
+ * @param {Request} request - The incoming request (not consumed)
+ * @param {ArrayBuffer} [bodyBytes] - The body, if it was already read to check a signature
+ * @returns {Promise<{rawBody: string|ArrayBuffer, body: any, bodyType: string|null}>} The raw body (its text,
+ * or its bytes for multipart bodies), the parsed body and the body type, which is null for requests without a body
+ */
+export async function parseWebrequestBody(request, bodyBytes = null) {
+  const bytes = bodyBytes ?? await request.clone().arrayBuffer();
+
+  // Requests without a body, like GET or DELETE, use query parameters as payload
+  if (bytes.byteLength === 0) {
+    return { rawBody: '', body: Object.fromEntries(new URL(request.url).searchParams), bodyType: null };
+  }
+
+  const contentType = request.headers.get('Content-Type');
+  const bodyType = getBodyType(contentType);
+  if (bodyType === MULTIPART_BODY) {
+    return { rawBody: bytes, body: await parseMultipartBody(bytes, contentType), bodyType };
+  }
+
+  const rawBody = new TextDecoder().decode(bytes);
+  switch (bodyType) {
+    case JSON_BODY:
+      try {
+        return { rawBody, body: JSON.parse(rawBody), bodyType };
+      } catch (error) {
+        throw createBodyError('Invalid JSON body');
+      }
+    case FORM_BODY: {
+      const fields = {};
+      for (const [key, value] of new URLSearchParams(rawBody)) {
+        addField(fields, key, value);
+      }
+      return { rawBody, body: fields, bodyType };
+    }
+    case XML_BODY:
+      return { rawBody, body: parseXmlBody(rawBody), bodyType };
+    case TEXT_BODY:
+      return { rawBody, body: rawBody, bodyType };
+    default:
+      throw createBodyError(`Unsupported Content-Type: ${contentType}`, 415);
+  }
+}
+
+/**
+ * Check whether a parsed field is an uploaded file
+ */
+function isUploadedFile(value) {
+  return value?.data instanceof Uint8Array && 'filename' in value;
+}
+
+/**
+ * Save the uploaded files of a multipart body through the R2 connector
+ * Each file's data is replaced with the storage path it was saved to
+ * @param {Object} body - A parsed multipart body
+ * @param {Object} uploadsConfig - The job's uploads configuration, e.g. { "path": "quiz-uploads" }
+ * @param {Object} env - Environment object
+ * @returns {Promise<Object>} The body with saved file references
+ */
+export async function saveUploadedFiles(body, uploadsConfig, env) {
+  const prefix = (uploadsConfig.path || 'uploads').replace(/\/+$/, '');
+
+  const saveFile = async (file) => {
+    const safeFilename = (file.filename || 'upload').replace(/[^\w.-]+/g, '_');
+    const path = `${prefix}/${Date.now()}-${Math.random().toString(36).substring(2, 11)}-${safeFilename}`;
+    await saveContent(file.data, { path, contentType: file.contentType }, env);
+
+    const { data, ...reference } = file;
+    return { ...reference, path };
+  };
+
+  const saved = {};
+  for (const [key, value] of Object.entries(body)) {
+    if (Array.isArray(value)) {
+      saved[key] = await Promise.all(value.map(item => isUploadedFile(item) ? saveFile(item) : item));
+    } else {
+      saved[key] = isUploadedFile(value) ? await saveFile(value) : value;
+    }
+  }
+  return saved;
+}
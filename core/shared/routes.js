@@ -0,0 +1,143 @@
+/**
+ * REST-style routes for webrequest jobs
+ * Jobs declare the paths they answer with a `routes` array in their config, e.g.
+ * { "routes": ["GET /quiz/:id", "POST /quiz/:id/answers", "/quiz/:id/status"] }
+ * Routes without a method accept any method. Path segments starting with ":" capture params.
+ */
+
+export const ANY_METHOD = '*';
+
+/**
+ * Split a path into segments, ignoring leading and trailing slashes
+ */
+function getPathSegments(pathname) {
+  return pathname.split('/').filter(Boolean);
+}
+
+/**
+ * Parse a route declaration
+ * @param {string} route - The route, e.g. "GET /quiz/:id"
+ * @returns {{method: string, path: string, segments: Array<string>}} The parsed route
+ */
+export function parseRoute(route) {
+  const parts = route.trim().split(/\s+/);
+  if (parts.length > 2 || !parts[parts.length - 1].startsWith('/')) {
+    throw new Error(`Invalid route "${route}": expected "METHOD /path" or "/path"`);
+  }
+
+  const path = parts[parts.length - 1];
+  const method = parts.length === 2 ? parts[0].toUpperCase() : ANY_METHOD;
+  return { method, path, segments: getPathSegments(path) };
+}
+
+/**
+ * Check a job's route declarations, so a broken route fails the build instead of every routed request
+ * @param {*} routes - The `routes` of a job config
+ * @throws {Error} If routes isn't an array of valid route strings
+ */
+export function validateRoutes(routes) {
+  if (!Array.isArray(routes)) {
+    throw new Error(`Invalid routes ${JSON.stringify(routes)}: expected an array of routes`);
+  }
+  for (const route of routes) {
+    if (typeof route !== 'string') {
+      throw new Error(`Invalid route ${JSON.stringify(route)}: expected a string`);
+    }
+    parseRoute(route);
+  }
+}
+
+/**
+ * Decode a captured path segment, rejecting malformed escapes like %E0%A4%A with a 400
+ * @param {string} name - The parameter name, for the error message
+ * @param {string} segment - The raw path segment
+ * @returns {string} The decoded segment
+ * @throws {Error} With statusCode 400 if the segment has a malformed escape
+ */
+export function decodePathParam(name, segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch (error) {
+    const invalid = new Error(`Invalid path parameter ${name}: malformed escape in "${segment}"`);
+    invalid.statusCode = 400;
+    throw invalid;
+  }
+}
+
+/**
+ * Match a request path against a parsed route
+ * @param {Object} route - A route from parseRoute
+ * @param {string} pathname - The request path
+ * @returns {Object|null} The captured params, or null if the path doesn't match
+ * @throws {Error} With statusCode 400 if a captured segment has a malformed escape
+ */
+export function matchRoutePath(route, pathname) {
+  const segments = getPathSegments(pathname);
+  if (segments.length !== route.segments.length) {
+    return null;
+  }
+
+  const params = {};
+  for (let i = 0; i < segments.length; i++) {
+    const routeSegment = route.segments[i];
+    if (routeSegment.startsWith(':')) {
+      params[routeSegment.slice(1)] = decodePathParam(routeSegment.slice(1), segments[i]);
+    } else if (routeSegment !== segments[i]) {
+      return null;
+    }
+  }
+
+  return params;
+}
+
+/**
+ * Check whether a parsed route accepts a method
+ * @param {Object} route - A route from parseRoute
+ * @param {string} method - The request method
+ * @returns {boolean} Whether the method is accepted
+ */
+export function routeAcceptsMethod(route, method) {
+  return route.method === ANY_METHOD || route.method === method.toUpperCase();
+}
+
+/**
+ * Find the route of a job that matches a request path and method
+ * @param {Array<string>} routes - The job's route declarations
+ * @param {string} method - The request method
+ * @param {string} pathname - The request path
+ * @returns {{route: Object|null, params: Object|null, methods: Array<string>}} The matching route and params,
+ * plus every method the job accepts on this path (empty if the path doesn't match at all)
+ */
+export function findRoute(routes, method, pathname) {
+  let match = { route: null, params: null };
+  const methods = [];
+
+  for (const route of (routes || []).map(parseRoute)) {
+    const params = matchRoutePath(route, pathname);
+    if (!params) continue;
+
+    if (!match.route && routeAcceptsMethod(route, method)) {
+      match = { route, params };
+    }
+    methods.push(route.method);
+  }
+
+  return { ...match, methods };
+}
+
+/**
+ * Build the request details passed to webrequest jobs
+ * @param {Request} request - The incoming request
+ * @param {Object} [params] - Params captured from the route
+ * @returns {{method: string, params: Object, query: Object, headers: Object}} The request context
+ */
+export function getRequestContext(request, params = {}) {
+  const url = new URL(request.url);
+  return {
+    method: request.method,
+    params,
+    query: Object.fromEntries(url.searchParams),
+    // Header names come back lower-cased
+    headers: Object.fromEntries(request.headers)
+  };
+}
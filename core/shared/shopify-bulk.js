@@ -0,0 +1,559 @@
+/**
+ * Shopify bulk operations
+ * `shopify.bulkQuery` starts a bulkOperationRunQuery, waits for it to finish and returns the operation, and
+ * `shopify.bulkResults` streams its JSONL result with child rows nested into their parents:
+ *
+ *   const operation = await shopify.bulkQuery(ordersQuery, { step, name: "export-orders" });
+ *   for await (const order of shopify.bulkResults(operation)) {
+ *     // order.lineItems holds the LineItem rows whose __parentId is the order
+ *   }
+ *
+ * In a workflow the bulk query starts in a step and is polled in steps with step.sleep between checks, or waits for
+ * the bulk_operations/finish webhook with `useWebhook` (enable the bulk-operations/notify-finished job for that).
+ * Without a step the CLI polls with timers. `test.bulkFixtures` in a job config maps bulk query names to local JSONL
+ * files that `node cli.js test` uses instead of running the query.
+ *
+ * `shopify.bulkMutation` uploads a JSONL of variables through stagedUploadsCreate and runs a mutation for each line
+ * with bulkOperationRunMutation. `shopify.bulkMutationReport` turns its results into a success/failure report that
+ * saveBulkMutationReport writes as a CSV.
+ */
+
+import { isCliEnvironment } from './env.js';
+import { generateCSV, saveFile } from '../connectors/csv.js';
+
+const BULK_QUERY_RUN = `#graphql
+mutation BulkOperationRunQuery($query: String!) {
+  bulkOperationRunQuery(query: $query) {
+    bulkOperation {
+      id
+      status
+    }
+    userErrors {
+      field
+      message
+    }
+  }
+}`;
+
+const BULK_OPERATION_GET = `#graphql
+query GetBulkOperation($id: ID!) {
+  node(id: $id) {
+    ... on BulkOperation {
+      id
+      status
+      errorCode
+      objectCount
+      url
+      partialDataUrl
+    }
+  }
+}`;
+
+const STAGED_UPLOADS_CREATE = `#graphql
+mutation StagedUploadsCreate($input: [StagedUploadInput!]!) {
+  stagedUploadsCreate(input: $input) {
+    stagedTargets {
+      url
+      parameters {
+        name
+        value
+      }
+    }
+    userErrors {
+      field
+      message
+    }
+  }
+}`;
+
+const BULK_MUTATION_RUN = `#graphql
+mutation BulkOperationRunMutation($mutation: String!, $stagedUploadPath: String!) {
+  bulkOperationRunMutation(mutation: $mutation, stagedUploadPath: $stagedUploadPath) {
+    bulkOperation {
+      id
+      status
+    }
+    userErrors {
+      field
+      message
+    }
+  }
+}`;
+
+export const BULK_OPERATION_FINISHED_EVENT = 'bulk-operation-finished';
+
+const DEFAULT_NAME = 'bulk-query';
+const DEFAULT_MUTATION_NAME = 'bulk-mutation';
+
+// Bulk queries give up after a day unless told otherwise
+const DEFAULT_TIMEOUT_SECONDS = 24 * 60 * 60;
+
+// Polling backs off from 5 seconds to 5 minutes, which keeps a day of polling to a few hundred steps
+const INITIAL_POLL_MS = 5000;
+const MAX_POLL_MS = 5 * 60 * 1000;
+
+// Waiting for the webhook checks the operation this often, in case the webhook never reaches the workflow
+const WEBHOOK_CHECK_SECONDS = 15 * 60;
+
+const FINISHED_STATUSES = ['COMPLETED', 'FAILED', 'CANCELED', 'EXPIRED'];
+
+/**
+ * Get the R2 key that links a bulk operation to the workflow waiting for it
+ */
+function getWaiterKey(shopDomain, operationId) {
+  return `bulk-operations/${shopDomain}/${operationId.split('/').pop()}`;
+}
+
+/**
+ * Run a callback in a step when a workflow step is available
+ */
+async function runStep(step, name, callback) {
+  return step ? step.do(name, callback) : callback();
+}
+
+/**
+ * Wait between polls, without using CPU time when a workflow step is available
+ */
+async function pause(step, name, ms) {
+  if (step) {
+    return step.sleep(name, ms);
+  }
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Get the current state of a bulk operation
+ * @param {Object} shopify - The Shopify client
+ * @param {string} id - The bulk operation ID
+ * @returns {Promise<Object>} The operation's id, status, errorCode, objectCount, url and partialDataUrl
+ */
+export async function getBulkOperation(shopify, id) {
+  const { node } = await shopify.graphql(BULK_OPERATION_GET, { id });
+  if (!node) {
+    throw new Error(`Bulk operation ${id} not found`);
+  }
+  return node;
+}
+
+/**
+ * Return a finished operation, or throw if it didn't complete
+ */
+function checkFinishedOperation(operation) {
+  if (operation.status !== 'COMPLETED') {
+    throw new Error(`Bulk operation ${operation.id} ${operation.status.toLowerCase()}${operation.errorCode ? `: ${operation.errorCode}` : ''}`);
+  }
+  return operation;
+}
+
+/**
+ * Get the operation a test fixture stands in for, or null if there is no fixture for the name
+ */
+function getFixtureOperation(shopify, name) {
+  const fixture = shopify.bulkFixtures?.[name];
+  if (!fixture) {
+    return null;
+  }
+  console.log(`Using bulk operation fixture for ${name}: ${fixture}`);
+  return { id: `fixture:${name}`, status: 'COMPLETED', errorCode: null, objectCount: null, url: fixture, partialDataUrl: null };
+}
+
+/**
+ * Check the webhook options, returning whether to wait for the bulk_operations/finish webhook
+ */
+function shouldUseWebhook({ useWebhook, step, env, instanceId }) {
+  // The CLI has no webhooks, so it always polls
+  if (!useWebhook || isCliEnvironment(env)) {
+    return false;
+  }
+  if (!step || !env?.R2_BUCKET || !instanceId) {
+    throw new Error('Waiting for the bulk_operations/finish webhook needs step, env and instanceId');
+  }
+  return true;
+}
+
+/**
+ * Start a bulk operation in a step, recording the waiting workflow when it waits for the webhook
+ */
+async function startBulkOperation(shopify, options, useWebhook, start) {
+  const { name, step, env, instanceId } = options;
+  return runStep(step, `${name}-start`, async () => {
+    const operation = await start();
+    if (useWebhook) {
+      await env.R2_BUCKET.put(getWaiterKey(shopify.shopDomain, operation.id), JSON.stringify({ instanceId, name }));
+    }
+    console.log(`Started bulk operation ${operation.id}`);
+    return operation;
+  });
+}
+
+/**
+ * Run a bulk query and wait for it to finish
+ * @param {Object} shopify - The Shopify client
+ * @param {string} query - The bulk query, a query without pagination arguments
+ * @param {Object} [options] - Bulk query options
+ * @param {string} [options.name='bulk-query'] - Prefix of the step names and the key of the query's test fixture
+ * @param {Object} [options.step] - Workflow step, to start and poll the operation in steps
+ * @param {number} [options.timeoutSeconds=86400] - How long to wait before failing
+ * @param {boolean} [options.useWebhook=false] - Wait for the bulk_operations/finish webhook instead of polling
+ * @param {Object} [options.env] - Worker environment with R2_BUCKET, required with useWebhook
+ * @param {string} [options.instanceId] - The workflow instance ID, required with useWebhook
+ * @returns {Promise<Object>} The completed operation
+ * @throws {Error} If the operation fails, is canceled or expires, or doesn't finish in time
+ */
+export async function runBulkQuery(shopify, query, options = {}) {
+  const bulkOptions = { ...options, name: options.name || DEFAULT_NAME };
+  const fixtureOperation = getFixtureOperation(shopify, bulkOptions.name);
+  if (fixtureOperation) {
+    return fixtureOperation;
+  }
+
+  const useWebhook = shouldUseWebhook(bulkOptions);
+  const started = await startBulkOperation(shopify, bulkOptions, useWebhook, async () => {
+    const { bulkOperationRunQuery } = await shopify.graphql(BULK_QUERY_RUN, { query });
+    return bulkOperationRunQuery.bulkOperation;
+  });
+  return waitForBulkOperation(shopify, started, bulkOptions, useWebhook);
+}
+
+/**
+ * Upload the variables of a bulk mutation as JSONL to Shopify's staged upload storage
+ * @returns {Promise<string>} The staged upload path for bulkOperationRunMutation
+ */
+async function uploadMutationVariables(shopify, name, variablesList) {
+  const { stagedUploadsCreate } = await shopify.graphql(STAGED_UPLOADS_CREATE, {
+    input: [{
+      resource: 'BULK_MUTATION_VARIABLES',
+      filename: `${name}.jsonl`,
+      mimeType: 'text/jsonl',
+      httpMethod: 'POST'
+    }]
+  });
+  const [target] = stagedUploadsCreate.stagedTargets;
+
+  const form = new FormData();
+  for (const { name: parameter, value } of target.parameters) {
+    form.append(parameter, value);
+  }
+  const jsonl = variablesList.map(variables => JSON.stringify(variables)).join('\n');
+  form.append('file', new Blob([jsonl], { type: 'text/jsonl' }), `${name}.jsonl`);
+
+  const response = await shopify.fetch(target.url, { method: 'POST', body: form });
+  if (!response.ok) {
+    throw new Error(`Failed to upload bulk mutation variables: ${response.status} ${response.statusText}`);
+  }
+
+  const key = target.parameters.find(parameter => parameter.name === 'key');
+  if (!key) {
+    throw new Error('Staged upload target has no key parameter');
+  }
+  console.log(`Uploaded ${variablesList.length} bulk mutation variables`);
+  return key.value;
+}
+
+/**
+ * Run a mutation for every set of variables as a bulk operation and wait for it to finish
+ * The variables are uploaded in the same step that starts the operation, so a retried step uploads them again.
+ * @param {Object} shopify - The Shopify client
+ * @param {string} mutation - The mutation, run once per set of variables
+ * @param {Array<Object>} variablesList - The variables of each run, in the order of the report
+ * @param {Object} [options] - The options of runBulkQuery, with name defaulting to 'bulk-mutation'
+ * @returns {Promise<Object>} The completed operation, its url is the JSONL of mutation results
+ */
+export async function runBulkMutation(shopify, mutation, variablesList, options = {}) {
+  if (!Array.isArray(variablesList) || variablesList.length === 0) {
+    throw new Error('A bulk mutation needs a non-empty list of variables');
+  }
+
+  const bulkOptions = { ...options, name: options.name || DEFAULT_MUTATION_NAME };
+  const fixtureOperation = getFixtureOperation(shopify, bulkOptions.name);
+  if (fixtureOperation) {
+    return fixtureOperation;
+  }
+
+  const useWebhook = shouldUseWebhook(bulkOptions);
+  const started = await startBulkOperation(shopify, bulkOptions, useWebhook, async () => {
+    const stagedUploadPath = await uploadMutationVariables(shopify, bulkOptions.name, variablesList);
+    const { bulkOperationRunMutation } = await shopify.graphql(BULK_MUTATION_RUN, { mutation, stagedUploadPath });
+    return bulkOperationRunMutation.bulkOperation;
+  });
+  return waitForBulkOperation(shopify, started, bulkOptions, useWebhook);
+}
+
+/**
+ * Wait for the bulk_operations/finish webhook, checking the operation between bounded waits
+ * The webhook may never arrive, when the notify-finished job isn't enabled, its delivery fails or the operation
+ * finished before the waiter was recorded, so a missed webhook costs at most one check interval.
+ */
+async function waitForBulkOperationWebhook(shopify, started, { name, step, timeoutSeconds = DEFAULT_TIMEOUT_SECONDS }) {
+  let waitedSeconds = 0;
+  for (let attempt = 0; ; attempt++) {
+    const waitSeconds = Math.min(WEBHOOK_CHECK_SECONDS, timeoutSeconds - waitedSeconds);
+    try {
+      await step.waitForEvent(`${name}-finished-${attempt}`, {
+        type: BULK_OPERATION_FINISHED_EVENT,
+        timeout: `${waitSeconds} seconds`
+      });
+    } catch (error) {
+      // The wait timed out, the check below finds out whether the operation finished anyway
+      console.log(`No bulk_operations/finish webhook for ${started.id} after ${waitSeconds}s, checking the operation`);
+    }
+    waitedSeconds += waitSeconds;
+
+    const operation = await runStep(step, `${name}-check-${attempt}`, () => getBulkOperation(shopify, started.id));
+    if (FINISHED_STATUSES.includes(operation.status)) {
+      return checkFinishedOperation(operation);
+    }
+    if (waitedSeconds >= timeoutSeconds) {
+      throw new Error(`Timed out after ${timeoutSeconds}s waiting for bulk operation ${operation.id}, last status: ${operation.status}`);
+    }
+  }
+}
+
+/**
+ * Wait for a started bulk operation, polling or waiting for the webhook
+ */
+async function waitForBulkOperation(shopify, started, options, useWebhook) {
+  const { name, step, timeoutSeconds = DEFAULT_TIMEOUT_SECONDS } = options;
+
+  if (useWebhook) {
+    return waitForBulkOperationWebhook(shopify, started, options);
+  }
+
+  let waitedMs = 0;
+  for (let attempt = 0; ; attempt++) {
+    const operation = await runStep(step, `${name}-check-${attempt}`, () => getBulkOperation(shopify, started.id));
+    if (FINISHED_STATUSES.includes(operation.status)) {
+      return checkFinishedOperation(operation);
+    }
+    if (waitedMs >= timeoutSeconds * 1000) {
+      throw new Error(`Timed out after ${timeoutSeconds}s waiting for bulk operation ${operation.id}, last status: ${operation.status}`);
+    }
+
+    const waitMs = Math.min(INITIAL_POLL_MS * 2 ** attempt, MAX_POLL_MS);
+    console.log(`Bulk operation ${operation.id} is ${operation.status.toLowerCase()} (${operation.objectCount ?? 0} objects), checking again in ${waitMs / 1000}s`);
+    await pause(step, `${name}-wait-${attempt}`, waitMs);
+    waitedMs += waitMs;
+  }
+}
+
+/**
+ * Deliver a bulk_operations/finish webhook to the workflow waiting for the operation
+ * @param {Object} env - Worker environment
+ * @param {string} shopDomain - The shop domain
+ * @param {Object} payload - The webhook payload
+ * @returns {Promise<string|null>} The workflow instance the event was sent to, or null if none was waiting
+ */
+export async function notifyBulkOperationFinished(env, shopDomain, payload) {
+  const key = getWaiterKey(shopDomain, payload.admin_graphql_api_id);
+  const object = await env.R2_BUCKET.get(key);
+  if (!object) {
+    return null;
+  }
+
+  const { instanceId } = await object.json();
+  const instance = await env.WORKFLOW.get(instanceId);
+  await instance.sendEvent({ type: BULK_OPERATION_FINISHED_EVENT, payload });
+  await env.R2_BUCKET.delete(key);
+  return instanceId;
+}
+
+/**
+ * Read chunks of text and yield their lines
+ */
+async function* readLines(chunks) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for await (const chunk of chunks) {
+    buffer += typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true });
+    let newline;
+    while ((newline = buffer.indexOf('\n')) >= 0) {
+      const line = buffer.slice(0, newline);
+      buffer = buffer.slice(newline + 1);
+      if (line.trim()) {
+        yield line;
+      }
+    }
+  }
+  buffer += decoder.decode();
+  if (buffer.trim()) {
+    yield buffer;
+  }
+}
+
+/**
+ * Read a web stream chunk by chunk
+ */
+async function* readStream(stream) {
+  const reader = stream.getReader();
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) {
+        return;
+      }
+      yield value;
+    }
+  } finally {
+    reader.releaseLock();
+  }
+}
+
+/**
+ * Open a JSONL result, from Shopify's storage or a local fixture
+ */
+async function openResult(url, fetchFile) {
+  if (/^https?:\/\//.test(url)) {
+    const response = await fetchFile(url);
+    if (!response.ok) {
+      throw new Error(`Failed to download bulk operation result: ${response.status} ${response.statusText}`);
+    }
+    return readStream(response.body);
+  }
+
+  const { default: fs } = await import('fs');
+  return fs.createReadStream(url);
+}
+
+/**
+ * Get the property a child row is nested under in its parent
+ * Rows are grouped by their type, from __typename or their ID, e.g. LineItem rows under "lineItems"
+ */
+function getChildKey(row, childKeys) {
+  const type = row.__typename || (typeof row.id === 'string' && row.id.startsWith('gid://') ? row.id.split('/')[3] : null);
+  if (!type) {
+    return 'children';
+  }
+  if (childKeys[type]) {
+    return childKeys[type];
+  }
+  const key = type.charAt(0).toLowerCase() + type.slice(1);
+  return /[^aeiou]y$/.test(key) ? `${key.slice(0, -1)}ies` : `${key}s`;
+}
+
+/**
+ * Nest bulk rows into their parents
+ * Shopify writes child rows after their parent, so each top-level object is yielded once the next one starts.
+ * @param {AsyncIterable<Object>} rows - The parsed JSONL rows
+ * @param {Object} [childKeys] - Property names for child types that don't follow the default, e.g. { ProductVariant: "variants" }
+ * @returns {AsyncGenerator<Object>} Top-level objects with their children
+ */
+export async function* nestBulkRows(rows, childKeys = {}) {
+  let current = null;
+  const objectsById = new Map();
+
+  for await (const { __parentId, ...object } of rows) {
+    if (!__parentId) {
+      if (current) {
+        yield current;
+      }
+      current = object;
+      objectsById.clear();
+    } else {
+      const parent = objectsById.get(__parentId);
+      if (!parent) {
+        throw new Error(`Bulk result row has unknown parent ${__parentId}`);
+      }
+      const key = getChildKey(object, childKeys);
+      (parent[key] ||= []).push(object);
+    }
+
+    if (object.id) {
+      objectsById.set(object.id, object);
+    }
+  }
+
+  if (current) {
+    yield current;
+  }
+}
+
+/**
+ * Stream the result of a completed bulk operation
+ * @param {Object|string} operation - The operation returned by runBulkQuery, or its result URL or fixture path
+ * @param {Object} [options] - Result options
+ * @param {boolean} [options.nest=true] - Nest child rows into their parents, or yield the rows as they are
+ * @param {Object} [options.childKeys] - Property names for child types, e.g. { ProductVariant: "variants" }
+ * @param {Function} [options.fetch] - Downloads the result, the Shopify client's fetch so test cassettes see it
+ * @returns {AsyncGenerator<Object>} The result objects
+ */
+export async function* readBulkResults(operation, { nest = true, childKeys = {}, fetch: fetchFile = fetch } = {}) {
+  const url = typeof operation === 'string' ? operation : operation.url;
+  // Operations that match nothing have no result file
+  if (!url) {
+    return;
+  }
+
+  async function* parseRows() {
+    for await (const line of readLines(await openResult(url, fetchFile))) {
+      yield JSON.parse(line);
+    }
+  }
+
+  yield* nest ? nestBulkRows(parseRows(), childKeys) : parseRows();
+}
+
+/**
+ * Get the errors of one bulk mutation result, GraphQL errors and the userErrors of the mutation
+ */
+function getMutationErrors(row) {
+  const errors = (row.errors || []).map(error => error.message);
+  for (const result of Object.values(row.data || {})) {
+    for (const userError of result?.userErrors || []) {
+      const field = Array.isArray(userError.field) ? userError.field.join('.') : userError.field;
+      errors.push(`${field ? `${field}: ` : ''}${userError.message}`);
+    }
+  }
+  return errors;
+}
+
+/**
+ * Read the results of a bulk mutation into a report
+ * @param {Object|string} operation - The operation returned by runBulkMutation, or its result URL
+ * @param {Array<Object>} [variablesList] - The variables the mutation ran with, to show next to each result
+ * @param {Object} [options] - Report options
+ * @param {Function} [options.fetch] - Downloads the result, the Shopify client's fetch so test cassettes see it
+ * @returns {Promise<Object>} { operationId, total, succeeded, failed, results: [{ line, variables, success, errors, data }] }
+ */
+export async function readBulkMutationReport(operation, variablesList = [], { fetch: fetchFile } = {}) {
+  const results = [];
+  for await (const row of readBulkResults(operation, { nest: false, fetch: fetchFile })) {
+    // Results carry the line of their variables, but aren't always in order
+    const line = row.__lineNumber ?? results.length;
+    const errors = getMutationErrors(row);
+    results.push({ line, variables: variablesList[line] ?? null, success: errors.length === 0, errors, data: row.data ?? null });
+  }
+  results.sort((a, b) => a.line - b.line);
+
+  const failed = results.filter(result => !result.success).length;
+  return {
+    operationId: typeof operation === 'string' ? null : operation.id,
+    total: results.length,
+    succeeded: results.length - failed,
+    failed,
+    results
+  };
+}
+
+/**
+ * Save a bulk mutation report as a CSV with a row per result, using the csv connector
+ * @param {Object} report - The report from readBulkMutationReport
+ * @param {Object} options - Save options
+ * @param {string} options.filename - Filename to save as
+ * @param {boolean} [options.failedOnly=false] - Only include failed results
+ * @param {Object} env - Environment object, files are saved to R2 in the worker and the Desktop in the CLI
+ * @returns {Promise<string>} The storage path
+ */
+export async function saveBulkMutationReport(report, { filename, failedOnly = false }, env) {
+  const results = failedOnly ? report.results.filter(result => !result.success) : report.results;
+  const csv = generateCSV(results, {
+    headers: ['line', 'status', 'errors', 'variables', 'data'],
+    rowMapper: result => [
+      result.line + 1,
+      result.success ? 'success' : 'failed',
+      result.errors.join('; '),
+      JSON.stringify(result.variables),
+      JSON.stringify(result.data)
+    ]
+  });
+  return saveFile(csv, { filename, contentType: 'text/csv' }, env);
+}
@@ -0,0 +1,126 @@
+/**
+ * Deprecated Shopify API usage
+ * Shopify flags a response that used deprecated fields with an `X-Shopify-API-Deprecated-Reason` header, answers
+ * requests for a version it no longer supports with the oldest supported one (named in `X-Shopify-API-Version`),
+ * and may add warnings to a GraphQL response's extensions. The client turns each of these into a notice:
+ *
+ *   { shop, operation, apiVersion, servedVersion, type: 'deprecated' | 'version' | 'warning', message }
+ *
+ * logs it once per process, and passes it to the hook set with setShopifyDeprecationHook.
+ */
+
+const DEPRECATED_REASON_HEADER = 'x-shopify-api-deprecated-reason';
+const API_VERSION_HEADER = 'x-shopify-api-version';
+
+// Stable versions are released each quarter and supported for at least 12 months
+const API_VERSION_PATTERN = /^(\d{4})-(01|04|07|10)$/;
+const SUPPORT_MONTHS = 12;
+
+// A version is reported as ending this long before its support window closes
+const SUNSET_WARNING_DAYS = 90;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let deprecationHook = null;
+
+// Notices already logged, by operation and message
+const loggedNotices = new Set();
+
+/**
+ * Register a function that receives every deprecation notice, e.g. to send it to an error tracker
+ * Clients created with their own onDeprecation option report to that instead.
+ * @param {Function|null} hook - Called with { shop, operation, apiVersion, servedVersion, type, message },
+ * or null to stop reporting
+ */
+export function setShopifyDeprecationHook(hook) {
+  deprecationHook = hook;
+}
+
+/**
+ * Get the registered deprecation hook
+ * @returns {Function|null} The hook set with setShopifyDeprecationHook
+ */
+export function getShopifyDeprecationHook() {
+  return deprecationHook;
+}
+
+/**
+ * Read the deprecation notices of a response
+ * @param {Headers} headers - The response headers
+ * @param {Object} body - The parsed response body
+ * @param {string} apiVersion - The API version the request asked for
+ * @returns {Object} The { servedVersion, notices } of the response, notices being { type, message }
+ */
+export function getDeprecationNotices(headers, body, apiVersion) {
+  const notices = [];
+  const servedVersion = headers.get(API_VERSION_HEADER) || apiVersion;
+
+  const reason = headers.get(DEPRECATED_REASON_HEADER);
+  if (reason) {
+    notices.push({ type: 'deprecated', message: reason });
+  }
+  if (apiVersion !== 'unstable' && servedVersion !== apiVersion) {
+    notices.push({ type: 'version', message: `API version ${apiVersion} is no longer supported, Shopify answered with ${servedVersion}` });
+  }
+  for (const warning of [].concat(body?.extensions?.warnings || [], body?.extensions?.deprecations || [])) {
+    notices.push({ type: 'warning', message: typeof warning === 'string' ? warning : warning.message || JSON.stringify(warning) });
+  }
+
+  return { servedVersion, notices };
+}
+
+/**
+ * Log a notice the first time it is seen and pass it to the hooks, without letting a failing hook fail the call
+ * @param {Object} notice - The notice, with shop, operation, apiVersion, servedVersion, type and message
+ * @param {Array<Function|null>} [hooks] - The hooks to call, defaults to the registered one
+ */
+export async function reportDeprecation(notice, hooks = [deprecationHook]) {
+  const key = `${notice.operation}\n${notice.message}`;
+  if (!loggedNotices.has(key)) {
+    loggedNotices.add(key);
+    console.warn(`Shopify API deprecation in ${notice.operation || 'anonymous operation'} (API ${notice.apiVersion}): ${notice.message}`);
+  }
+
+  for (const hook of hooks) {
+    if (!hook) {
+      continue;
+    }
+    try {
+      await hook(notice);
+    } catch (error) {
+      console.warn(`Shopify deprecation hook failed: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Get the support window of an API version, from its quarterly release and at least 12 months of support
+ * @param {string} apiVersion - The version, e.g. "2025-04"
+ * @param {Date} [now] - The date to check against
+ * @returns {Object} { apiVersion, status, releasedOn, supportedUntil, daysLeft }, status being 'supported', 'ending'
+ * (within 90 days of the end), 'unsupported', 'unstable' or 'unknown' for names that aren't versions
+ */
+export function getApiVersionSupport(apiVersion, now = new Date()) {
+  if (apiVersion === 'unstable') {
+    return { apiVersion, status: 'unstable', releasedOn: null, supportedUntil: null, daysLeft: null };
+  }
+  const match = API_VERSION_PATTERN.exec(apiVersion || '');
+  if (!match) {
+    return { apiVersion, status: 'unknown', releasedOn: null, supportedUntil: null, daysLeft: null };
+  }
+
+  const year = Number(match[1]);
+  const month = Number(match[2]) - 1;
+  const releasedOn = new Date(Date.UTC(year, month, 1));
+  const supportedUntil = new Date(Date.UTC(year, month + SUPPORT_MONTHS, 1));
+  const daysLeft = Math.ceil((supportedUntil - now) / DAY_MS);
+
+  const status = daysLeft <= 0 ? 'unsupported' : daysLeft <= SUNSET_WARNING_DAYS ? 'ending' : 'supported';
+  return {
+    apiVersion,
+    status,
+    releasedOn: releasedOn.toISOString().slice(0, 10),
+    supportedUntil: supportedUntil.toISOString().slice(0, 10),
+    daysLeft
+  };
+}
@@ -0,0 +1,346 @@
+/**
+ * Typed metafield helpers for the Shopify GraphQL client
+ * `shopify.metafields` reads and writes the metafields of any resource that has them, by owner gid, namespace
+ * and key, converting between Shopify's string values and JavaScript values based on the metafield type:
+ *
+ *   const points = await shopify.metafields.get(customerId, "loyalty", "points"); // 1200, a number
+ *   await shopify.metafields.set(customerId, "loyalty", "points", points + 10, "number_integer");
+ *   await shopify.metafields.set(productId, "custom", "specs", { weight: 120 }, "json");
+ *   await shopify.metafields.delete(customerId, "loyalty", "points");
+ *
+ * json and measurement types (money, rating, dimension, volume, weight, link, rich_text_field) are objects,
+ * number_integer and number_decimal numbers, boolean booleans, date and date_time Dates, references gids, and
+ * list.* types arrays of their item type. Other types, like the text fields, url and color, stay strings.
+ * Dates don't survive a step.do result as Dates, so convert them in the step or after it.
+ */
+
+const METAFIELD_FIELDS = `
+  id
+  namespace
+  key
+  type
+  value
+`;
+
+const METAFIELD_GET = `#graphql
+query GetMetafield($ownerId: ID!, $namespace: String!, $key: String!) {
+  node(id: $ownerId) {
+    id
+    ... on HasMetafields {
+      metafield(namespace: $namespace, key: $key) {${METAFIELD_FIELDS}}
+    }
+  }
+}
+`;
+
+const METAFIELDS_GET = `#graphql
+query GetMetafields($ownerId: ID!, $namespace: String, $first: Int!, $after: String) {
+  node(id: $ownerId) {
+    ... on HasMetafields {
+      metafields(first: $first, after: $after, namespace: $namespace) {
+        nodes {${METAFIELD_FIELDS}}
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+      }
+    }
+  }
+}
+`;
+
+const METAFIELDS_SET = `#graphql
+mutation SetMetafields($metafields: [MetafieldsSetInput!]!) {
+  metafieldsSet(metafields: $metafields) {
+    metafields {${METAFIELD_FIELDS}}
+    userErrors {
+      field
+      message
+    }
+  }
+}
+`;
+
+const METAFIELDS_DELETE = `#graphql
+mutation DeleteMetafields($metafields: [MetafieldIdentifierInput!]!) {
+  metafieldsDelete(metafields: $metafields) {
+    deletedMetafields {
+      ownerId
+      namespace
+      key
+    }
+    userErrors {
+      field
+      message
+    }
+  }
+}
+`;
+
+// Types whose value is JSON, read and written as objects
+const JSON_TYPES = new Set(['json', 'json_string', 'money', 'rating', 'dimension', 'volume', 'weight', 'link', 'rich_text_field']);
+
+// Metafields per page of getAll, the most Shopify returns
+const PAGE_SIZE = 250;
+
+const LIST_PREFIX = 'list.';
+
+/**
+ * Check that an owner is a gid, metafields can belong to many resource types so a numeric ID is ambiguous
+ */
+function assertOwnerGid(ownerId) {
+  if (typeof ownerId !== 'string' || !ownerId.startsWith('gid://')) {
+    throw new Error(`Metafield owner must be a gid like gid://shopify/Product/123, got ${JSON.stringify(ownerId)}`);
+  }
+}
+
+/**
+ * Check whether a value is a Date that holds a time
+ */
+function isValidDate(value) {
+  return value instanceof Date && !Number.isNaN(value.getTime());
+}
+
+/**
+ * Serialize a single value, the value of a metafield or an item of a list
+ */
+function serializeValue(type, value) {
+  if (JSON_TYPES.has(type)) {
+    return JSON.stringify(value);
+  }
+
+  switch (type) {
+    case 'boolean':
+      if (typeof value !== 'boolean') {
+        throw new Error(`A boolean metafield needs true or false, got ${JSON.stringify(value)}`);
+      }
+      return String(value);
+
+    case 'number_integer':
+    case 'integer':
+      if (!Number.isInteger(Number(value)) || value === '' || value === null) {
+        throw new Error(`A ${type} metafield needs an integer, got ${JSON.stringify(value)}`);
+      }
+      return String(Number(value));
+
+    case 'number_decimal':
+      if (!Number.isFinite(Number(value)) || value === '' || value === null) {
+        throw new Error(`A number_decimal metafield needs a number, got ${JSON.stringify(value)}`);
+      }
+      return String(value);
+
+    case 'date':
+    case 'date_time':
+      if (typeof value === 'string') {
+        return value;
+      }
+      if (!isValidDate(value)) {
+        throw new Error(`A ${type} metafield needs a Date or an ISO 8601 string, got ${JSON.stringify(value)}`);
+      }
+      // Dates are stored without a time, in UTC
+      return type === 'date' ? value.toISOString().slice(0, 10) : value.toISOString();
+  }
+
+  if (type.endsWith('_reference')) {
+    const gid = typeof value === 'object' && value !== null ? value.id : value;
+    if (typeof gid !== 'string' || !gid.startsWith('gid://')) {
+      throw new Error(`A ${type} metafield needs a gid or an object with an id, got ${JSON.stringify(value)}`);
+    }
+    return gid;
+  }
+
+  if (value === null || value === undefined) {
+    throw new Error(`A ${type} metafield needs a value, delete the metafield to clear it`);
+  }
+  return String(value);
+}
+
+/**
+ * Parse a single value, the value of a metafield or an item of a list
+ */
+function parseValue(type, value) {
+  if (JSON_TYPES.has(type)) {
+    return typeof value === 'string' ? JSON.parse(value) : value;
+  }
+
+  switch (type) {
+    case 'boolean':
+      return value === true || value === 'true';
+    case 'number_integer':
+    case 'integer':
+    case 'number_decimal':
+      return Number(value);
+    case 'date':
+    case 'date_time':
+      return new Date(value);
+    default:
+      return value;
+  }
+}
+
+/**
+ * Serialize a value for metafieldsSet, based on the metafield type
+ * @param {string} type - The metafield type, e.g. "number_integer" or "list.product_reference"
+ * @param {*} value - The value
+ * @returns {string} The metafield value
+ */
+export function serializeMetafieldValue(type, value) {
+  if (!type.startsWith(LIST_PREFIX)) {
+    return serializeValue(type, value);
+  }
+
+  const itemType = type.slice(LIST_PREFIX.length);
+  if (!Array.isArray(value)) {
+    throw new Error(`A ${type} metafield needs an array, got ${JSON.stringify(value)}`);
+  }
+  // List values are JSON arrays: JSON items stay objects, integers are numbers and everything else is a string
+  return JSON.stringify(value.map(item => {
+    const serialized = serializeValue(itemType, item);
+    if (JSON_TYPES.has(itemType)) {
+      return JSON.parse(serialized);
+    }
+    return itemType === 'number_integer' ? Number(serialized) : serialized;
+  }));
+}
+
+/**
+ * Parse the value of a metafield, based on its type
+ * Values that don't parse, like JSON saved before a metafield had a type, are returned as they are.
+ * @param {string} type - The metafield type
+ * @param {string|null} value - The metafield value
+ * @returns {*} The value
+ */
+export function parseMetafieldValue(type, value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+
+  try {
+    if (type.startsWith(LIST_PREFIX)) {
+      const itemType = type.slice(LIST_PREFIX.length);
+      return JSON.parse(value).map(item => parseValue(itemType, item));
+    }
+    return parseValue(type, value);
+  } catch (error) {
+    return value;
+  }
+}
+
+/**
+ * Pick a type for a value set without one
+ * @param {*} value - The value
+ * @returns {string} The metafield type
+ */
+export function inferMetafieldType(value) {
+  if (typeof value === 'boolean') {
+    return 'boolean';
+  }
+  if (typeof value === 'number') {
+    return Number.isInteger(value) ? 'number_integer' : 'number_decimal';
+  }
+  if (value instanceof Date) {
+    return 'date_time';
+  }
+  if (typeof value === 'string') {
+    return value.includes('\n') ? 'multi_line_text_field' : 'single_line_text_field';
+  }
+  return 'json';
+}
+
+/**
+ * Turn a metafield from the API into one with a parsed value
+ */
+function toMetafield(node) {
+  return {
+    id: node.id,
+    namespace: node.namespace,
+    key: node.key,
+    type: node.type,
+    value: parseMetafieldValue(node.type, node.value)
+  };
+}
+
+/**
+ * Get the value of a metafield
+ * @param {Object} shopify - The Shopify client
+ * @param {string} ownerId - The gid of the resource the metafield belongs to
+ * @param {string} namespace - The metafield namespace
+ * @param {string} key - The metafield key
+ * @returns {Promise<*>} The parsed value, or null if the metafield isn't set
+ */
+export async function getMetafield(shopify, ownerId, namespace, key) {
+  assertOwnerGid(ownerId);
+  const { node } = await shopify.graphql(METAFIELD_GET, { ownerId, namespace, key });
+  if (!node) {
+    throw new Error(`Metafield owner ${ownerId} not found`);
+  }
+  return node.metafield ? toMetafield(node.metafield).value : null;
+}
+
+/**
+ * Get all metafields of a resource
+ * @param {Object} shopify - The Shopify client
+ * @param {string} ownerId - The gid of the resource
+ * @param {Object} [options] - Options
+ * @param {string} [options.namespace] - Only get the metafields of this namespace
+ * @returns {Promise<Array<Object>>} The metafields as { id, namespace, key, type, value } with parsed values
+ */
+export async function getAllMetafields(shopify, ownerId, { namespace } = {}) {
+  assertOwnerGid(ownerId);
+  const metafields = [];
+  const pages = shopify.paginate(METAFIELDS_GET, { ownerId, namespace }, { pageSize: PAGE_SIZE, path: 'node.metafields' });
+  try {
+    for await (const node of pages) {
+      metafields.push(toMetafield(node));
+    }
+  } catch (error) {
+    if (metafields.length === 0 && error.message.startsWith('No connection')) {
+      throw new Error(`Metafield owner ${ownerId} not found`);
+    }
+    throw error;
+  }
+  return metafields;
+}
+
+/**
+ * Set the value of a metafield, creating it if it doesn't exist
+ * @param {Object} shopify - The Shopify client
+ * @param {string} ownerId - The gid of the resource the metafield belongs to
+ * @param {string} namespace - The metafield namespace
+ * @param {string} key - The metafield key
+ * @param {*} value - The value, serialized based on the type
+ * @param {string} [type] - The metafield type, inferred from the value if not set: booleans, integers, decimals,
+ * Dates (date_time), strings (single or multi line text) and json for anything else
+ * @returns {Promise<Object>} The metafield as { id, namespace, key, type, value }
+ */
+export async function setMetafield(shopify, ownerId, namespace, key, value, type = inferMetafieldType(value)) {
+  assertOwnerGid(ownerId);
+  let serialized;
+  try {
+    serialized = serializeMetafieldValue(type, value);
+  } catch (error) {
+    throw new Error(`Could not set metafield ${namespace}.${key}: ${error.message}`);
+  }
+
+  // Setting the same value twice is harmless, so failed attempts can be retried
+  const { metafieldsSet } = await shopify.graphql(METAFIELDS_SET, {
+    metafields: [{ ownerId, namespace, key, type, value: serialized }]
+  }, { idempotent: true });
+  return toMetafield(metafieldsSet.metafields[0]);
+}
+
+/**
+ * Delete a metafield
+ * @param {Object} shopify - The Shopify client
+ * @param {string} ownerId - The gid of the resource the metafield belongs to
+ * @param {string} namespace - The metafield namespace
+ * @param {string} key - The metafield key
+ * @returns {Promise<boolean>} True if the metafield was deleted, false if it didn't exist
+ */
+export async function deleteMetafield(shopify, ownerId, namespace, key) {
+  assertOwnerGid(ownerId);
+  const { metafieldsDelete } = await shopify.graphql(METAFIELDS_DELETE, {
+    metafields: [{ ownerId, namespace, key }]
+  }, { idempotent: true });
+  return Boolean(metafieldsDelete.deletedMetafields?.[0]);
+}
@@ -0,0 +1,119 @@
+/**
+ * Cursor pagination for the Shopify GraphQL client
+ * `shopify.paginate` walks a connection and yields its nodes, following `pageInfo.endCursor` until
+ * `hasNextPage` is false:
+ *
+ *   for await (const product of shopify.paginate(productsQuery, { query: "status:active" })) { ... }
+ *
+ * The query takes the page size and cursor as `$first` and `$after`, and selects `pageInfo { hasNextPage endCursor }`
+ * with `edges { node }` or `nodes`. Pass a workflow step and a name to fetch each page in its own step, so a
+ * pagination that fails halfway resumes from the last page it fetched.
+ */
+
+const DEFAULT_PAGE_SIZE = 50;
+
+/**
+ * Check whether a value looks like a GraphQL connection
+ */
+function isConnection(value) {
+  return value && typeof value === 'object' && value.pageInfo && (Array.isArray(value.edges) || Array.isArray(value.nodes));
+}
+
+/**
+ * Find the connection in a response, at a dot path like "order.lineItems" or the first one found
+ * @param {Object} data - The response data
+ * @param {string} [path] - The path of the connection
+ * @returns {Object|null} The connection, or null if there is none
+ */
+export function findConnection(data, path) {
+  if (path) {
+    const connection = path.split('.').reduce((value, key) => value?.[key], data);
+    return isConnection(connection) ? connection : null;
+  }
+
+  if (!data || typeof data !== 'object') {
+    return null;
+  }
+  if (isConnection(data)) {
+    return data;
+  }
+  for (const value of Object.values(data)) {
+    const connection = findConnection(value);
+    if (connection) {
+      return connection;
+    }
+  }
+  return null;
+}
+
+/**
+ * Fetch one page and keep only what pagination needs, so it is small enough to be a step result
+ */
+async function fetchPage(shopify, query, variables, options, cursor) {
+  const data = await shopify.graphql(query, {
+    ...variables,
+    [options.pageSizeVariable]: options.pageSize,
+    [options.cursorVariable]: cursor
+  });
+
+  const connection = findConnection(data, options.path);
+  if (!connection) {
+    throw new Error(options.path
+      ? `No connection with pageInfo and edges or nodes at "${options.path}" in the response`
+      : 'No connection with pageInfo and edges or nodes found in the response');
+  }
+
+  return {
+    nodes: connection.nodes || connection.edges.map(edge => edge.node),
+    pageInfo: {
+      hasNextPage: Boolean(connection.pageInfo.hasNextPage),
+      endCursor: connection.pageInfo.endCursor ?? null
+    }
+  };
+}
+
+/**
+ * Paginate through a connection
+ * @param {Object} shopify - The Shopify client
+ * @param {string} query - The GraphQL query, taking the page size and cursor variables
+ * @param {Object} [variables] - Other query variables
+ * @param {Object} [options] - Pagination options
+ * @param {number} [options.pageSize=50] - Nodes per page
+ * @param {string} [options.path] - Dot path of the connection in the response, found automatically if not set
+ * @param {boolean} [options.pages=false] - Yield pages ({ nodes, pageInfo, pageNumber }) instead of nodes
+ * @param {Object} [options.step] - Workflow step, to fetch each page in its own step
+ * @param {string} [options.name] - Prefix of the page step names, required with a step
+ * @param {string} [options.pageSizeVariable='first'] - The query variable for the page size
+ * @param {string} [options.cursorVariable='after'] - The query variable for the cursor
+ * @returns {AsyncGenerator<Object>} The nodes or pages
+ */
+export async function* paginate(shopify, query, variables = {}, options = {}) {
+  const { step, name, pages = false } = options;
+  if (step && !name) {
+    throw new Error('paginate needs a name for its steps when a step is passed');
+  }
+  const pageOptions = {
+    pageSize: options.pageSize || DEFAULT_PAGE_SIZE,
+    path: options.path,
+    pageSizeVariable: options.pageSizeVariable || 'first',
+    cursorVariable: options.cursorVariable || 'after'
+  };
+
+  let cursor = null;
+  for (let pageNumber = 1; ; pageNumber++) {
+    const page = step
+      ? await step.do(`${name}-page-${pageNumber}`, () => fetchPage(shopify, query, variables, pageOptions, cursor))
+      : await fetchPage(shopify, query, variables, pageOptions, cursor);
+
+    if (pages) {
+      yield { ...page, pageNumber };
+    } else {
+      yield* page.nodes;
+    }
+
+    if (!page.pageInfo.hasNextPage) {
+      return;
+    }
+    cursor = page.pageInfo.endCursor;
+  }
+}
@@ -0,0 +1,135 @@
+/**
+ * Query cost tracking for the Shopify GraphQL client
+ * Shopify limits each shop with a leaky bucket of query cost points, reported in `extensions.cost.throttleStatus`
+ * on every response. The client records the bucket per shop and the cost of each query, waits before a query
+ * that wouldn't fit, and computes how long to back off when a request is THROTTLED anyway.
+ */
+
+// Estimated cost of a query that hasn't run yet, Shopify's default for a single-object query is lower but
+// connections usually cost more
+const DEFAULT_QUERY_COST = 50;
+
+// Only the costs of this many queries are remembered per shop
+const MAX_TRACKED_QUERIES = 200;
+
+// THROTTLED retries wait at least a second, and a minute at most
+const MIN_BACKOFF_MS = 1000;
+const MAX_BACKOFF_MS = 60 * 1000;
+
+// Bucket state by shop domain, shared by all clients in the process or isolate
+const shopBuckets = new Map();
+
+let costHook = null;
+
+/**
+ * Get the tracked state of a shop's bucket
+ */
+function getShopBucket(shop) {
+  if (!shopBuckets.has(shop)) {
+    shopBuckets.set(shop, { throttleStatus: null, updatedAt: 0, queryCosts: new Map() });
+  }
+  return shopBuckets.get(shop);
+}
+
+/**
+ * Estimate the points available now, counting what has been restored since the last response
+ */
+function estimateAvailable(bucket) {
+  const { maximumAvailable, currentlyAvailable, restoreRate } = bucket.throttleStatus;
+  const restored = ((Date.now() - bucket.updatedAt) / 1000) * restoreRate;
+  return Math.min(maximumAvailable, currentlyAvailable + restored);
+}
+
+/**
+ * Register a function that receives the cost of every Shopify GraphQL call, e.g. to send it to a metrics service
+ * Clients created with their own onCost option report to that instead.
+ * @param {Function|null} hook - Called with { shop, operation, requestedQueryCost, actualQueryCost, throttleStatus,
+ * throttledRetries, durationMs }, or null to stop reporting
+ */
+export function setShopifyCostHook(hook) {
+  costHook = hook;
+}
+
+/**
+ * Get the registered cost hook
+ * @returns {Function|null} The hook set with setShopifyCostHook
+ */
+export function getShopifyCostHook() {
+  return costHook;
+}
+
+/**
+ * Record the cost of a response and the bucket it left behind
+ * @param {string} shop - The shop domain
+ * @param {string} query - The GraphQL query, used to estimate its cost next time
+ * @param {Object} [cost] - The response's extensions.cost
+ */
+export function recordQueryCost(shop, query, cost) {
+  if (!cost) {
+    return;
+  }
+
+  const bucket = getShopBucket(shop);
+  if (cost.throttleStatus) {
+    bucket.throttleStatus = cost.throttleStatus;
+    bucket.updatedAt = Date.now();
+  }
+  if (cost.requestedQueryCost !== undefined) {
+    bucket.queryCosts.delete(query);
+    bucket.queryCosts.set(query, cost.requestedQueryCost);
+    if (bucket.queryCosts.size > MAX_TRACKED_QUERIES) {
+      bucket.queryCosts.delete(bucket.queryCosts.keys().next().value);
+    }
+  }
+}
+
+/**
+ * Get how long to wait before sending a query so it fits in the shop's bucket
+ * @param {string} shop - The shop domain
+ * @param {string} query - The GraphQL query
+ * @returns {{delayMs: number, available: number, requested: number}} The wait, 0 when the query fits or the bucket is unknown
+ */
+export function getThrottleDelay(shop, query) {
+  const bucket = getShopBucket(shop);
+  const requested = bucket.queryCosts.get(query) ?? DEFAULT_QUERY_COST;
+  if (!bucket.throttleStatus) {
+    return { delayMs: 0, available: null, requested };
+  }
+
+  const available = estimateAvailable(bucket);
+  // A query costing more than the whole bucket can only wait for a full one
+  const needed = Math.min(requested, bucket.throttleStatus.maximumAvailable);
+  if (available >= needed) {
+    return { delayMs: 0, available, requested };
+  }
+  return {
+    delayMs: Math.ceil(((needed - available) / bucket.throttleStatus.restoreRate) * 1000),
+    available,
+    requested
+  };
+}
+
+/**
+ * Get how long to wait before retrying a THROTTLED request
+ * Uses the throttle status of the response when Shopify sends one, and doubles from a second otherwise
+ * @param {Object} [cost] - The THROTTLED response's extensions.cost
+ * @param {number} attempt - The number of THROTTLED responses so far, starting at 0
+ * @returns {number} The backoff in milliseconds
+ */
+export function getThrottleBackoff(cost, attempt) {
+  const status = cost?.throttleStatus;
+  const backoffMs = status && cost.requestedQueryCost !== undefined
+    ? ((Math.min(cost.requestedQueryCost, status.maximumAvailable) - status.currentlyAvailable) / status.restoreRate) * 1000
+    : MIN_BACKOFF_MS * 2 ** attempt;
+  return Math.min(Math.max(Math.ceil(backoffMs), MIN_BACKOFF_MS), MAX_BACKOFF_MS);
+}
+
+/**
+ * Check whether a GraphQL response was rejected for exceeding the shop's query cost
+ * @param {Object} jsonResponse - The parsed response
+ * @returns {boolean} True if any error is THROTTLED
+ */
+export function isThrottledResponse(jsonResponse) {
+  return Array.isArray(jsonResponse.errors)
+    && jsonResponse.errors.some(error => error.extensions?.code === 'THROTTLED');
+}
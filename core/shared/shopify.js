@@ -4,10 +4,31 @@
  */
 import fs from 'fs';
 import path from 'path';
+import {
+  getShopifyCostHook,
+  getThrottleBackoff,
+  getThrottleDelay,
+  isThrottledResponse,
+  recordQueryCost
+} from './shopify-throttle.js';
+import { getApiVersionSupport, getDeprecationNotices, getShopifyDeprecationHook, reportDeprecation } from './shopify-deprecations.js';
+import { paginate } from './shopify-paginate.js';
+import { readBulkMutationReport, readBulkResults, runBulkMutation, runBulkQuery } from './shopify-bulk.js';
+import { deleteMetafield, getAllMetafields, getMetafield, setMetafield } from './shopify-metafields.js';
+
+// The API version clients use unless a job sets apiVersion
+export const DEFAULT_API_VERSION = '2025-04';
 
 // Track if we've already logged the API version
 let apiVersionLogged = false;
 
+// Responses worth retrying: rate limits and gateway or server hiccups
+const RETRYABLE_STATUSES = new Set([429, 500, 502, 503, 504]);
+
+// Retries back off from half a second to 30 seconds
+const RETRY_BASE_MS = 500;
+const RETRY_MAX_MS = 30 * 1000;
+
 /**
  * Recursively search for userErrors in a GraphQL response
  * @param {Object} obj - Object to search
@@ -54,54 +75,228 @@ function truncateQuery(query) {
   return compactQuery;
 }
 
+/**
+ * Get the operation name of a GraphQL query for metrics, e.g. "GetRecentOrders"
+ * @param {string} query - The GraphQL query
+ * @returns {string|null} - The operation name or null for anonymous queries
+ */
+function getOperationName(query) {
+  const match = /\b(?:query|mutation)\s+(\w+)/.exec(query || '');
+  return match ? match[1] : null;
+}
+
+/**
+ * Report the cost of a call, without letting a failing hook fail the call
+ */
+async function reportCost(hook, metrics) {
+  if (!hook) {
+    return;
+  }
+  try {
+    await hook(metrics);
+  } catch (error) {
+    console.warn(`Shopify cost hook failed: ${error.message}`);
+  }
+}
+
+/**
+ * Wait for a number of milliseconds
+ */
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Check whether a GraphQL document is a mutation, which may have been applied even if its request failed
+ * @param {string} query - The GraphQL query
+ * @returns {boolean} - True for mutations
+ */
+function isMutation(query) {
+  const withoutComments = (query || '').replace(/#[^\n]*/g, '').trim();
+  return withoutComments.startsWith('mutation');
+}
+
+/**
+ * Create an error for a failed request, marking whether trying again might succeed
+ * @param {string} message - The error message
+ * @param {boolean} retryable - Whether the failure is transient
+ * @returns {Error} - The error
+ */
+function createRequestError(message, retryable) {
+  const error = new Error(message);
+  error.retryable = retryable;
+  return error;
+}
+
+/**
+ * Get the wait before a retry: exponential backoff with jitter, so parallel workflows don't retry in lockstep
+ * @param {number} attempt - The number of failed attempts so far, starting at 0
+ * @returns {number} - The wait in milliseconds
+ */
+function getRetryDelay(attempt) {
+  const backoffMs = Math.min(RETRY_BASE_MS * 2 ** attempt, RETRY_MAX_MS);
+  return Math.round(backoffMs / 2 + Math.random() * backoffMs / 2);
+}
+
+/**
+ * Get the client options a job sets in config.json
+ * `apiVersion` at the top level, and `retries`, `timeout` and `throttleRetries` in a `shopify` object:
+ * { "shopify": { "retries": 5, "timeout": 60000 } }
+ * @param {Object} [jobConfig] - The job configuration
+ * @returns {Object} - Options for createShopifyClient, without the ones the job doesn't set
+ */
+export function getShopifyClientOptions(jobConfig) {
+  const { retries, timeout, throttleRetries } = jobConfig?.shopify || {};
+  const options = { apiVersion: jobConfig?.apiVersion, retries, timeout, throttleRetries };
+  return Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined));
+}
+
 /**
  * Creates a Shopify admin API client using GraphQL
  * @param {Object} options - Configuration options
  * @param {string} options.shop - The Shopify shop domain
  * @param {string} options.accessToken - The Shopify admin API access token
- * @param {string} [options.apiVersion='2025-04'] - The Shopify API version to use
- * @param {number} [options.retries=3] - Number of retries for failed requests
- * @param {number} [options.timeout=30000] - Timeout in ms for requests
+ * @param {string} [options.apiVersion=DEFAULT_API_VERSION] - The Shopify API version to use
+ * @param {number} [options.retries=3] - Number of retries for timeouts, network errors and 429/5xx responses,
+ * only used for queries and for mutations marked idempotent
+ * @param {number} [options.timeout=30000] - Timeout in ms for each attempt
+ * @param {number} [options.throttleRetries=5] - Number of retries for requests rejected as THROTTLED
+ * @param {Function} [options.onCost] - Receives the cost of each call, defaults to the hook set with setShopifyCostHook
+ * @param {Function} [options.onDeprecation] - Receives deprecation notices, defaults to the hook set with setShopifyDeprecationHook
+ * @param {Object} [options.bulkFixtures] - JSONL files to use instead of running bulk queries, keyed by bulk query name
+ * @param {string} [options.adminUrl] - Base URL of the Admin API, e.g. the local stand-in at http://localhost:4100,
+ * instead of https://<shop>.myshopify.com
  * @returns {Object} A Shopify client with GraphQL capabilities
  */
-export function createShopifyClient({ shop, accessToken, apiVersion = '2025-04', retries = 3, timeout = 30000 }) {
-  // Log API version only once
+export function createShopifyClient({ shop, accessToken, apiVersion = DEFAULT_API_VERSION, retries = 3, timeout = 30000, throttleRetries = 5, onCost, onDeprecation, bulkFixtures, adminUrl }) {
+  // Log API version only once, with a warning when its support window is closing
   if (!apiVersionLogged) {
     console.log("Using shopify API version " + apiVersion);
+    const support = getApiVersionSupport(apiVersion);
+    if (support.status === 'unsupported' || support.status === 'ending') {
+      console.warn(`Shopify API version ${apiVersion} ${support.status === 'unsupported' ? 'was' : 'is'} supported until ${support.supportedUntil}, update apiVersion in the job config`);
+    }
     apiVersionLogged = true;
   }
   // Format shop name (remove .myshopify.com if present)
   const shopName = shop.replace('.myshopify.com', '');
-  const graphqlUrl = `https://${shopName}.myshopify.com/admin/api/${apiVersion}/graphql.json`;
+  const shopDomain = `${shopName}.myshopify.com`;
+  const baseUrl = (adminUrl || `https://${shopDomain}`).replace(/\/+$/, '');
+  const graphqlUrl = `${baseUrl}/admin/api/${apiVersion}/graphql.json`;
 
   // Create the client with enhanced GraphQL capabilities
   const shopifyClient = {
+    shopDomain,
+    bulkFixtures,
+
     // GraphQL API with built-in error handling
-    graphql: async (query, variables = {}) => {
+    /**
+     * Run a GraphQL query or mutation
+     * @param {string} query - The GraphQL document
+     * @param {Object} [variables] - The variables
+     * @param {Object} [options] - Request options
+     * @param {boolean} [options.idempotent] - Set for mutations that are safe to send twice, so failed attempts are retried
+     * @param {Function} [options.onDeprecation] - Also receives the deprecation notices of this call
+     * @returns {Promise<Object>} - The response data
+     */
+    graphql: async (query, variables = {}, { idempotent = !isMutation(query), onDeprecation: onCallDeprecation } = {}) => {
       try {
-        const response = await fetch(graphqlUrl, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'X-Shopify-Access-Token': accessToken
-          },
-          body: JSON.stringify({ query, variables })
-        });
-
-        if (!response.ok) {
-          // Handle non-JSON responses
-          const contentType = response.headers.get('content-type');
-          if (!contentType || !contentType.includes('application/json')) {
-            const text = await response.text();
-            throw new Error(`Shopify GraphQL request failed with non-JSON response: ${response.status} ${response.statusText}`);
+        const startedAt = Date.now();
+        let jsonResponse;
+        let deprecations;
+        let failedAttempts = 0;
+        for (let throttledRetries = 0; ; ) {
+          // Wait for the shop's cost bucket to refill instead of getting throttled
+          const { delayMs, available, requested } = getThrottleDelay(shopDomain, query);
+          if (delayMs > 0) {
+            console.log(`Shopify query cost bucket low for ${shopDomain} (${Math.floor(available)} available, ${requested} needed), waiting ${delayMs}ms`);
+            await wait(delayMs);
+          }
+
+          const controller = new AbortController();
+          const timer = setTimeout(() => controller.abort(), timeout);
+          try {
+            let response;
+            try {
+              response = await fetch(graphqlUrl, {
+                method: 'POST',
+                headers: {
+                  'Content-Type': 'application/json',
+                  'X-Shopify-Access-Token': accessToken
+                },
+                body: JSON.stringify({ query, variables }),
+                signal: controller.signal
+              });
+            } catch (error) {
+              throw createRequestError(controller.signal.aborted
+                ? `Shopify GraphQL request timed out after ${timeout}ms`
+                : `Shopify GraphQL request failed: ${error.message}`, true);
+            }
+
+            if (!response.ok) {
+              const retryable = RETRYABLE_STATUSES.has(response.status);
+
+              // Handle non-JSON responses
+              const contentType = response.headers.get('content-type');
+              if (!contentType || !contentType.includes('application/json')) {
+                throw createRequestError(`Shopify GraphQL request failed with non-JSON response: ${response.status} ${response.statusText}`, retryable);
+              }
+
+              // Handle JSON error responses
+              throw createRequestError(`Shopify GraphQL request failed: ${response.status} ${response.statusText}`, retryable);
+            }
+
+            // Parse the response
+            try {
+              jsonResponse = await response.json();
+            } catch (error) {
+              throw createRequestError(controller.signal.aborted
+                ? `Shopify GraphQL request timed out after ${timeout}ms`
+                : `Shopify GraphQL response could not be read: ${error.message}`, controller.signal.aborted);
+            }
+            deprecations = getDeprecationNotices(response.headers, jsonResponse, apiVersion);
+          } catch (error) {
+            if (!error.retryable || !idempotent || failedAttempts >= retries) {
+              throw error;
+            }
+            const retryDelayMs = getRetryDelay(failedAttempts++);
+            console.log(`${error.message}, retrying in ${retryDelayMs}ms (${failedAttempts}/${retries})`);
+            await wait(retryDelayMs);
+            continue;
+          } finally {
+            clearTimeout(timer);
+          }
+
+          const cost = jsonResponse.extensions?.cost;
+          recordQueryCost(shopDomain, query, cost);
+
+          if (!isThrottledResponse(jsonResponse) || throttledRetries >= throttleRetries) {
+            await reportCost(onCost || getShopifyCostHook(), {
+              shop: shopDomain,
+              operation: getOperationName(query),
+              requestedQueryCost: cost?.requestedQueryCost ?? null,
+              actualQueryCost: cost?.actualQueryCost ?? null,
+              throttleStatus: cost?.throttleStatus ?? null,
+              throttledRetries,
+              durationMs: Date.now() - startedAt
+            });
+            break;
           }
 
-          // Handle JSON error responses
-          throw new Error(`Shopify GraphQL request failed: ${response.status} ${response.statusText}`);
+          const backoffMs = getThrottleBackoff(cost, throttledRetries++);
+          console.log(`Shopify request throttled for ${shopDomain}, retrying in ${backoffMs}ms (${throttledRetries}/${throttleRetries})`);
+          await wait(backoffMs);
         }
 
-        // Parse the response
-        const jsonResponse = await response.json();
+        for (const notice of deprecations.notices) {
+          await reportDeprecation({
+            shop: shopDomain,
+            operation: getOperationName(query),
+            apiVersion,
+            servedVersion: deprecations.servedVersion,
+            ...notice
+          }, [onDeprecation || getShopifyDeprecationHook(), onCallDeprecation]);
+        }
 
         // Check for GraphQL errors
         if (jsonResponse.errors) {
@@ -147,6 +342,97 @@ export function createShopifyClient({ shop, accessToken, apiVersion = '2025-04',
       }
     },
 
+    /**
+     * Paginate through a connection, see shopify-paginate.js
+     * @param {string} query - The GraphQL query, taking $first and $after
+     * @param {Object} [variables] - Other query variables
+     * @param {Object} [options] - pageSize, path, pages, and step with name to fetch each page in its own step
+     * @returns {AsyncGenerator<Object>} The nodes, or pages with the pages option
+     */
+    paginate: (query, variables = {}, options = {}) => paginate(shopifyClient, query, variables, options),
+
+    /**
+     * Run a bulk query and wait for it to finish, see shopify-bulk.js
+     * @param {string} query - The bulk query
+     * @param {Object} [options] - name, step, timeoutSeconds, and useWebhook with env and instanceId
+     * @returns {Promise<Object>} The completed bulk operation
+     */
+    bulkQuery: (query, options = {}) => runBulkQuery(shopifyClient, query, options),
+
+    /**
+     * Request a file outside the GraphQL API, the staged uploads and result downloads of bulk operations
+     * Test cassettes record and replay these requests along with the GraphQL calls.
+     * @param {string} url - The file URL
+     * @param {Object} [init] - fetch options
+     * @returns {Promise<Response>} The response
+     */
+    fetch: (url, init) => fetch(url, init),
+
+    /**
+     * Stream the result of a completed bulk operation, see shopify-bulk.js
+     * @param {Object|string} operation - The operation returned by bulkQuery, or its result URL
+     * @param {Object} [options] - nest (default true) and childKeys
+     * @returns {AsyncGenerator<Object>} The result objects
+     */
+    bulkResults: (operation, options = {}) => readBulkResults(operation, { fetch: shopifyClient.fetch, ...options }),
+
+    /**
+     * Run a mutation for each set of variables as a bulk operation, see shopify-bulk.js
+     * @param {string} mutation - The mutation
+     * @param {Array<Object>} variablesList - The variables of each run
+     * @param {Object} [options] - The bulkQuery options, with name defaulting to 'bulk-mutation'
+     * @returns {Promise<Object>} The completed bulk operation
+     */
+    bulkMutation: (mutation, variablesList, options = {}) => runBulkMutation(shopifyClient, mutation, variablesList, options),
+
+    /**
+     * Read the results of a bulk mutation into a success/failure report, see shopify-bulk.js
+     * @param {Object|string} operation - The operation returned by bulkMutation, or its result URL
+     * @param {Array<Object>} [variablesList] - The variables the mutation ran with
+     * @returns {Promise<Object>} The report
+     */
+    bulkMutationReport: (operation, variablesList = []) => readBulkMutationReport(operation, variablesList, { fetch: shopifyClient.fetch }),
+
+    // Typed metafield reads and writes, see shopify-metafields.js
+    metafields: {
+      /**
+       * Get the value of a metafield
+       * @param {string} ownerId - The gid of the resource the metafield belongs to
+       * @param {string} namespace - The metafield namespace
+       * @param {string} key - The metafield key
+       * @returns {Promise<*>} The value parsed based on its type, or null if the metafield isn't set
+       */
+      get: (ownerId, namespace, key) => getMetafield(shopifyClient, ownerId, namespace, key),
+
+      /**
+       * Set the value of a metafield, creating it if it doesn't exist
+       * @param {string} ownerId - The gid of the resource the metafield belongs to
+       * @param {string} namespace - The metafield namespace
+       * @param {string} key - The metafield key
+       * @param {*} value - The value, serialized based on the type
+       * @param {string} [type] - The metafield type, inferred from the value if not set
+       * @returns {Promise<Object>} The metafield as { id, namespace, key, type, value }
+       */
+      set: (ownerId, namespace, key, value, type) => setMetafield(shopifyClient, ownerId, namespace, key, value, type),
+
+      /**
+       * Delete a metafield
+       * @param {string} ownerId - The gid of the resource the metafield belongs to
+       * @param {string} namespace - The metafield namespace
+       * @param {string} key - The metafield key
+       * @returns {Promise<boolean>} True if the metafield was deleted, false if it didn't exist
+       */
+      delete: (ownerId, namespace, key) => deleteMetafield(shopifyClient, ownerId, namespace, key),
+
+      /**
+       * Get all metafields of a resource
+       * @param {string} ownerId - The gid of the resource
+       * @param {Object} [options] - namespace, to only get the metafields of one namespace
+       * @returns {Promise<Array<Object>>} The metafields as { id, namespace, key, type, value } with parsed values
+       */
+      getAll: (ownerId, options = {}) => getAllMetafields(shopifyClient, ownerId, options)
+    },
+
     // ID Utility methods
     /**
      * Converts an ID to a Shopify GraphQL global ID (gid) format if it's not already
@@ -232,10 +518,14 @@ export async function initShopify(cliDir, jobPath, shopParam) {
     const shopworkerFileContent = fs.readFileSync(shopworkerFilePath, 'utf8');
     const shopworkerData = JSON.parse(shopworkerFileContent);
 
+    // Tests run with --record or --replay go through a cassette, replays don't need an access token
+    const { applyTestCassette, isReplayingTestCassette } = await import('../cli/test-cassette.js');
+    const replaying = isReplayingTestCassette();
+
     let shopDetails = null;
     
     // Check if using new format (direct shop config)
-    if (shopworkerData.shopify_domain && shopworkerData.shopify_token) {
+    if (shopworkerData.shopify_domain && !shopworkerData.shops) {
       shopDetails = shopworkerData;
     } else {
       // Legacy format support
@@ -254,12 +544,17 @@ export async function initShopify(cliDir, jobPath, shopParam) {
           throw new Error(`Shop with domain or name '${shopParam}' not found in .shopworker.json.`);
         }
       } else {
+        // Jobs that run for several shops use the first one unless a shop is passed in
+        if (!shopIdentifier && jobConfig.shops) {
+          shopIdentifier = jobConfig.shops === 'all' ? shopworkerData.shops[0]?.name : jobConfig.shops[0];
+        }
+
         // Use shop from job config
         if (!shopIdentifier) {
-          throw new Error(`'shop' not defined in job configuration: ${jobConfigPath}`);
+          throw new Error(`'shop' not defined in job configuration: ${jobPath}`);
         }
 
-        shopDetails = shopworkerData.shops.find(s => s.name === shopIdentifier);
+        shopDetails = shopworkerData.shops.find(s => s.name === shopIdentifier || s.shopify_domain === shopIdentifier);
         if (!shopDetails) {
           throw new Error(`Shop configuration for '${shopIdentifier}' not found in .shopworker.json.`);
         }
@@ -272,15 +567,24 @@ export async function initShopify(cliDir, jobPath, shopParam) {
     if (!shopDomain) {
       throw new Error(`'shopify_domain' not set for shop '${shopDetails.name}' in .shopworker.json`);
     }
-    if (!accessToken) {
+    if (!accessToken && !replaying) {
       throw new Error(`'shopify_token' not set for shop '${shopDetails.name}' in .shopworker.json`);
     }
 
-    return createShopifyClient({
+    // Bulk queries in tests read local JSONL files, with paths relative to the job directory
+    const bulkFixtures = jobConfig.test?.bulkFixtures
+      ? Object.fromEntries(Object.entries(jobConfig.test.bulkFixtures).map(([name, file]) => [name, path.resolve(cliDir, jobConfig.fullPath, file)]))
+      : undefined;
+
+    const shopify = createShopifyClient({
       shop: shopDomain,
       accessToken,
-      apiVersion: jobConfig.apiVersion // Let createShopifyClient handle the default
+      bulkFixtures,
+      adminUrl: shopDetails.shopify_admin_url,
+      ...getShopifyClientOptions(jobConfig) // Let createShopifyClient handle the defaults
     });
+
+    return applyTestCassette(shopify);
   } catch (error) {
     console.error(`Failed to initialize Shopify API for job '${jobPath}': ${error.message}`);
     if (error.cause) console.error('Cause:', error.cause);
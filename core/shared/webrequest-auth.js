@@ -0,0 +1,307 @@
+/**
+ * Authentication for webrequest jobs
+ * Jobs opt in with an `auth` block in their config, e.g. { "auth": { "type": "app-proxy" } }
+ *
+ * Supported types:
+ * - app-proxy: Shopify App Proxy `signature` query parameter
+ * - bearer: static API key from secrets, { "secret": "INTERNAL_API_KEY", "header": "Authorization" }
+ * - hmac: signed request body, { "secret": "PARTNER_SECRET", "header": "X-Signature", "encoding": "hex" }
+ * - jwt: bearer JWT, { "secret": "JWT_SECRET" } or { "jwksUrl": "..." }, plus optional issuer, audience, algorithms and claims
+ */
+
+import { jwtVerify } from 'jose/jwt/verify';
+import { createRemoteJWKSet } from 'jose/jwks/remote';
+import { hmacSha256, timingSafeEqual } from './crypto.js';
+
+export const APP_PROXY_AUTH = 'app-proxy';
+export const BEARER_AUTH = 'bearer';
+export const HMAC_AUTH = 'hmac';
+export const JWT_AUTH = 'jwt';
+
+const AUTH_REALM = 'shopworker';
+const DEFAULT_BEARER_HEADER = 'Authorization';
+const DEFAULT_HMAC_HEADER = 'X-Shopworker-Signature';
+
+// App Proxy signatures are only accepted this close to their timestamp, so captured URLs can't be replayed
+const APP_PROXY_MAX_AGE_SECONDS = 5 * 60;
+
+// Remote key sets cache their keys, so keep one per URL for the life of the isolate
+const remoteKeySets = new Map();
+
+/**
+ * Create an error that the worker turns into an auth failure response
+ * @param {string} message - The error message
+ * @param {number} [statusCode=401] - 401 for missing or invalid credentials, 403 for insufficient ones
+ * @param {string} [challenge] - WWW-Authenticate challenge for 401 responses
+ * @returns {Error} The error with a statusCode and response headers
+ */
+function createAuthError(message, statusCode = 401, challenge = null) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (challenge) {
+    error.headers = { 'WWW-Authenticate': challenge };
+  }
+  return error;
+}
+
+/**
+ * Verify a webrequest against the job's auth configuration
+ * @param {Object} params - Verification parameters
+ * @param {Request} params.request - The incoming request
+ * @param {string|ArrayBuffer|Uint8Array} params.rawBody - The raw request body, as bytes for binary bodies
+ * @param {Object} params.jobConfig - The job configuration
+ * @param {Object} params.shopConfig - The resolved shop configuration
+ * @param {Object} params.secrets - Secrets available to the job
+ * @returns {Promise<Object|null>} The auth context passed to process(), or null if the job has no auth
+ */
+export async function verifyWebrequestAuth({ request, rawBody = '', jobConfig, shopConfig, secrets = {} }) {
+  const auth = jobConfig.auth;
+  if (!auth) {
+    return null;
+  }
+
+  switch (auth.type) {
+    case APP_PROXY_AUTH:
+      return verifyAppProxyRequest(request, shopConfig);
+    case BEARER_AUTH:
+      return verifyBearerRequest(request, auth, secrets);
+    case HMAC_AUTH:
+      return verifyHmacRequest(request, rawBody, auth, secrets);
+    case JWT_AUTH:
+      return verifyJwtRequest(request, auth, secrets);
+    default:
+      throw new Error(`Unsupported auth type in job config: ${auth.type}`);
+  }
+}
+
+/**
+ * Get the secret an auth strategy is configured with
+ * @param {Object} auth - The job's auth configuration
+ * @param {Object} secrets - Secrets available to the job
+ * @returns {string} The secret value
+ */
+export function getAuthSecret(auth, secrets) {
+  const secret = auth.secret ? secrets[auth.secret] : null;
+  if (!secret) {
+    throw new Error(`Secret ${auth.secret || '(not set)'} is not configured for ${auth.type} auth`);
+  }
+  return typeof secret === 'string' ? secret : JSON.stringify(secret);
+}
+
+/**
+ * Get the header a bearer or hmac strategy reads credentials from
+ * @param {Object} auth - The job's auth configuration
+ * @returns {string} The header name
+ */
+export function getAuthHeader(auth) {
+  if (auth.header) {
+    return auth.header;
+  }
+  return auth.type === HMAC_AUTH ? DEFAULT_HMAC_HEADER : DEFAULT_BEARER_HEADER;
+}
+
+/**
+ * Read a token from the Authorization header, or the raw value of a custom header
+ */
+function getRequestToken(request, header) {
+  const value = request.headers.get(header);
+  if (!value) {
+    return null;
+  }
+
+  if (header.toLowerCase() === 'authorization') {
+    const match = value.match(/^Bearer\s+(.+)$/i);
+    return match ? match[1].trim() : null;
+  }
+  return value.trim();
+}
+
+/**
+ * Sign App Proxy query parameters the way Shopify does
+ * Parameters are sorted, repeated keys are joined with commas and the pairs are concatenated without separators
+ * @param {URLSearchParams} params - The query parameters (any existing signature is ignored)
+ * @param {string} secret - The app's API secret key
+ * @returns {Promise<string>} The hex-encoded signature
+ */
+export async function signAppProxyParams(params, secret) {
+  const values = {};
+  for (const [key, value] of params) {
+    if (key === 'signature') continue;
+    (values[key] ||= []).push(value);
+  }
+
+  const message = Object.keys(values)
+    .sort()
+    .map(key => `${key}=${values[key].join(',')}`)
+    .join('');
+
+  return hmacSha256(secret, message, 'hex');
+}
+
+/**
+ * Sign a request body for hmac auth
+ * @param {Object} auth - The job's auth configuration
+ * @param {string} secret - The signing secret
+ * @param {string|ArrayBuffer|Uint8Array} rawBody - The raw request body, signed byte for byte
+ * @returns {Promise<string>} The encoded signature, including any configured prefix
+ */
+export async function signHmacBody(auth, secret, rawBody) {
+  const signature = await hmacSha256(secret, rawBody, auth.encoding === 'base64' ? 'base64' : 'hex');
+  return `${auth.prefix || ''}${signature}`;
+}
+
+/**
+ * Verify the `signature` query parameter Shopify adds to App Proxy requests
+ * @param {Request} request - The incoming request
+ * @param {Object} shopConfig - The resolved shop configuration
+ * @returns {Promise<Object>} The App Proxy auth context
+ */
+async function verifyAppProxyRequest(request, shopConfig) {
+  const params = new URL(request.url).searchParams;
+
+  const signature = params.get('signature');
+  if (!signature) {
+    throw createAuthError('Missing app proxy signature');
+  }
+
+  if (!shopConfig?.shopify_api_secret_key) {
+    throw new Error('shopify_api_secret_key is not configured, cannot verify app proxy signature');
+  }
+
+  const expectedSignature = await signAppProxyParams(params, shopConfig.shopify_api_secret_key);
+  if (!timingSafeEqual(signature, expectedSignature)) {
+    throw createAuthError('Invalid app proxy signature');
+  }
+
+  // A valid signature from one shop must not be replayed against another
+  const shop = params.get('shop');
+  if (shop !== shopConfig.shopify_domain) {
+    throw createAuthError(`Invalid app proxy shop: ${shop}`);
+  }
+
+  // Nor used again once it's stale, it carries logged_in_customer_id
+  if (!params.get('timestamp')) {
+    throw createAuthError('Missing app proxy timestamp');
+  }
+  const timestamp = Number(params.get('timestamp'));
+  if (!Number.isFinite(timestamp)) {
+    throw createAuthError('Invalid app proxy timestamp');
+  }
+  if (Math.abs(Date.now() / 1000 - timestamp) > APP_PROXY_MAX_AGE_SECONDS) {
+    throw createAuthError('Expired app proxy signature');
+  }
+
+  return {
+    type: APP_PROXY_AUTH,
+    shop,
+    // Shopify sends an empty value for guests
+    logged_in_customer_id: params.get('logged_in_customer_id') || null,
+    path_prefix: params.get('path_prefix') || null
+  };
+}
+
+/**
+ * Verify a static API key sent as a bearer token or custom header
+ */
+async function verifyBearerRequest(request, auth, secrets) {
+  const header = getAuthHeader(auth);
+  const challenge = `Bearer realm="${AUTH_REALM}"`;
+
+  const token = getRequestToken(request, header);
+  if (!token) {
+    throw createAuthError(`Missing API key in ${header} header`, 401, challenge);
+  }
+
+  if (!timingSafeEqual(token, getAuthSecret(auth, secrets))) {
+    throw createAuthError('Invalid API key', 401, `${challenge}, error="invalid_token"`);
+  }
+
+  return { type: BEARER_AUTH };
+}
+
+/**
+ * Verify an HMAC signature of the raw request body
+ */
+async function verifyHmacRequest(request, rawBody, auth, secrets) {
+  const header = getAuthHeader(auth);
+  const challenge = `HMAC realm="${AUTH_REALM}", header="${header}"`;
+
+  const signature = request.headers.get(header);
+  if (!signature) {
+    throw createAuthError(`Missing request signature in ${header} header`, 401, challenge);
+  }
+
+  const expectedSignature = await signHmacBody(auth, getAuthSecret(auth, secrets), rawBody);
+  if (!timingSafeEqual(signature.trim(), expectedSignature)) {
+    throw createAuthError('Invalid request signature', 401, challenge);
+  }
+
+  return { type: HMAC_AUTH };
+}
+
+/**
+ * Check whether a jose error is about the token, like a bad signature or an expired or malformed JWT
+ */
+function isTokenError(error) {
+  const code = error.code || '';
+  return code.startsWith('ERR_JWT_') || code.startsWith('ERR_JWS_') || code === 'ERR_JOSE_ALG_NOT_ALLOWED';
+}
+
+/**
+ * Verify a bearer JWT with a shared secret or a remote JWKS
+ */
+async function verifyJwtRequest(request, auth, secrets) {
+  const challenge = `Bearer realm="${AUTH_REALM}"`;
+
+  const token = getRequestToken(request, getAuthHeader(auth));
+  if (!token) {
+    throw createAuthError('Missing bearer token', 401, challenge);
+  }
+
+  let payload;
+  try {
+    ({ payload } = await jwtVerify(token, getJwtKey(auth, secrets), {
+      issuer: auth.issuer,
+      audience: auth.audience,
+      algorithms: auth.algorithms
+    }));
+  } catch (error) {
+    // Only token errors are the client's fault, JWKS errors like a timeout or a bad key set are server problems
+    if (!isTokenError(error)) {
+      throw error;
+    }
+    throw createAuthError(`Invalid bearer token: ${error.message}`, 401, `${challenge}, error="invalid_token"`);
+  }
+
+  // Valid tokens without the required claims are authenticated but not allowed
+  for (const [claim, expected] of Object.entries(auth.claims || {})) {
+    if (!claimMatches(payload[claim], expected)) {
+      throw createAuthError(`Token is missing required claim: ${claim}`, 403);
+    }
+  }
+
+  return { type: JWT_AUTH, subject: payload.sub || null, claims: payload };
+}
+
+/**
+ * Get the verification key for jwt auth
+ */
+function getJwtKey(auth, secrets) {
+  if (auth.jwksUrl) {
+    if (!remoteKeySets.has(auth.jwksUrl)) {
+      remoteKeySets.set(auth.jwksUrl, createRemoteJWKSet(new URL(auth.jwksUrl)));
+    }
+    return remoteKeySets.get(auth.jwksUrl);
+  }
+
+  return new TextEncoder().encode(getAuthSecret(auth, secrets));
+}
+
+/**
+ * Check a claim value, where arrays on either side mean "contains all of"
+ */
+function claimMatches(actual, expected) {
+  const actualValues = Array.isArray(actual) ? actual : [actual];
+  const expectedValues = Array.isArray(expected) ? expected : [expected];
+  return expectedValues.every(value => actualValues.includes(value));
+}
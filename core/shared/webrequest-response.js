@@ -0,0 +1,138 @@
+/**
+ * HTTP responses for webrequest jobs
+ * Jobs return either a Response object or a description of one:
+ * { statusCode, headers, body } where body is an object (sent as JSON), a string, an ArrayBuffer,
+ * a typed array, a Blob or a ReadableStream. Results without a body are sent as JSON, as are string bodies
+ * without a Content-Type. Redirects and downloads are built with createRedirect and createDownload, so
+ * results that happen to have a redirect or filename field stay JSON.
+ */
+
+const JSON_CONTENT_TYPE = 'application/json';
+const BINARY_CONTENT_TYPE = 'application/octet-stream';
+
+// Statuses that must not have a body
+const NULL_BODY_STATUSES = [101, 204, 205, 304];
+
+/**
+ * Check whether a Content-Type is JSON
+ */
+function isJsonContentType(contentType) {
+  const mediaType = (contentType || '').split(';')[0].trim().toLowerCase();
+  return mediaType === JSON_CONTENT_TYPE || mediaType.endsWith('+json');
+}
+
+/**
+ * Check whether a Content-Type describes a body that can be displayed as text
+ * @param {string|null} contentType - The Content-Type header
+ * @returns {boolean} Whether the body is text
+ */
+export function isTextContentType(contentType) {
+  const mediaType = (contentType || '').split(';')[0].trim().toLowerCase();
+  return mediaType.startsWith('text/')
+    || isJsonContentType(mediaType)
+    || mediaType === 'application/xml'
+    || mediaType.endsWith('+xml')
+    || mediaType === 'application/javascript'
+    || mediaType === 'application/x-www-form-urlencoded';
+}
+
+/**
+ * Check whether a body is binary data that can be sent as is
+ */
+function isBinaryBody(body) {
+  return body instanceof ArrayBuffer
+    || ArrayBuffer.isView(body)
+    || (typeof Blob !== 'undefined' && body instanceof Blob)
+    || (typeof ReadableStream !== 'undefined' && body instanceof ReadableStream);
+}
+
+/**
+ * Build a Content-Disposition header for a download
+ * The plain filename is a fallback for clients that don't understand filename*
+ */
+function getAttachmentHeader(filename) {
+  const fallback = filename.replace(/[^\x20-\x7e]|["\\]/g, '_');
+  return `attachment; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(filename)}`;
+}
+
+/**
+ * Encode a response body, filling in a Content-Type when the job didn't set one
+ */
+function encodeBody(body, headers) {
+  if (isBinaryBody(body)) {
+    if (!headers.has('Content-Type')) {
+      headers.set('Content-Type', body.type || BINARY_CONTENT_TYPE);
+    }
+    return body;
+  }
+
+  if (typeof body === 'string' && headers.has('Content-Type')) {
+    return body;
+  }
+
+  if (!headers.has('Content-Type')) {
+    headers.set('Content-Type', JSON_CONTENT_TYPE);
+  }
+  return JSON.stringify(body);
+}
+
+/**
+ * Create the HTTP response for a webrequest job result
+ * @param {Object|Response} result - The job result
+ * @param {Object} [defaultHeaders] - Headers to add unless the job sets them, like CORS headers
+ * @returns {Response} The HTTP response
+ */
+export function createWebrequestResponse(result, defaultHeaders = {}) {
+  if (result instanceof Response) {
+    // Copy the response so its headers can be changed
+    const response = new Response(result.body, result);
+    for (const [name, value] of Object.entries(defaultHeaders)) {
+      if (!response.headers.has(name)) {
+        response.headers.set(name, value);
+      }
+    }
+    return response;
+  }
+
+  const headers = new Headers(defaultHeaders);
+  if (result == null) {
+    return new Response(null, { status: 204, headers });
+  }
+
+  for (const [name, value] of Object.entries(result.headers || {})) {
+    headers.set(name, value);
+  }
+
+  const status = result.statusCode || 200;
+  if (NULL_BODY_STATUSES.includes(status)) {
+    return new Response(null, { status, headers });
+  }
+
+  const body = result.body !== undefined ? result.body : result;
+  return new Response(encodeBody(body, headers), { status, headers });
+}
+
+/**
+ * Create a redirect for a webrequest job to return
+ * @param {string} location - The URL to redirect to, relative URLs are allowed
+ * @param {number} [statusCode=302] - The redirect status
+ * @returns {Response} The redirect response
+ */
+export function createRedirect(location, statusCode = 302) {
+  return new Response(null, { status: statusCode, headers: { Location: location } });
+}
+
+/**
+ * Create a file download for a webrequest job to return
+ * @param {*} body - The file contents, any body a job result can have
+ * @param {string} filename - The name browsers save the file as
+ * @param {Object} [options] - Response options
+ * @param {Object} [options.headers] - Response headers, like the Content-Type
+ * @param {number} [options.statusCode=200] - The response status
+ * @returns {Response} The download response
+ */
+export function createDownload(body, filename, { headers = {}, statusCode = 200 } = {}) {
+  const responseHeaders = new Headers(headers);
+  responseHeaders.set('Content-Disposition', getAttachmentHeader(filename));
+  return new Response(encodeBody(body, responseHeaders), { status: statusCode, headers: responseHeaders });
+}
@@ -0,0 +1,193 @@
+/**
+ * External events for running workflows
+ * A job pauses with `step.waitForEvent(name, { timeout })` until something outside Shopify happens, like a
+ * customer clicking an approval link. Events are delivered through signed /_events URLs:
+ *
+ *   const url = await createEventUrl({ env, shopConfig, instanceId, type: "approval" });
+ *   // email the url, then
+ *   const { payload } = await step.waitForEvent("approval", { timeout: "3 days" });
+ *
+ * The URL's signature covers the shop, workflow instance, event type and expiry, so it can be handed to
+ * customers and partners. Each URL delivers one event. A GET request, like a clicked link, shows a confirmation
+ * page so link scanners and prefetching don't deliver it; the page's POST delivers the query parameters as the
+ * payload, other POST requests their body.
+ */
+
+import { hmacSha256, timingSafeEqual } from './crypto.js';
+import { isCliEnvironment } from './env.js';
+
+export const EVENT_ROUTE = '/_events';
+
+// Cloudflare's default, a run that waits longer must pass a timeout
+export const DEFAULT_EVENT_TIMEOUT = '24 hours';
+
+// Event links stay valid for a week unless told otherwise
+const DEFAULT_URL_EXPIRY_SECONDS = 7 * 24 * 60 * 60;
+
+// Query parameters that sign an event URL rather than being part of the payload
+export const EVENT_SIGNATURE_PARAMS = ['shop', 'expires', 'sig'];
+
+const DURATION_UNIT_MS = { second: 1000, minute: 60 * 1000, hour: 60 * 60 * 1000, day: 24 * 60 * 60 * 1000, week: 7 * 24 * 60 * 60 * 1000 };
+
+/**
+ * Parse a workflow duration like "30 seconds" or "2 days" into milliseconds
+ * @param {string|number} duration - The duration, numbers are milliseconds
+ * @returns {number} The duration in milliseconds
+ */
+export function parseWorkflowDuration(duration) {
+  if (typeof duration === 'number') {
+    return duration;
+  }
+  const match = /^(\d+(?:\.\d+)?)\s*(second|minute|hour|day|week)s?$/.exec(String(duration).trim());
+  if (!match) {
+    throw new Error(`Invalid duration: ${duration}`);
+  }
+  return Number(match[1]) * DURATION_UNIT_MS[match[2]];
+}
+
+/**
+ * Get the event type a waitForEvent call listens for, which defaults to the step name
+ * @param {string} name - The step name
+ * @param {Object} [options] - The waitForEvent options
+ * @returns {string} The event type
+ */
+export function getEventType(name, options = {}) {
+  return options.type || name;
+}
+
+/**
+ * Wrap a workflow step so waitForEvent works without a type, like the CLI's step
+ * @param {Object} step - The Cloudflare workflow step
+ * @returns {Object} A step with do, sleep, sleepUntil and waitForEvent
+ */
+export function wrapWorkflowStep(step) {
+  return {
+    do: (...args) => step.do(...args),
+    sleep: (...args) => step.sleep(...args),
+    sleepUntil: (...args) => step.sleepUntil(...args),
+    waitForEvent: (name, options = {}) => step.waitForEvent(name, {
+      ...options,
+      type: getEventType(name, options),
+      timeout: options.timeout || DEFAULT_EVENT_TIMEOUT
+    })
+  };
+}
+
+/**
+ * Sign the parts of an event URL
+ * @returns {Promise<string>} The hex signature
+ */
+function signEvent(secret, { shopDomain, instanceId, type, expires }) {
+  // A JSON array keeps the parts apart even when they contain the separator
+  return hmacSha256(secret, JSON.stringify([shopDomain, instanceId, type, String(expires)]), 'hex');
+}
+
+/**
+ * Get the worker's URL from cloudflare_worker_url in the worker config, or .shopworker.json in the CLI
+ */
+async function resolveWorkerUrl(env) {
+  if (env?.SHOPWORKER_CONFIG) {
+    return JSON.parse(env.SHOPWORKER_CONFIG).cloudflare_worker_url;
+  }
+  if (isCliEnvironment(env)) {
+    const { getWorkerUrl } = await import('./config-helpers.js');
+    return getWorkerUrl({});
+  }
+  return null;
+}
+
+/**
+ * Create a signed URL that delivers an event to a running workflow
+ * @param {Object} options - URL options
+ * @param {string} [options.workerUrl] - The worker's base URL, cloudflare_worker_url from the config by default
+ * @param {Object} [options.env] - Environment variables (worker env or process.env) to find the worker URL in
+ * @param {Object} options.shopConfig - The shop configuration, its shopworker_webhook_secret signs the URL
+ * @param {string} options.instanceId - The workflow instance to deliver to, the instanceId job parameter
+ * @param {string} options.type - The event type the workflow waits for
+ * @param {number} [options.expiresInSeconds] - How long the URL is valid, a week by default
+ * @returns {Promise<string>} The event URL
+ */
+export async function createEventUrl({ workerUrl, env, shopConfig, instanceId, type, expiresInSeconds = DEFAULT_URL_EXPIRY_SECONDS }) {
+  if (!shopConfig?.shopworker_webhook_secret) {
+    throw new Error('shopworker_webhook_secret is required to sign event URLs');
+  }
+  const baseUrl = workerUrl || await resolveWorkerUrl(env);
+  if (!baseUrl) {
+    throw new Error('Worker URL is required to create event URLs. Set cloudflare_worker_url in .shopworker.json or pass workerUrl.');
+  }
+
+  const shopDomain = shopConfig.shopify_domain;
+  const expires = Math.floor(Date.now() / 1000) + expiresInSeconds;
+  const url = new URL(`${EVENT_ROUTE}/${encodeURIComponent(instanceId)}/${encodeURIComponent(type)}`, baseUrl);
+  url.searchParams.set('shop', shopDomain);
+  url.searchParams.set('expires', String(expires));
+  url.searchParams.set('sig', await signEvent(shopConfig.shopworker_webhook_secret, { shopDomain, instanceId, type, expires }));
+  return url.href;
+}
+
+/**
+ * Check the signature and expiry of an event URL
+ * @param {Object} shopConfig - The shop configuration
+ * @param {Object} event - The signed parts of the URL
+ * @param {string} event.instanceId - The workflow instance
+ * @param {string} event.type - The event type
+ * @param {string} event.expires - The expiry in seconds since the epoch
+ * @param {string} event.signature - The signature from the URL
+ * @returns {Promise<string|null>} Why the URL is rejected, or null if it is valid
+ */
+export async function verifyEventUrl(shopConfig, { instanceId, type, expires, signature }) {
+  if (!shopConfig.shopworker_webhook_secret || !signature || !expires) {
+    return 'Invalid event signature';
+  }
+
+  const expected = await signEvent(shopConfig.shopworker_webhook_secret, {
+    shopDomain: shopConfig.shopify_domain,
+    instanceId,
+    type,
+    expires
+  });
+  if (!timingSafeEqual(signature, expected)) {
+    return 'Invalid event signature';
+  }
+  if (Number(expires) * 1000 < Date.now()) {
+    return 'Event URL expired';
+  }
+  return null;
+}
+
+/**
+ * Get the idempotency key that marks an event URL as used
+ * @param {string} shopDomain - The shop domain
+ * @param {string} signature - The signature from the URL
+ * @returns {string} The store key
+ */
+export function getEventUseKey(shopDomain, signature) {
+  return `event:${shopDomain}:${signature}`;
+}
+
+/**
+ * Escape text for an HTML page
+ */
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+/**
+ * Render the page a GET request to an event URL shows, which delivers the event when its form is posted
+ * @param {Object} options - Page options
+ * @param {string} options.type - The event type
+ * @param {string} options.action - The event URL's path and query string
+ * @param {boolean} [options.used] - Whether the URL was already used, the page then has no form
+ * @returns {string} The HTML page
+ */
+export function renderEventPage({ type, action, used = false }) {
+  const title = used ? 'Already confirmed' : `Confirm ${escapeHtml(type)}`;
+  const content = used
+    ? '<p>This link has already been used.</p>'
+    : `<form method="POST" action="${escapeHtml(action)}"><button type="submit">Confirm</button></form>`;
+  return `<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1"><meta name="robots" content="noindex"><title>${title}</title></head>
+<body><h1>${title}</h1>${content}</body>
+</html>`;
+}
@@ -2,18 +2,48 @@
  * Cloudflare Worker entry point for Shopify webhooks
  */
 
-import { createShopifyClient } from "./shared/shopify.js";
+import { createShopifyClient, getShopifyClientOptions } from "./shared/shopify.js";
 import { hmacSha256 } from "./shared/crypto.js";
-import { loadJobConfig as workerLoadJobConfig, loadJobModule, resolveJobPath } from "./worker/job-loader.js";
+import { verifyWebrequestAuth } from "./shared/webrequest-auth.js";
+import { createIdempotencyStore, getDeliveryId, getDeliveryKey } from "./shared/idempotency.js";
+import { loadJobConfig as workerLoadJobConfig, loadJobModule, resolveJobPath, getJobTopic } from "./worker/job-loader.js";
+import { checkCorsRequest, createPreflightResponse, getCorsHeaders } from "./worker/cors.js";
+import { findPathJob, resolveRequestJob } from "./worker/router.js";
+import { decodePathParam, getRequestContext } from "./shared/routes.js";
+import { MULTIPART_BODY, parseWebrequestBody, saveUploadedFiles } from "./shared/request-body.js";
+import { createWebrequestResponse } from "./shared/webrequest-response.js";
+import { isComplianceTopic } from "./shared/compliance.js";
+import {
+  FLOW_ACTION_TOPIC,
+  FLOW_ACTION_TRIGGER,
+  createFlowActionResponseBody,
+  getFlowActionPayload,
+  isSynchronousFlowAction,
+  parseFlowActionRequest,
+} from "./shared/flow-action.js";
+import { createConcurrencyLock } from "./shared/concurrency.js";
+import { createJobWorkflow, getDeliveryWorkflowId, getPayloadParams, handleLargePayload, isWorkflowExistsError } from "./shared/job-workflows.js";
+import { createChildJobApi } from "./shared/child-jobs.js";
+import { EVENT_ROUTE, EVENT_SIGNATURE_PARAMS, getEventUseKey, renderEventPage, verifyEventUrl } from "./shared/workflow-events.js";
+import { evaluateFilter } from "./shared/payload-filter.js";
+import { getDeadLetter, listDeadLetters, markDeadLetterReplayed } from "./shared/dead-letters.js";
 import { jobModules } from "../job-manifest.js";
 import { JobDispatcher } from "./workflow.js";
 
 // Constants
-const PAYLOAD_SIZE_THRESHOLD = 1024 * 1024; // 1MB
-const WORKFLOW_ID_PREFIX = "job";
-const PAYLOAD_ID_PREFIX = "payload";
 const WEBREQUEST_TOPIC = "shopworker/webrequest";
 const CONTENT_TYPE_JSON = "application/json";
+const TOPIC_ROUTE_PREFIX = "/_topic/";
+const COMPLIANCE_ROUTE = "/_compliance";
+const DEAD_LETTER_ROUTE = "/_dead-letters";
+const SHOP_QUERY_PARAM = "shop";
+const SHOP_SELECTOR_HEADER = "X-Shopworker-Shop";
+
+// A synchronous Flow action still marked as running after this was abandoned, and its run can be retried
+const SYNC_FLOW_RUN_TIMEOUT_MS = 60 * 1000;
+
+// KV keeps keys for at least a minute
+const MIN_EVENT_USE_TTL_SECONDS = 60;
 
 /**
  * Verify that a webhook request is authentic and from Shopify
@@ -93,74 +123,363 @@ function findShopConfig(shopworkerConfig, shopDomain) {
 }
 
 /**
- * Get job name from URL path and resolve to full job path
+ * Get every shop configuration, handling both single-shop and multi-shop formats
+ */
+function getShopConfigs(shopworkerConfig) {
+  if (shopworkerConfig.shopify_domain) {
+    return [shopworkerConfig];
+  }
+  return Array.isArray(shopworkerConfig.shops) ? shopworkerConfig.shops : [];
+}
+
+/**
+ * Select a shop configuration by name or domain
+ * @param {Object} shopworkerConfig - The parsed shopworker configuration
+ * @param {string|null} shopIdentifier - Shop name or domain, or null for the first shop
+ * @returns {Object|null} The shop configuration or null if no shop matches
  */
-function getJobPathFromUrl(request) {
+function selectShopConfig(shopworkerConfig, shopIdentifier) {
+  // Single-shop configurations always use their only shop
+  if (shopworkerConfig.shopify_domain) {
+    return shopworkerConfig;
+  }
+
+  const shopConfigs = getShopConfigs(shopworkerConfig);
+  if (!shopIdentifier) {
+    return shopConfigs[0] || null;
+  }
+
+  return shopConfigs.find((shop) => shop.name === shopIdentifier || shop.shopify_domain === shopIdentifier) || null;
+}
+
+/**
+ * Check whether a request targets a topic router instead of a single job
+ */
+function isTopicRoute(request) {
+  return new URL(request.url).pathname.startsWith(TOPIC_ROUTE_PREFIX);
+}
+
+/**
+ * Check whether a request targets the GDPR compliance URL
+ * Shopify sends every compliance topic to the single URL set in the app config
+ */
+function isComplianceRoute(request) {
+  return new URL(request.url).pathname === COMPLIANCE_ROUTE;
+}
+
+/**
+ * Check whether a request fans out to every job subscribed to its topic
+ */
+function isSubscriptionRoute(request) {
+  return isTopicRoute(request) || isComplianceRoute(request);
+}
+
+/**
+ * Resolve the member jobs of a topic router URL that subscribe to the delivered topic
+ * @param {Request} request - The incoming request
+ * @param {string} topic - The topic from the X-Shopify-Topic header
+ * @returns {Promise<Array<{jobPath: string, jobConfig: Object}>>} The jobs to run
+ */
+async function getTopicRouteJobs(request, topic) {
   const url = new URL(request.url);
-  const pathname = url.pathname;
-  
-  // Extract job name from path (remove leading slash)
-  const jobName = pathname.replace(/^\//, '');
+  const routeTopic = decodeURIComponent(url.pathname.slice(TOPIC_ROUTE_PREFIX.length));
+
+  if (routeTopic !== topic || topic === WEBREQUEST_TOPIC || topic === FLOW_ACTION_TOPIC) {
+    throw new Error(`Invalid topic route: URL topic ${routeTopic} does not match ${topic}`);
+  }
+
+  const jobNames = (url.searchParams.get("jobs") || "")
+    .split(",")
+    .map(name => name.trim())
+    .filter(Boolean);
+
+  if (jobNames.length === 0) {
+    throw new Error("Missing jobs in topic route URL");
+  }
+
+  const jobs = [];
+  for (const jobName of jobNames) {
+    // A stale member shouldn't prevent the other jobs from running
+    let jobPath;
+    try {
+      jobPath = resolveJobPath(jobName);
+    } catch (error) {
+      console.warn(`Skipping topic route member ${jobName}: ${error.message}`);
+      continue;
+    }
 
-  if (!jobName) {
-    throw new Error("Job name must be specified in the URL path");
+    const jobConfig = await loadJobConfig(jobPath);
+    if (getJobTopic(jobConfig) !== topic) {
+      console.warn(`Skipping topic route member ${jobName}: job is not triggered by ${topic}`);
+      continue;
+    }
+
+    jobs.push({ jobPath, jobConfig });
   }
 
-  // Resolve job name to full path
-  return resolveJobPath(jobName);
+  return jobs;
 }
 
 /**
- * Get the size of a payload in bytes
+ * Resolve the jobs that handle a GDPR compliance topic
+ * @param {string} topic - The topic from the X-Shopify-Topic header
+ * @returns {Array<{jobPath: string, jobConfig: Object}>} The jobs to run
  */
-function getPayloadSize(data) {
-  return new TextEncoder().encode(JSON.stringify(data)).length;
+function getComplianceJobs(topic) {
+  if (!isComplianceTopic(topic)) {
+    throw new Error(`Invalid compliance topic: ${topic}`);
+  }
+
+  return Object.entries(jobModules)
+    .filter(([, { config }]) => getJobTopic(config) === topic)
+    .map(([jobPath, { config }]) => ({ jobPath, jobConfig: config }));
 }
 
 /**
- * Store large payload in R2 and return a reference
+ * Check whether a request targets the dead-letter admin endpoints
  */
-async function handleLargePayload(payload, env) {
-  const payloadSize = getPayloadSize(payload);
+function isDeadLetterRoute(request) {
+  const { pathname } = new URL(request.url);
+  return pathname === DEAD_LETTER_ROUTE || pathname.startsWith(`${DEAD_LETTER_ROUTE}/`);
+}
 
-  if (payloadSize > PAYLOAD_SIZE_THRESHOLD) {
-    const payloadId = `${PAYLOAD_ID_PREFIX}-${Date.now()}-${Math.random().toString(36).substring(2, 11)}`;
-    const r2Key = `payloads/${payloadId}`;
+/**
+ * Create an error for the dead-letter and event endpoints that is returned with its own status code
+ */
+function createAdminError(message, statusCode, headers = {}) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.headers = headers;
+  return error;
+}
 
-    await env.R2_BUCKET.put(r2Key, JSON.stringify(payload));
+/**
+ * Select the shop of a dead-letter request and check its shopworker webhook secret
+ * @returns {Object} The shop configuration
+ */
+function authenticateDeadLetterRequest(request, env) {
+  const requestedShop = new URL(request.url).searchParams.get(SHOP_QUERY_PARAM) || request.headers.get(SHOP_SELECTOR_HEADER);
+  const shopConfig = selectShopConfig(parseShopworkerConfig(env), requestedShop);
+  if (!shopConfig) {
+    throw new Error(`Invalid shop: ${requestedShop} is not configured`);
+  }
 
-    return {
-      r2Key,
-      isLargePayload: true,
-      originalSize: payloadSize,
-    };
+  // Dead letters hold customer data, so shops without a secret can't use these endpoints
+  const secret = request.headers.get("X-Shopworker-Webhook-Secret");
+  if (!shopConfig.shopworker_webhook_secret || secret !== shopConfig.shopworker_webhook_secret) {
+    throw new Error("Invalid shopworker webhook secret");
   }
+  return shopConfig;
+}
 
-  return {
-    payload,
-    isLargePayload: false,
-    originalSize: payloadSize,
-  };
+/**
+ * Start a new workflow for a dead letter with the job's current code and config
+ * Replays skip the job filter, since the payload already passed it once
+ * @returns {Promise<string>} The workflow ID
+ */
+async function replayDeadLetter(deadLetter, shopConfig, env) {
+  let jobConfig;
+  try {
+    jobConfig = await loadJobConfig(deadLetter.jobPath);
+  } catch (error) {
+    throw createAdminError(`Job ${deadLetter.jobPath} of dead letter ${deadLetter.id} is no longer deployed`, 409);
+  }
+
+  const payloadInfo = await handleLargePayload(deadLetter.payload, deadLetter.shopDomain, env);
+  const workflowId = await createJobWorkflow(env, {
+    shopDomain: deadLetter.shopDomain,
+    jobPath: deadLetter.jobPath,
+    ...getPayloadParams(payloadInfo),
+    shopConfig,
+    jobConfig,
+    topic: deadLetter.topic,
+    replayOf: deadLetter.id,
+    timestamp: new Date().toISOString(),
+  });
+
+  await markDeadLetterReplayed(env, deadLetter.id, workflowId);
+  return workflowId;
 }
 
 /**
- * Get CORS headers for web requests
+ * Handle the dead-letter admin endpoints
+ *   GET  /_dead-letters?job=<jobPath>&limit=<n>  list failed runs, newest first
+ *   GET  /_dead-letters/<id>                     get a failed run with its payload
+ *   POST /_dead-letters/<id>/replay              start a new workflow for a failed run
  */
-function getCorsHeaders(origin = null) {
-  const headers = {
-    "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
-    "Access-Control-Allow-Headers": "Content-Type, X-Shopify-Topic, X-Shopify-Shop-Domain, X-Shopify-Test",
-    "Access-Control-Max-Age": "86400", // 24 hours
-  };
+async function handleDeadLetterRequest(request, env) {
+  const shopConfig = authenticateDeadLetterRequest(request, env);
+  const shopDomain = shopConfig.shopify_domain;
+  const url = new URL(request.url);
+  const [id, action, ...rest] = url.pathname.slice(DEAD_LETTER_ROUTE.length).split("/").filter(Boolean).map(decodeURIComponent);
 
-  // Allow specific origins or all origins for webrequest jobs
-  if (origin) {
-    headers["Access-Control-Allow-Origin"] = origin;
-  } else {
-    headers["Access-Control-Allow-Origin"] = "*";
+  if (!id) {
+    if (request.method !== "GET") {
+      throw createAdminError("Method not allowed", 405, { Allow: "GET" });
+    }
+    const limit = parseInt(url.searchParams.get("limit"), 10);
+    const deadLetters = await listDeadLetters(env, {
+      shopDomain,
+      jobPath: url.searchParams.get("job"),
+      ...(limit > 0 && { limit }),
+    });
+    return createResponse({ success: true, shopDomain, deadLetters });
+  }
+
+  if ((action && action !== "replay") || rest.length > 0) {
+    throw createAdminError(`Unknown dead-letter endpoint: ${url.pathname}`, 404);
+  }
+  const allowedMethod = action ? "POST" : "GET";
+  if (request.method !== allowedMethod) {
+    throw createAdminError("Method not allowed", 405, { Allow: allowedMethod });
   }
 
-  return headers;
+  const deadLetter = await getDeadLetter(env, shopDomain, id);
+  if (!deadLetter) {
+    throw createAdminError(`Dead letter ${id} not found for ${shopDomain}`, 404);
+  }
+
+  if (!action) {
+    return createResponse({ success: true, deadLetter });
+  }
+
+  const workflowId = await replayDeadLetter(deadLetter, shopConfig, env);
+  console.log(`Replaying dead letter ${id} of ${deadLetter.jobPath} as workflow ${workflowId}`);
+  return createResponse({
+    success: true,
+    message: "Dead letter replayed",
+    deadLetterId: id,
+    workflowId,
+  });
+}
+
+/**
+ * Check whether a request delivers an event to a running workflow
+ */
+function isEventRoute(request) {
+  return new URL(request.url).pathname.startsWith(`${EVENT_ROUTE}/`);
+}
+
+/**
+ * Deliver an event from a signed /_events/<instance id>/<type> URL to a waiting workflow
+ * GET requests (like a clicked link) get a confirmation page whose POST sends the query parameters as the payload,
+ * other POST requests send their body. Each URL delivers one event: a POST claims the URL in the ConcurrencyLock
+ * Durable Object for the rest of its lifetime, so concurrent POSTs can't both deliver.
+ */
+async function handleEventRequest(request, env) {
+  if (request.method !== "GET" && request.method !== "POST") {
+    throw createAdminError("Method not allowed", 405, { Allow: "GET, POST" });
+  }
+
+  const url = new URL(request.url);
+  const segments = url.pathname.slice(EVENT_ROUTE.length).split("/").filter(Boolean);
+  if (segments.length !== 2) {
+    throw createAdminError(`Unknown event endpoint: ${url.pathname}`, 404);
+  }
+  const instanceId = decodePathParam("instanceId", segments[0]);
+  const type = decodePathParam("type", segments[1]);
+
+  const requestedShop = url.searchParams.get(SHOP_QUERY_PARAM);
+  const shopConfig = selectShopConfig(parseShopworkerConfig(env), requestedShop);
+  if (!shopConfig) {
+    throw new Error(`Invalid shop: ${requestedShop} is not configured`);
+  }
+
+  const rejection = await verifyEventUrl(shopConfig, {
+    instanceId,
+    type,
+    expires: url.searchParams.get("expires"),
+    signature: url.searchParams.get("sig"),
+  });
+  if (rejection) {
+    throw createAdminError(rejection, rejection === "Event URL expired" ? 403 : 401);
+  }
+
+  // Used URLs are remembered until they expire, the store only tells the confirmation page that a URL was used
+  const signature = url.searchParams.get("sig");
+  const useKey = getEventUseKey(shopConfig.shopify_domain, signature);
+  const expiresInSeconds = Number(url.searchParams.get("expires")) - Math.floor(Date.now() / 1000);
+  const useTtlSeconds = Math.max(expiresInSeconds, MIN_EVENT_USE_TTL_SECONDS);
+  const useStore = createIdempotencyStore(env, { ttlSeconds: useTtlSeconds });
+  const used = await useStore.has(useKey);
+
+  // Link scanners and browser prefetching follow GET links, so only the confirmation page's POST delivers
+  if (request.method === "GET") {
+    return new Response(renderEventPage({ type, action: `${url.pathname}${url.search}`, used }), {
+      status: used ? 409 : 200,
+      headers: { "Content-Type": "text/html; charset=utf-8", "Cache-Control": "no-store" },
+    });
+  }
+  if (used) {
+    throw createAdminError("Event URL already used", 409);
+  }
+
+  // Claiming the URL is atomic, unlike the eventually consistent store, and a failed delivery gives it back
+  const lock = createConcurrencyLock(env);
+  const claimId = crypto.randomUUID();
+  const { acquired } = await lock.acquire(useKey, claimId, useTtlSeconds * 1000);
+  if (!acquired) {
+    throw createAdminError("Event URL already used", 409);
+  }
+
+  try {
+    const { body, bodyType } = await parseWebrequestBody(request);
+    const payload = bodyType === null
+      ? Object.fromEntries([...url.searchParams].filter(([name]) => !EVENT_SIGNATURE_PARAMS.includes(name)))
+      : body;
+
+    let instance;
+    try {
+      instance = await env.WORKFLOW.get(instanceId);
+    } catch (error) {
+      throw createAdminError(`Workflow instance ${instanceId} not found`, 404);
+    }
+    await instance.sendEvent({ type, payload });
+  } catch (error) {
+    await lock.release(useKey, claimId);
+    throw error;
+  }
+  await useStore.record(useKey, { instanceId, type });
+
+  console.log(`Delivered ${type} event to workflow ${instanceId}`);
+  return createResponse({
+    success: true,
+    message: "Event delivered",
+    instanceId,
+    type,
+  });
+}
+
+/**
+ * Check a payload against a job's filter, logging skipped jobs
+ * An invalid filter lets the payload through so a config mistake doesn't drop webhooks
+ * @returns {boolean} Whether the job should run
+ */
+function matchesJobFilter(jobPath, jobConfig, payload) {
+  try {
+    const { matches, failed } = evaluateFilter(jobConfig.filter, payload);
+    if (!matches) {
+      console.log(`Skipping ${jobPath}: payload does not match filter ${failed}`);
+    }
+    return matches;
+  } catch (error) {
+    console.error(`Ignoring filter of ${jobPath}: ${error.message}`);
+    return true;
+  }
+}
+
+/**
+ * Get CORS headers for a request if it targets a webrequest job
+ */
+async function getWebrequestCorsHeaders(request) {
+  try {
+    const job = await findPathJob(request);
+    return job?.jobConfig.trigger === "webrequest"
+      ? getCorsHeaders(job.jobConfig.cors, request.headers.get("Origin"), job.methods)
+      : {};
+  } catch (error) {
+    return {};
+  }
 }
 
 /**
@@ -190,25 +509,22 @@ function createErrorResponse(message, status = 500, additionalHeaders = {}) {
  * @param {string} topic - The webhook topic
  * @returns {{shopConfig: Object, resolvedShopDomain: string}}
  */
-function resolveShopConfig(shopworkerConfig, shopDomain, topic) {
-  // For webrequest jobs, always use the shop configuration domain
+function resolveShopConfig(shopworkerConfig, shopDomain, topic, request, jobConfig) {
   if (topic === WEBREQUEST_TOPIC) {
-    if (shopworkerConfig.shopify_domain) {
-      // Single-shop configuration
-      return {
-        shopConfig: shopworkerConfig,
-        resolvedShopDomain: shopworkerConfig.shopify_domain
-      };
-    } else if (shopworkerConfig.shops && shopworkerConfig.shops.length > 0) {
-      // Multi-shop configuration, use first shop as default
-      const firstShop = shopworkerConfig.shops[0];
-      return {
-        shopConfig: firstShop,
-        resolvedShopDomain: firstShop.shopify_domain
-      };
-    } else {
-      throw new Error("No shop configuration found for webrequest job");
+    // Webrequests pick their shop from the request, then the job config, then the first shop
+    const requestedShop = new URL(request.url).searchParams.get(SHOP_QUERY_PARAM) || request.headers.get(SHOP_SELECTOR_HEADER);
+    const shopConfig = selectShopConfig(shopworkerConfig, requestedShop || jobConfig?.shop || null);
+
+    if (!shopConfig) {
+      throw new Error(requestedShop
+        ? `Invalid shop: ${requestedShop} is not configured`
+        : `No shop configuration found for webrequest job${jobConfig?.shop ? ` (shop: ${jobConfig.shop})` : ""}`);
     }
+
+    return {
+      shopConfig,
+      resolvedShopDomain: shopConfig.shopify_domain
+    };
   } else {
     // Regular webhook jobs use the shop domain from headers
     return {
@@ -220,37 +536,32 @@ function resolveShopConfig(shopworkerConfig, shopDomain, topic) {
 
 /**
  * Parse webhook request and extract necessary data
+ * @param {Request} request - The incoming request
+ * @param {Object|null} jobConfig - The target job's config, null for topic routes
  */
-async function parseWebhookRequest(request) {
-  // Handle GET requests for webrequest jobs
-  if (request.method === "GET") {
-    const url = new URL(request.url);
-    const jobName = url.pathname.replace(/^\//, '');
-    
-    // Check if this is a webrequest job
-    try {
-      const jobPath = resolveJobPath(jobName);
-      const jobConfig = await loadJobConfig(jobPath);
-      if (jobConfig.trigger === "webrequest") {
-        // For webrequest GET requests, use query parameters as payload
-        const queryParams = {};
-        for (const [key, value] of url.searchParams.entries()) {
-          queryParams[key] = value;
-        }
-        
-        return { 
-          bodyText: "", 
-          bodyData: queryParams, 
-          shopDomain: "webrequest", // Placeholder for webrequest jobs
-          topic: WEBREQUEST_TOPIC 
-        };
-      }
-    } catch (e) {
-      // If job config loading fails, continue with normal processing
-    }
+async function parseWebhookRequest(request, jobConfig) {
+  // Webrequest jobs are reached by callers like App Proxies and HTML forms without Shopify webhook headers
+  // Their bodies are only parsed once the request is authenticated, signatures are checked against the bytes
+  if (jobConfig?.trigger === "webrequest") {
+    return {
+      bodyBytes: await request.clone().arrayBuffer(),
+      shopDomain: "webrequest", // Placeholder for webrequest jobs
+      topic: WEBREQUEST_TOPIC
+    };
+  }
+
+  // Flow names the shop in the body instead of webhook headers, and the job gets the action's properties
+  if (jobConfig?.trigger === FLOW_ACTION_TRIGGER) {
+    const bodyText = await request.text();
+    const actionRun = parseFlowActionRequest(bodyText);
+    return {
+      bodyText,
+      bodyData: getFlowActionPayload(actionRun, jobConfig),
+      shopDomain: actionRun.shopify_domain,
+      topic: FLOW_ACTION_TOPIC
+    };
   }
 
-  // Handle POST requests (original logic)
   const bodyText = await request.clone().text();
   let bodyData;
 
@@ -270,6 +581,11 @@ async function parseWebhookRequest(request) {
     throw new Error("Missing X-Shopify-Topic header");
   }
 
+  // Only webrequest jobs may skip webhook verification
+  if (topic === WEBREQUEST_TOPIC) {
+    throw new Error("Invalid X-Shopify-Topic header: job is not a webrequest job");
+  }
+
   return { bodyText, bodyData, shopDomain, topic };
 }
 
@@ -278,7 +594,7 @@ async function parseWebhookRequest(request) {
  */
 async function verifyWebhookAuth(request, bodyText, topic, env, shopConfig) {
   if (topic === WEBREQUEST_TOPIC) {
-    // No authentication required for webrequest triggers
+    // Webrequest jobs opt into authentication through their job config
     return;
   } else if (topic === "shopworker/webhook") {
     const shopworkerWebhookSecret = request.headers.get("X-Shopworker-Webhook-Secret");
@@ -293,27 +609,27 @@ async function verifyWebhookAuth(request, bodyText, topic, env, shopConfig) {
 }
 
 /**
- * Create and start workflow for job processing
+ * Load secrets from SECRET_ prefixed environment variables
  */
-async function createJobWorkflow(env, params) {
-  const workflowId = `${WORKFLOW_ID_PREFIX}-${Date.now()}-${Math.random().toString(36).substring(2, 11)}`;
-
-  console.log(`Creating workflow with ID: ${workflowId}`);
-  
-  await env.WORKFLOW.create({
-    id: workflowId,
-    params,
-  });
-
-  console.log(`Workflow ${workflowId} created successfully`);
-  
-  return workflowId;
+function loadSecretsFromEnv(env) {
+  const secrets = {};
+  for (const key in env) {
+    if (key.startsWith("SECRET_")) {
+      const secretKey = key.substring(7);
+      try {
+        secrets[secretKey] = JSON.parse(env[key]);
+      } catch (e) {
+        secrets[secretKey] = env[key];
+      }
+    }
+  }
+  return secrets;
 }
 
 /**
  * Execute job synchronously for real-time triggers
  */
-async function executeJobSynchronously(jobPath, jobConfig, shopDomain, bodyData, shopConfig, env) {
+async function executeJobSynchronously(jobPath, jobConfig, shopDomain, bodyData, shopConfig, env, auth = null, requestContext = {}) {
   // Create Shopify client
   const accessToken = shopConfig?.shopify_token || env.SHOPIFY_ACCESS_TOKEN;
   if (!accessToken) {
@@ -323,24 +639,14 @@ async function executeJobSynchronously(jobPath, jobConfig, shopDomain, bodyData,
   const shopify = createShopifyClient({
     shop: shopDomain,
     accessToken,
-    apiVersion: jobConfig?.apiVersion,
+    ...getShopifyClientOptions(jobConfig),
   });
 
   // Load job module
   const jobModule = await loadJobModule(jobPath);
 
   // Load secrets from environment
-  const secrets = {};
-  for (const key in env) {
-    if (key.startsWith("SECRET_")) {
-      const secretKey = key.substring(7);
-      try {
-        secrets[secretKey] = JSON.parse(env[key]);
-      } catch (e) {
-        secrets[secretKey] = env[key];
-      }
-    }
-  }
+  const secrets = loadSecretsFromEnv(env);
 
   // Execute job directly (synchronously)
   const result = await jobModule.process({
@@ -350,6 +656,11 @@ async function executeJobSynchronously(jobPath, jobConfig, shopDomain, bodyData,
     jobConfig,
     env,
     secrets,
+    auth,
+    // Route params, query, headers, method and the raw body
+    ...requestContext,
+    // Webrequests can start jobs, waiting for them holds the request open
+    ...createChildJobApi({ env, shopConfig, shopify }),
     // Note: No 'step' parameter for synchronous execution
   });
 
@@ -357,82 +668,201 @@ async function executeJobSynchronously(jobPath, jobConfig, shopDomain, bodyData,
 }
 
 /**
- * Create a properly formatted response for webrequest jobs
- * @param {Object} result - The job execution result
- * @param {string} origin - The request origin for CORS headers
- * @returns {Response} Formatted HTTP response
+ * Run a synchronous Flow action, answering retries of a run with the response of its completed attempt
+ * Flow retries a run that timed out with the same action_run_id, so the job's side effects happen once. Runs
+ * that failed, or were abandoned mid-request, can be retried.
  */
-function createWebrequestResponse(result, origin) {
-  const statusCode = result.statusCode || 200;
-  const isTextResponse = result.headers?.['Content-Type'] === 'text/plain';
-  
-  // Build response headers
-  const headers = {
-    "Content-Type": isTextResponse ? 'text/plain' : CONTENT_TYPE_JSON,
-    ...getCorsHeaders(origin),
-    ...(result.headers || {})
-  };
-  
-  // Format response body based on content type
-  const responseBody = isTextResponse 
-    ? result.body 
-    : JSON.stringify(result.body || result);
-  
-  return new Response(responseBody, {
-    status: statusCode,
-    headers
-  });
+async function runSynchronousFlowAction({ jobPath, jobConfig }, { shopDomain, payload, shopConfig, env, deliveryKey, idempotencyStore }) {
+  if (!matchesJobFilter(jobPath, jobConfig, payload)) {
+    return createResponse(createFlowActionResponseBody(undefined));
+  }
+
+  const runId = payload.flowAction.runId;
+  const previous = deliveryKey ? await idempotencyStore.get(deliveryKey) : null;
+  if (previous?.status === "complete") {
+    console.log(`Repeat of Flow action run ${runId} for ${jobPath}, answering with its earlier response`);
+    return createResponse(previous.response);
+  }
+  if (previous?.status === "running" && Date.now() - Date.parse(previous.startedAt) < SYNC_FLOW_RUN_TIMEOUT_MS) {
+    throw createAdminError(`Flow action run ${runId} is still running`, 503, { "Retry-After": "30" });
+  }
+
+  const record = (metadata) => deliveryKey
+    ? idempotencyStore.record(deliveryKey, { jobPaths: [jobPath], topic: FLOW_ACTION_TOPIC, ...metadata })
+    : null;
+
+  await record({ status: "running", startedAt: new Date().toISOString() });
+  let result;
+  try {
+    result = await executeJobSynchronously(jobPath, jobConfig, shopDomain, payload, shopConfig, env);
+  } catch (error) {
+    await record({ status: "failed" });
+    throw error;
+  }
+
+  const response = createFlowActionResponseBody(result);
+  await record({ status: "complete", response });
+  return createResponse(response);
 }
 
 /**
  * Process the webhook request
  */
 async function _handleRequest(request, env) {
+  // Topic router and compliance subscriptions fan out to their jobs, other URLs name a job or match a route
+  const requestJob = isSubscriptionRoute(request) ? null : await resolveRequestJob(request);
+
   // Parse webhook request
-  const { bodyText, bodyData, shopDomain, topic } = await parseWebhookRequest(request);
+  const { bodyText, bodyBytes, bodyData, shopDomain, topic } = await parseWebhookRequest(request, requestJob?.jobConfig);
 
-  // Get shop configuration
+  let jobs;
+  if (requestJob) {
+    jobs = [requestJob];
+  } else {
+    jobs = isComplianceRoute(request) ? getComplianceJobs(topic) : await getTopicRouteJobs(request, topic);
+  }
+
+  // Get shop configuration, which webrequest jobs can choose through their config
   const shopworkerConfig = parseShopworkerConfig(env);
-  const { shopConfig, resolvedShopDomain } = resolveShopConfig(shopworkerConfig, shopDomain, topic);
+  const { shopConfig, resolvedShopDomain } = resolveShopConfig(shopworkerConfig, shopDomain, topic, request, jobs[0]?.jobConfig);
 
   // Verify webhook authentication
   await verifyWebhookAuth(request, bodyText, topic, env, shopConfig);
 
-  // Get job path and load config
-  const jobPath = getJobPathFromUrl(request);
-  const jobConfig = await loadJobConfig(jobPath);
-
   // Check if this is a real-time trigger
-  if (jobConfig.trigger === "webrequest") {
+  if (requestJob?.jobConfig.trigger === "webrequest") {
+    const { jobPath, jobConfig, params, methods } = requestJob;
+
+    // Enforce the job's CORS allowlist before doing any work
+    const corsRejection = checkCorsRequest(jobConfig.cors, request, methods);
+    if (corsRejection) {
+      return corsRejection;
+    }
+
+    const auth = await verifyWebrequestAuth({
+      request,
+      rawBody: bodyBytes,
+      jobConfig,
+      shopConfig,
+      secrets: loadSecretsFromEnv(env),
+    });
+
+    // Bodies are parsed, and uploads stored, only once the request is authenticated
+    const { rawBody, body, bodyType } = await parseWebrequestBody(request, bodyBytes);
+    const payload = jobConfig.uploads && bodyType === MULTIPART_BODY
+      ? await saveUploadedFiles(body, jobConfig.uploads, env)
+      : body;
+
     // Execute job synchronously and return result
-    const result = await executeJobSynchronously(jobPath, jobConfig, resolvedShopDomain, bodyData, shopConfig, env);
-    return createWebrequestResponse(result, request.headers.get("Origin"));
+    const result = await executeJobSynchronously(jobPath, jobConfig, resolvedShopDomain, payload, shopConfig, env, auth,
+      { ...getRequestContext(request, params), rawBody });
+    return createWebrequestResponse(result, getCorsHeaders(jobConfig.cors, request.headers.get("Origin"), methods));
   }
 
-  // Handle large payloads for async processing
-  const payloadInfo = await handleLargePayload(bodyData, env);
+  // Acknowledge repeat deliveries without starting another workflow, Flow retries an action run with the same ID
+  const deliveryId = topic === FLOW_ACTION_TOPIC ? bodyData.flowAction.runId : getDeliveryId(request, topic);
+  const deliveryKey = deliveryId ? getDeliveryKey(resolvedShopDomain, deliveryId) : null;
+  const idempotencyStore = createIdempotencyStore(env);
+  const jobPaths = jobs.map(job => job.jobPath);
+
+  // Synchronous Flow actions answer with the job's result, which Flow passes to the next steps
+  if (isSynchronousFlowAction(requestJob?.jobConfig)) {
+    return runSynchronousFlowAction(requestJob, {
+      shopDomain: resolvedShopDomain,
+      payload: bodyData,
+      shopConfig,
+      env,
+      deliveryKey,
+      idempotencyStore,
+    });
+  }
 
-  // Create workflow parameters
-  const workflowParams = {
-    shopDomain: resolvedShopDomain,
-    jobPath,
-    ...(payloadInfo.isLargePayload
-      ? { r2Key: payloadInfo.r2Key, isLargePayload: true }
-      : { payload: payloadInfo.payload, isLargePayload: false }),
-    shopConfig,
-    jobConfig,
-    topic,
-    timestamp: new Date().toISOString(),
+  const duplicateResponse = () => {
+    console.log(`Duplicate delivery ${deliveryId} for ${jobPaths.join(", ")}, skipping workflow`);
+    return createResponse({
+      success: true,
+      duplicate: true,
+      message: "Duplicate webhook delivery ignored",
+    });
   };
 
-  // Start workflow
-  const workflowId = await createJobWorkflow(env, workflowParams);
+  if (deliveryKey && await idempotencyStore.has(deliveryKey)) {
+    return duplicateResponse();
+  }
+
+  const workflows = [];
+  const skipped = [];
+  const duplicates = [];
+  for (const { jobPath, jobConfig } of jobs) {
+    // Filtered out payloads never start a workflow
+    if (!matchesJobFilter(jobPath, jobConfig, bodyData)) {
+      skipped.push(jobPath);
+      continue;
+    }
+
+    // Each workflow gets its own payload copy since workflows clean up after themselves
+    const payloadInfo = await handleLargePayload(bodyData, resolvedShopDomain, env);
+
+    // Create workflow parameters
+    const workflowParams = {
+      shopDomain: resolvedShopDomain,
+      jobPath,
+      ...getPayloadParams(payloadInfo),
+      shopConfig,
+      jobConfig,
+      topic,
+      timestamp: new Date().toISOString(),
+    };
+
+    // Deliveries start each job under an ID of their own, so a concurrent or retried copy can't start it twice
+    const deliveryWorkflowId = deliveryKey ? await getDeliveryWorkflowId(deliveryKey, jobPath) : undefined;
+    try {
+      const workflowId = await createJobWorkflow(env, workflowParams, deliveryWorkflowId);
+      workflows.push({ jobPath, workflowId });
+    } catch (error) {
+      if (!deliveryWorkflowId || !isWorkflowExistsError(error)) {
+        throw error;
+      }
+      if (payloadInfo.isLargePayload) {
+        await env.R2_BUCKET.delete(payloadInfo.r2Key);
+      }
+      duplicates.push({ jobPath, workflowId: deliveryWorkflowId });
+    }
+  }
+
+  // Remember the delivery so retries from the sender are ignored
+  if (deliveryKey) {
+    const workflowIds = [...workflows, ...duplicates].map(w => w.workflowId);
+    await idempotencyStore.record(deliveryKey, { jobPaths, topic, workflowIds });
+  }
+
+  // Every job was already started by another copy of this delivery
+  if (duplicates.length > 0 && workflows.length === 0) {
+    return duplicateResponse();
+  }
+
+  if (!requestJob) {
+    return createResponse({
+      success: true,
+      message: `Started ${workflows.length} job workflow(s) for ${topic}`,
+      workflows,
+      skipped,
+    });
+  }
+
+  if (skipped.length > 0) {
+    return createResponse({
+      success: true,
+      skipped: true,
+      message: "Payload does not match the job filter, no workflow started",
+    });
+  }
 
   // Return success response
   return createResponse({
     success: true,
     message: "Job workflow started successfully",
-    workflowId: workflowId,
+    workflowId: workflows[0].workflowId,
   });
 }
 
@@ -442,60 +872,62 @@ async function _handleRequest(request, env) {
 async function handleRequest(request, env) {
   // Handle CORS preflight requests for webrequest jobs
   if (request.method === "OPTIONS") {
-    // Check if this could be a webrequest job
+    let job;
     try {
-      const jobPath = getJobPathFromUrl(request);
-      const jobConfig = await loadJobConfig(jobPath);
-      
-      if (jobConfig.trigger === "webrequest") {
-        return new Response(null, {
-          status: 204,
-          headers: getCorsHeaders(request.headers.get("Origin"))
-        });
-      }
+      job = isSubscriptionRoute(request) ? null : await findPathJob(request);
     } catch (error) {
-      // If job name is invalid, still return CORS headers for OPTIONS
-      return new Response(null, {
-        status: 204,
-        headers: getCorsHeaders(request.headers.get("Origin"))
-      });
+      // Malformed paths are rejected like any other request to them
+      if (!error.statusCode) {
+        throw error;
+      }
+      return new Response(error.message, { status: error.statusCode });
+    }
+    if (!job) {
+      return new Response("Not found", { status: 404 });
     }
-    return new Response("Method not allowed", { status: 405 });
-  }
 
-  // Allow GET and POST requests for webrequest jobs, otherwise require POST
-  if (request.method !== "POST" && request.method !== "GET") {
+    if (job.jobConfig.trigger === "webrequest") {
+      return createPreflightResponse(job.jobConfig.cors, request, job.methods);
+    }
     return new Response("Method not allowed", { status: 405 });
   }
 
-  // For GET requests, check if it's a webrequest job
-  if (request.method === "GET") {
-    try {
-      const jobPath = getJobPathFromUrl(request);
-      const jobConfig = await loadJobConfig(jobPath);
-      
-      if (jobConfig.trigger !== "webrequest") {
-        return new Response("GET method only allowed for webrequest jobs", { status: 405 });
-      }
-    } catch (error) {
-      return new Response("Invalid job name for GET request", { status: 400 });
-    }
+  // Topic and compliance routes only receive webhook deliveries, job methods are checked when the job is resolved
+  if (isSubscriptionRoute(request) && request.method !== "POST") {
+    return new Response("Method not allowed", { status: 405, headers: { Allow: "POST" } });
   }
 
   try {
+    if (isDeadLetterRoute(request)) {
+      return await handleDeadLetterRequest(request, env);
+    }
+    if (isEventRoute(request)) {
+      return await handleEventRequest(request, env);
+    }
     return await _handleRequest(request, env);
   } catch (error) {
     console.error("Error processing webhook:", error.message, error.stack);
 
+    // Browsers can only read webrequest errors that carry CORS headers
+    const headers = { ...(await getWebrequestCorsHeaders(request)), ...error.headers };
+
+    // Errors can carry their own status code
+    if (error.statusCode) {
+      return createErrorResponse(error.message, error.statusCode, headers);
+    }
+
     // Map specific errors to appropriate status codes
-    if (error.message.includes("Missing") || error.message.includes("Invalid JSON")) {
-      return createErrorResponse(error.message, 400);
+    if (error.message.includes("Missing") || error.message.includes("Invalid JSON") ||
+        error.message.includes("Invalid topic route") || error.message.includes("Invalid compliance topic") ||
+        error.message.includes("Invalid shop:") ||
+        error.message.includes("Invalid X-Shopify-Topic")) {
+      return createErrorResponse(error.message, 400, headers);
     }
     if (error.message.includes("webhook secret") || error.message.includes("webhook signature")) {
-      return createErrorResponse(error.message, 401);
+      return createErrorResponse(error.message, 401, headers);
     }
 
-    return createErrorResponse(error.message);
+    return createErrorResponse(error.message, 500, headers);
   }
 }
 
@@ -518,31 +950,68 @@ function findScheduledJobs(cronExpression) {
 }
 
 /**
- * Execute a scheduled job
+ * Get the shop configurations a scheduled job runs for
+ * Jobs can set `shops` to "all" or a list of shop names/domains, otherwise `shop` or the first shop is used
+ * @param {Object} shopworkerConfig - The parsed shopworker configuration
+ * @param {Object} jobConfig - The job configuration
+ * @returns {Array<Object>} The shop configurations
+ */
+function getScheduledJobShops(shopworkerConfig, jobConfig) {
+  if (jobConfig.shops === "all") {
+    return getShopConfigs(shopworkerConfig);
+  }
+
+  const shopIdentifiers = Array.isArray(jobConfig.shops) ? jobConfig.shops : [jobConfig.shop || null];
+
+  return shopIdentifiers.map((shopIdentifier) => {
+    const shopConfig = selectShopConfig(shopworkerConfig, shopIdentifier);
+    if (!shopConfig) {
+      throw new Error(`No shop configuration found for scheduled job shop: ${shopIdentifier}`);
+    }
+    return shopConfig;
+  });
+}
+
+/**
+ * Execute a scheduled job, starting one workflow per shop it runs for
  * @param {string} jobPath - The job path to execute
  * @param {Object} scheduledData - Data about the scheduled execution
  * @param {Object} env - Environment variables
- * @returns {Promise<Object>} The workflow ID or execution result
+ * @returns {Promise<Array<Object>>} The workflow ID or error for each shop
  */
 async function executeScheduledJob(jobPath, scheduledData, env) {
+  let jobConfig, shopConfigs;
   try {
-    const jobConfig = await loadJobConfig(jobPath);
-    const shopworkerConfig = parseShopworkerConfig(env);
-
-    // For scheduled jobs, use the first available shop configuration
-    let shopConfig, shopDomain;
-    if (shopworkerConfig.shopify_domain) {
-      // Single-shop configuration
-      shopConfig = shopworkerConfig;
-      shopDomain = shopworkerConfig.shopify_domain;
-    } else if (shopworkerConfig.shops && shopworkerConfig.shops.length > 0) {
-      // Multi-shop configuration, use first shop as default
-      shopConfig = shopworkerConfig.shops[0];
-      shopDomain = shopConfig.shopify_domain;
-    } else {
+    jobConfig = await loadJobConfig(jobPath);
+    shopConfigs = getScheduledJobShops(parseShopworkerConfig(env), jobConfig);
+
+    if (shopConfigs.length === 0) {
       throw new Error("No shop configuration found for scheduled job");
     }
+  } catch (error) {
+    console.error(`Failed to execute scheduled job ${jobPath}:`, error.message, error.stack);
+    return [{
+      success: false,
+      jobPath,
+      error: error.message,
+      scheduledTime: scheduledData.scheduledTime,
+      cron: scheduledData.cron,
+    }];
+  }
+
+  return Promise.all(
+    shopConfigs.map(shopConfig => startScheduledJobWorkflow(jobPath, jobConfig, shopConfig, scheduledData, env))
+  );
+}
 
+/**
+ * Start the workflow for a scheduled job on a single shop
+ * @returns {Promise<Object>} The workflow ID or execution result
+ */
+async function startScheduledJobWorkflow(jobPath, jobConfig, shopConfig, scheduledData, env) {
+  const shopDomain = shopConfig.shopify_domain;
+
+  try {
     // Create workflow parameters with scheduled data as payload
     const workflowParams = {
       shopDomain,
@@ -561,15 +1030,17 @@ async function executeScheduledJob(jobPath, scheduledData, env) {
     return {
       success: true,
       jobPath,
+      shopDomain,
       workflowId,
       scheduledTime: scheduledData.scheduledTime,
       cron: scheduledData.cron,
     };
   } catch (error) {
-    console.error(`Failed to execute scheduled job ${jobPath}:`, error.message, error.stack);
+    console.error(`Failed to execute scheduled job ${jobPath} for ${shopDomain}:`, error.message, error.stack);
     return {
       success: false,
       jobPath,
+      shopDomain,
       error: error.message,
       scheduledTime: scheduledData.scheduledTime,
       cron: scheduledData.cron,
@@ -600,7 +1071,7 @@ async function handleScheduled(controller, env, ctx) {
   console.log(`Found ${matchingJobs.length} job(s) for cron expression: ${cronExpression}`);
 
   // Execute all matching jobs
-  const results = await Promise.all(
+  const jobResults = await Promise.all(
     matchingJobs.map(jobPath =>
       executeScheduledJob(jobPath, {
         scheduledTime,
@@ -608,13 +1079,15 @@ async function handleScheduled(controller, env, ctx) {
       }, env)
     )
   );
+  const results = jobResults.flat();
 
   // Log results
   for (const result of results) {
+    const shopLabel = result.shopDomain ? ` on ${result.shopDomain}` : "";
     if (result.success) {
-      console.log(`Successfully started scheduled job: ${result.jobPath} (workflow: ${result.workflowId})`);
+      console.log(`Successfully started scheduled job: ${result.jobPath}${shopLabel} (workflow: ${result.workflowId})`);
     } else {
-      console.error(`Failed to start scheduled job: ${result.jobPath} - ${result.error}`);
+      console.error(`Failed to start scheduled job: ${result.jobPath}${shopLabel} - ${result.error}`);
     }
   }
 
@@ -636,3 +1109,6 @@ export default {
 
 // Export the JobDispatcher workflow class from the separate file
 export { JobDispatcher } from "./workflow.js";
+
+// Export the Durable Object that serializes jobs sharing a concurrency key
+export { ConcurrencyLock } from "./worker/concurrency-lock.js";
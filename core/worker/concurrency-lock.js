@@ -0,0 +1,60 @@
+/**
+ * ConcurrencyLock Durable Object
+ * Each instance guards a single concurrency key, see shared/concurrency.js
+ */
+
+import { DurableObject } from "cloudflare:workers";
+import { acquireLock, createLockState, releaseLock, renewLock } from "../shared/concurrency.js";
+
+const STATE_KEY = "lock";
+
+export class ConcurrencyLock extends DurableObject {
+  /**
+   * Try to take the lock, joining the queue if it is held
+   * @param {string} holderId - The workflow instance asking for the lock
+   * @param {number} leaseMs - How long the lock is held without being released
+   * @returns {Promise<{acquired: boolean, position: number}>} Whether the lock was taken, and the place in the queue if not
+   */
+  async acquire(holderId, leaseMs) {
+    const state = (await this.ctx.storage.get(STATE_KEY)) || createLockState();
+    const result = acquireLock(state, holderId, leaseMs);
+    await this.ctx.storage.put(STATE_KEY, state);
+    return result;
+  }
+
+  /**
+   * Extend the lease if the holder still has the lock
+   * @param {string} holderId - The workflow instance renewing the lock
+   * @param {number} leaseMs - How long from now the lock is held without being released
+   * @returns {Promise<boolean>} Whether the holder still had the lock
+   */
+  async renew(holderId, leaseMs) {
+    const state = await this.ctx.storage.get(STATE_KEY);
+    if (!state || !renewLock(state, holderId, leaseMs)) {
+      return false;
+    }
+    await this.ctx.storage.put(STATE_KEY, state);
+    return true;
+  }
+
+  /**
+   * Release the lock if the holder has it
+   * @param {string} holderId - The workflow instance releasing the lock
+   * @returns {Promise<boolean>} Whether the holder had the lock
+   */
+  async release(holderId) {
+    const state = await this.ctx.storage.get(STATE_KEY);
+    if (!state) {
+      return false;
+    }
+
+    const released = releaseLock(state, holderId);
+    if (!state.holder && state.waiters.length === 0) {
+      // Nothing is waiting on this key, so don't keep it around
+      await this.ctx.storage.deleteAll();
+    } else {
+      await this.ctx.storage.put(STATE_KEY, state);
+    }
+    return released;
+  }
+}
@@ -0,0 +1,157 @@
+/**
+ * CORS handling for webrequest jobs
+ * Jobs restrict cross-origin access with a `cors` block in their config, e.g.
+ * { "cors": { "origins": ["https://example.com", "https://*.myshopify.com"], "methods": ["GET", "POST"],
+ *             "headers": ["Content-Type", "Authorization"], "credentials": true, "maxAge": 600 } }
+ * Jobs without a `cors` block allow any origin, but never with credentials.
+ * Methods default to the ones the job's routes accept, or GET and POST for jobs without routes.
+ */
+
+const DEFAULT_METHODS = ["GET", "POST"];
+const DEFAULT_HEADERS = [
+  "Content-Type",
+  "Authorization",
+  "X-Shopworker-Shop",
+  "X-Shopify-Topic",
+  "X-Shopify-Shop-Domain",
+  "X-Shopify-Test",
+];
+const DEFAULT_MAX_AGE = 86400; // 24 hours
+
+/**
+ * Check whether an origin matches an allowlist entry
+ * Entries can be exact origins, "*", or use a leading wildcard subdomain like "https://*.example.com"
+ */
+function originMatches(pattern, origin) {
+  if (pattern === "*" || pattern === origin) {
+    return true;
+  }
+
+  const wildcardIndex = pattern.indexOf("://*.");
+  if (wildcardIndex === -1) {
+    return false;
+  }
+
+  const scheme = pattern.slice(0, wildcardIndex + 3);
+  const domainSuffix = pattern.slice(wildcardIndex + 4);
+  return origin.startsWith(scheme) && origin.endsWith(domainSuffix) && origin.length > scheme.length + domainSuffix.length;
+}
+
+/**
+ * Get the methods a job accepts from other origins
+ * @param {Object} [corsConfig] - The job's cors configuration
+ * @param {Array<string>} [routeMethods] - Methods the job's routes accept on the request path
+ * @returns {Array<string>} Upper-case method names
+ */
+function getAllowedMethods(corsConfig, routeMethods) {
+  return (corsConfig?.methods || routeMethods || DEFAULT_METHODS).map(method => method.toUpperCase());
+}
+
+/**
+ * Check whether a job allows requests from an origin
+ * @param {Object} [corsConfig] - The job's cors configuration
+ * @param {string|null} origin - The request's Origin header
+ * @returns {boolean} Whether the origin is allowed
+ */
+export function isOriginAllowed(corsConfig, origin) {
+  if (!origin || !corsConfig) {
+    return true;
+  }
+
+  return (corsConfig.origins || []).some(pattern => originMatches(pattern, origin));
+}
+
+/**
+ * Get CORS headers for a webrequest job response
+ * @param {Object} [corsConfig] - The job's cors configuration
+ * @param {string|null} origin - The request's Origin header
+ * @param {Array<string>} [routeMethods] - Methods the job's routes accept on the request path
+ * @returns {Object} The CORS headers, empty if the origin is not allowed
+ */
+export function getCorsHeaders(corsConfig, origin, routeMethods = null) {
+  if (!isOriginAllowed(corsConfig, origin)) {
+    return {};
+  }
+
+  const headers = {
+    "Access-Control-Allow-Methods": [...getAllowedMethods(corsConfig, routeMethods), "OPTIONS"].join(", "),
+    "Access-Control-Allow-Headers": (corsConfig?.headers || DEFAULT_HEADERS).join(", "),
+    "Access-Control-Max-Age": String(corsConfig?.maxAge ?? DEFAULT_MAX_AGE),
+  };
+
+  // Browsers reject "*" for credentialed requests, so those get the exact origin back
+  const allowsAnyOrigin = !corsConfig || corsConfig.origins?.includes("*");
+  if (allowsAnyOrigin && !corsConfig?.credentials) {
+    headers["Access-Control-Allow-Origin"] = "*";
+  } else if (origin) {
+    headers["Access-Control-Allow-Origin"] = origin;
+    headers["Vary"] = "Origin";
+  }
+
+  if (corsConfig?.credentials) {
+    headers["Access-Control-Allow-Credentials"] = "true";
+  }
+
+  return headers;
+}
+
+/**
+ * Create a rejection for a cross-origin request the job doesn't allow
+ * @param {string} message - Why the request was rejected
+ * @returns {Response} A 403 JSON response
+ */
+function createCorsRejection(message) {
+  return new Response(JSON.stringify({ success: false, error: message }), {
+    status: 403,
+    headers: { "Content-Type": "application/json" },
+  });
+}
+
+/**
+ * Check a cross-origin webrequest against the job's CORS configuration
+ * @param {Object} [corsConfig] - The job's cors configuration
+ * @param {Request} request - The incoming request
+ * @param {Array<string>} [routeMethods] - Methods the job's routes accept on the request path
+ * @returns {Response|null} A rejection response, or null if the request may proceed
+ */
+export function checkCorsRequest(corsConfig, request, routeMethods = null) {
+  const origin = request.headers.get("Origin");
+  if (!origin) {
+    return null;
+  }
+
+  if (!isOriginAllowed(corsConfig, origin)) {
+    return createCorsRejection(`Origin ${origin} is not allowed`);
+  }
+
+  if (!getAllowedMethods(corsConfig, routeMethods).includes(request.method)) {
+    return createCorsRejection(`Method ${request.method} is not allowed from ${origin}`);
+  }
+
+  return null;
+}
+
+/**
+ * Answer a CORS preflight request for a webrequest job
+ * @param {Object} [corsConfig] - The job's cors configuration
+ * @param {Request} request - The OPTIONS request
+ * @param {Array<string>} [routeMethods] - Methods the job's routes accept on the request path
+ * @returns {Response} A 204 with CORS headers, or a 403 if the origin or method is not allowed
+ */
+export function createPreflightResponse(corsConfig, request, routeMethods = null) {
+  const origin = request.headers.get("Origin");
+  const requestedMethod = request.headers.get("Access-Control-Request-Method");
+
+  if (!isOriginAllowed(corsConfig, origin)) {
+    return createCorsRejection(`Origin ${origin} is not allowed`);
+  }
+
+  if (requestedMethod && !getAllowedMethods(corsConfig, routeMethods).includes(requestedMethod.toUpperCase())) {
+    return createCorsRejection(`Method ${requestedMethod} is not allowed from ${origin}`);
+  }
+
+  return new Response(null, {
+    status: 204,
+    headers: getCorsHeaders(corsConfig, origin, routeMethods),
+  });
+}
@@ -3,7 +3,7 @@
  * These functions use statically imported jobs for Cloudflare Workers compatibility
  */
 
-import { getJobModule, getJobConfig, getJobPathFromName } from '../../job-manifest.js';
+import { getJobModule, getJobConfig, getJobPathFromName, getTriggerTopic } from '../../job-manifest.js';
 
 /**
  * Load job configuration in the worker environment
@@ -36,6 +36,15 @@ export function resolveJobPath(jobName) {
   return getJobPathFromName(jobName);
 }
 
+/**
+ * Get the webhook topic a job's trigger subscribes to
+ * @param {Object} jobConfig - The job configuration
+ * @returns {string|null} The webhook topic, or null for triggers without one
+ */
+export function getJobTopic(jobConfig) {
+  return jobConfig?.trigger ? getTriggerTopic(jobConfig.trigger) : null;
+}
+
 /**
  * Load job module in the worker environment
  * @param {string} jobPath - The job path (e.g., 'hello-world', 'order/fetch', 'local/jobs/hello-world')
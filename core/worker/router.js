@@ -0,0 +1,135 @@
+/**
+ * Resolves incoming requests to jobs
+ * A path that names a job reaches it directly, otherwise the routes declared by webrequest jobs are matched
+ */
+
+import { jobModules } from '../../job-manifest.js';
+import { ANY_METHOD, findRoute } from '../shared/routes.js';
+import { loadJobConfig, resolveJobPath } from './job-loader.js';
+
+// Methods accepted when a job is addressed by name instead of a route
+const WEBREQUEST_METHODS = ["GET", "POST"];
+const WEBHOOK_METHODS = ["POST"];
+
+/**
+ * Create an error that the worker turns into a 404 or 405 response
+ */
+function createRouteError(message, statusCode, allowedMethods = null) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (allowedMethods) {
+    error.headers = { Allow: allowedMethods.join(", ") };
+  }
+  return error;
+}
+
+/**
+ * Find a job by the name in the request path
+ * @returns {Promise<{jobPath: string, jobConfig: Object}|null>} The job, or null if the path isn't a job name
+ */
+async function findJobByName(pathname) {
+  const jobName = pathname.replace(/^\//, '');
+  if (!jobName) {
+    return null;
+  }
+
+  let jobPath;
+  try {
+    jobPath = resolveJobPath(jobName);
+  } catch (error) {
+    return null;
+  }
+
+  return { jobPath, jobConfig: await loadJobConfig(jobPath) };
+}
+
+/**
+ * Match a path and method against the routes of every webrequest job
+ * @returns {{match: Object|null, methods: Array<string>|null}} The first job accepting the method,
+ * plus the methods accepted on this path (null when any method is)
+ */
+function findRoutedJob(pathname, method) {
+  let match = null;
+  const methods = new Set();
+
+  for (const [jobPath, { config }] of Object.entries(jobModules)) {
+    if (config.trigger !== "webrequest" || !config.routes) continue;
+
+    // A job with a broken route is skipped, so it doesn't take down the routes of the other jobs
+    let found;
+    try {
+      found = findRoute(config.routes, method, pathname);
+    } catch (error) {
+      if (error.statusCode) {
+        throw error;
+      }
+      console.error(`Skipping routes of ${jobPath}: ${error.message}`);
+      continue;
+    }
+    if (!match && found.route) {
+      match = { jobPath, jobConfig: config, params: found.params };
+    }
+    found.methods.forEach(routeMethod => methods.add(routeMethod));
+  }
+
+  return { match, methods: methods.has(ANY_METHOD) ? null : [...methods] };
+}
+
+/**
+ * Resolve the job a request targets
+ * @param {Request} request - The incoming request
+ * @returns {Promise<{jobPath: string, jobConfig: Object, params: Object, methods: Array<string>|null}>}
+ * The job, the params captured from its route, and the methods accepted on the path (null for the defaults)
+ */
+export async function resolveRequestJob(request) {
+  const { pathname } = new URL(request.url);
+
+  // Job names take precedence so existing webhook and webrequest URLs keep working
+  const namedJob = await findJobByName(pathname);
+  if (namedJob) {
+    const allowedMethods = namedJob.jobConfig.trigger === "webrequest" ? WEBREQUEST_METHODS : WEBHOOK_METHODS;
+    if (!allowedMethods.includes(request.method)) {
+      throw createRouteError(`Method ${request.method} is not allowed for ${pathname}`, 405, allowedMethods);
+    }
+    return { ...namedJob, params: {}, methods: null };
+  }
+
+  const { match, methods } = findRoutedJob(pathname, request.method);
+  if (match) {
+    return { ...match, methods };
+  }
+
+  if (methods?.length) {
+    throw createRouteError(`Method ${request.method} is not allowed for ${pathname}`, 405, methods);
+  }
+  throw createRouteError(`No job or route matches ${pathname}`, 404);
+}
+
+/**
+ * Find the job on a request's path without enforcing the method
+ * Used for CORS, where a disallowed method should get a CORS rejection from the job's configuration
+ * @param {Request} request - The incoming request
+ * @returns {Promise<{jobPath: string, jobConfig: Object, methods: Array<string>|null}|null>} The job, or null if nothing matches
+ */
+export async function findPathJob(request) {
+  const { pathname } = new URL(request.url);
+
+  const namedJob = await findJobByName(pathname);
+  if (namedJob) {
+    return { ...namedJob, methods: null };
+  }
+
+  // Prefer the job that handles the method the browser is about to send
+  const method = request.headers.get("Access-Control-Request-Method") || request.method;
+  const { match, methods } = findRoutedJob(pathname, method);
+  if (match) {
+    return { jobPath: match.jobPath, jobConfig: match.jobConfig, methods };
+  }
+
+  // Otherwise use any job on the path so the rejection follows its CORS configuration
+  if (methods?.length) {
+    const { match: pathMatch } = findRoutedJob(pathname, methods[0]);
+    return { jobPath: pathMatch.jobPath, jobConfig: pathMatch.jobConfig, methods };
+  }
+  return null;
+}
@@ -4,14 +4,18 @@
 
 import { WorkflowEntrypoint } from "cloudflare:workers";
 import { loadJobConfig as workerLoadJobConfig, loadJobModule } from "./worker/job-loader.js";
-import { createShopifyClient } from "./shared/shopify.js";
+import { createShopifyClient, getShopifyClientOptions } from "./shared/shopify.js";
 import { sendEmail, validateCredentials } from "./connectors/resend.js";
 import { isWorkerEnvironment } from "./shared/env.js";
+import { withConcurrencyLock } from "./shared/concurrency.js";
+import { recordDeadLetter } from "./shared/dead-letters.js";
+import { createChildJobApi } from "./shared/child-jobs.js";
+import { wrapWorkflowStep } from "./shared/workflow-events.js";
 
 export class JobDispatcher extends WorkflowEntrypoint {
   async run(event, step) {
     // Parameters are passed via event.payload according to Cloudflare docs
-    const { shopDomain, jobPath, payload, r2Key, isLargePayload, shopConfig } = event.payload;
+    const { shopDomain, jobPath, payload, r2Key, isLargePayload } = event.payload;
 
     // Step 1: Retrieve payload if it's stored in R2
     const jobData = await step.do("retrieve-payload", async () => {
@@ -48,7 +52,30 @@ export class JobDispatcher extends WorkflowEntrypoint {
       }
     });
 
-    // Step 3: Create Shopify client (not serializable, so create outside of workflow step)
+    // Step 3: Load job module (not a workflow step, just load the module)
+    const jobModule = await loadJobModule(jobPath);
+
+    // Jobs with a concurrency key wait for other runs on the same resource to finish
+    const lockOptions = {
+      jobConfig: finalJobConfig,
+      payload: jobData,
+      shopDomain,
+      holderId: event.instanceId,
+      env: this.env,
+      step,
+    };
+
+    return withConcurrencyLock(lockOptions, (lockedStep) => this.runJob(jobModule, event, step, jobData, finalJobConfig, lockedStep));
+  }
+
+  /**
+   * Execute the job, cleaning up and sending an error notification if it fails
+   * The job gets the locked step, whose steps renew its concurrency lease
+   */
+  async runJob(jobModule, event, step, jobData, finalJobConfig, lockedStep = step) {
+    const { shopDomain, jobPath, r2Key, isLargePayload, shopConfig, topic, replayOf } = event.payload;
+
+    // Step 4: Create Shopify client (not serializable, so create outside of workflow step)
     const accessToken = shopConfig?.shopify_token || this.env.SHOPIFY_ACCESS_TOKEN;
     if (!accessToken) {
       throw new Error("Shopify API access token not configured");
@@ -57,13 +84,11 @@ export class JobDispatcher extends WorkflowEntrypoint {
     const shopify = createShopifyClient({
       shop: shopDomain,
       accessToken,
-      apiVersion: finalJobConfig?.apiVersion,
+      ...getShopifyClientOptions(finalJobConfig),
     });
 
-    // Step 4: Load job module (not a workflow step, just load the module)
-    const jobModule = await loadJobModule(jobPath);
-
     // Execute the job directly - let it create its own workflow steps
+    const jobStep = wrapWorkflowStep(lockedStep);
     try {
       const result = await jobModule.process({
         shopify,
@@ -72,7 +97,10 @@ export class JobDispatcher extends WorkflowEntrypoint {
         jobConfig: finalJobConfig,
         env: this.env,
         secrets: this.loadSecretsFromEnv(this.env),
-        step, // Pass the step function so jobs can create their own workflow steps at the top level
+        step: jobStep, // Pass the step function so jobs can create their own workflow steps at the top level
+        instanceId: event.instanceId, // For signed event URLs that step.waitForEvent receives
+        // enqueueJob, getJobStatus and waitForJob
+        ...createChildJobApi({ env: this.env, shopConfig, shopify, step: jobStep, parentId: event.instanceId, parentJobPath: jobPath }),
       });
 
       // Step 5: Clean up large payload if needed
@@ -133,6 +161,25 @@ export class JobDispatcher extends WorkflowEntrypoint {
         }
       });
 
+      // Keep the payload so the run can be replayed once the bug is fixed
+      await step.do("record-dead-letter", async () => {
+        try {
+          return await recordDeadLetter(this.env, {
+            id: event.instanceId,
+            shopDomain,
+            jobPath,
+            topic,
+            payload: jobData,
+            error: error.message,
+            stack: error.stack,
+            replayOf,
+          });
+        } catch (deadLetterError) {
+          console.error(`Failed to record dead letter for ${jobPath}: ${deadLetterError.message}`);
+          return null;
+        }
+      });
+
       // Clean up payload even on error
       await step.do("cleanup-on-error", async () => {
         if (isLargePayload && r2Key) {